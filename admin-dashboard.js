@@ -0,0 +1,825 @@
+const express = require('express');
+const crypto = require('crypto');
+const { importMembersCsv, exportMembersCsv } = require('./member-csv');
+const { MERGE_FIELD_FALLBACKS, normalizeTemplateName, isBuiltInTemplate, validateTemplate, renderTemplate } = require('./message-templates');
+const { isValidTimeZone } = require('./time-zones');
+const { LANGUAGES, normalizeLanguage } = require('./localization');
+
+// Web admin dashboard - server-rendered pages for member, group and broadcast management.
+// Mounted at /admin by app.js and protected with HTTP Basic auth.
+
+const PAGE_SIZE = 50;
+const HISTORY_PAGE_SIZE = 25;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(date) {
+    return date ? new Date(date).toLocaleString() : '—';
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function renderPage(title, body, notice = null) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · YesuWay Church SMS Admin</title>
+<style>
+    body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 0; background: #f5f6f8; color: #222; }
+    header { background: #1f3b57; color: #fff; padding: 12px 24px; }
+    header a { color: #fff; margin-right: 18px; text-decoration: none; font-weight: 600; }
+    main { padding: 24px; max-width: 1100px; margin: 0 auto; }
+    table { width: 100%; border-collapse: collapse; background: #fff; margin: 12px 0; }
+    th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e3e6ea; font-size: 14px; vertical-align: top; }
+    th { background: #eef1f4; }
+    form.inline { display: inline; }
+    input, select, textarea { padding: 6px 8px; font-size: 14px; }
+    button { padding: 6px 12px; font-size: 14px; cursor: pointer; }
+    .card { background: #fff; padding: 16px 20px; margin: 16px 0; border-radius: 6px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+    .notice { background: #e7f5e9; border: 1px solid #b6e0bd; padding: 10px 14px; border-radius: 4px; }
+    .error { background: #fdecea; border-color: #f5c2bd; }
+    .muted { color: #777; }
+    .pager a { margin-right: 12px; }
+</style>
+</head>
+<body>
+<header>
+    <a href="/admin/members">👥 Members</a>
+    <a href="/admin/groups">🏛️ Groups</a>
+    <a href="/admin/broadcasts">📡 Broadcasts</a>
+    <a href="/admin/templates">📝 Templates</a>
+</header>
+<main>
+${notice ? `<p class="notice${notice.error ? ' error' : ''}">${escapeHtml(notice.text)}</p>` : ''}
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+function renderPager(basePath, query, page, total, pageSize) {
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    const link = (targetPage, label) => {
+        const params = new URLSearchParams({ ...query, page: targetPage });
+        return `<a href="${basePath}?${escapeHtml(params.toString())}">${label}</a>`;
+    };
+
+    return `<p class="pager">
+        ${page > 1 ? link(page - 1, '← Previous') : ''}
+        <span class="muted">Page ${page} of ${pageCount} · ${total} total</span>
+        ${page < pageCount ? link(page + 1, 'Next →') : ''}
+    </p>`;
+}
+
+function noticeFromQuery(query) {
+    if (query.error) {
+        return { text: query.error, error: true };
+    }
+    if (query.notice) {
+        return { text: query.notice };
+    }
+    return null;
+}
+
+function redirectWith(res, path, key, text) {
+    const separator = path.includes('?') ? '&' : '?';
+    res.redirect(`${path}${separator}${key}=${encodeURIComponent(text)}`);
+}
+
+function createAdminDashboard(smsSystem, logger, options = {}) {
+    const router = express.Router();
+    const dbManager = smsSystem.dbManager;
+    const username = options.username || 'admin';
+    const password = options.password;
+
+    // HTTP Basic auth - the dashboard stays disabled until a password is configured
+    router.use((req, res, next) => {
+        if (!password) {
+            return res.status(503).send('Admin dashboard disabled. Set ADMIN_DASHBOARD_PASSWORD to enable it.');
+        }
+
+        const header = req.headers.authorization || '';
+        const [scheme, encoded] = header.split(' ');
+        if (scheme === 'Basic' && encoded) {
+            const [user, ...rest] = Buffer.from(encoded, 'base64').toString('utf8').split(':');
+            if (safeEqual(user, username) && safeEqual(rest.join(':'), password)) {
+                req.adminUser = user;
+                return next();
+            }
+        }
+
+        logger.warn(`❌ Admin dashboard auth failed from ${req.ip}`);
+        res.set('WWW-Authenticate', 'Basic realm="YesuWay Church SMS Admin", charset="UTF-8"');
+        return res.status(401).send('Authentication required');
+    });
+
+    // Browsers replay Basic credentials on cross-site form posts, so writes must come from this origin
+    router.use((req, res, next) => {
+        if (req.method !== 'POST') {
+            return next();
+        }
+
+        const source = req.headers.origin || req.headers.referer;
+        if (source) {
+            try {
+                if (new URL(source).host !== req.headers.host) {
+                    logger.warn(`❌ Cross-origin admin dashboard post blocked: ${source}`);
+                    return res.status(403).send('Cross-origin request blocked');
+                }
+            } catch (error) {
+                return res.status(403).send('Invalid request origin');
+            }
+        }
+        return next();
+    });
+
+    router.use((req, res, next) => {
+        if (!dbManager.isConnected) {
+            return res.status(503).send(renderPage('Database unavailable',
+                '<p>MongoDB is not connected. Check the server logs and try again shortly.</p>'));
+        }
+        return next();
+    });
+
+    router.get('/', (req, res) => res.redirect('/admin/members'));
+
+    // ------------------------------------------------------------------
+    // Members
+    // ------------------------------------------------------------------
+
+    router.get('/members', async (req, res) => {
+        try {
+            const search = (req.query.q || '').trim();
+            const status = ['active', 'inactive', 'all'].includes(req.query.status) ? req.query.status : 'active';
+            const page = Math.max(1, parseInt(req.query.page) || 1);
+
+            const [{ members, total }, groups] = await Promise.all([
+                dbManager.searchMembers({ search, status, page, limit: PAGE_SIZE }),
+                dbManager.getAllGroups()
+            ]);
+
+            const rows = members.map(member => `<tr>
+                <td><a href="/admin/members/${member._id}">${escapeHtml(member.name)}</a></td>
+                <td>${escapeHtml(member.phoneNumber)}</td>
+                <td>${(member.groups || []).map(g => escapeHtml(g.groupId?.name || '?')).join(', ') || '<span class="muted">none</span>'}</td>
+                <td>${member.isAdmin ? '🔑 Admin' : 'Member'}</td>
+                <td>${member.active ? '✅ Active' : '⏸️ Inactive'}${member.smsOptOut ? ' · 🚫 STOP' : ''}${member.pausedUntil > new Date() ? ' · 💤 Paused' : ''}</td>
+                <td>${formatDate(member.lastActivity)}</td>
+            </tr>`).join('');
+
+            const groupOptions = groups.map(group =>
+                `<label><input type="checkbox" name="groupIds" value="${group._id}"${group.name === 'YesuWay Congregation' ? ' checked' : ''}> ${escapeHtml(group.name)}</label>`
+            ).join(' ');
+
+            const body = `
+<form method="get" action="/admin/members" class="card">
+    <input type="search" name="q" value="${escapeHtml(search)}" placeholder="Search name or phone">
+    <select name="status">
+        ${['active', 'inactive', 'all'].map(s => `<option value="${s}"${s === status ? ' selected' : ''}>${s}</option>`).join('')}
+    </select>
+    <button type="submit">Search</button>
+    · <a href="/admin/members/import">📥 Import CSV</a>
+    · <a href="/admin/members/export.csv?status=${status}">📤 Export CSV</a>
+</form>
+<table>
+    <tr><th>Name</th><th>Phone</th><th>Groups</th><th>Role</th><th>Status</th><th>Last activity</th></tr>
+    ${rows || '<tr><td colspan="6" class="muted">No members found</td></tr>'}
+</table>
+${renderPager('/admin/members', { q: search, status }, page, total, PAGE_SIZE)}
+<form method="post" action="/admin/members" class="card">
+    <h2>Add member</h2>
+    <p><input name="name" placeholder="Full name" required> <input name="phoneNumber" placeholder="+12065551234" required></p>
+    <p>${groupOptions}</p>
+    <p><label><input type="checkbox" name="sendWelcome" value="1" checked> Send welcome SMS</label></p>
+    <button type="submit">Add member</button>
+</form>`;
+
+            res.send(renderPage('Members', body, noticeFromQuery(req.query)));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard members error: ${error.message}`);
+            res.status(500).send(renderPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    router.post('/members', async (req, res) => {
+        try {
+            const name = (req.body.name || '').trim();
+            const phoneNumber = smsSystem.cleanPhoneNumber(req.body.phoneNumber || '');
+            const groupIds = [].concat(req.body.groupIds || []);
+
+            if (!name || !phoneNumber) {
+                return redirectWith(res, '/admin/members', 'error', 'Name and a valid phone number are required');
+            }
+
+            const groups = [];
+            for (const groupId of groupIds) {
+                const group = await dbManager.getGroupById(groupId);
+                if (group) {
+                    groups.push({ groupId: group._id, joinedAt: new Date() });
+                }
+            }
+            if (groups.length === 0) {
+                const congregationGroup = await dbManager.getGroupByName('YesuWay Congregation');
+                if (congregationGroup) {
+                    groups.push({ groupId: congregationGroup._id, joinedAt: new Date() });
+                }
+            }
+
+            let member;
+            try {
+                member = await dbManager.createMemberSafe({
+                    phoneNumber,
+                    name,
+                    isAdmin: false,
+                    active: true,
+                    messageCount: 0,
+                    lastActivity: new Date(),
+                    groups
+                });
+            } catch (createError) {
+                return redirectWith(res, '/admin/members', 'error', createError.message);
+            }
+
+            let welcomeNote = '';
+            if (req.body.sendWelcome) {
+                const welcome = await smsSystem.sendWelcomeSMS(member.phoneNumber, member.name, 'the church office');
+                welcomeNote = welcome.success ? ' - welcome SMS sent' : ` - welcome SMS failed: ${welcome.error}`;
+            }
+
+            await dbManager.recordAnalytic('member_added_via_dashboard', 1,
+                `Admin: ${req.adminUser}, New Member: ${member.name} (${member.phoneNumber})`);
+            logger.info(`✅ Dashboard user ${req.adminUser} added member ${member.name} (${member.phoneNumber})`);
+
+            return redirectWith(res, '/admin/members', 'notice', `Added ${member.name}${welcomeNote}`);
+        } catch (error) {
+            logger.error(`❌ Admin dashboard add member error: ${error.message}`);
+            return redirectWith(res, '/admin/members', 'error', 'Could not add member');
+        }
+    });
+
+    router.get('/members/import', (req, res) => {
+        const body = `
+<form method="post" action="/admin/members/import" class="card">
+    <p>Columns: <code>name</code> (or <code>first name</code> + <code>last name</code>), <code>phone</code>,
+    optional <code>groups</code> (group names or keywords separated by <code>;</code>) and <code>admin</code> (yes/no).
+    Members without a group join YesuWay Congregation. Existing phone numbers are skipped.</p>
+    <p><input type="file" accept=".csv,text/csv" onchange="const r = new FileReader(); r.onload = () => { document.getElementById('csv').value = r.result; }; r.readAsText(this.files[0]);"></p>
+    <p><textarea id="csv" name="csv" rows="14" cols="100" placeholder="name,phone,groups" required></textarea></p>
+    <p><label><input type="checkbox" name="dryRun" value="1" checked> Preview only (no changes)</label></p>
+    <button type="submit">Import</button>
+</form>`;
+
+        res.send(renderPage('Import members', body, noticeFromQuery(req.query)));
+    });
+
+    router.post('/members/import', async (req, res) => {
+        try {
+            const report = await importMembersCsv(smsSystem, req.body.csv, {
+                dryRun: Boolean(req.body.dryRun),
+                logger
+            });
+
+            if (!report.dryRun) {
+                await dbManager.recordAnalytic('members_imported_via_dashboard', report.created.length,
+                    `Admin: ${req.adminUser}, Created: ${report.created.length}, Skipped: ${report.skipped.length}, Invalid: ${report.invalid.length}`);
+            }
+
+            const section = (title, entries, detail) => `
+<h2>${title} (${entries.length})</h2>
+<table>
+    <tr><th>Row</th><th>Name</th><th>Phone</th><th>${detail === 'groups' ? 'Groups' : 'Reason'}</th></tr>
+    ${entries.map(entry => `<tr><td>${entry.row}</td><td>${escapeHtml(entry.name || '')}</td><td>${escapeHtml(entry.phone || '')}</td><td>${escapeHtml(entry[detail] || '')}</td></tr>`).join('')
+        || '<tr><td colspan="4" class="muted">None</td></tr>'}
+</table>`;
+
+            const body = `
+<p class="card">${report.dryRun ? '🔍 Preview only - nothing was saved. Untick "Preview only" to import.' : '✅ Import complete.'}
+    ${report.totalRows} rows · ${report.created.length} ${report.dryRun ? 'would be created' : 'created'} · ${report.skipped.length} skipped · ${report.invalid.length} invalid</p>
+${report.dryRun ? `<form method="post" action="/admin/members/import">
+    <input type="hidden" name="csv" value="${escapeHtml(req.body.csv)}">
+    <button type="submit">Import these rows now</button>
+</form>` : ''}
+${section(report.dryRun ? 'Would be created' : 'Created', report.created, 'groups')}
+${section('Skipped', report.skipped, 'reason')}
+${section('Invalid', report.invalid, 'reason')}`;
+
+            res.send(renderPage('Import report', body));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard CSV import error: ${error.message}`);
+            return redirectWith(res, '/admin/members/import', 'error', error.message);
+        }
+    });
+
+    router.get('/members/export.csv', async (req, res) => {
+        try {
+            const status = ['active', 'inactive', 'all'].includes(req.query.status) ? req.query.status : 'all';
+            const csv = await exportMembersCsv(dbManager, { status });
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="members-${new Date().toISOString().slice(0, 10)}.csv"`);
+            res.send(csv);
+        } catch (error) {
+            logger.error(`❌ Admin dashboard CSV export error: ${error.message}`);
+            return redirectWith(res, '/admin/members', 'error', 'Could not export members');
+        }
+    });
+
+    router.get('/members/:id', async (req, res) => {
+        try {
+            const [member, groups] = await Promise.all([
+                dbManager.getMemberById(req.params.id),
+                dbManager.getAllGroups()
+            ]);
+
+            if (!member) {
+                return res.status(404).send(renderPage('Member not found', '<p><a href="/admin/members">Back to members</a></p>'));
+            }
+
+            const memberGroupIds = new Set((member.groups || []).map(g => (g.groupId?._id || g.groupId).toString()));
+            const groupOptions = groups.map(group =>
+                `<label><input type="checkbox" name="groupIds" value="${group._id}"${memberGroupIds.has(group._id.toString()) ? ' checked' : ''}> ${escapeHtml(group.name)}</label>`
+            ).join('<br>');
+
+            const languageOptions = Object.entries(LANGUAGES).map(([code, language]) =>
+                `<option value="${code}"${(member.language || 'en') === code ? ' selected' : ''}>${escapeHtml(`${language.name} (${language.nativeName})`)}</option>`
+            ).join('');
+
+            const { messages } = await dbManager.getBroadcastHistory({ fromPhone: member.phoneNumber, limit: 10 });
+            const messageRows = messages.map(message => `<tr>
+                <td><a href="/admin/broadcasts/${message._id}">${formatDate(message.sentAt)}</a></td>
+                <td>${escapeHtml(message.originalMessage.substring(0, 120))}</td>
+            </tr>`).join('');
+
+            const body = `
+<form method="post" action="/admin/members/${member._id}" class="card">
+    <p><label>Name<br><input name="name" value="${escapeHtml(member.name)}" required></label></p>
+    <p><label>Phone<br><input name="phoneNumber" value="${escapeHtml(member.phoneNumber)}" required></label></p>
+    <p><label>Time zone<br><input name="timeZone" value="${escapeHtml(member.timeZone || '')}" placeholder="${escapeHtml(options.timeZone || '')}"></label>
+        <br><span class="muted">IANA name such as America/Chicago - blank uses the church time zone for quiet hours</span></p>
+    <p><label>Language<br><select name="language">${languageOptions}</select></label>
+        <br><span class="muted">Help, welcome and other system replies - members can change it by texting LANGUAGE</span></p>
+    <p><label><input type="checkbox" name="isAdmin" value="1"${member.isAdmin ? ' checked' : ''}> Administrator</label></p>
+    <p><label><input type="checkbox" name="active" value="1"${member.active ? ' checked' : ''}> Active</label></p>
+    <h3>Groups</h3>
+    <p>${groupOptions}</p>
+    <button type="submit">Save changes</button>
+</form>
+<div class="card">
+    <p>📊 Messages sent: ${member.messageCount} · Last activity: ${formatDate(member.lastActivity)} · Joined: ${formatDate(member.createdAt)}</p>
+    ${member.smsOptOut ? `<p>🚫 Opted out with ${escapeHtml(member.optOutKeyword || 'STOP')} on ${formatDate(member.optedOutAt)} - only the member can resubscribe by texting START.</p>` : ''}
+    ${member.pausedUntil > new Date() ? `<p>💤 Paused until ${formatDate(member.pausedUntil)} - delivery starts again automatically, or when the member texts RESUME.</p>` : ''}
+    ${member.active ? `<form method="post" action="/admin/members/${member._id}/deactivate" class="inline" onsubmit="return confirm('Deactivate this member?')">
+        <button type="submit">⏸️ Deactivate member</button>
+    </form>` : ''}
+</div>
+<h2>Recent broadcasts</h2>
+<table>
+    <tr><th>Sent</th><th>Message</th></tr>
+    ${messageRows || '<tr><td colspan="2" class="muted">No broadcasts</td></tr>'}
+</table>`;
+
+            res.send(renderPage(member.name, body, noticeFromQuery(req.query)));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard member detail error: ${error.message}`);
+            res.status(500).send(renderPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    router.post('/members/:id', async (req, res) => {
+        const memberPath = `/admin/members/${encodeURIComponent(req.params.id)}`;
+
+        try {
+            const member = await dbManager.getMemberById(req.params.id);
+            if (!member) {
+                return redirectWith(res, '/admin/members', 'error', 'Member not found');
+            }
+
+            const name = (req.body.name || '').trim();
+            const phoneNumber = smsSystem.cleanPhoneNumber(req.body.phoneNumber || '');
+            if (!name || !phoneNumber) {
+                return redirectWith(res, memberPath, 'error', 'Name and a valid phone number are required');
+            }
+
+            const timeZone = (req.body.timeZone || '').trim();
+            if (timeZone && !isValidTimeZone(timeZone)) {
+                return redirectWith(res, memberPath, 'error', `Unknown time zone ${timeZone} - use a name like America/Chicago`);
+            }
+
+            const language = normalizeLanguage(req.body.language) || null;
+
+            // Keep the original join date for groups the member stays in
+            const existingJoins = new Map((member.groups || []).map(g => [(g.groupId?._id || g.groupId).toString(), g.joinedAt]));
+            const groups = [];
+            for (const groupId of [].concat(req.body.groupIds || [])) {
+                const group = await dbManager.getGroupById(groupId);
+                if (group) {
+                    groups.push({ groupId: group._id, joinedAt: existingJoins.get(group._id.toString()) || new Date() });
+                }
+            }
+
+            try {
+                await dbManager.updateMember(member._id, {
+                    name,
+                    phoneNumber,
+                    isAdmin: Boolean(req.body.isAdmin),
+                    active: Boolean(req.body.active),
+                    timeZone: timeZone || null,
+                    language,
+                    groups
+                });
+            } catch (updateError) {
+                if (updateError.code === 11000) {
+                    return redirectWith(res, memberPath, 'error', `Phone number ${phoneNumber} belongs to another member`);
+                }
+                throw updateError;
+            }
+
+            await dbManager.recordAnalytic('member_updated_via_dashboard', 1,
+                `Admin: ${req.adminUser}, Member: ${name} (${phoneNumber})`);
+            logger.info(`✅ Dashboard user ${req.adminUser} updated member ${name} (${phoneNumber})`);
+
+            return redirectWith(res, memberPath, 'notice', 'Member saved');
+        } catch (error) {
+            logger.error(`❌ Admin dashboard update member error: ${error.message}`);
+            return redirectWith(res, memberPath, 'error', 'Could not save member');
+        }
+    });
+
+    router.post('/members/:id/deactivate', async (req, res) => {
+        try {
+            const member = await dbManager.updateMember(req.params.id, { active: false });
+            if (!member) {
+                return redirectWith(res, '/admin/members', 'error', 'Member not found');
+            }
+
+            await dbManager.recordAnalytic('member_deactivated_via_dashboard', 1,
+                `Admin: ${req.adminUser}, Member: ${member.name} (${member.phoneNumber})`);
+            logger.info(`⏸️ Dashboard user ${req.adminUser} deactivated member ${member.name}`);
+
+            return redirectWith(res, '/admin/members', 'notice', `${member.name} deactivated`);
+        } catch (error) {
+            logger.error(`❌ Admin dashboard deactivate error: ${error.message}`);
+            return redirectWith(res, '/admin/members', 'error', 'Could not deactivate member');
+        }
+    });
+
+    // ------------------------------------------------------------------
+    // Groups
+    // ------------------------------------------------------------------
+
+    router.get('/groups', async (req, res) => {
+        try {
+            const groups = await dbManager.getAllGroups();
+            const rows = [];
+            for (const group of groups) {
+                const memberCount = await dbManager.countActiveMembersInGroup(group._id);
+                rows.push(`<tr>
+                    <td><a href="/admin/groups/${group._id}">${escapeHtml(group.name)}</a></td>
+                    <td>@${escapeHtml(smsSystem.getGroupKeyword(group))}</td>
+                    <td>${escapeHtml(group.description || '')}</td>
+                    <td>${escapeHtml(group.postingPolicy)}${group.requiresApproval ? ' (approval)' : ''}</td>
+                    <td>${memberCount}</td>
+                </tr>`);
+            }
+
+            const body = `
+<table>
+    <tr><th>Group</th><th>Keyword</th><th>Description</th><th>Who can post</th><th>Active members</th></tr>
+    ${rows.join('') || '<tr><td colspan="5" class="muted">No groups - run setup.js</td></tr>'}
+</table>`;
+
+            res.send(renderPage('Groups', body, noticeFromQuery(req.query)));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard groups error: ${error.message}`);
+            res.status(500).send(renderPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    router.get('/groups/:id', async (req, res) => {
+        try {
+            const group = await dbManager.getGroupById(req.params.id);
+            if (!group) {
+                return res.status(404).send(renderPage('Group not found', '<p><a href="/admin/groups">Back to groups</a></p>'));
+            }
+
+            const { members } = await dbManager.searchMembers({ groupId: group._id, status: 'all', limit: 1000 });
+            const rows = members.map(member => `<tr>
+                <td><a href="/admin/members/${member._id}">${escapeHtml(member.name)}</a></td>
+                <td>${escapeHtml(member.phoneNumber)}</td>
+                <td>${member.active ? '✅ Active' : '⏸️ Inactive'}</td>
+                <td>
+                    <form method="post" action="/admin/groups/${group._id}/members/${member._id}/remove" class="inline">
+                        <button type="submit">Remove from group</button>
+                    </form>
+                </td>
+            </tr>`).join('');
+
+            const body = `
+<p class="muted">@${escapeHtml(smsSystem.getGroupKeyword(group))} · ${escapeHtml(group.description || '')} · ${escapeHtml(group.postingPolicy)} can post${group.requiresApproval ? ' · member posts need approval' : ''}${group.open ? ' · members can JOIN/LEAVE by SMS' : ''}</p>
+<form method="post" action="/admin/groups/${group._id}/members" class="card">
+    <input name="phoneNumber" placeholder="+12065551234" required>
+    <button type="submit">Add existing member to group</button>
+</form>
+<table>
+    <tr><th>Name</th><th>Phone</th><th>Status</th><th></th></tr>
+    ${rows || '<tr><td colspan="4" class="muted">No members in this group</td></tr>'}
+</table>`;
+
+            res.send(renderPage(group.name, body, noticeFromQuery(req.query)));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard group detail error: ${error.message}`);
+            res.status(500).send(renderPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    router.post('/groups/:id/members', async (req, res) => {
+        const groupPath = `/admin/groups/${encodeURIComponent(req.params.id)}`;
+
+        try {
+            const group = await dbManager.getGroupById(req.params.id);
+            if (!group) {
+                return redirectWith(res, '/admin/groups', 'error', 'Group not found');
+            }
+
+            const phoneNumber = smsSystem.cleanPhoneNumber(req.body.phoneNumber || '');
+            const member = phoneNumber ? await dbManager.getMemberByPhone(phoneNumber) : null;
+            if (!member) {
+                return redirectWith(res, groupPath, 'error', `No active member with phone ${req.body.phoneNumber || ''}`);
+            }
+
+            if ((member.groups || []).some(g => (g.groupId?._id || g.groupId).toString() === group._id.toString())) {
+                return redirectWith(res, groupPath, 'notice', `${member.name} is already in ${group.name}`);
+            }
+
+            await dbManager.addMemberToGroup(member._id, group._id);
+            await dbManager.recordAnalytic('group_member_added_via_dashboard', 1,
+                `Admin: ${req.adminUser}, Member: ${member.name}, Group: ${group.name}`);
+
+            return redirectWith(res, groupPath, 'notice', `${member.name} added to ${group.name}`);
+        } catch (error) {
+            logger.error(`❌ Admin dashboard add group member error: ${error.message}`);
+            return redirectWith(res, groupPath, 'error', 'Could not add member to group');
+        }
+    });
+
+    router.post('/groups/:id/members/:memberId/remove', async (req, res) => {
+        const groupPath = `/admin/groups/${encodeURIComponent(req.params.id)}`;
+
+        try {
+            const [group, member] = await Promise.all([
+                dbManager.getGroupById(req.params.id),
+                dbManager.getMemberById(req.params.memberId)
+            ]);
+            if (!group || !member) {
+                return redirectWith(res, '/admin/groups', 'error', 'Group or member not found');
+            }
+
+            await dbManager.removeMemberFromGroup(member._id, group._id);
+            await dbManager.recordAnalytic('group_member_removed_via_dashboard', 1,
+                `Admin: ${req.adminUser}, Member: ${member.name}, Group: ${group.name}`);
+
+            return redirectWith(res, groupPath, 'notice', `${member.name} removed from ${group.name}`);
+        } catch (error) {
+            logger.error(`❌ Admin dashboard remove group member error: ${error.message}`);
+            return redirectWith(res, groupPath, 'error', 'Could not remove member from group');
+        }
+    });
+
+    // ------------------------------------------------------------------
+    // Message templates
+    // ------------------------------------------------------------------
+
+    const fieldList = Object.keys(MERGE_FIELD_FALLBACKS).map(field => `{${field}}`).join(' ');
+
+    router.get('/templates', async (req, res) => {
+        try {
+            const templates = await smsSystem.listMessageTemplates();
+            const rows = templates.map(template => `<tr>
+                <td><a href="/admin/templates/${encodeURIComponent(template.name)}">${escapeHtml(template.name)}</a></td>
+                <td>${escapeHtml(template.description || '')}</td>
+                <td>${template.builtIn ? (template.customized ? 'Built-in (edited)' : 'Built-in') : 'Custom'}</td>
+                <td>${template.customized ? `${formatDate(template.updatedAt)} by ${escapeHtml(template.updatedBy || '—')}` : '—'}</td>
+            </tr>`).join('');
+
+            const body = `
+<table>
+    <tr><th>Name</th><th>Description</th><th>Type</th><th>Last edited</th></tr>
+    ${rows}
+</table>
+<form method="post" action="/admin/templates" class="card">
+    <h2>New template</h2>
+    <p><input name="name" placeholder="potluck" required> <input name="description" placeholder="Description" size="40"></p>
+    <p><textarea name="body" rows="6" cols="80" placeholder="Hi {firstName}! ..." required></textarea></p>
+    <p class="muted">Merge fields: ${escapeHtml(fieldList)} · add a fallback with {firstName|friend}</p>
+    <button type="submit">Create template</button>
+</form>`;
+
+            res.send(renderPage('Message templates', body, noticeFromQuery(req.query)));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard templates error: ${error.message}`);
+            res.status(500).send(renderPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    router.post('/templates', async (req, res) => {
+        const name = normalizeTemplateName(req.body.name);
+        const body = req.body.body || '';
+
+        try {
+            const validationError = validateTemplate(name, body);
+            if (validationError) {
+                return redirectWith(res, '/admin/templates', 'error', validationError);
+            }
+            if (await smsSystem.getMessageTemplate(name)) {
+                return redirectWith(res, '/admin/templates', 'error', `Template "${name}" already exists`);
+            }
+
+            await smsSystem.saveMessageTemplate(name, body, `dashboard:${req.adminUser}`, (req.body.description || '').trim());
+            logger.info(`📝 Dashboard user ${req.adminUser} created template ${name}`);
+
+            return redirectWith(res, `/admin/templates/${encodeURIComponent(name)}`, 'notice', 'Template created');
+        } catch (error) {
+            logger.error(`❌ Admin dashboard create template error: ${error.message}`);
+            return redirectWith(res, '/admin/templates', 'error', 'Could not create template');
+        }
+    });
+
+    router.get('/templates/:name', async (req, res) => {
+        try {
+            const template = await smsSystem.getMessageTemplate(req.params.name);
+            if (!template) {
+                return res.status(404).send(renderPage('Template not found', '<p><a href="/admin/templates">Back to templates</a></p>'));
+            }
+
+            const preview = renderTemplate(template.body, {
+                firstName: 'Grace',
+                lastName: 'Kim',
+                name: 'Grace Kim',
+                groupName: 'Youth Ministry',
+                churchName: options.churchName,
+                adminName: 'Pastor John'
+            });
+            const templatePath = `/admin/templates/${encodeURIComponent(template.name)}`;
+            const deleteLabel = template.builtIn ? 'Restore default text' : 'Delete template';
+
+            const body = `
+<form method="post" action="${templatePath}" class="card">
+    <p><input name="description" value="${escapeHtml(template.description || '')}" placeholder="Description" size="60"></p>
+    <p><textarea name="body" rows="16" cols="80" required>${escapeHtml(template.body)}</textarea></p>
+    <p class="muted">Merge fields: ${escapeHtml(fieldList)} · add a fallback with {firstName|friend}</p>
+    <button type="submit">Save template</button>
+</form>
+${template.customized ? `<form method="post" action="${templatePath}/delete" class="card">
+    <button type="submit">${deleteLabel}</button>
+</form>` : ''}
+<div class="card">
+    <h2>Preview</h2>
+    <pre style="white-space: pre-wrap">${escapeHtml(preview)}</pre>
+    <p class="muted">${preview.length} characters${template.builtIn ? '' : ` · send by SMS with TEMPLATE SEND ${escapeHtml(template.name)}`}</p>
+</div>`;
+
+            res.send(renderPage(`Template: ${template.name}`, body, noticeFromQuery(req.query)));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard template detail error: ${error.message}`);
+            res.status(500).send(renderPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    router.post('/templates/:name', async (req, res) => {
+        const name = normalizeTemplateName(req.params.name);
+        const templatePath = `/admin/templates/${encodeURIComponent(name)}`;
+
+        try {
+            if (!(await smsSystem.getMessageTemplate(name))) {
+                return redirectWith(res, '/admin/templates', 'error', 'Template not found');
+            }
+
+            const body = req.body.body || '';
+            const validationError = validateTemplate(name, body);
+            if (validationError) {
+                return redirectWith(res, templatePath, 'error', validationError);
+            }
+
+            await smsSystem.saveMessageTemplate(name, body, `dashboard:${req.adminUser}`, (req.body.description || '').trim());
+            logger.info(`📝 Dashboard user ${req.adminUser} updated template ${name}`);
+
+            return redirectWith(res, templatePath, 'notice', 'Template saved');
+        } catch (error) {
+            logger.error(`❌ Admin dashboard save template error: ${error.message}`);
+            return redirectWith(res, templatePath, 'error', 'Could not save template');
+        }
+    });
+
+    router.post('/templates/:name/delete', async (req, res) => {
+        const name = normalizeTemplateName(req.params.name);
+
+        try {
+            await dbManager.deleteMessageTemplate(name);
+            await dbManager.recordAnalytic(isBuiltInTemplate(name) ? 'message_template_reset' : 'message_template_deleted', 1,
+                `Template: ${name}, By: dashboard:${req.adminUser}`);
+            logger.info(`🗑️ Dashboard user ${req.adminUser} deleted template ${name}`);
+
+            if (isBuiltInTemplate(name)) {
+                return redirectWith(res, `/admin/templates/${encodeURIComponent(name)}`, 'notice', 'Default text restored');
+            }
+            return redirectWith(res, '/admin/templates', 'notice', `Template "${name}" deleted`);
+        } catch (error) {
+            logger.error(`❌ Admin dashboard delete template error: ${error.message}`);
+            return redirectWith(res, '/admin/templates', 'error', 'Could not delete template');
+        }
+    });
+
+    // ------------------------------------------------------------------
+    // Broadcast history
+    // ------------------------------------------------------------------
+
+    router.get('/broadcasts', async (req, res) => {
+        try {
+            const page = Math.max(1, parseInt(req.query.page) || 1);
+            const { messages, total } = await dbManager.getBroadcastHistory({ page, limit: HISTORY_PAGE_SIZE });
+
+            const rows = messages.map(message => {
+                const summary = message.deliverySummary || {};
+                return `<tr>
+                    <td><a href="/admin/broadcasts/${message._id}">${formatDate(message.sentAt)}</a></td>
+                    <td>${escapeHtml(message.fromName)}</td>
+                    <td>${escapeHtml(message.targetGroupName || 'Everyone')}</td>
+                    <td>${escapeHtml(message.originalMessage.substring(0, 120))}${message.hasMedia ? ` 📎${message.mediaCount}` : ''}</td>
+                    <td>${escapeHtml(message.deliveryStatus)}</td>
+                    <td>${summary.queued ? `⏳ ${summary.queued} · ` : ''}✅ ${summary.delivered || 0} · 📤 ${summary.sent || 0} · ❌ ${(summary.failed || 0) + (summary.undelivered || 0)}</td>
+                </tr>`;
+            }).join('');
+
+            const body = `
+<table>
+    <tr><th>Sent</th><th>From</th><th>Audience</th><th>Message</th><th>Status</th><th>Delivery</th></tr>
+    ${rows || '<tr><td colspan="6" class="muted">No broadcasts yet</td></tr>'}
+</table>
+${renderPager('/admin/broadcasts', {}, page, total, HISTORY_PAGE_SIZE)}`;
+
+            res.send(renderPage('Broadcast history', body, noticeFromQuery(req.query)));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard broadcasts error: ${error.message}`);
+            res.status(500).send(renderPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    router.get('/broadcasts/:id', async (req, res) => {
+        try {
+            const message = await dbManager.getBroadcastMessageById(req.params.id);
+            if (!message) {
+                return res.status(404).send(renderPage('Broadcast not found', '<p><a href="/admin/broadcasts">Back to history</a></p>'));
+            }
+
+            const deliveries = await dbManager.getDeliveryLogsForMessage(message._id);
+            const rows = deliveries.map(delivery => `<tr>
+                <td>${escapeHtml(delivery.memberId?.name || '—')}</td>
+                <td>${escapeHtml(delivery.toPhone)}</td>
+                <td>${escapeHtml(delivery.deliveryMethod.toUpperCase())}</td>
+                <td>${escapeHtml(delivery.deliveryStatus)}</td>
+                <td>${delivery.errorCode ? `${escapeHtml(delivery.errorCode)} ${escapeHtml(delivery.errorMessage || '')}` : ''}</td>
+                <td>${formatDate(delivery.updatedAt)}</td>
+            </tr>`).join('');
+
+            const body = `
+<div class="card">
+    <p><strong>From:</strong> ${escapeHtml(message.fromName)} (${escapeHtml(message.fromPhone)})</p>
+    <p><strong>Audience:</strong> ${escapeHtml(message.targetGroupName || 'Everyone')}</p>
+    <p><strong>Sent:</strong> ${formatDate(message.sentAt)} · <strong>Status:</strong> ${escapeHtml(message.deliveryStatus)}</p>
+    ${message.cancelledAt ? `<p>↩️ Cancelled with UNDO on ${formatDate(message.cancelledAt)} - nothing was sent</p>` : ''}
+    ${message.correctionOf ? `<p>✏️ Correction of <a href="/admin/broadcasts/${message.correctionOf}">an earlier broadcast</a></p>` : ''}
+    ${message.correctionCount ? `<p>✏️ Corrected ${message.correctionCount} time(s), last on ${formatDate(message.lastCorrectedAt)}</p>` : ''}
+    ${message.segmentCount ? `<p><strong>Segments:</strong> ${message.segmentCount} each (${escapeHtml(message.encoding)}) · ${message.estimatedSegments || 0} total</p>` : ''}
+    <pre style="white-space: pre-wrap">${escapeHtml(message.processedMessage)}</pre>
+</div>
+<h2>Recipients (${deliveries.length})</h2>
+<table>
+    <tr><th>Member</th><th>Phone</th><th>Method</th><th>Status</th><th>Error</th><th>Updated</th></tr>
+    ${rows || '<tr><td colspan="6" class="muted">No delivery records</td></tr>'}
+</table>`;
+
+            res.send(renderPage('Broadcast', body));
+        } catch (error) {
+            logger.error(`❌ Admin dashboard broadcast detail error: ${error.message}`);
+            res.status(500).send(renderPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAdminDashboard;
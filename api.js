@@ -0,0 +1,746 @@
+const express = require('express');
+const crypto = require('crypto');
+const { importMembersCsv, exportMembersCsv } = require('./member-csv');
+const { isValidTimeZone } = require('./time-zones');
+const { normalizeLanguage, LANGUAGES } = require('./localization');
+
+// Versioned JSON API for integrations (church website, volunteer scheduling).
+// Mounted at /api/v1 by app.js; every request needs one of the configured API keys.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const GROUP_POSTING_POLICIES = ['everyone', 'members', 'admins'];
+const DELIVERY_MODES = ['instant', 'digest'];
+const DELIVERY_STATUSES = ['queued', 'pending', 'sent', 'delivered', 'undelivered', 'failed'];
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+function keyMatches(candidate, key) {
+    const left = crypto.createHash('sha256').update(candidate).digest();
+    const right = crypto.createHash('sha256').update(key).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+// Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function createApiKeyAuth(apiKeys, logger) {
+    return (req, res, next) => {
+        if (!apiKeys || apiKeys.length === 0) {
+            return res.status(503).json({ error: 'API disabled. Set API_KEYS to enable authenticated endpoints.' });
+        }
+
+        const header = req.headers.authorization || '';
+        const candidate = header.startsWith('Bearer ')
+            ? header.slice(7).trim()
+            : (req.headers['x-api-key'] || '').trim();
+
+        if (candidate && apiKeys.some(key => keyMatches(candidate, key))) {
+            return next();
+        }
+
+        logger.warn(`❌ API auth failed for ${req.method} ${req.originalUrl} from ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid or missing API key' });
+    };
+}
+
+function parsePagination(query) {
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || DEFAULT_PAGE_SIZE));
+    return { page, limit };
+}
+
+function paginated(data, page, limit, total) {
+    return {
+        data,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+}
+
+function unknownGroupMessage(input, suggestions) {
+    return suggestions ? `Unknown group: ${input} (did you mean ${suggestions}?)` : `Unknown group: ${input}`;
+}
+
+function groupIdOf(membership) {
+    return (membership.groupId?._id || membership.groupId).toString();
+}
+
+function serializeMember(member) {
+    return {
+        id: member._id.toString(),
+        name: member.name,
+        phoneNumber: member.phoneNumber,
+        isAdmin: Boolean(member.isAdmin),
+        active: Boolean(member.active),
+        smsOptOut: Boolean(member.smsOptOut),
+        optedOutAt: member.optedOutAt || null,
+        timeZone: member.timeZone || null,
+        language: member.language || null,
+        deliveryMode: member.deliveryMode || 'instant',
+        pausedUntil: member.pausedUntil || null,
+        messageCount: member.messageCount,
+        lastActivity: member.lastActivity,
+        groups: (member.groups || []).map(membership => ({
+            id: groupIdOf(membership),
+            name: membership.groupId?.name || null,
+            joinedAt: membership.joinedAt
+        })),
+        createdAt: member.createdAt,
+        updatedAt: member.updatedAt
+    };
+}
+
+// Blank clears the member's zone so the church time zone applies
+function parseTimeZone(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const timeZone = String(value).trim();
+    if (!isValidTimeZone(timeZone)) {
+        throw new ApiError(400, `Unknown timeZone ${timeZone} - use an IANA name such as America/Chicago`);
+    }
+    return timeZone;
+}
+
+// Accepts a code or name ("am", "Amharic"); blank clears it so replies fall back to English
+function parseLanguage(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const language = normalizeLanguage(value);
+    if (!language) {
+        throw new ApiError(400, `Unknown language ${value} - use one of ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    return language;
+}
+
+function serializeGroup(group, memberCount = undefined) {
+    const serialized = {
+        id: group._id.toString(),
+        name: group.name,
+        description: group.description || null,
+        keyword: group.keyword || null,
+        postingPolicy: group.postingPolicy,
+        requiresApproval: Boolean(group.requiresApproval),
+        open: Boolean(group.open),
+        active: Boolean(group.active),
+        createdAt: group.createdAt,
+        updatedAt: group.updatedAt
+    };
+    if (memberCount !== undefined) {
+        serialized.activeMemberCount = memberCount;
+    }
+    return serialized;
+}
+
+function serializeMessage(message) {
+    return {
+        id: message._id.toString(),
+        fromPhone: message.fromPhone,
+        fromName: message.fromName,
+        originalMessage: message.originalMessage,
+        processedMessage: message.processedMessage,
+        messageType: message.messageType,
+        hasMedia: Boolean(message.hasMedia),
+        mediaCount: message.mediaCount,
+        targetGroupId: message.targetGroupId ? message.targetGroupId.toString() : null,
+        targetGroupName: message.targetGroupName || null,
+        processingStatus: message.processingStatus,
+        deliveryStatus: message.deliveryStatus,
+        deliverySummary: message.deliverySummary || null,
+        encoding: message.encoding || null,
+        segmentCount: message.segmentCount ?? null,
+        estimatedSegments: message.estimatedSegments ?? null,
+        cancelledAt: message.cancelledAt || null,
+        correctionOf: message.correctionOf ? message.correctionOf.toString() : null,
+        correctionCount: message.correctionCount || 0,
+        lastCorrectedAt: message.lastCorrectedAt || null,
+        sentAt: message.sentAt
+    };
+}
+
+function serializeEvent(event, rsvpCounts = undefined) {
+    const serialized = {
+        id: event._id.toString(),
+        shortId: event.shortId,
+        title: event.title,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt || null,
+        location: event.location || null,
+        description: event.description || null,
+        targetGroupId: event.targetGroupId ? event.targetGroupId.toString() : null,
+        targetGroupName: event.targetGroupName || null,
+        createdByName: event.createdByName || null,
+        status: event.status,
+        invitationSentAt: event.invitationSentAt || null,
+        remindersSent: event.remindersSent || [],
+        cancelledAt: event.cancelledAt || null,
+        createdAt: event.createdAt,
+        updatedAt: event.updatedAt
+    };
+    if (rsvpCounts !== undefined) {
+        serialized.rsvpCounts = rsvpCounts;
+    }
+    return serialized;
+}
+
+// Required ISO-8601 timestamps in the body; blank optional ones come back as undefined
+function parseDate(value, field, required = false) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        if (required) {
+            throw new ApiError(400, `${field} is required`);
+        }
+        return undefined;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ApiError(400, `${field} must be an ISO 8601 timestamp`);
+    }
+    return date;
+}
+
+function serializeDelivery(delivery) {
+    return {
+        id: delivery._id.toString(),
+        messageId: delivery.messageId ? delivery.messageId.toString() : null,
+        memberId: (delivery.memberId?._id || delivery.memberId).toString(),
+        toPhone: delivery.toPhone,
+        deliveryMethod: delivery.deliveryMethod,
+        deliveryStatus: delivery.deliveryStatus,
+        twilioMessageSid: delivery.twilioMessageSid || null,
+        errorCode: delivery.errorCode || null,
+        errorMessage: delivery.errorMessage || null,
+        deliveryTimeMs: delivery.deliveryTimeMs,
+        createdAt: delivery.createdAt,
+        updatedAt: delivery.updatedAt
+    };
+}
+
+function createApiRouter(smsSystem, logger, options = {}) {
+    const router = express.Router();
+    const dbManager = smsSystem.dbManager;
+
+    router.use(createApiKeyAuth(options.apiKeys, logger));
+
+    router.use((req, res, next) => {
+        if (!dbManager.isConnected) {
+            return res.status(503).json({ error: 'Database not connected' });
+        }
+        return next();
+    });
+
+    // Wraps async handlers so ApiError and unexpected failures become JSON responses
+    const handle = (operation, handler) => async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            if (error.code === 11000) {
+                const field = error.keyPattern ? Object.keys(error.keyPattern)[0] : 'value';
+                return res.status(409).json({ error: `Duplicate ${field}` });
+            }
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ error: Object.values(error.errors).map(err => err.message).join(', ') });
+            }
+
+            logger.error(`❌ API ${operation} error: ${error.message}`);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+
+    const resolveGroups = async (groupIds) => {
+        const groups = [];
+        for (const groupId of [].concat(groupIds || [])) {
+            const group = await dbManager.getGroupById(groupId);
+            if (!group) {
+                throw new ApiError(400, `Unknown group id: ${groupId}`);
+            }
+            groups.push(group);
+        }
+        return groups;
+    };
+
+    // ------------------------------------------------------------------
+    // Members
+    // ------------------------------------------------------------------
+
+    router.get('/members', handle('list members', async (req, res) => {
+        const { page, limit } = parsePagination(req.query);
+        const status = ['active', 'inactive', 'all'].includes(req.query.status) ? req.query.status : 'active';
+        const groupId = req.query.groupId || null;
+
+        const { members, total } = await dbManager.searchMembers({
+            search: (req.query.search || '').trim(),
+            status,
+            groupId,
+            page,
+            limit
+        });
+
+        res.json(paginated(members.map(serializeMember), page, limit, total));
+    }));
+
+    // Body is the raw CSV (Content-Type: text/csv); ?dryRun=true previews without saving
+    router.post('/members/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), handle('import members', async (req, res) => {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            throw new ApiError(400, 'Send the CSV as the request body with Content-Type: text/csv');
+        }
+
+        let report;
+        try {
+            report = await importMembersCsv(smsSystem, req.body, {
+                dryRun: req.query.dryRun === 'true',
+                logger
+            });
+        } catch (importError) {
+            throw new ApiError(400, importError.message);
+        }
+
+        if (!report.dryRun) {
+            await dbManager.recordAnalytic('members_imported_via_api', report.created.length,
+                `Created: ${report.created.length}, Skipped: ${report.skipped.length}, Invalid: ${report.invalid.length}`);
+        }
+
+        res.status(report.dryRun ? 200 : 201).json({ data: report });
+    }));
+
+    router.get('/members/export', handle('export members', async (req, res) => {
+        const status = ['active', 'inactive', 'all'].includes(req.query.status) ? req.query.status : 'all';
+        const csv = await exportMembersCsv(dbManager, { status });
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.send(csv);
+    }));
+
+    router.get('/members/:id', handle('get member', async (req, res) => {
+        const member = await dbManager.getMemberById(req.params.id);
+        if (!member) {
+            throw new ApiError(404, 'Member not found');
+        }
+        res.json({ data: serializeMember(member) });
+    }));
+
+    router.post('/members', handle('create member', async (req, res) => {
+        const name = (req.body.name || '').trim();
+        const phoneNumber = smsSystem.cleanPhoneNumber(req.body.phoneNumber || '');
+        if (!name || !phoneNumber) {
+            throw new ApiError(400, 'name and phoneNumber are required');
+        }
+
+        const timeZone = parseTimeZone(req.body.timeZone);
+        const language = parseLanguage(req.body.language);
+
+        let groups = await resolveGroups(req.body.groupIds);
+        if (groups.length === 0) {
+            const congregationGroup = await dbManager.getGroupByName('YesuWay Congregation');
+            groups = congregationGroup ? [congregationGroup] : [];
+        }
+
+        let member;
+        try {
+            member = await dbManager.createMemberSafe({
+                phoneNumber,
+                name,
+                isAdmin: Boolean(req.body.isAdmin),
+                active: true,
+                timeZone,
+                language,
+                messageCount: 0,
+                lastActivity: new Date(),
+                groups: groups.map(group => ({ groupId: group._id, joinedAt: new Date() }))
+            });
+        } catch (createError) {
+            if (createError.message.includes('already exists')) {
+                throw new ApiError(409, createError.message);
+            }
+            throw createError;
+        }
+
+        let welcomeSms = null;
+        if (req.body.sendWelcome) {
+            welcomeSms = await smsSystem.sendWelcomeSMS(member.phoneNumber, member.name, 'the church office');
+        }
+
+        await dbManager.recordAnalytic('member_added_via_api', 1,
+            `New Member: ${member.name} (${member.phoneNumber})`);
+        logger.info(`✅ API added member ${member.name} (${member.phoneNumber})`);
+
+        const created = await dbManager.getMemberById(member._id);
+        res.status(201).json({
+            data: serializeMember(created),
+            welcomeSms: welcomeSms ? { success: welcomeSms.success, error: welcomeSms.error || null } : null
+        });
+    }));
+
+    router.patch('/members/:id', handle('update member', async (req, res) => {
+        const member = await dbManager.getMemberById(req.params.id);
+        if (!member) {
+            throw new ApiError(404, 'Member not found');
+        }
+
+        const updateData = {};
+        if (req.body.name !== undefined) {
+            updateData.name = String(req.body.name).trim();
+        }
+        if (req.body.phoneNumber !== undefined) {
+            updateData.phoneNumber = smsSystem.cleanPhoneNumber(String(req.body.phoneNumber));
+        }
+        if (req.body.isAdmin !== undefined) {
+            updateData.isAdmin = Boolean(req.body.isAdmin);
+        }
+        if (req.body.active !== undefined) {
+            updateData.active = Boolean(req.body.active);
+        }
+        if (req.body.timeZone !== undefined) {
+            updateData.timeZone = parseTimeZone(req.body.timeZone);
+        }
+        if (req.body.language !== undefined) {
+            updateData.language = parseLanguage(req.body.language);
+        }
+        if (req.body.deliveryMode !== undefined) {
+            updateData.deliveryMode = String(req.body.deliveryMode).toLowerCase();
+            if (!DELIVERY_MODES.includes(updateData.deliveryMode)) {
+                throw new ApiError(400, `deliveryMode must be one of: ${DELIVERY_MODES.join(', ')}`);
+            }
+        }
+        if (req.body.groupIds !== undefined) {
+            // Keep the original join date for groups the member stays in
+            const existingJoins = new Map((member.groups || []).map(g => [groupIdOf(g), g.joinedAt]));
+            const groups = await resolveGroups(req.body.groupIds);
+            updateData.groups = groups.map(group => ({
+                groupId: group._id,
+                joinedAt: existingJoins.get(group._id.toString()) || new Date()
+            }));
+        }
+
+        await dbManager.updateMember(member._id, updateData);
+        await dbManager.recordAnalytic('member_updated_via_api', 1,
+            `Member: ${member.name} (${member.phoneNumber}), Fields: ${Object.keys(updateData).join(',')}`);
+
+        const updated = await dbManager.getMemberById(member._id);
+        res.json({ data: serializeMember(updated) });
+    }));
+
+    // Deactivates rather than deletes so broadcast and delivery history stay intact
+    router.delete('/members/:id', handle('deactivate member', async (req, res) => {
+        const member = await dbManager.updateMember(req.params.id, { active: false });
+        if (!member) {
+            throw new ApiError(404, 'Member not found');
+        }
+
+        await dbManager.recordAnalytic('member_deactivated_via_api', 1,
+            `Member: ${member.name} (${member.phoneNumber})`);
+        logger.info(`⏸️ API deactivated member ${member.name}`);
+
+        res.json({ data: serializeMember(member) });
+    }));
+
+    // ------------------------------------------------------------------
+    // Groups
+    // ------------------------------------------------------------------
+
+    router.get('/groups', handle('list groups', async (req, res) => {
+        const groups = await dbManager.getAllGroups();
+        const data = [];
+        for (const group of groups) {
+            data.push(serializeGroup(group, await dbManager.countActiveMembersInGroup(group._id)));
+        }
+        res.json({ data });
+    }));
+
+    router.get('/groups/:id', handle('get group', async (req, res) => {
+        const group = await dbManager.getGroupById(req.params.id);
+        if (!group) {
+            throw new ApiError(404, 'Group not found');
+        }
+        res.json({ data: serializeGroup(group, await dbManager.countActiveMembersInGroup(group._id)) });
+    }));
+
+    router.post('/groups', handle('create group', async (req, res) => {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            throw new ApiError(400, 'name is required');
+        }
+
+        const postingPolicy = (req.body.postingPolicy || 'members').toLowerCase();
+        if (!GROUP_POSTING_POLICIES.includes(postingPolicy)) {
+            throw new ApiError(400, `postingPolicy must be one of: ${GROUP_POSTING_POLICIES.join(', ')}`);
+        }
+
+        const groupOptions = {
+            postingPolicy,
+            requiresApproval: Boolean(req.body.requiresApproval),
+            open: Boolean(req.body.open)
+        };
+        if (req.body.keyword) {
+            groupOptions.keyword = String(req.body.keyword).replace(/^@/, '');
+        }
+
+        const group = await dbManager.createGroup(name, req.body.description || '', groupOptions);
+        await dbManager.recordAnalytic('group_created_via_api', 1, `Group: ${group.name}`);
+
+        res.status(201).json({ data: serializeGroup(group, 0) });
+    }));
+
+    router.patch('/groups/:id', handle('update group', async (req, res) => {
+        const updateData = {};
+        for (const field of ['name', 'description', 'keyword', 'postingPolicy']) {
+            if (req.body[field] !== undefined) {
+                updateData[field] = String(req.body[field]).trim();
+            }
+        }
+        if (updateData.keyword) {
+            updateData.keyword = updateData.keyword.replace(/^@/, '');
+        }
+        if (updateData.postingPolicy) {
+            updateData.postingPolicy = updateData.postingPolicy.toLowerCase();
+        }
+        if (req.body.active !== undefined) {
+            updateData.active = Boolean(req.body.active);
+        }
+        if (req.body.requiresApproval !== undefined) {
+            updateData.requiresApproval = Boolean(req.body.requiresApproval);
+        }
+        if (req.body.open !== undefined) {
+            updateData.open = Boolean(req.body.open);
+        }
+
+        const group = await dbManager.getGroupById(req.params.id);
+        if (!group) {
+            throw new ApiError(404, 'Group not found');
+        }
+
+        const updated = await dbManager.updateGroup(group._id, updateData);
+        await dbManager.recordAnalytic('group_updated_via_api', 1,
+            `Group: ${updated.name}, Fields: ${Object.keys(updateData).join(',')}`);
+
+        res.json({ data: serializeGroup(updated, await dbManager.countActiveMembersInGroup(updated._id)) });
+    }));
+
+    // Archives the group; memberships are left in place so it can be restored with PATCH active=true
+    router.delete('/groups/:id', handle('archive group', async (req, res) => {
+        const group = await dbManager.getGroupById(req.params.id);
+        if (!group) {
+            throw new ApiError(404, 'Group not found');
+        }
+
+        const archived = await dbManager.updateGroup(group._id, { active: false });
+        await dbManager.recordAnalytic('group_archived_via_api', 1, `Group: ${group.name}`);
+
+        res.json({ data: serializeGroup(archived) });
+    }));
+
+    // ------------------------------------------------------------------
+    // Broadcast messages and delivery logs
+    // ------------------------------------------------------------------
+
+    router.get('/messages', handle('list messages', async (req, res) => {
+        const { page, limit } = parsePagination(req.query);
+        const fromPhone = req.query.fromPhone ? smsSystem.cleanPhoneNumber(req.query.fromPhone) : null;
+
+        const { messages, total } = await dbManager.getBroadcastHistory({ page, limit, fromPhone });
+        res.json(paginated(messages.map(serializeMessage), page, limit, total));
+    }));
+
+    router.get('/messages/:id', handle('get message', async (req, res) => {
+        const message = await dbManager.getBroadcastMessageById(req.params.id);
+        if (!message) {
+            throw new ApiError(404, 'Message not found');
+        }
+        res.json({ data: serializeMessage(message) });
+    }));
+
+    router.get('/messages/:id/deliveries', handle('list message deliveries', async (req, res) => {
+        const message = await dbManager.getBroadcastMessageById(req.params.id);
+        if (!message) {
+            throw new ApiError(404, 'Message not found');
+        }
+
+        const { page, limit } = parsePagination(req.query);
+        const status = DELIVERY_STATUSES.includes(req.query.status) ? req.query.status : null;
+        const { deliveries, total } = await dbManager.getDeliveryLogs({ messageId: message._id, status, page, limit });
+
+        res.json(paginated(deliveries.map(serializeDelivery), page, limit, total));
+    }));
+
+    router.get('/deliveries', handle('list deliveries', async (req, res) => {
+        const { page, limit } = parsePagination(req.query);
+        const status = DELIVERY_STATUSES.includes(req.query.status) ? req.query.status : null;
+        const toPhone = req.query.toPhone ? smsSystem.cleanPhoneNumber(req.query.toPhone) : null;
+
+        const { deliveries, total } = await dbManager.getDeliveryLogs({ status, toPhone, page, limit });
+        res.json(paginated(deliveries.map(serializeDelivery), page, limit, total));
+    }));
+
+    // Sends through the same pipeline as an SMS from fromPhone; delivery continues after the 202
+    router.post('/broadcasts', handle('send broadcast', async (req, res) => {
+        const fromPhone = smsSystem.cleanPhoneNumber(req.body.fromPhone || '');
+        const message = (req.body.message || '').trim();
+        if (!fromPhone || !message) {
+            throw new ApiError(400, 'fromPhone and message are required');
+        }
+
+        const sender = await smsSystem.getMemberInfo(fromPhone);
+        if (!sender) {
+            throw new ApiError(422, `fromPhone ${fromPhone} is not an active member`);
+        }
+        if (req.body.urgent && !sender.isAdmin) {
+            throw new ApiError(403, 'Only administrators can send urgent broadcasts');
+        }
+
+        let messageText = message;
+        let group = null;
+        if (req.body.group) {
+            const keyword = String(req.body.group).replace(/^@/, '');
+            group = await dbManager.getGroupByKeyword(keyword);
+            if (!group) {
+                throw new ApiError(422, unknownGroupMessage(req.body.group, await smsSystem.suggestGroupKeywords(keyword)));
+            }
+            if (!smsSystem.canPostToGroup(sender, group)) {
+                throw new ApiError(403, `${sender.name} may not post to ${group.name} (${group.postingPolicy} only)`);
+            }
+            messageText = `@${smsSystem.getGroupKeyword(group)} ${message}`;
+        }
+
+        await dbManager.recordAnalytic('broadcast_via_api', 1,
+            `Sender: ${sender.name}, Group: ${req.body.group || 'everyone'}`);
+        logger.info(`📡 API broadcast accepted from ${sender.name}`);
+
+        smsSystem.broadcastMessage(fromPhone, messageText, null, { urgent: Boolean(req.body.urgent) })
+            .catch(error => logger.error(`❌ API broadcast error: ${error.message}`));
+
+        const requiresApproval = smsSystem.requiresApproval(sender, group);
+        res.status(202).json({
+            status: requiresApproval ? 'pending_approval' : 'accepted',
+            fromName: sender.name,
+            group: req.body.group || null,
+            urgent: Boolean(req.body.urgent),
+            hint: 'Poll GET /api/v1/messages?fromPhone=... for delivery progress'
+        });
+    }));
+
+    // ------------------------------------------------------------------
+    // Events
+    // ------------------------------------------------------------------
+
+    const findEvent = async (id) => {
+        const event = await dbManager.getEventById(id) || await dbManager.getEventByShortId(id);
+        if (!event) {
+            throw new ApiError(404, 'Event not found');
+        }
+        return event;
+    };
+
+    router.get('/events', handle('list events', async (req, res) => {
+        const events = await dbManager.getUpcomingEvents();
+        const data = [];
+        for (const event of events) {
+            data.push(serializeEvent(event, await dbManager.getEventRsvpCounts(event._id)));
+        }
+        res.json({ data });
+    }));
+
+    // :id is the database id or the short code members RSVP with
+    router.get('/events/:id', handle('get event', async (req, res) => {
+        const event = await findEvent(req.params.id);
+        const rsvps = await dbManager.getEventRsvps(event._id);
+        res.json({
+            data: {
+                ...serializeEvent(event, await dbManager.getEventRsvpCounts(event._id)),
+                rsvps: rsvps.map(rsvp => ({
+                    name: rsvp.name || null,
+                    phone: rsvp.phone,
+                    response: rsvp.response,
+                    updatedAt: rsvp.updatedAt
+                }))
+            }
+        });
+    }));
+
+    // Invitations go out from createdByPhone after the 201 unless sendInvitation is false
+    router.post('/events', handle('create event', async (req, res) => {
+        const title = (req.body.title || '').trim();
+        const createdByPhone = smsSystem.cleanPhoneNumber(req.body.createdByPhone || '');
+        if (!title || !createdByPhone) {
+            throw new ApiError(400, 'title and createdByPhone are required');
+        }
+
+        const startsAt = parseDate(req.body.startsAt, 'startsAt', true);
+        const endsAt = parseDate(req.body.endsAt, 'endsAt');
+        if (startsAt.getTime() <= Date.now()) {
+            throw new ApiError(400, 'startsAt must be in the future');
+        }
+        if (endsAt && endsAt <= startsAt) {
+            throw new ApiError(400, 'endsAt must be after startsAt');
+        }
+
+        const creator = await smsSystem.getMemberInfo(createdByPhone);
+        if (!creator || !creator.isAdmin) {
+            throw new ApiError(403, `createdByPhone ${createdByPhone} is not an administrator`);
+        }
+
+        let group = null;
+        if (req.body.group) {
+            const keyword = String(req.body.group).replace(/^@/, '');
+            group = await dbManager.getGroupByKeyword(keyword);
+            if (!group) {
+                throw new ApiError(422, unknownGroupMessage(req.body.group, await smsSystem.suggestGroupKeywords(keyword)));
+            }
+        }
+
+        const event = await smsSystem.createChurchEvent({
+            title,
+            startsAt,
+            endsAt,
+            location: req.body.location || undefined,
+            description: req.body.description || undefined,
+            targetGroup: group,
+            createdByPhone,
+            createdByName: creator.name
+        });
+
+        if (req.body.sendInvitation !== false) {
+            smsSystem.sendEventInvitation(event, group)
+                .catch(error => logger.error(`❌ API event invitation error: ${error.message}`));
+        }
+
+        res.status(201).json({ data: serializeEvent(event, { yes: 0, no: 0, maybe: 0 }) });
+    }));
+
+    // Cancels rather than deletes, so the calendar feeds publish the cancellation. Invited members
+    // are told from the creator's phone after the response.
+    router.delete('/events/:id', handle('cancel event', async (req, res) => {
+        const event = await findEvent(req.params.id);
+        if (event.status === 'cancelled') {
+            throw new ApiError(409, 'Event is already cancelled');
+        }
+
+        await smsSystem.cancelChurchEvent(event, 'API');
+        smsSystem.announceEventCancellation(event, event.createdByPhone)
+            .catch(error => logger.error(`❌ API event cancellation notice error: ${error.message}`));
+        res.json({ data: serializeEvent(event) });
+    }));
+
+    router.use((req, res) => {
+        res.status(404).json({ error: 'API endpoint not found' });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createApiRouter,
+    createApiKeyAuth,
+    keyMatches
+};
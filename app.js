@@ -21,6 +21,44 @@ const schedule = require('node-schedule'); // Already in your package.json
 
 // MongoDB imports
 const MongoDBManager = require('./database');
+const createAdminDashboard = require('./admin-dashboard');
+const { createApiRouter, createApiKeyAuth, keyMatches } = require('./api');
+const OutboundSendQueue = require('./send-queue');
+const {
+    DEFAULT_TEMPLATES,
+    MERGE_FIELD_FALLBACKS,
+    normalizeTemplateName,
+    isBuiltInTemplate,
+    validateTemplate,
+    renderTemplate,
+    hasRecipientFields,
+    recipientFields
+} = require('./message-templates');
+const { analyzeMessage, toGsmSafe } = require('./sms-encoding');
+const { buildCalendarFeed } = require('./event-calendar');
+const {
+    isValidTimeZone,
+    getLocalParts,
+    zonedTime,
+    startOfLocalDay,
+    endOfLocalDay,
+    parseQuietHours,
+    formatQuietHours,
+    quietHoursEnd,
+    parseClockTime,
+    formatClock,
+    formatLocalTime
+} = require('./time-zones');
+const {
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    languageOf,
+    getTranslation,
+    translate,
+    languageName,
+    languageLocale,
+    languageOptions
+} = require('./localization');
 // UPDATE this import line
 
 const {
@@ -29,6 +67,7 @@ const {
     BroadcastMessage,
     MediaFile,
     DeliveryLog,
+    ScheduledBroadcast,
     SystemAnalytics,
     PerformanceMetrics,
     MessageReaction = null, // Import but handle if it doesn't exist
@@ -63,11 +102,66 @@ require('dotenv').config({ silent: true });
 
 // Production Configuration with robust defaults
 const config = {
+    // Used for the {churchName} merge field in templates
+    churchName: process.env.CHURCH_NAME || 'YesuWay Church',
+    // IANA zone for the daily summary, SCHEDULE times and quiet hours - members may set their own
+    timeZone: isValidTimeZone(process.env.CHURCH_TIMEZONE) ? process.env.CHURCH_TIMEZONE : 'America/Los_Angeles',
+    // "21:00-08:00" holds non-urgent broadcasts for anyone inside that window until it ends (unset = off)
+    quietHours: parseQuietHours(process.env.QUIET_HOURS),
     twilio: {
         accountSid: process.env.TWILIO_ACCOUNT_SID || 'not_configured',
         authToken: process.env.TWILIO_AUTH_TOKEN || 'not_configured',
-        phoneNumber: process.env.TWILIO_PHONE_NUMBER || '+15551234567'
+        phoneNumber: process.env.TWILIO_PHONE_NUMBER || '+15551234567',
+        // Local development only - lets curl/ngrok requests reach the webhooks without a signature
+        skipSignatureValidation: process.env.TWILIO_SKIP_SIGNATURE_VALIDATION?.toLowerCase() === 'true'
+    },
+    adminDashboard: {
+        username: process.env.ADMIN_DASHBOARD_USER || 'admin',
+        password: process.env.ADMIN_DASHBOARD_PASSWORD || null
+    },
+    // Non-admin broadcasts wait for APPROVE - all of them, or only posts to groups with requiresApproval
+    moderation: {
+        allBroadcasts: process.env.MODERATE_MEMBER_BROADCASTS?.toLowerCase() === 'true',
+        expiryHours: parseFloat(process.env.MODERATION_EXPIRY_HOURS) || 24
+    },
+    // Broadcasts longer than segmentBudget SMS parts get a cost warning in the admin confirmation
+    smsEncoding: {
+        normalizeToGsm: process.env.SMS_GSM_NORMALIZE?.toLowerCase() === 'true',
+        segmentBudget: parseInt(process.env.SMS_SEGMENT_BUDGET) || 3
+    },
+    // Member messages this soon after someone else's broadcast go privately to that sender (0 = off)
+    replyWindowMinutes: parseInt(process.env.REPLY_WINDOW_MINUTES ?? '30') || 0,
+    // Member-texted broadcasts wait this long before fan-out so the sender can text UNDO (0 = off)
+    undoWindowSeconds: parseInt(process.env.UNDO_WINDOW_SECONDS ?? '0') || 0,
+    // How far back CORRECT <text> looks for the sender's broadcast (0 = off)
+    correctionWindowHours: parseFloat(process.env.CORRECTION_WINDOW_HOURS ?? '24') || 0,
+    // Event reminders go out this many hours before the start, largest first (blank = no reminders)
+    eventReminderHours: (process.env.EVENT_REMINDER_HOURS ?? '24,1').split(',')
+        .map(value => parseFloat(value))
+        .filter(hours => hours > 0)
+        .sort((a, b) => b - a),
+    // Required as ?token= on /calendar/*.ics when set; leave blank for public feeds
+    calendarFeedToken: process.env.CALENDAR_FEED_TOKEN || null,
+    // PRAY <text> goes only to this group; its members get the prayer list on digestSchedule (cron, church time)
+    prayer: {
+        teamGroupKeyword: (process.env.PRAYER_TEAM_GROUP || 'PRAYER').replace(/^@/, '').toUpperCase(),
+        digestSchedule: process.env.PRAYER_DIGEST_SCHEDULE || '0 9 * * 1'
+    },
+    // DIGEST ON members get the day's broadcasts in one text at this church time (minutes after midnight)
+    digestTime: parseClockTime(process.env.DIGEST_TIME) ?? 19 * 60,
+    // Broadcasts interrupted longer ago than this are marked failed instead of resumed
+    broadcastResumeMaxAgeHours: parseFloat(process.env.BROADCAST_RESUME_MAX_AGE_HOURS) || 12,
+    // Broadcast throughput - keep messagesPerSecond at or below the Twilio number's limit
+    sendQueue: {
+        messagesPerSecond: parseFloat(process.env.SMS_MESSAGES_PER_SECOND) || 1,
+        concurrency: parseInt(process.env.SMS_SEND_CONCURRENCY) || 4,
+        maxAttempts: parseInt(process.env.SMS_MAX_ATTEMPTS) || 5,
+        backoffBaseMs: parseInt(process.env.SMS_BACKOFF_BASE_MS) || 2000
     },
+    // Comma-separated keys for /api/v1 and the /debug, /analytics and /setup endpoints
+    apiKeys: (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+    // Public URL of this service - Twilio posts delivery status callbacks here
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL || '').replace(/\/$/, ''),
     r2: {
         accessKeyId: process.env.R2_ACCESS_KEY_ID || 'not_configured',
         secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || 'not_configured',
@@ -97,10 +191,119 @@ logger.info(`   Port: ${config.port}`);
 logger.info(`   Twilio Phone: ${config.twilio.phoneNumber}`);
 logger.info(`   R2 Bucket: ${config.r2.bucketName}`);
 logger.info(`   MongoDB Database: ${config.mongodb.database}`);
+logger.info(`   Status Callbacks: ${config.publicBaseUrl ? `${config.publicBaseUrl}/webhook/status` : 'not configured (set PUBLIC_BASE_URL)'}`);
 logger.info(`   Twilio Configured: ${config.twilio.accountSid !== 'not_configured' && config.twilio.accountSid.startsWith('AC')}`);
+logger.info(`   Webhook Signatures: ${config.twilio.skipSignatureValidation ? 'NOT validated (TWILIO_SKIP_SIGNATURE_VALIDATION=true)' : 'validated'}`);
+logger.info(`   REST API: ${config.apiKeys.length > 0 ? `enabled at /api/v1 (${config.apiKeys.length} key(s))` : 'disabled (set API_KEYS)'}`);
+logger.info(`   Reply Routing: ${config.replyWindowMinutes > 0 ? `${config.replyWindowMinutes} min after a broadcast` : 'REPLY/RE: prefix only'}`);
+logger.info(`   Undo Window: ${config.undoWindowSeconds > 0 ? `${config.undoWindowSeconds}s before fan-out` : 'off'} • CORRECT within ${config.correctionWindowHours > 0 ? `${config.correctionWindowHours}h` : 'off'}`);
+logger.info(`   Events: ${config.eventReminderHours.length > 0 ? `reminders ${config.eventReminderHours.map(hours => `${hours}h`).join(', ')} before` : 'no reminders'} • calendar feeds ${config.calendarFeedToken ? 'token-protected' : 'public'}`);
+logger.info(`   Daily Digest: ${formatClock(config.digestTime)} church time${process.env.DIGEST_TIME && parseClockTime(process.env.DIGEST_TIME) === null ? ` (could not parse DIGEST_TIME "${process.env.DIGEST_TIME}")` : ''}`);
+logger.info(`   Prayer Team: @${config.prayer.teamGroupKeyword} • weekly list "${config.prayer.digestSchedule}" (${config.timeZone})`);
+logger.info(`   Moderation: ${config.moderation.allBroadcasts ? 'all member broadcasts' : 'groups marked for approval'} (expire after ${config.moderation.expiryHours}h)`);
+logger.info(`   Church Time Zone: ${config.timeZone}${process.env.CHURCH_TIMEZONE && process.env.CHURCH_TIMEZONE !== config.timeZone ? ` (invalid CHURCH_TIMEZONE "${process.env.CHURCH_TIMEZONE}" ignored)` : ''}`);
+logger.info(`   Quiet Hours: ${config.quietHours ? `${formatQuietHours(config.quietHours)} recipient time (URGENT bypasses)` : process.env.QUIET_HOURS ? `off (could not parse QUIET_HOURS "${process.env.QUIET_HOURS}")` : 'off'}`);
+logger.info(`   SMS Encoding: segment budget ${config.smsEncoding.segmentBudget}${config.smsEncoding.normalizeToGsm ? ', smart quotes normalized to GSM-7' : ''}`);
+logger.info(`   Admin Dashboard: ${config.adminDashboard.password ? 'enabled at /admin' : 'disabled (set ADMIN_DASHBOARD_PASSWORD)'}`);
 logger.info(`   R2 Configured: ${config.r2.accessKeyId !== 'not_configured' && config.r2.endpointUrl.startsWith('https://')}`);
 logger.info(`   MongoDB Configured: ${config.mongodb.uri !== undefined || config.mongodb.host !== 'localhost'}`);
 
+// Twilio error codes seen in delivery status callbacks
+const TWILIO_ERROR_MEANINGS = {
+    '30003': 'Unreachable destination handset',
+    '30005': 'Unknown destination handset',
+    '30006': 'Landline or unreachable carrier',
+    '30007': 'Recipient device does not support MMS',
+    '30008': 'Message blocked by carrier',
+    '30034': 'A2P 10DLC registration issue',
+    '30035': 'Media file too large',
+    '30036': 'Unsupported media format',
+    '11200': 'HTTP retrieval failure',
+    '21610': 'Recipient has opted out (replied STOP)'
+};
+
+// Carrier-standard compliance keywords (CTIA / A2P 10DLC), matched as the whole message
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+// "REPLY thanks!" / "RE: thanks!" always goes privately to the latest broadcast's sender;
+// "ANNOUNCE ..." always goes to everyone, even inside the reply window
+const REPLY_PREFIX_PATTERN = /^(?:REPLY\s+|RE:\s*)([\s\S]*)$/i;
+const ANNOUNCE_PREFIX_PATTERN = /^ANNOUNCE\s+([\s\S]*)$/i;
+const REPLY_PREFIX_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// "JOIN Sara Tesfaye" from an unknown number asks to be added; admins answer ACCEPT / DECLINE <id>
+const JOIN_PATTERN = /^JOIN(?:\s+([\s\S]*))?$/i;
+const JOIN_DECISION_PATTERN = /^(ACCEPT|DECLINE)\s+[0-9A-F]{6}$/i;
+// A declined number cannot page the admins again with another JOIN for this long
+const JOIN_DECLINE_COOLDOWN_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Member self-service: "MYNAME Sara Tesfaye", "JOIN GROUP Youth", "LEAVE GROUP @CHOIR".
+// MYNAME rather than NAME so "Name that tune" or "Name badges are ready" is still broadcast.
+const NAME_COMMAND_PATTERN = /^MYNAME(?:\s+([^\n]*))?$/i;
+// A member name is up to four words of letters, ' and - (50 characters at most)
+const MEMBER_NAME_PATTERN = /^\p{L}[\p{L}\p{M}'’-]*(?: \p{L}[\p{L}\p{M}'’-]*){0,3}$/u;
+const GROUP_MEMBERSHIP_PATTERN = /^(JOIN|LEAVE)\s+GROUP(?:\s+([\s\S]*))?$/i;
+
+// "DIGEST ON" / "DIGEST OFF" switches delivery mode; a bare "DIGEST" shows the current one
+const DIGEST_COMMAND_PATTERN = /^DIGEST(?:\s+(ON|OFF))?$/i;
+// Twilio rejects bodies over 1600 characters, so long digests go out in parts
+const MAX_DIGEST_PART_LENGTH = 1500;
+
+// "PAUSE 14" / "RESUME" from a member; admins add a phone: "PAUSE +1234567890 14", "RESUME +1234567890"
+const PAUSE_COMMAND_PATTERN = /^PAUSE(?:\s+(\+?[\d(][\d()-]{8,}\d))?(?:\s+(\d{1,3})(?:\s+DAYS?)?)?$/i;
+const RESUME_COMMAND_PATTERN = /^RESUME(?:\s+(\+?[\d(][\d()-]{8,}\d))?$/i;
+const MAX_PAUSE_DAYS = 90;
+
+// "URGENT ..." from an admin goes out immediately, even during quiet hours
+const URGENT_PREFIX_PATTERN = /^URGENT:?\s+([\s\S]*)$/i;
+
+// "CORRECT Potluck is at 6, not 5" re-sends a fix to everyone who got the sender's last broadcast
+const CORRECT_PREFIX_PATTERN = /^CORRECT:?(?:\s+([\s\S]*))?$/i;
+
+// A bare "2" (or "#2", "2.") while a poll is open is a vote. Options stay single digits.
+const POLL_VOTE_PATTERN = /^#?([1-9])[.)]?$/;
+const MAX_POLL_OPTIONS = 9;
+
+// "YES", "RSVP MAYBE" or "NO 3F9A0C" answers an event invitation; the code picks one of several events.
+// Codes are hex like every shortId, so "No thanks" is not mistaken for one.
+const RSVP_PATTERN = /^(?:RSVP\s+)?(YES|NO|MAYBE)(?:\s+([0-9A-F]{6}))?$/i;
+
+// "PRAY Please pray for my mother" / "PRAY ANON ..." goes to the prayer team instead of everyone
+const PRAY_PREFIX_PATTERN = /^PRAY:?(?:\s+([\s\S]*))?$/i;
+const PRAY_ANONYMOUS_PATTERN = /^ANON(?:YMOUS)?:?(?:\s+|$)/i;
+// Prayer team replies to a forwarded request: "PRAYING 3F9A0C", "ANSWERED 3F9A0C"
+const PRAYER_STATUS_PATTERN = /^(PRAYING|ANSWERED)\s+([0-9A-F]{6})$/i;
+
+// KEYWORD SET rules are single words, and cannot shadow a command handled before them
+const AUTO_RESPONDER_KEYWORD_PATTERN = /^[A-Z0-9]{2,20}$/;
+const RESERVED_AUTO_RESPONDER_KEYWORDS = [
+    ...OPT_OUT_KEYWORDS, ...OPT_IN_KEYWORDS, ...HELP_KEYWORDS,
+    'ADD', 'REMOVE', 'WIPE', 'ADMIN', 'DEMOTE', 'CLEANUP', 'OPTOUTS', 'APPROVE', 'REJECT', 'PENDING',
+    'GROUP', 'POLL', 'EVENT', 'TEMPLATE', 'SCHEDULE', 'SCHEDULED', 'REACTION', 'KEYWORD', 'LANGUAGE',
+    'UNDO', 'CORRECT', 'URGENT', 'REPLY', 'RE', 'ANNOUNCE', 'NO', 'MAYBE', 'RSVP', 'PRAY', 'PRAYING',
+    'ANSWERED', 'PRAYER', 'MYINFO', 'MYNAME', 'GROUPS', 'DIGEST',
+    'PAUSE', 'RESUME', 'PAUSED'
+];
+
+// originalMessage is required, so held media-only broadcasts store this until approved
+const MEDIA_ONLY_PLACEHOLDER = '[Media only]';
+
+// Twilio MessageStatus values mapped onto DeliveryLog.deliveryStatus
+const TWILIO_STATUS_MAP = {
+    accepted: 'pending',
+    scheduled: 'pending',
+    queued: 'pending',
+    sending: 'sent',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'delivered',
+    undelivered: 'undelivered',
+    failed: 'failed',
+    canceled: 'failed'
+};
+
 // Initialize Express app with production middleware
 const app = express();
 
@@ -136,11 +339,26 @@ class ProductionChurchSMS {
         this.r2Client = null;
         this.dbManager = new MongoDBManager(logger);
         this.performanceMetrics = [];
+        this.scheduledJobs = new Map();
+        // Broadcasts waiting out the UNDO window, keyed by message id
+        this.undoHolds = new Map();
+        // Armed event reminders, keyed by `${eventId}_${hoursBefore}`
+        this.eventJobs = new Map();
+        this.sendQueue = new OutboundSendQueue({
+            sendFn: (toPhone, messageText) => this.sendSMS(toPhone, messageText, 1),
+            personalizeFn: (messageText, job) => this.personalizeBroadcast(messageText, job),
+            dbManager: this.dbManager,
+            logger,
+            ...config.sendQueue
+        });
     
 
         this.initializeServices();
         this.initializeDatabase();
         this.initializeReactionSummaryScheduler();
+        this.initializeModerationScheduler();
+        this.initializePrayerDigestScheduler();
+        this.initializeDailyDigestScheduler();
         
         logger.info('SUCCESS: Production Church SMS System with MongoDB initialized');
         logger.info('SUCCESS: Production Church SMS System with Reaction Summaries initialized');
@@ -348,6 +566,11 @@ class ProductionChurchSMS {
                 this.setupMongooseEventHandlers();
                 
                 logger.info('✅ Production MongoDB initialized');
+
+                await this.sendQueue.resume();
+                await this.resumeUnfinishedBroadcasts();
+                await this.restoreScheduledBroadcasts();
+                await this.restoreEventReminders();
                 return;
                 
             } catch (error) {
@@ -442,6 +665,10 @@ class ProductionChurchSMS {
                     name: member.name,
                     isAdmin: Boolean(member.isAdmin),
                     messageCount: member.messageCount,
+                    smsOptOut: Boolean(member.smsOptOut),
+                    language: member.language || null,
+                    deliveryMode: member.deliveryMode || 'instant',
+                    pausedUntil: member.pausedUntil || null,
                     groups: member.groups || []
                 };
             } else {
@@ -753,7 +980,7 @@ async saveMediaLocally(mediaData, cleanFilename) {
 
 
 
-    async getAllActiveMembers(excludePhone = null) {
+    async getAllActiveMembers(excludePhone = null, groupId = null) {
         try {
             if (!this.dbManager.isConnected) {
                 logger.warn('❌ Database not connected - cannot get active members');
@@ -761,7 +988,8 @@ async saveMediaLocally(mediaData, cleanFilename) {
             }
 
             excludePhone = excludePhone ? this.cleanPhoneNumber(excludePhone) : null;
-            const members = await this.dbManager.getAllActiveMembers(excludePhone);
+            // Every caller of this wrapper is building a delivery list, so paused members are left out
+            const members = await this.dbManager.getAllActiveMembers(excludePhone, groupId, { excludePaused: true });
 
             const cleanMembers = [];
             for (const member of members) {
@@ -771,7 +999,10 @@ async saveMediaLocally(mediaData, cleanFilename) {
                         id: member._id.toString(),
                         phone: cleanPhone,
                         name: member.name,
-                        isAdmin: Boolean(member.isAdmin)
+                        isAdmin: Boolean(member.isAdmin),
+                        timeZone: member.timeZone || null,
+                        language: member.language || null,
+                        deliveryMode: member.deliveryMode || 'instant'
                     });
                 }
             }
@@ -797,11 +1028,17 @@ async saveMediaLocally(mediaData, cleanFilename) {
         const startTime = Date.now();
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                const message = await this.twilioClient.messages.create({
+                const messageOptions = {
                     body: messageText,
                     from: config.twilio.phoneNumber,
                     to: toPhone
-                });
+                };
+
+                if (config.publicBaseUrl) {
+                    messageOptions.statusCallback = `${config.publicBaseUrl}/webhook/status`;
+                }
+
+                const message = await this.twilioClient.messages.create(messageOptions);
 
                 const durationMs = Date.now() - startTime;
                 await this.recordPerformanceMetric('sms_send', durationMs, true);
@@ -813,40 +1050,140 @@ async saveMediaLocally(mediaData, cleanFilename) {
                     attempt: attempt
                 };
             } catch (error) {
+                // Only throttling (429), Twilio 5xx and network errors (ECONNRESET etc.) are worth retrying
+                const retryable = error.status
+                    ? error.status === 429 || error.status >= 500
+                    : typeof error.code === 'string';
                 logger.warn(`WARNING: SMS attempt ${attempt} failed for ${toPhone}: ${error.message}`);
-                if (attempt < maxRetries) {
-                    await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+                if (retryable && attempt < maxRetries) {
+                    await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
                 } else {
                     const durationMs = Date.now() - startTime;
                     await this.recordPerformanceMetric('sms_send', durationMs, false, error.message);
-                    logger.error(`ERROR: All SMS attempts failed for ${toPhone}`);
+                    logger.error(`ERROR: SMS to ${toPhone} failed after ${attempt} attempt(s)`);
                     return {
                         success: false,
                         error: error.message,
-                        attempts: maxRetries
+                        code: error.code || null,
+                        status: error.status || null,
+                        retryable,
+                        attempts: attempt
                     };
                 }
             }
         }
     }
 
-    formatMessageWithMedia(originalMessage, sender, mediaLinks = null) {
+    formatMessageWithMedia(originalMessage, sender, mediaLinks = null, targetGroup = null) {
+        // Group broadcasts carry the group name so recipients know it was not sent to everyone
+        const senderLabel = targetGroup ? `${sender.name} (${targetGroup.name})` : sender.name;
+
         if (mediaLinks && mediaLinks.length > 0) {
             // For media messages, ONLY show the sender name and media links
             if (mediaLinks.length === 1) {
                 const mediaItem = mediaLinks[0];
-                return `${sender.name}:\n${mediaItem.url}`;
+                return `${senderLabel}:\n${mediaItem.url}`;
             } else {
                 const mediaText = mediaLinks.map(item => item.url).join('\n');
-                return `${sender.name}:\n${mediaText}`;
+                return `${senderLabel}:\n${mediaText}`;
             }
         } else {
-            return `${sender.name}:\n${originalMessage}`;
+            return `${senderLabel}:\n${originalMessage}`;
+        }
+    }
+
+    // Splits "@LEADERSHIP Meeting moved to 7pm" into a group keyword and the message body
+    parseGroupPrefix(messageText) {
+        const match = (messageText || '').match(/^@([A-Za-z0-9_-]+)(?:\s+([\s\S]*))?$/);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            keyword: match[1].toUpperCase(),
+            body: (match[2] || '').trim()
+        };
+    }
+
+    getGroupKeyword(group) {
+        return group.keyword || group.name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    // Keywords of the groups an unknown keyword might have meant ("@YOUTH" -> "@YOUTHCHOIR, @YOUTHMINISTRY")
+    async suggestGroupKeywords(keyword) {
+        const candidates = await this.dbManager.getGroupsByNameWord(keyword);
+        return candidates.map(group => `@${this.getGroupKeyword(group)}`).join(', ');
+    }
+
+    async groupNotFoundHint(member, keyword) {
+        const suggestions = await this.suggestGroupKeywords(keyword);
+        return suggestions
+            ? this.localize(member, 'groups.did_you_mean', { groups: suggestions })
+            : this.localize(member, 'group.keywords_hint');
+    }
+
+    async groupNotFoundReply(member, input) {
+        const hint = await this.groupNotFoundHint(member, input.replace(/^@/, ''));
+        return `${this.localize(member, 'group.not_found', { group: input })}\n\n${hint}`;
+    }
+
+    isMemberOfGroup(member, groupId) {
+        return (member.groups || []).some(g => {
+            const memberGroupId = g.groupId?._id || g.groupId;
+            return memberGroupId && memberGroupId.toString() === groupId.toString();
+        });
+    }
+
+    canPostToGroup(sender, group) {
+        if (sender.isAdmin) {
+            return true;
+        }
+
+        switch (group.postingPolicy) {
+            case 'everyone':
+                return true;
+            case 'admins':
+                return false;
+            case 'members':
+            default:
+                return this.isMemberOfGroup(sender, group._id);
+        }
+    }
+
+    // Catalog text in the member's language (English when unset or untranslated)
+    localize(member, key, vars = {}) {
+        return translate(languageOf(member), key, {
+            churchName: config.churchName,
+            churchTitle: config.churchName.toUpperCase(),
+            ...vars
+        });
+    }
+
+    // Non-admin replies are not sent by the webhook, so rejections go out directly
+    async replyToSender(sender, fromPhone, replyText) {
+        if (sender.isAdmin) {
+            return replyText;
+        }
+
+        await this.sendSMS(fromPhone, replyText);
+        return null;
+    }
+
+    // SMS_GSM_NORMALIZE=true swaps curly quotes, dashes etc. for GSM-7 look-alikes before sending
+    normalizeOutgoingText(messageText) {
+        return config.smsEncoding.normalizeToGsm ? toGsmSafe(messageText) : messageText;
+    }
+
+    requiresApproval(sender, targetGroup) {
+        if (sender.isAdmin) {
+            return false;
         }
+        return config.moderation.allBroadcasts || Boolean(targetGroup && targetGroup.requiresApproval);
     }
 
     // FIXED: Simplified broadcast message method
-    async broadcastMessage(fromPhone, messageText, mediaUrls = null) {
+    // options.approvedMessageId sends a held broadcast after APPROVE, reusing its stored document
+    async broadcastMessage(fromPhone, messageText, mediaUrls = null, options = {}) {
         const startTime = Date.now();
         logger.info(`📡 Starting broadcast from ${fromPhone}`);
 
@@ -857,13 +1194,54 @@ async saveMediaLocally(mediaData, cleanFilename) {
 
             if (!sender) {
                 logger.warn(`❌ Broadcast rejected - unregistered number: ${fromPhone}`);
-                return "You are not registered. Please contact church admin to be added to the system.";
+                return this.localize(null, 'broadcast.not_registered');
+            }
+
+            // "URGENT ..." from an admin skips the quiet-hours hold
+            let urgent = Boolean(options.urgent);
+            const urgentMatch = sender.isAdmin && messageText ? messageText.match(URGENT_PREFIX_PATTERN) : null;
+            if (urgentMatch) {
+                urgent = true;
+                messageText = urgentMatch[1];
+                logger.info(`🚨 URGENT broadcast from ${sender.name}`);
+            }
+
+            // Resolve "@GROUP" prefix - route to a single group instead of everyone
+            let targetGroup = null;
+            const groupPrefix = this.parseGroupPrefix(messageText);
+
+            if (groupPrefix) {
+                targetGroup = await this.dbManager.getGroupByKeyword(groupPrefix.keyword);
+
+                if (!targetGroup) {
+                    const groups = await this.dbManager.getAllGroups();
+                    const keywords = groups.map(g => `@${this.getGroupKeyword(g)}`).join(', ');
+                    logger.warn(`❌ Group broadcast rejected - unknown group @${groupPrefix.keyword} from ${sender.name}`);
+                    return await this.replyToSender(sender, fromPhone, this.localize(sender, 'broadcast.unknown_group', {
+                        keyword: groupPrefix.keyword,
+                        keywords: keywords || this.localize(sender, 'common.none')
+                    }));
+                }
+
+                if (!this.canPostToGroup(sender, targetGroup)) {
+                    logger.warn(`❌ Group broadcast rejected - ${sender.name} may not post to ${targetGroup.name} (${targetGroup.postingPolicy})`);
+                    const notAllowedKey = targetGroup.postingPolicy === 'admins' ? 'broadcast.admins_only' : 'broadcast.members_only';
+                    return await this.replyToSender(sender, fromPhone,
+                        this.localize(sender, notAllowedKey, { group: targetGroup.name }));
+                }
+
+                messageText = groupPrefix.body;
+                logger.info(`👥 Group broadcast from ${sender.name} to ${targetGroup.name}`);
             }
 
-            const recipients = await this.getAllActiveMembers(fromPhone);
+            const recipients = await this.getAllActiveMembers(fromPhone, targetGroup ? targetGroup._id : null);
 
             if (recipients.length === 0) {
                 logger.warn('❌ No active recipients found');
+                if (targetGroup) {
+                    return await this.replyToSender(sender, fromPhone,
+                        this.localize(sender, 'broadcast.no_group_members', { group: targetGroup.name }));
+                }
                 return "No active congregation members found for broadcast.";
             }
 
@@ -875,8 +1253,33 @@ async saveMediaLocally(mediaData, cleanFilename) {
                 }
             }
 
+            if (!options.approvedMessageId && this.requiresApproval(sender, targetGroup)) {
+                return await this.submitForApproval(sender, fromPhone, messageText, mediaUrls, targetGroup, recipients.length);
+            }
+
+            // TEMPLATE SEND: broadcast-wide fields now, per-recipient fields in the send queue
+            let personalized = false;
+            if (options.templateName) {
+                messageText = renderTemplate(messageText, {
+                    churchName: config.churchName,
+                    groupName: targetGroup ? targetGroup.name : config.churchName,
+                    adminName: sender.name
+                }, { partial: true });
+                personalized = hasRecipientFields(messageText);
+            }
+
             // Store broadcast message in database
-            if (this.dbManager.isConnected) {
+            if (options.approvedMessageId) {
+                messageId = options.approvedMessageId.toString();
+                try {
+                    await this.dbManager.updateBroadcastMessage(messageId, {
+                        processingStatus: 'processing',
+                        sentAt: new Date()
+                    });
+                } catch (dbError) {
+                    logger.error(`❌ Failed to update approved broadcast: ${dbError.message}`);
+                }
+            } else if (this.dbManager.isConnected) {
                 try {
                     const broadcastMessage = await this.dbManager.createBroadcastMessage({
                         fromPhone: fromPhone,
@@ -886,6 +1289,11 @@ async saveMediaLocally(mediaData, cleanFilename) {
                         messageType: mediaUrls && mediaUrls.length > 0 ? 'media' : 'text',
                         hasMedia: Boolean(mediaUrls && mediaUrls.length > 0),
                         mediaCount: mediaUrls ? mediaUrls.length : 0,
+                        targetGroupId: targetGroup ? targetGroup._id : null,
+                        targetGroupName: targetGroup ? targetGroup.name : null,
+                        personalized: personalized,
+                        templateName: options.templateName || null,
+                        urgent: urgent,
                         processingStatus: 'processing',
                         deliveryStatus: 'pending',
                         sentAt: new Date()
@@ -897,6 +1305,15 @@ async saveMediaLocally(mediaData, cleanFilename) {
                 }
             }
 
+            // Held before media processing and fan-out, so an UNDO leaves nothing to clean up
+            if (options.allowUndo && config.undoWindowSeconds > 0) {
+                const undone = await this.holdForUndo(sender, fromPhone, messageId, targetGroup);
+                if (undone) {
+                    logger.info(`↩️ Broadcast ${messageId} from ${sender.name} cancelled with UNDO`);
+                    return null;
+                }
+            }
+
             let cleanMediaLinks = [];
             let mediaProcessingErrors = [];
 
@@ -918,7 +1335,21 @@ async saveMediaLocally(mediaData, cleanFilename) {
             }
 
             // Format final message
-            const finalMessage = this.formatMessageWithMedia(messageText, sender, cleanMediaLinks);
+            const finalMessage = this.normalizeOutgoingText(
+                this.formatMessageWithMedia(messageText, sender, cleanMediaLinks, targetGroup));
+
+            // DIGEST members get this in their daily digest instead - URGENT still reaches them now
+            const { instant: instantRecipients, digest: digestRecipients } = this.splitDigestRecipients(recipients, urgent);
+
+            // Personalized messages are measured with their merge fields still in place - close enough for a budget check
+            const encodingStats = analyzeMessage(finalMessage);
+            const totalSegments = encodingStats.segments * instantRecipients.length;
+            const overSegmentBudget = encodingStats.segments > config.smsEncoding.segmentBudget;
+            if (overSegmentBudget) {
+                logger.warn(`💰 Broadcast is ${encodingStats.segments} ${encodingStats.encoding} segments (budget ${config.smsEncoding.segmentBudget}) - ${totalSegments} segments total`);
+                await this.dbManager.recordAnalytic('broadcast_over_segment_budget', encodingStats.segments,
+                    `Sender: ${sender.name}, Encoding: ${encodingStats.encoding}, Recipients: ${instantRecipients.length}`);
+            }
 
             // Update database with final message
             if (this.dbManager.isConnected && messageId) {
@@ -926,6 +1357,9 @@ async saveMediaLocally(mediaData, cleanFilename) {
                     await this.dbManager.updateBroadcastMessage(messageId, {
                         processedMessage: finalMessage,
                         largeMediaCount: cleanMediaLinks.length,
+                        encoding: encodingStats.encoding,
+                        segmentCount: encodingStats.segments,
+                        estimatedSegments: totalSegments,
                         processingStatus: 'completed'
                     });
                 } catch (updateError) {
@@ -933,55 +1367,45 @@ async saveMediaLocally(mediaData, cleanFilename) {
                 }
             }
 
-            // Send to all recipients
-            const deliveryStats = {
-                sent: 0,
-                failed: 0,
-                totalTime: 0,
-                errors: []
-            };
-
-            const sendPromises = recipients.map(async (member) => {
-                const memberStart = Date.now();
+            // Hand recipients to the rate-limited send queue; it records each one in delivery_log
+            if (this.dbManager.isConnected && messageId) {
                 try {
-                    const result = await this.sendSMS(member.phone, finalMessage);
-                    const deliveryTime = Date.now() - memberStart;
-
-                    // Log delivery
-                    if (this.dbManager.isConnected && messageId) {
-                        try {
-                            await this.dbManager.createDeliveryLog({
-                                messageId: messageId,
-                                memberId: member.id,
-                                toPhone: member.phone,
-                                deliveryMethod: 'sms',
-                                deliveryStatus: result.success ? 'delivered' : 'failed',
-                                twilioMessageSid: result.sid || null,
-                                errorMessage: result.error || null,
-                                deliveryTimeMs: deliveryTime
-                            });
-                        } catch (deliveryLogError) {
-                            logger.error(`❌ Failed to log delivery: ${deliveryLogError.message}`);
-                        }
-                    }
-
-                    if (result.success) {
-                        deliveryStats.sent++;
-                        logger.info(`✅ Delivered to ${member.name}: ${result.sid}`);
-                    } else {
-                        deliveryStats.failed++;
-                        deliveryStats.errors.push(`${member.name}: ${result.error}`);
-                        logger.error(`❌ Failed to ${member.name}: ${result.error}`);
-                    }
-                } catch (error) {
-                    deliveryStats.failed++;
-                    deliveryStats.errors.push(`${member.name}: ${error.message}`);
-                    logger.error(`❌ Delivery error to ${member.name}: ${error.message}`);
+                    await this.dbManager.updateBroadcastMessage(messageId, { deliveryStatus: 'sending' });
+                } catch (statusError) {
+                    logger.error(`❌ Failed to mark broadcast as sending: ${statusError.message}`);
                 }
-            });
+            }
+
+            // Recipients inside quiet hours wait in the queue until morning; the broadcast stays 'sending' until then
+            const quietHold = this.holdForQuietHours(instantRecipients);
+            const sendNow = urgent ? instantRecipients : quietHold.sendNow;
+            const held = urgent ? [] : quietHold.held;
+
+            if (held.length > 0) {
+                logger.info(`🌙 Quiet hours ${formatQuietHours(config.quietHours)} - holding ${held.length} recipient(s) until ${quietHold.releaseAt.toISOString()}`);
+
+                // Not awaited - resolves when the last held recipient has been sent
+                this.sendQueue.enqueueBroadcast(messageId, held, finalMessage, {
+                    personalized,
+                    batchKey: messageId ? `${messageId}_quiet_hours` : undefined
+                })
+                    .then(async (heldStats) => {
+                        logger.info(`🌅 Quiet hours ended for broadcast ${messageId}: ${heldStats.sent} sent, ${heldStats.failed} failed`);
+                        if (this.dbManager.isConnected && messageId) {
+                            await this.dbManager.updateBroadcastMessage(messageId, { deliveryStatus: 'completed' });
+                            await this.dbManager.refreshBroadcastDeliverySummary(messageId);
+                            await this.dbManager.recordAnalytic('quiet_hours_released', held.length,
+                                `Message: ${messageId}, sent:${heldStats.sent},failed:${heldStats.failed}`);
+                        }
+                    })
+                    .catch(error => logger.error(`❌ Quiet-hours release for ${messageId} failed: ${error.message}`));
+            } else if (urgent && quietHold.held.length > 0) {
+                await this.dbManager.recordAnalytic('quiet_hours_bypassed', quietHold.held.length,
+                    `Sender: ${sender.name}, Message: ${messageId}`);
+            }
 
-            logger.info(`📤 Starting concurrent delivery to ${recipients.length} recipients...`);
-            await Promise.allSettled(sendPromises);
+            logger.info(`📤 Queueing delivery to ${sendNow.length} recipients...`);
+            const deliveryStats = await this.sendQueue.enqueueBroadcast(messageId, sendNow, finalMessage, { personalized });
 
             const totalTime = (Date.now() - startTime) / 1000;
             deliveryStats.totalTime = totalTime;
@@ -990,12 +1414,15 @@ async saveMediaLocally(mediaData, cleanFilename) {
             if (this.dbManager.isConnected && messageId) {
                 try {
                     await this.dbManager.updateBroadcastMessage(messageId, {
-                        deliveryStatus: 'completed'
+                        deliveryStatus: held.length > 0 ? 'sending' : 'completed'
                     });
+                    await this.dbManager.refreshBroadcastDeliverySummary(messageId);
 
-                    await this.dbManager.recordAnalytic('broadcast_delivery_rate',
-                        deliveryStats.sent / recipients.length * 100,
-                        `sent:${deliveryStats.sent},failed:${deliveryStats.failed},time:${totalTime.toFixed(2)}s`);
+                    if (sendNow.length > 0) {
+                        await this.dbManager.recordAnalytic('broadcast_delivery_rate',
+                            deliveryStats.sent / sendNow.length * 100,
+                            `sent:${deliveryStats.sent},failed:${deliveryStats.failed},held:${held.length},time:${totalTime.toFixed(2)}s`);
+                    }
 
                     await this.dbManager.updateMemberActivity(fromPhone);
                 } catch (analyticsError) {
@@ -1003,12 +1430,33 @@ async saveMediaLocally(mediaData, cleanFilename) {
                 }
             }
 
-            logger.info(`📊 Broadcast completed in ${totalTime.toFixed(2)}s: ${deliveryStats.sent} sent, ${deliveryStats.failed} failed`);
+            logger.info(`📊 Broadcast completed in ${totalTime.toFixed(2)}s: ${deliveryStats.sent} sent, ${deliveryStats.failed} failed, ${held.length} held, ${digestRecipients.length} left for the digest`);
 
             // Return confirmation to admin
             if (sender.isAdmin) {
                 let confirmation = `✅ Broadcast completed in ${totalTime.toFixed(1)}s\n`;
-                confirmation += `📊 Delivered: ${deliveryStats.sent}/${recipients.length}\n`;
+                if (targetGroup) {
+                    confirmation += `👥 Group: ${targetGroup.name}\n`;
+                }
+                confirmation += `📊 Sent: ${deliveryStats.sent}/${instantRecipients.length}\n`;
+                if (digestRecipients.length > 0) {
+                    confirmation += `📰 In the ${formatClock(config.digestTime)} digest: ${digestRecipients.length}\n`;
+                }
+                if (held.length > 0) {
+                    confirmation += `🌙 Held for quiet hours: ${held.length} (sent by ${formatLocalTime(quietHold.releaseAt, config.timeZone)})\n`;
+                    confirmation += `💡 Start with URGENT to send to everyone now\n`;
+                } else if (urgent && quietHold.held.length > 0) {
+                    confirmation += `🚨 URGENT - sent during quiet hours to ${quietHold.held.length}\n`;
+                }
+                confirmation += `💬 ${encodingStats.segments} segment(s) each (${encodingStats.encoding}) • ${totalSegments} total\n`;
+
+                if (overSegmentBudget) {
+                    confirmation += `⚠️ Over the ${config.smsEncoding.segmentBudget}-segment budget`;
+                    if (encodingStats.encoding === 'UCS-2') {
+                        confirmation += ` - UCS-2 because of: ${encodingStats.nonGsmCharacters.join(' ')}`;
+                    }
+                    confirmation += `\n`;
+                }
 
                 if (cleanMediaLinks.length > 0) {
                     confirmation += `📎 Media files: ${cleanMediaLinks.length} processed\n`;
@@ -1044,6 +1492,124 @@ async saveMediaLocally(mediaData, cleanFilename) {
             return "Broadcast failed - system administrators notified";
         }
     }
+
+    splitDigestRecipients(recipients, urgent = false) {
+        if (urgent) {
+            return { instant: recipients, digest: [] };
+        }
+        return {
+            instant: recipients.filter(recipient => recipient.deliveryMode !== 'digest'),
+            digest: recipients.filter(recipient => recipient.deliveryMode === 'digest')
+        };
+    }
+
+    // Member's own time zone when it is a valid IANA name, otherwise the church's
+    getMemberTimeZone(member) {
+        return member && isValidTimeZone(member.timeZone) ? member.timeZone : config.timeZone;
+    }
+
+    // Splits recipients on whether quiet hours are in effect where they are. Held recipients get
+    // notBefore set to the end of their quiet hours; releaseAt is the latest of those.
+    holdForQuietHours(recipients, now = new Date()) {
+        const sendNow = [];
+        const held = [];
+        let releaseAt = null;
+
+        for (const recipient of recipients) {
+            const quietUntil = quietHoursEnd(now, this.getMemberTimeZone(recipient), config.quietHours);
+            if (!quietUntil) {
+                sendNow.push(recipient);
+                continue;
+            }
+
+            held.push({ ...recipient, notBefore: quietUntil });
+            if (!releaseAt || quietUntil > releaseAt) {
+                releaseAt = quietUntil;
+            }
+        }
+
+        return { sendNow, held, releaseAt };
+    }
+
+    // Queues a message outside the broadcast flow (reminders, prayer team, digests, corrections)
+    // with quiet hours applied unless urgent. Deliveries are persisted by the send queue, so held
+    // recipients are still sent after a restart. Not awaited - held recipients only resolve when
+    // their quiet hours end; onComplete runs once every recipient has an outcome.
+    // dropHeldAfter drops held recipients whose quiet hours end after that time.
+    queueDirectMessage(recipients, text, label, { messageId = null, urgent = false, dropHeldAfter = null, onComplete = null } = {}) {
+        const quietHold = urgent ? { sendNow: recipients, held: [] } : this.holdForQuietHours(recipients);
+        const held = dropHeldAfter
+            ? quietHold.held.filter(recipient => recipient.notBefore < dropHeldAfter)
+            : quietHold.held;
+        const batch = [...quietHold.sendNow, ...held];
+
+        this.sendQueue.enqueueBroadcast(messageId, batch, text)
+            .then(async (stats) => {
+                logger.info(`📤 ${label}: ${stats.sent} sent, ${stats.failed} failed`);
+                if (onComplete) {
+                    await onComplete(stats);
+                }
+            })
+            .catch(error => logger.error(`❌ ${label} failed: ${error.message}`));
+
+        return { queued: batch.length, held: held.length, dropped: quietHold.held.length - held.length };
+    }
+
+    // Splits recipients into one list per language so each batch can carry its own translation
+    groupByLanguage(recipients) {
+        const byLanguage = new Map();
+        for (const recipient of recipients) {
+            const language = languageOf(recipient);
+            if (!byLanguage.has(language)) {
+                byLanguage.set(language, []);
+            }
+            byLanguage.get(language).push(recipient);
+        }
+        return byLanguage;
+    }
+
+    // Persists a Twilio status callback onto its DeliveryLog and rolls the result up to the broadcast
+    async processDeliveryStatus(messageSid, messageStatus, errorCode = null, errorMessage = null) {
+        try {
+            if (!this.dbManager.isConnected) {
+                logger.warn('❌ Database not connected - delivery status not recorded');
+                return null;
+            }
+
+            const deliveryStatus = TWILIO_STATUS_MAP[(messageStatus || '').toLowerCase()];
+            if (!messageSid || !deliveryStatus) {
+                logger.warn(`⚠️ Ignoring status callback: sid=${messageSid}, status=${messageStatus}`);
+                return null;
+            }
+
+            const errorDetails = errorCode ? {
+                code: String(errorCode),
+                message: errorMessage || TWILIO_ERROR_MEANINGS[errorCode] || 'Unknown Twilio error'
+            } : null;
+
+            const delivery = await this.dbManager.updateDeliveryStatusBySid(messageSid, deliveryStatus, errorDetails);
+            if (!delivery) {
+                // Direct replies and welcome messages have no delivery log
+                logger.info(`ℹ️ No delivery log for ${messageSid} - untracked message`);
+                return null;
+            }
+
+            if (delivery.messageId) {
+                await this.dbManager.refreshBroadcastDeliverySummary(delivery.messageId);
+            }
+
+            if (deliveryStatus === 'undelivered' || deliveryStatus === 'failed') {
+                await this.dbManager.recordAnalytic('delivery_failed_callback', 1,
+                    `To: ${delivery.toPhone}, Status: ${deliveryStatus}, Error: ${errorDetails ? `${errorDetails.code} ${errorDetails.message}` : 'none'}`);
+            }
+
+            return delivery;
+        } catch (error) {
+            logger.error(`❌ Failed to process delivery status: ${error.message}`);
+            return null;
+        }
+    }
+
     async isAdmin(phoneNumber) {
         try {
             phoneNumber = this.cleanPhoneNumber(phoneNumber);
@@ -1061,129 +1627,59 @@ async handleAddMemberCommand(adminPhone, commandText) {
     const startTime = Date.now();
     logger.info(`🔧 Admin ADD command from ${adminPhone}: ${commandText}`);
 
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
     try {
         // Verify admin privileges
-        const admin = await this.getMemberInfo(adminPhone);
+        admin = await this.getMemberInfo(adminPhone);
         if (!admin || !admin.isAdmin) {
             logger.warn(`❌ Non-admin attempted ADD command: ${adminPhone}`);
-            return "❌ Access denied. Only church administrators can add new members.";
+            return this.localize(admin, 'add.access_denied');
         }
 
         // Parse the ADD command: "ADD +15425636786 DANE"
         const parts = commandText.trim().split(/\s+/);
         
         if (parts.length < 3) {
-            return "❌ Invalid format. Use: ADD +1234567890 MemberName";
+            return this.localize(admin, 'add.usage');
         }
 
         const [command, phoneNumber, ...nameParts] = parts;
         const memberName = nameParts.join(' ').trim();
 
         if (command.toUpperCase() !== 'ADD') {
-            return "❌ Command not recognized. Use: ADD +1234567890 MemberName";
+            return this.localize(admin, 'add.unrecognized');
         }
 
         if (!memberName) {
-            return "❌ Member name is required. Use: ADD +1234567890 MemberName";
+            return this.localize(admin, 'add.name_required');
         }
 
         // Clean and validate phone number
         const cleanPhone = this.cleanPhoneNumber(phoneNumber);
         if (!cleanPhone) {
-            return `❌ Invalid phone number format: ${phoneNumber}. Use format: +1234567890`;
+            return this.localize(admin, 'add.invalid_phone', { phone: phoneNumber });
         }
 
         // Check if member already exists - ENHANCED CHECK
         try {
             const existingMember = await this.getMemberInfo(cleanPhone);
             if (existingMember) {
-                const status = existingMember.active ? "active" : "inactive";
-                const groupNames = existingMember.groups?.map(g => g.name).join(", ") || "no groups";
-                return `❌ Member already exists!\n👤 Name: ${existingMember.name}\n📱 Phone: ${cleanPhone}\n📊 Status: ${status}\n🏛️ Groups: ${groupNames}`;
+                const status = this.localize(admin, existingMember.active ? 'common.active' : 'common.inactive');
+                const groupNames = existingMember.groups?.map(g => g.name).join(", ") || this.localize(admin, 'common.no_groups');
+                return this.localize(admin, 'add.exists', {
+                    name: existingMember.name,
+                    phone: cleanPhone,
+                    status,
+                    groups: groupNames
+                });
             }
         } catch (checkError) {
             logger.error(`❌ Error checking existing member: ${checkError.message}`);
         }
 
-        // Get the default congregation group
-        const congregationGroup = await this.dbManager.getGroupByName("YesuWay Congregation");
-        if (!congregationGroup) {
-            logger.error('❌ Default congregation group not found');
-            return "❌ System error: Default congregation group not found. Contact tech support.";
-        }
-
-        // Create new member with enhanced error handling
-        try {
-            const newMember = await this.dbManager.createMember({
-                phoneNumber: cleanPhone,
-                name: memberName,
-                isAdmin: false,
-                active: true,
-                messageCount: 0,
-                lastActivity: new Date(),
-                groups: [{
-                    groupId: congregationGroup._id,
-                    joinedAt: new Date()
-                }]
-            });
-
-            // ✨ NEW: Send welcome SMS to the new member
-            const welcomeMessage = await this.sendWelcomeSMS(cleanPhone, memberName, admin.name);
-            
-            // Log the addition for audit trail
-            await this.dbManager.recordAnalytic('member_added_via_command', 1, 
-                `Admin: ${admin.name}, New Member: ${memberName} (${cleanPhone}), Welcome SMS: ${welcomeMessage.success ? 'Sent' : 'Failed'}`);
-
-            const durationMs = Date.now() - startTime;
-            await this.recordPerformanceMetric('add_member_command', durationMs, true);
-
-            logger.info(`✅ Admin ${admin.name} added new member: ${memberName} (${cleanPhone})`);
-
-            // Get updated member count
-            const totalMembers = await this.dbManager.getAllActiveMembers();
-
-            // Return enhanced success message to admin with welcome SMS status
-            let successMessage = `✅ Member added successfully!\n` +
-                               `👤 Name: ${memberName}\n` +
-                               `📱 Phone: ${cleanPhone}\n` +
-                               `🏛️ Group: ${congregationGroup.name}\n` +
-                               `📊 Total active members: ${totalMembers.length}`;
-
-            // Add welcome SMS status to admin response
-            if (welcomeMessage.success) {
-                successMessage += `\n📩 Welcome SMS sent successfully`;
-                logger.info(`📩 Welcome SMS delivered to ${memberName} (${cleanPhone}): ${welcomeMessage.sid}`);
-            } else {
-                successMessage += `\n⚠️ Welcome SMS failed: ${welcomeMessage.error}`;
-                logger.warn(`📩 Welcome SMS failed to ${memberName} (${cleanPhone}): ${welcomeMessage.error}`);
-            }
-
-            return successMessage;
-
-        } catch (createError) {
-            // Enhanced error handling for specific MongoDB errors
-            if (createError.code === 11000) {
-                // Duplicate key error
-                const duplicateField = createError.keyPattern ? Object.keys(createError.keyPattern)[0] : 'unknown';
-                const duplicateValue = createError.keyValue ? createError.keyValue[duplicateField] : 'unknown';
-                
-                logger.error(`❌ Duplicate key error: ${duplicateField} = ${duplicateValue}`);
-                
-                if (duplicateField === 'phoneNumber') {
-                    return `❌ Phone number already exists in database!\n📱 Number: ${duplicateValue}\n💡 Use a different phone number or check if member already registered.`;
-                } else {
-                    return `❌ Duplicate ${duplicateField}: ${duplicateValue} already exists in database.`;
-                }
-            } else if (createError.name === 'ValidationError') {
-                // Mongoose validation error
-                const validationErrors = Object.values(createError.errors).map(err => err.message).join(', ');
-                return `❌ Validation error: ${validationErrors}`;
-            } else {
-                // Other database errors
-                logger.error(`❌ Database error creating member: ${createError.message}`);
-                return `❌ Database error: Unable to create member. Please try again or contact tech support.`;
-            }
-        }
+        return await this.enrollNewMember(admin, cleanPhone, memberName);
 
     } catch (error) {
         const durationMs = Date.now() - startTime;
@@ -1194,97 +1690,293 @@ async handleAddMemberCommand(adminPhone, commandText) {
         
         // Provide more specific error information
         if (error.name === 'MongoNetworkError') {
-            return "❌ Database connection error. Please try again in a moment.";
+            return this.localize(admin, 'add.connection_error');
         } else if (error.name === 'MongoServerError' && error.code === 11000) {
-            return "❌ Member with this phone number already exists in the system.";
+            return this.localize(admin, 'add.already_exists');
         } else {
-            return "❌ System error occurred while adding member. Tech team has been notified.";
+            return this.localize(admin, 'add.system_error');
         }
     }
 }
 
-// ✨ NEW METHOD: Send welcome SMS to new members
-async sendWelcomeSMS(memberPhone, memberName, adminName) {
+// Shared by ADD and ACCEPT: creates the member in the default congregation group and sends the
+// welcome SMS. Returns the reply for the admin; unexpected errors are left to the caller.
+async enrollNewMember(admin, cleanPhone, memberName, analyticName = 'member_added_via_command') {
     const startTime = Date.now();
-    logger.info(`📩 Sending welcome SMS to new member: ${memberName} (${memberPhone})`);
 
+    // Get the default congregation group
+    const congregationGroup = await this.dbManager.getGroupByName("YesuWay Congregation");
+    if (!congregationGroup) {
+        logger.error('❌ Default congregation group not found');
+        return this.localize(admin, 'add.no_default_group');
+    }
+
+    // Create new member with enhanced error handling
     try {
-        // Create a personalized welcome message
-        const welcomeMessage = this.createWelcomeMessage(memberName, adminName);
-        
-        // Send the welcome SMS
-        const result = await this.sendSMS(memberPhone, welcomeMessage, 2); // 2 retries for welcome messages
+        const newMember = await this.dbManager.createMember({
+            phoneNumber: cleanPhone,
+            name: memberName,
+            isAdmin: false,
+            active: true,
+            messageCount: 0,
+            lastActivity: new Date(),
+            groups: [{
+                groupId: congregationGroup._id,
+                joinedAt: new Date()
+            }]
+        });
+
+        // ✨ NEW: Send welcome SMS to the new member
+        const welcomeMessage = await this.sendWelcomeSMS(cleanPhone, memberName, admin.name);
         
+        // Log the addition for audit trail
+        await this.dbManager.recordAnalytic(analyticName, 1, 
+            `Admin: ${admin.name}, New Member: ${memberName} (${cleanPhone}), Welcome SMS: ${welcomeMessage.success ? 'Sent' : 'Failed'}`);
+
         const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('welcome_sms_send', durationMs, result.success);
+        await this.recordPerformanceMetric('add_member_command', durationMs, true);
 
-        if (result.success) {
-            // Log successful welcome SMS
-            await this.dbManager.recordAnalytic('welcome_sms_sent', 1, 
-                `New member: ${memberName} (${memberPhone}), Added by: ${adminName}`);
-            
-            logger.info(`✅ Welcome SMS sent to ${memberName}: ${result.sid}`);
-            return {
-                success: true,
-                sid: result.sid,
-                message: "Welcome SMS sent successfully"
-            };
+        logger.info(`✅ Admin ${admin.name} added new member: ${memberName} (${cleanPhone})`);
+
+        // Get updated member count
+        const totalMembers = await this.dbManager.getAllActiveMembers();
+
+        // Return enhanced success message to admin with welcome SMS status
+        let successMessage = this.localize(admin, 'add.success', {
+            name: memberName,
+            phone: cleanPhone,
+            group: congregationGroup.name,
+            total: totalMembers.length
+        });
+
+        // Add welcome SMS status to admin response
+        if (welcomeMessage.success) {
+            successMessage += `\n${this.localize(admin, 'add.welcome_sent')}`;
+            logger.info(`📩 Welcome SMS delivered to ${memberName} (${cleanPhone}): ${welcomeMessage.sid}`);
         } else {
-            // Log failed welcome SMS
-            await this.dbManager.recordAnalytic('welcome_sms_failed', 1, 
-                `New member: ${memberName} (${memberPhone}), Error: ${result.error}`);
-            
-            logger.error(`❌ Welcome SMS failed to ${memberName}: ${result.error}`);
-            return {
-                success: false,
-                error: result.error,
-                message: "Welcome SMS delivery failed"
-            };
+            successMessage += `\n${this.localize(admin, 'add.welcome_failed', { error: welcomeMessage.error })}`;
+            logger.warn(`📩 Welcome SMS failed to ${memberName} (${cleanPhone}): ${welcomeMessage.error}`);
         }
 
-    } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('welcome_sms_send', durationMs, false, error.message);
-        
-        logger.error(`❌ Welcome SMS system error for ${memberName}: ${error.message}`);
-        return {
-            success: false,
-            error: error.message,
-            message: "Welcome SMS system error"
-        };
+        return successMessage;
+
+    } catch (createError) {
+        // Enhanced error handling for specific MongoDB errors
+        if (createError.code === 11000) {
+            // Duplicate key error
+            const duplicateField = createError.keyPattern ? Object.keys(createError.keyPattern)[0] : 'unknown';
+            const duplicateValue = createError.keyValue ? createError.keyValue[duplicateField] : 'unknown';
+            
+            logger.error(`❌ Duplicate key error: ${duplicateField} = ${duplicateValue}`);
+            
+            if (duplicateField === 'phoneNumber') {
+                return this.localize(admin, 'add.duplicate_phone', { phone: duplicateValue });
+            } else {
+                return this.localize(admin, 'add.duplicate_field', { field: duplicateField, value: duplicateValue });
+            }
+        } else if (createError.name === 'ValidationError') {
+            // Mongoose validation error
+            const validationErrors = Object.values(createError.errors).map(err => err.message).join(', ');
+            return this.localize(admin, 'add.validation_error', { errors: validationErrors });
+        } else {
+            // Other database errors
+            logger.error(`❌ Database error creating member: ${createError.message}`);
+            return this.localize(admin, 'add.database_error');
+        }
     }
 }
 
-// ✨ NEW METHOD: Create personalized welcome message
-createWelcomeMessage(memberName, adminName) {
-    // Professional welcome message for new congregation members
-    const welcomeMessage = `🏛️ Welcome to YesuWay Church, ${memberName}!
+// JOIN <name> from an unknown number - stored as a pending request and sent to every admin
+async handleJoinRequest(fromPhone, nameText) {
+    const startTime = Date.now();
 
-You've been added to our church SMS system by ${adminName}.
+    try {
+        // Same rule as MYNAME - this name comes from an unknown number and ends up in Member.name
+        const name = (nameText || '').replace(/\s+/g, ' ').trim();
+        if (!name || name.length > 50 || !MEMBER_NAME_PATTERN.test(name)) {
+            await this.sendSMS(fromPhone, this.localize(null, 'join.usage'));
+            return null;
+        }
 
-📱 HOW IT WORKS:
-• Text anything to this number to broadcast to our entire congregation
-• Share photos, prayer requests, and announcements
-• Everyone receives your messages instantly
+        if (!this.dbManager.isConnected) {
+            await this.sendSMS(fromPhone, this.localize(null, 'join.failed'));
+            return null;
+        }
 
-✅ WHAT YOU CAN SHARE:
-• Prayer requests and testimonies
-• Church event updates and reminders
-• Photos from services and events
-• Encouragement and fellowship messages
+        // Repeated JOINs update the name but do not notify the admins again
+        const existing = await this.dbManager.getPendingJoinRequest(fromPhone);
+        if (existing) {
+            await this.dbManager.updateJoinRequest(existing._id, { name });
+            await this.sendSMS(fromPhone, this.localize(null, 'join.already_pending'));
+            return null;
+        }
 
-💡 GETTING STARTED:
-• Send "Hello everyone!" to introduce yourself
-• Share freely - we're one church family
+        const declined = await this.dbManager.getDeclinedJoinRequest(fromPhone,
+            new Date(Date.now() - JOIN_DECLINE_COOLDOWN_MS));
+        if (declined) {
+            logger.warn(`🙋 JOIN from ${fromPhone} ignored - request ${declined.shortId} was declined recently`);
+            await this.sendSMS(fromPhone, this.localize(null, 'join.declined'));
+            return null;
+        }
 
-🙏 SCRIPTURE:
-"And let us consider how we may spur one another on toward love and good deeds." - Hebrews 10:24
+        const joinRequest = await this.dbManager.createJoinRequest({
+            shortId: uuidv4().replace(/-/g, '').substring(0, 6).toUpperCase(),
+            phoneNumber: fromPhone,
+            name
+        });
 
-Welcome to our church family! We're excited to have you connected with us.
+        const admins = (await this.dbManager.getAllActiveMembers()).filter(member => member.isAdmin);
+        for (const admin of admins) {
+            try {
+                await this.sendSMS(admin.phoneNumber, this.localize(admin, 'join.admin_notice', {
+                    id: joinRequest.shortId,
+                    name,
+                    phone: fromPhone
+                }));
+            } catch (notifyError) {
+                logger.error(`❌ Failed to notify admin ${admin.name}: ${notifyError.message}`);
+            }
+        }
 
-- YesuWay Church Technology Team`;
+        await this.dbManager.recordAnalytic('join_requested', 1, `Name: ${name}, Phone: ${fromPhone}, ID: ${joinRequest.shortId}`);
+        await this.recordPerformanceMetric('join_request', Date.now() - startTime, true);
+        logger.info(`🙋 Join request ${joinRequest.shortId} from ${name} (${fromPhone}) - ${admins.length} admins notified`);
 
-    return welcomeMessage;
+        await this.sendSMS(fromPhone, this.localize(null, 'join.received', { name }));
+        return null;
+
+    } catch (error) {
+        await this.recordPerformanceMetric('join_request', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Join request error: ${error.message}`);
+        await this.sendSMS(fromPhone, this.localize(null, 'join.failed'));
+        return null;
+    }
+}
+
+// ACCEPT <id> adds the member exactly like ADD; DECLINE <id> tells the requester no
+async handleJoinDecisionCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`🙋 Admin join decision from ${adminPhone}: ${commandText}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
+    try {
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted ACCEPT/DECLINE command: ${adminPhone}`);
+            return this.localize(admin, 'join.access_denied');
+        }
+
+        const [command, shortId] = commandText.trim().split(/\s+/);
+        const decision = command.toUpperCase();
+
+        const joinRequest = await this.dbManager.getJoinRequestByShortId(shortId);
+        if (!joinRequest) {
+            return this.localize(admin, 'join.not_found', { id: shortId.toUpperCase() });
+        }
+        if (joinRequest.status !== 'pending') {
+            const status = this.localize(admin, joinRequest.status === 'accepted' ? 'join.status_accepted' : 'join.status_declined');
+            return this.localize(admin, joinRequest.decidedBy ? 'join.already_decided_by' : 'join.already_decided', {
+                id: joinRequest.shortId,
+                status,
+                admin: joinRequest.decidedBy
+            });
+        }
+
+        if (decision === 'DECLINE') {
+            await this.dbManager.updateJoinRequest(joinRequest._id, {
+                status: 'declined',
+                decidedBy: admin.name,
+                decidedAt: new Date()
+            });
+            await this.sendSMS(joinRequest.phoneNumber, this.localize(null, 'join.declined'));
+
+            await this.dbManager.recordAnalytic('join_declined', 1, `Name: ${joinRequest.name}, By: ${admin.name}`);
+            await this.recordPerformanceMetric('join_decision', Date.now() - startTime, true);
+            logger.info(`🙅 Admin ${admin.name} declined join request ${joinRequest.shortId} from ${joinRequest.name}`);
+            return this.localize(admin, 'join.declined_reply', { name: joinRequest.name });
+        }
+
+        const reply = await this.enrollNewMember(admin, joinRequest.phoneNumber, joinRequest.name, 'member_added_via_join');
+
+        // enrollNewMember reports its own failures; only a member that now exists closes the request
+        if (await this.getMemberInfo(joinRequest.phoneNumber)) {
+            await this.dbManager.updateJoinRequest(joinRequest._id, {
+                status: 'accepted',
+                decidedBy: admin.name,
+                decidedAt: new Date()
+            });
+            logger.info(`✅ Admin ${admin.name} accepted join request ${joinRequest.shortId} from ${joinRequest.name}`);
+        }
+
+        await this.recordPerformanceMetric('join_decision', Date.now() - startTime, true);
+        return reply;
+
+    } catch (error) {
+        await this.recordPerformanceMetric('join_decision', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Join decision error: ${error.message}`);
+        return this.localize(admin, 'join.decision_error');
+    }
+}
+
+// ✨ NEW METHOD: Send welcome SMS to new members
+async sendWelcomeSMS(memberPhone, memberName, adminName) {
+    const startTime = Date.now();
+    logger.info(`📩 Sending welcome SMS to new member: ${memberName} (${memberPhone})`);
+
+    try {
+        // Create a personalized welcome message in the member's language
+        const newMember = await this.getMemberInfo(memberPhone);
+        const welcomeMessage = await this.createWelcomeMessage(memberName, adminName, languageOf(newMember));
+        
+        // Send the welcome SMS
+        const result = await this.sendSMS(memberPhone, welcomeMessage, 2); // 2 retries for welcome messages
+        
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('welcome_sms_send', durationMs, result.success);
+
+        if (result.success) {
+            // Log successful welcome SMS
+            await this.dbManager.recordAnalytic('welcome_sms_sent', 1, 
+                `New member: ${memberName} (${memberPhone}), Added by: ${adminName}`);
+            
+            logger.info(`✅ Welcome SMS sent to ${memberName}: ${result.sid}`);
+            return {
+                success: true,
+                sid: result.sid,
+                message: "Welcome SMS sent successfully"
+            };
+        } else {
+            // Log failed welcome SMS
+            await this.dbManager.recordAnalytic('welcome_sms_failed', 1, 
+                `New member: ${memberName} (${memberPhone}), Error: ${result.error}`);
+            
+            logger.error(`❌ Welcome SMS failed to ${memberName}: ${result.error}`);
+            return {
+                success: false,
+                error: result.error,
+                message: "Welcome SMS delivery failed"
+            };
+        }
+
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('welcome_sms_send', durationMs, false, error.message);
+        
+        logger.error(`❌ Welcome SMS system error for ${memberName}: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            message: "Welcome SMS system error"
+        };
+    }
+}
+
+// ✨ NEW METHOD: Create personalized welcome message
+// Text comes from the editable "welcome" template (TEMPLATE SHOW welcome)
+async createWelcomeMessage(memberName, adminName, language = DEFAULT_LANGUAGE) {
+    return await this.renderSystemTemplate('welcome', { ...recipientFields(memberName), adminName }, language);
 }
 
 // ✨ OPTIONAL: Enhanced welcome message with church-specific customization
@@ -1327,32 +2019,35 @@ async handleRemoveMemberCommand(adminPhone, commandText) {
     const startTime = Date.now();
     logger.info(`🗑️ Admin REMOVE command from ${adminPhone}: ${commandText}`);
 
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
     try {
         // Verify admin privileges
-        const admin = await this.getMemberInfo(adminPhone);
+        admin = await this.getMemberInfo(adminPhone);
         if (!admin || !admin.isAdmin) {
             logger.warn(`❌ Non-admin attempted REMOVE command: ${adminPhone}`);
-            return "❌ Access denied. Only church administrators can remove members.";
+            return this.localize(admin, 'remove.access_denied');
         }
 
         // Parse the REMOVE command: "REMOVE +2068001141 MemberName"
         const parts = commandText.trim().split(/\s+/);
         
         if (parts.length < 2) {
-            return "❌ Invalid format. Use: REMOVE +1234567890 [optional name]\n💡 Example: REMOVE +12068001141\n💡 With name: REMOVE +12068001141 John Smith";
+            return this.localize(admin, 'remove.usage');
         }
 
         const [command, phoneNumber, ...nameParts] = parts;
         const memberName = nameParts.join(' ').trim();
 
         if (command.toUpperCase() !== 'REMOVE') {
-            return "❌ Command not recognized. Use: REMOVE +1234567890 [optional name]";
+            return this.localize(admin, 'remove.unrecognized');
         }
 
         // Clean and validate phone number
         const cleanPhone = this.cleanPhoneNumber(phoneNumber);
         if (!cleanPhone) {
-            return `❌ Invalid phone number: ${phoneNumber}\n💡 Use format: +1234567890 or 2068001141`;
+            return this.localize(admin, 'remove.invalid_phone', { phone: phoneNumber });
         }
 
         logger.info(`🔍 Looking for member to remove: ${cleanPhone}`);
@@ -1382,7 +2077,7 @@ async handleRemoveMemberCommand(adminPhone, commandText) {
             }
 
             if (!found) {
-                return `❌ No member found with phone number: ${cleanPhone}\n\n💡 Check the phone number or view all members with /debug endpoint`;
+                return this.localize(admin, 'remove.not_found', { phone: cleanPhone });
             }
         }
 
@@ -1394,13 +2089,13 @@ async handleRemoveMemberCommand(adminPhone, commandText) {
             
             if (!nameMatch) {
                 const memberNames = membersToRemove.map(m => m.name).join(', ');
-                return `❌ Name verification failed!\n📱 Phone: ${cleanPhone}\n💾 Found members: ${memberNames}\n✏️ Your input: ${memberName}\n\n💡 Use exact name or remove without name for phone-only deletion.`;
+                return this.localize(admin, 'remove.name_mismatch', { phone: cleanPhone, names: memberNames, input: memberName });
             }
         }
 
         // Prevent admin from removing themselves
         if (cleanPhone === this.cleanPhoneNumber(adminPhone)) {
-            return "❌ You cannot remove yourself from the system.\n\n💡 Contact another admin to remove your account.";
+            return this.localize(admin, 'remove.self');
         }
 
         // Show what will be deleted and ask for confirmation
@@ -1417,7 +2112,7 @@ async handleRemoveMemberCommand(adminPhone, commandText) {
         // Check if any are admins
         const adminMembers = membersToRemove.filter(m => m.isAdmin);
         if (adminMembers.length > 0) {
-            return `❌ Cannot remove admin member(s): ${adminMembers.map(m => m.name).join(', ')}\n\n💡 Admin members must be removed through database management tools for security.`;
+            return this.localize(admin, 'remove.admin_member', { names: adminMembers.map(m => m.name).join(', ') });
         }
 
         // Store member info for response before deletion
@@ -1440,7 +2135,7 @@ async handleRemoveMemberCommand(adminPhone, commandText) {
             });
 
             if (deleteResult.deletedCount === 0) {
-                return `❌ Failed to delete members.\n\n💡 Members may have already been removed.`;
+                return this.localize(admin, 'remove.nothing_deleted');
             }
 
             // Also clean up any related data (broadcast messages, delivery logs, etc.)
@@ -1471,22 +2166,16 @@ async handleRemoveMemberCommand(adminPhone, commandText) {
             const remainingMembers = await this.dbManager.getAllActiveMembers();
 
             // Return detailed success message
-            let successMessage = `✅ Member(s) PERMANENTLY DELETED!\n\n`;
-            successMessage += `📊 Deleted: ${deleteResult.deletedCount} member(s)\n`;
-            
-            deletionInfo.members.forEach((member, index) => {
-                successMessage += `${index + 1}. ${member.name} (${member.phone})\n`;
+            return this.localize(admin, 'remove.success', {
+                count: deleteResult.deletedCount,
+                members: deletionInfo.members.map((member, index) => `${index + 1}. ${member.name} (${member.phone})`).join('\n'),
+                remaining: remainingMembers.length,
+                phone: cleanPhone
             });
-            
-            successMessage += `\n📊 Remaining active members: ${remainingMembers.length}\n\n`;
-            successMessage += `✅ Phone number ${cleanPhone} is now available for re-use\n`;
-            successMessage += `💡 You can now ADD a new member with this phone number`;
-
-            return successMessage;
 
         } catch (deleteError) {
             logger.error(`❌ Database error deleting member: ${deleteError.message}`);
-            return `❌ Database error occurred while deleting member.\n\n💡 Error: ${deleteError.message}\nPlease try again or contact tech support.`;
+            return this.localize(admin, 'remove.database_error', { error: deleteError.message });
         }
 
     } catch (error) {
@@ -1496,7 +2185,7 @@ async handleRemoveMemberCommand(adminPhone, commandText) {
         logger.error(`❌ REMOVE command error: ${error.message}`);
         logger.error(`❌ Stack trace: ${error.stack}`);
         
-        return "❌ System error occurred while removing member.\n\n💡 Tech team has been notified. Please try again later.";
+        return this.localize(admin, 'remove.system_error');
     }
 }
 
@@ -1507,12 +2196,15 @@ async handleCleanupCommand(adminPhone, commandText) {
     const startTime = Date.now();
     logger.info(`🧹 Admin CLEANUP command from ${adminPhone}: ${commandText}`);
 
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
     try {
         // Verify admin privileges
-        const admin = await this.getMemberInfo(adminPhone);
+        admin = await this.getMemberInfo(adminPhone);
         if (!admin || !admin.isAdmin) {
             logger.warn(`❌ Non-admin attempted CLEANUP command: ${adminPhone}`);
-            return "❌ Access denied. Only church administrators can run cleanup operations.";
+            return this.localize(admin, 'cleanup.access_denied');
         }
 
         const parts = commandText.trim().split(/\s+/);
@@ -1520,2581 +2212,5544 @@ async handleCleanupCommand(adminPhone, commandText) {
 
         switch (subCommand) {
             case 'STATUS':
-                return await this.getCleanupStatus();
+                return await this.getCleanupStatus(admin);
             
             case 'DUPLICATES':
-                return await this.cleanupDuplicates();
+                return await this.cleanupDuplicates(admin);
             
             case 'PHONE':
                 if (parts.length < 3) {
-                    return "❌ Usage: CLEANUP PHONE +1234567890\n💡 This removes ALL members with that phone number";
+                    return this.localize(admin, 'cleanup.phone_usage');
                 }
-                return await this.cleanupPhone(parts[2]);
+                return await this.cleanupPhone(admin, parts[2]);
             
             case 'ORPHANED':
-                return await this.cleanupOrphanedData();
+                return await this.cleanupOrphanedData(admin);
             
             default:
-                return `❌ Unknown cleanup command: ${subCommand}\n\n📋 Available commands:\n• CLEANUP STATUS - Show cleanup status\n• CLEANUP DUPLICATES - Remove duplicate phone numbers\n• CLEANUP PHONE +1234567890 - Remove all members with phone\n• CLEANUP ORPHANED - Remove orphaned data`;
+                return this.localize(admin, 'cleanup.unknown', { command: subCommand });
         }
 
     } catch (error) {
         logger.error(`❌ CLEANUP command error: ${error.message}`);
-        return "❌ Cleanup operation failed. Tech team has been notified.";
+        return this.localize(admin, 'cleanup.failed');
     }
 }
 
-// Enhanced generateHelpMessage method with WIPE and ADMIN commands
-// Replace your existing generateHelpMessage method in app.js with this version
-
-async generateHelpMessage(member) {
+// 👥 GROUP command - List groups and manage who may post to them
+async handleGroupCommand(adminPhone, commandText) {
     const startTime = Date.now();
-    
+    logger.info(`👥 Admin GROUP command from ${adminPhone}: ${commandText}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
     try {
-        const stats = await this.dbManager.getHealthStats();
-        
-        // 🎯 COMMANDS-ONLY HELP (Under 800 characters)
-        let helpMessage = `📋 YESUWAY CHURCH COMMANDS
-═══════════════════════════════
+        // Verify admin privileges
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted GROUP command: ${adminPhone}`);
+            return this.localize(admin, 'group.access_denied');
+        }
 
-👥 ${stats.activeMemberCount} members • ${config.twilio.phoneNumber}
+        const parts = commandText.trim().split(/\s+/);
+        const subCommand = parts[1]?.toUpperCase() || 'LIST';
 
-💬 BASIC USAGE:
-• Text anything → broadcasts to everyone
-• Share photos/videos freely
-• React: ❤️😂👍🙏 (processed silently)
+        switch (subCommand) {
+            case 'LIST': {
+                const groups = await this.dbManager.getAllGroups();
+                if (groups.length === 0) {
+                    return this.localize(admin, 'group.none');
+                }
 
-📱 AVAILABLE COMMANDS:
-• HELP - Show this message`;
+                let listMessage = `${this.localize(admin, 'group.list_title')}\n\n`;
+                for (const group of groups) {
+                    const memberCount = await this.dbManager.countActiveMembersInGroup(group._id);
+                    listMessage += `@${this.getGroupKeyword(group)} - ${group.name}\n`;
+                    listMessage += `   ${this.localize(admin, 'group.list_line', { count: memberCount, policy: group.postingPolicy.toUpperCase() })}`;
+                    if (group.requiresApproval) {
+                        listMessage += ` • ${this.localize(admin, 'group.list_approval')}`;
+                    }
+                    if (group.open) {
+                        listMessage += ` • ${this.localize(admin, 'group.list_open')}`;
+                    }
+                    listMessage += '\n';
+                }
+                listMessage += `\n${this.localize(admin, 'group.list_hint')}`;
+                return listMessage;
+            }
 
-        // Add admin commands if user is admin
-        if (member.isAdmin) {
-            helpMessage += `
+            case 'POLICY': {
+                if (parts.length < 4) {
+                    return this.localize(admin, 'group.policy_usage');
+                }
 
-🔑 ADMIN COMMANDS:
-• ADD +1234567890 Name - Add new member
-• REMOVE +1234567890 Name - Remove member
-• ADMIN +1234567890 Name - Grant admin access
-• DEMOTE +1234567890 Name - Remove admin access
-• REACTION STATUS
-• REACTION SEND
-• REACTION STATS
-• CLEANUP STATUS - Database health check
-• WIPE CONFIRM - Emergency database reset`;
-        }
+                const policy = parts[3].toLowerCase();
+                if (!['everyone', 'members', 'admins'].includes(policy)) {
+                    return this.localize(admin, 'group.unknown_policy', { policy: parts[3] });
+                }
 
-        helpMessage += `
+                const group = await this.dbManager.getGroupByKeyword(parts[2].replace(/^@/, ''));
+                if (!group) {
+                    return await this.groupNotFoundReply(admin, parts[2]);
+                }
 
-💚 YesuWay Church • Professional SMS System`;
+                await this.dbManager.updateGroup(group._id, { postingPolicy: policy });
 
-        // Record usage and log character count
-        await this.dbManager.recordAnalytic('help_command_used', 1, 
-            `User: ${member.name} (${member.isAdmin ? 'Admin' : 'Member'})`);
+                await this.dbManager.recordAnalytic('group_policy_changed', 1,
+                    `Admin: ${admin.name}, Group: ${group.name}, Policy: ${policy}`);
 
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('help_command', durationMs, true);
+                logger.info(`✅ Admin ${admin.name} set ${group.name} posting policy to ${policy}`);
+                return this.localize(admin, 'group.policy_updated', {
+                    group: group.name,
+                    policy: policy.toUpperCase(),
+                    keyword: this.getGroupKeyword(group)
+                });
+            }
 
-        logger.info(`📋 HELP command used by ${member.name} (Admin: ${member.isAdmin})`);
-        logger.info(`📏 Help message length: ${helpMessage.length} characters`);
+            case 'KEYWORD': {
+                if (parts.length < 4) {
+                    return this.localize(admin, 'group.keyword_usage');
+                }
 
-        return helpMessage;
+                const newKeyword = parts[3].replace(/^@/, '').toUpperCase();
+                if (!/^[A-Z0-9_-]+$/.test(newKeyword)) {
+                    return this.localize(admin, 'group.invalid_keyword', { keyword: parts[3] });
+                }
+
+                const group = await this.dbManager.getGroupByKeyword(parts[2].replace(/^@/, ''));
+                if (!group) {
+                    return await this.groupNotFoundReply(admin, parts[2]);
+                }
+
+                try {
+                    await this.dbManager.updateGroup(group._id, { keyword: newKeyword });
+                } catch (updateError) {
+                    if (updateError.code === 11000) {
+                        return this.localize(admin, 'group.keyword_taken', { keyword: newKeyword });
+                    }
+                    throw updateError;
+                }
+
+                await this.dbManager.recordAnalytic('group_keyword_changed', 1,
+                    `Admin: ${admin.name}, Group: ${group.name}, Keyword: ${newKeyword}`);
+
+                logger.info(`✅ Admin ${admin.name} set ${group.name} keyword to @${newKeyword}`);
+                return this.localize(admin, 'group.keyword_updated', { group: group.name, keyword: newKeyword });
+            }
+
+            case 'APPROVAL': {
+                const setting = parts[3]?.toUpperCase();
+                if (parts.length < 4 || !['ON', 'OFF'].includes(setting)) {
+                    return this.localize(admin, 'group.approval_usage');
+                }
+
+                const group = await this.dbManager.getGroupByKeyword(parts[2].replace(/^@/, ''));
+                if (!group) {
+                    return await this.groupNotFoundReply(admin, parts[2]);
+                }
+
+                const requiresApproval = setting === 'ON';
+                await this.dbManager.updateGroup(group._id, { requiresApproval });
+
+                await this.dbManager.recordAnalytic('group_approval_changed', 1,
+                    `Admin: ${admin.name}, Group: ${group.name}, Approval: ${setting}`);
+
+                logger.info(`✅ Admin ${admin.name} turned ${group.name} approval ${setting}`);
+                return requiresApproval
+                    ? this.localize(admin, 'group.approval_on', { group: group.name, keyword: this.getGroupKeyword(group) })
+                    : this.localize(admin, 'group.approval_off', { group: group.name, policy: group.postingPolicy.toUpperCase() });
+            }
+
+            case 'OPEN': {
+                const setting = parts[3]?.toUpperCase();
+                if (parts.length < 4 || !['ON', 'OFF'].includes(setting)) {
+                    return this.localize(admin, 'group.open_usage');
+                }
+
+                const group = await this.dbManager.getGroupByKeyword(parts[2].replace(/^@/, ''));
+                if (!group) {
+                    return await this.groupNotFoundReply(admin, parts[2]);
+                }
+
+                const open = setting === 'ON';
+                await this.dbManager.updateGroup(group._id, { open });
+
+                await this.dbManager.recordAnalytic('group_open_changed', 1,
+                    `Admin: ${admin.name}, Group: ${group.name}, Open: ${setting}`);
+
+                logger.info(`✅ Admin ${admin.name} turned ${group.name} self-service ${setting}`);
+                return open
+                    ? this.localize(admin, 'group.open_on', { group: group.name })
+                    : this.localize(admin, 'group.open_off', { group: group.name });
+            }
+
+            default:
+                return this.localize(admin, 'group.unknown', { command: subCommand });
+        }
 
     } catch (error) {
         const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('help_command', durationMs, false, error.message);
-        
-        logger.error(`❌ HELP command error: ${error.message}`);
-        
-        // Ultra-minimal fallback
-        return `📋 YESUWAY CHURCH
+        await this.recordPerformanceMetric('group_command', durationMs, false, error.message);
 
-📱 Commands: HELP
-💬 Text anything to broadcast
-🔇 React with ❤️😂👍🙏
+        logger.error(`❌ GROUP command error: ${error.message}`);
+        return this.localize(admin, 'group.failed');
+    }
+}
 
-💚 YesuWay Church`;
+// Normalises a message to a single compliance keyword ("Stop." -> STOP, "stop all" -> STOPALL)
+getComplianceKeyword(messageBody) {
+    if (!messageBody || messageBody.length > 20) {
+        return null;
     }
+    return messageBody.toUpperCase().replace(/[^A-Z]/g, '');
 }
 
-// ============================================================================
-// ALTERNATIVE: EVEN MORE MINIMAL VERSION
-// ============================================================================
+async handleOptOut(fromPhone, keyword) {
+    const startTime = Date.now();
+    logger.info(`🚫 Opt-out keyword ${keyword} from ${fromPhone}`);
 
-async generateMinimalHelp(member) {
-    let help = `📋 COMMANDS
+    try {
+        const member = await this.dbManager.setMemberOptOut(fromPhone, true, keyword);
 
-📱 BASIC:
-• Text anything → broadcast to all
-• React: ❤️😂👍🙏 (silent processing)`;
+        if (!member) {
+            logger.info(`ℹ️ Opt-out from unregistered number ${fromPhone} - nothing to update`);
+            return null;
+        }
 
-    if (member.isAdmin) {
-        help += `
+        await this.dbManager.recordAnalytic('member_opted_out', 1,
+            `Member: ${member.name}, Keyword: ${keyword}`);
 
-🔑 ADMIN:
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('opt_out', durationMs, true);
 
-• ADD +phone Name
-• REMOVE +phone Name
-• CLEANUP STATUS`;
-    }
+        logger.info(`✅ ${member.name} opted out of church SMS`);
 
-    help += `
+        // Twilio suppresses this when its own opt-out handling already confirmed (error 21610)
+        await this.sendSMS(fromPhone, this.localize(member, 'optout.confirmed'));
+        return null;
 
-💚 YesuWay Church`;
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('opt_out', durationMs, false, error.message);
 
-    logger.info(`📏 Minimal help: ${help.length} characters`);
-    return help;
+        logger.error(`❌ Opt-out processing error: ${error.message}`);
+        return null;
+    }
 }
 
-// ============================================================================
-// SUPER MINIMAL: JUST COMMANDS
-// ============================================================================
+async handleOptIn(fromPhone, member, keyword) {
+    const startTime = Date.now();
+    logger.info(`✅ Opt-in keyword ${keyword} from ${member.name}`);
 
-async generateCommandsOnly(member) {
-    let commands = `📋 AVAILABLE COMMANDS
+    try {
+        if (!member.smsOptOut) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'optin.already'));
+        }
 
-💬 HELP - Show commands`;
+        await this.dbManager.setMemberOptOut(fromPhone, false);
 
-    if (member.isAdmin) {
-        commands += `
+        await this.dbManager.recordAnalytic('member_opted_in', 1,
+            `Member: ${member.name}, Keyword: ${keyword}`);
 
-🔑 ADD +phone Name - Add member
-🔑 REMOVE +phone Name - Remove member
-🔑 ADMIN +phone Name - Grant admin
-🔑 DEMOTE +phone Name - Remove admin
-🔑 CLEANUP STATUS - Database health
-🔑 REACTION STATUS
-🔑 REACTION SEND
-🔑 REACTION STATS
-🔑 WIPE CONFIRM - Emergency reset`;
-    }
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('opt_in', durationMs, true);
 
-    commands += `
+        logger.info(`✅ ${member.name} opted back in to church SMS`);
 
-Text anything else to broadcast to congregation.
-React with ❤️😂👍🙏 for silent reactions.
+        await this.sendSMS(fromPhone, this.localize(member, 'optin.confirmed'));
+        return null;
 
-YesuWay Church`;
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('opt_in', durationMs, false, error.message);
 
-    logger.info(`📏 Commands only: ${commands.length} characters`);
-    return commands;
+        logger.error(`❌ Opt-in processing error: ${error.message}`);
+        return null;
+    }
 }
 
-// Optional: Add a detailed admin help command
-async generateDetailedAdminHelp(member) {
-    if (!member.isAdmin) {
-        return "❌ Access denied. Admin commands are restricted to church administrators.";
-    }
+async handleLanguageCommand(fromPhone, member, commandText) {
+    const startTime = Date.now();
+    const requested = commandText.trim().split(/\s+/)[1];
+    logger.info(`🌐 LANGUAGE command from ${member.name}: ${requested || '(show current)'}`);
 
-    const helpMessage = `🔑 DETAILED ADMIN COMMAND REFERENCE
-═══════════════════════════════════════
+    try {
+        if (!requested) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'language.current', {
+                language: languageName(languageOf(member)),
+                options: languageOptions()
+            }));
+        }
 
-📝 MEMBER MANAGEMENT:
-═══════════════════════════════════════
+        const language = normalizeLanguage(requested);
+        if (!language) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'language.unknown', {
+                input: requested,
+                options: languageOptions()
+            }));
+        }
 
-➤ ADD COMMAND:
-Format: ADD +1234567890 MemberName
-• Adds new member to YesuWay Congregation group
-• Sends automatic welcome SMS to new member
-• Validates phone number format
-• Checks for existing members
-• Returns confirmation with member count
+        await this.dbManager.updateMember(member.id, { language });
+        const updatedMember = { ...member, language };
 
-Examples:
-• ADD +12065551234 John Smith
-• ADD +14257729189 Sarah Johnson
+        await this.dbManager.recordAnalytic('language_changed', 1,
+            `Member: ${member.name}, Language: ${language}`);
 
-➤ REMOVE COMMAND:
-Format: REMOVE +1234567890 [MemberName]
-• PERMANENTLY deletes member from database
-• Removes all associated data (messages, logs)
-• Optional name for verification
-• Cannot remove admin members
-• Cannot remove yourself
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('language_command', durationMs, true);
 
-Examples:
-• REMOVE +12065551234
-• REMOVE +12065551234 John Smith
+        logger.info(`✅ ${member.name} switched to ${languageName(language)}`);
 
-🗄️ DATABASE CLEANUP:
-═══════════════════════════════════════
+        // Confirmed in the new language so the member sees the change take effect
+        return await this.replyToSender(updatedMember, fromPhone, this.localize(updatedMember, 'language.updated'));
 
-➤ CLEANUP STATUS:
-Shows database health information:
-• Duplicate phone numbers count
-• Inactive members count  
-• Orphaned messages count
-• Detailed list of issues found
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('language_command', durationMs, false, error.message);
 
-➤ CLEANUP DUPLICATES:
-• Finds members with same phone number
-• Keeps oldest active member
-• Deletes duplicate entries
-• Cannot be undone
+        logger.error(`❌ LANGUAGE command error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'add.system_error'));
+    }
+}
 
-➤ CLEANUP PHONE +1234567890:
-• Removes ALL members with that phone
-• Deletes all associated data
-• Completely cleans phone number
-• Makes number available for re-use
+async handleOptOutsCommand(adminPhone) {
+    logger.info(`🚫 Admin OPTOUTS command from ${adminPhone}`);
 
-➤ CLEANUP ORPHANED:
-• Removes inactive members (active: false)
-• Deletes orphaned messages
-• Deletes orphaned delivery logs
-• Optimizes database performance
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
 
-⚠️ IMPORTANT WARNINGS:
-═══════════════════════════════════════
-• All REMOVE and CLEANUP operations are PERMANENT
-• Deleted data cannot be recovered
-• Admin members cannot be removed via SMS
-• Always check CLEANUP STATUS before running cleanup
-• Welcome SMS are sent automatically for new members
+    try {
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted OPTOUTS command: ${adminPhone}`);
+            return this.localize(admin, 'optouts.access_denied');
+        }
 
-📊 SYSTEM MONITORING:
-═══════════════════════════════════════
-• All admin commands are logged for audit
-• Performance metrics are tracked
-• Database operations are monitored
-• Error handling provides detailed feedback
+        const optedOut = await this.dbManager.getOptedOutMembers();
+        if (optedOut.length === 0) {
+            return this.localize(admin, 'optouts.none');
+        }
 
-💡 BEST PRACTICES:
-═══════════════════════════════════════
-• Run CLEANUP STATUS weekly
-• Add members one at a time for welcome SMS
-• Use full names for better organization
-• Keep phone numbers in +1234567890 format
-• Verify member details before removal
+        const locale = languageLocale(languageOf(admin));
+        let listMessage = `${this.localize(admin, 'optouts.title', { count: optedOut.length })}\n\n`;
+        for (const member of optedOut.slice(0, 20)) {
+            const optedOutDate = member.optedOutAt
+                ? member.optedOutAt.toLocaleDateString(locale)
+                : this.localize(admin, 'optouts.unknown_date');
+            listMessage += `• ${member.name} ${member.phoneNumber}\n   ${this.localize(admin, 'optouts.line', {
+                keyword: member.optOutKeyword || 'STOP',
+                date: optedOutDate
+            })}\n`;
+        }
+        if (optedOut.length > 20) {
+            listMessage += `${this.localize(admin, 'optouts.more', { count: optedOut.length - 20 })}\n`;
+        }
+        listMessage += `\n${this.localize(admin, 'optouts.hint')}`;
 
-🏛️ YesuWay Church Technology Team`;
+        return listMessage;
 
-    return helpMessage;
+    } catch (error) {
+        logger.error(`❌ OPTOUTS command error: ${error.message}`);
+        return this.localize(admin, 'optouts.failed');
+    }
 }
 
+// Decides whether a message is a reply. Explicit REPLY/RE: prefixes always are; otherwise a
+// non-admin message inside the reply window is. Admin messages outside a prefix are announcements.
+async findReplyRoute(member, fromPhone, messageBody) {
+    const prefixMatch = messageBody.match(REPLY_PREFIX_PATTERN);
+    if (prefixMatch) {
+        const original = await this.findMostRecentBroadcastMessage(fromPhone, REPLY_PREFIX_LOOKBACK_MS, member.id);
+        return { original, body: prefixMatch[1].trim(), explicit: true };
+    }
 
-// Add this new method to your ProductionChurchSMS class in app.js
+    if (member.isAdmin || config.replyWindowMinutes <= 0) {
+        return null;
+    }
 
-// 🔻 DEMOTE command - Remove admin privileges from administrators
-async handleDemoteCommand(adminPhone, commandText) {
+    const original = await this.findMostRecentBroadcastMessage(fromPhone, config.replyWindowMinutes * 60 * 1000, member.id);
+    return original ? { original, body: messageBody, explicit: false } : null;
+}
+
+async relayReply(member, fromPhone, replyRoute, mediaUrls) {
     const startTime = Date.now();
-    logger.info(`🔻 ADMIN DEMOTE command from ${adminPhone}: ${commandText}`);
+    const { original, body } = replyRoute;
 
     try {
-        // Verify admin privileges
-        const admin = await this.getMemberInfo(adminPhone);
-        if (!admin || !admin.isAdmin) {
-            logger.warn(`❌ Non-admin attempted DEMOTE command: ${adminPhone}`);
-            return "❌ Access denied. Only church administrators can demote other administrators.";
+        if (!original) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'reply.no_recent'));
         }
 
-        // Parse the DEMOTE command: "DEMOTE +12068001141 Abel"
-        const parts = commandText.trim().split(/\s+/);
-        
-        if (parts.length < 2) {
-            return "❌ Invalid format. Use: DEMOTE +1234567890 [AdminName]\n\n💡 This will:\n• Remove admin privileges from member\n• Convert to regular congregation member\n• Retain membership but remove admin access";
+        if (!body && (!mediaUrls || mediaUrls.length === 0)) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'reply.empty'));
         }
 
-        const [command, phoneNumber, ...nameParts] = parts;
-        const adminName = nameParts.join(' ').trim();
-
-        if (command.toUpperCase() !== 'DEMOTE') {
-            return "❌ Command not recognized. Use: DEMOTE +1234567890 [AdminName]";
+        const recipient = await this.getMemberInfo(original.fromPhone);
+        if (!recipient || recipient.smsOptOut) {
+            logger.warn(`❌ Reply from ${member.name} not relayed - ${original.fromName} is unavailable`);
+            return await this.replyToSender(member, fromPhone,
+                this.localize(member, 'reply.unavailable', { name: original.fromName }));
         }
 
-        // Clean and validate phone number
-        const cleanPhone = this.cleanPhoneNumber(phoneNumber);
-        if (!cleanPhone) {
-            return `❌ Invalid phone number format: ${phoneNumber}.\n💡 Use format: +1234567890`;
-        }
+        const snippet = original.originalMessage.length > 40
+            ? `${original.originalMessage.substring(0, 40)}...`
+            : original.originalMessage;
 
-        // Prevent admin from demoting themselves
-        if (cleanPhone === this.cleanPhoneNumber(adminPhone)) {
-            return "❌ You cannot demote yourself.\n\n💡 Contact another admin to remove your admin privileges.";
+        // The relayed reply is read by the original sender, so it uses their language
+        let relayText = this.localize(recipient, 'reply.relayed', {
+            name: member.name,
+            phone: fromPhone,
+            snippet,
+            body: body || this.localize(recipient, 'reply.no_text')
+        });
+        if (mediaUrls && mediaUrls.length > 0) {
+            relayText += `\n\n${this.localize(recipient, 'reply.attachments_not_forwarded', { count: mediaUrls.length })}`;
         }
 
-        // Check if person exists and is an admin
-        const targetMember = await this.getMemberInfo(cleanPhone);
-        
-        if (!targetMember) {
-            return `❌ No member found with phone number: ${cleanPhone}\n\n💡 Check the phone number and try again.`;
+        const result = await this.sendSMS(original.fromPhone, relayText);
+        if (!result.success) {
+            throw new Error(result.error);
         }
 
-        if (!targetMember.isAdmin) {
-            const groupNames = targetMember.groups?.map(g => g.name).join(", ") || "no groups";
-            return `❌ ${targetMember.name} is not an administrator!\n\n📊 Current Status:\n👤 Name: ${targetMember.name}\n📱 Phone: ${cleanPhone}\n🔑 Admin: No\n🏛️ Groups: ${groupNames}\n\n💡 Only administrators can be demoted.`;
-        }
+        await this.dbManager.recordAnalytic('reply_relayed', 1,
+            `${member.name} -> ${original.fromName}${replyRoute.explicit ? ' (prefix)' : ' (window)'}`);
+        await this.recordPerformanceMetric('reply_relay', Date.now() - startTime, true);
+        logger.info(`↩️ Reply from ${member.name} relayed privately to ${original.fromName}`);
 
-        // Name verification if provided
-        if (adminName && targetMember.name.toLowerCase() !== adminName.toLowerCase()) {
-            return `❌ Name verification failed!\n📱 Phone: ${cleanPhone}\n💾 Found admin: ${targetMember.name}\n✏️ Your input: ${adminName}\n\n💡 Use exact name or phone-only for demoting.`;
-        }
+        return await this.replyToSender(member, fromPhone,
+            this.localize(member, 'reply.sent', { name: original.fromName }));
 
-        try {
-            // Remove admin privileges (convert to regular member)
-            await Member.findByIdAndUpdate(
-                targetMember.id,
-                { 
-                    isAdmin: false,
-                    lastActivity: new Date()
-                },
-                { new: true }
-            );
+    } catch (error) {
+        await this.recordPerformanceMetric('reply_relay', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Reply relay error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'reply.failed'));
+    }
+}
 
-            // ✨ Send demotion notification SMS
-            const demotionMessage = await this.sendAdminDemotionSMS(cleanPhone, targetMember.name, admin.name);
+// Waits out the UNDO window before fan-out; resolves true if the sender texted UNDO in time.
+// A restart during the window leaves the broadcast 'pending', so it is resumed and sent.
+async holdForUndo(sender, fromPhone, messageId, targetGroup) {
+    const seconds = config.undoWindowSeconds;
+    const target = targetGroup ? targetGroup.name : this.localize(sender, 'common.everyone');
 
-            // Log the demotion for audit trail
-            await this.dbManager.recordAnalytic('admin_demoted', 1, 
-                `Demoted by: ${admin.name}, Former Admin: ${targetMember.name} (${cleanPhone}), Demotion SMS: ${demotionMessage.success ? 'Sent' : 'Failed'}`);
+    if (this.dbManager.isConnected && messageId) {
+        try {
+            await this.dbManager.updateBroadcastMessage(messageId, { undoUntil: new Date(Date.now() + seconds * 1000) });
+        } catch (dbError) {
+            logger.error(`❌ Failed to record UNDO window: ${dbError.message}`);
+        }
+    }
 
-            const durationMs = Date.now() - startTime;
-            await this.recordPerformanceMetric('admin_demotion', durationMs, true);
+    const key = messageId || `local_${uuidv4().substring(0, 8)}`;
+    const undone = this.armUndoHold(key, fromPhone, messageId, target, seconds * 1000);
 
-            logger.info(`✅ Admin ${admin.name} demoted ${targetMember.name} (${cleanPhone}) from administrator`);
+    logger.info(`⏳ Holding broadcast ${key} from ${sender.name} for ${seconds}s - UNDO cancels it`);
+    await this.sendSMS(fromPhone, this.localize(sender, 'undo.holding', { target, seconds }));
 
-            // Get updated member counts
-            const totalMembers = await this.dbManager.getAllActiveMembers();
-            const adminCount = totalMembers.filter(m => m.isAdmin).length;
+    return await undone;
+}
 
-            let successMessage = `🔻 ADMIN DEMOTION SUCCESSFUL!\n\n`;
-            successMessage += `👤 Name: ${targetMember.name}\n`;
-            successMessage += `📱 Phone: ${cleanPhone}\n`;
-            successMessage += `🔑 Status: Regular Member (DEMOTED)\n`;
-            successMessage += `🏛️ Groups: Retained existing groups\n`;
-            successMessage += `📊 Total admins: ${adminCount}\n`;
-            successMessage += `📊 Total members: ${totalMembers.length}\n\n`;
-            successMessage += `❌ ADMIN PRIVILEGES REMOVED:\n`;
-            successMessage += `• No longer can ADD members\n`;
-            successMessage += `• No longer can REMOVE members\n`;
-            successMessage += `• No longer can ADMIN/DEMOTE\n`;
-            successMessage += `• No longer can WIPE database\n`;
-            successMessage += `• No longer can CLEANUP operations\n`;
-            successMessage += `• No admin endpoint access\n\n`;
-            successMessage += `✅ Still active congregation member\n`;
+// Resolves true if the sender texts UNDO within delayMs, false once the window closes
+armUndoHold(key, fromPhone, messageId, target, delayMs) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            this.undoHolds.delete(key);
+            resolve(false);
+        }, delayMs);
+        this.undoHolds.set(key, { key, fromPhone, messageId, target, timer, resolve });
+    });
+}
 
-            // Add demotion SMS status
-            if (demotionMessage.success) {
-                successMessage += `📩 Demotion notification SMS sent successfully`;
-                logger.info(`📩 Demotion SMS delivered to ${targetMember.name} (${cleanPhone}): ${demotionMessage.sid}`);
-            } else {
-                successMessage += `⚠️ Demotion notification SMS failed: ${demotionMessage.error}`;
-                logger.warn(`📩 Demotion SMS failed to ${targetMember.name} (${cleanPhone}): ${demotionMessage.error}`);
-            }
+async handleUndoCommand(fromPhone, member) {
+    const startTime = Date.now();
+    logger.info(`↩️ UNDO command from ${member.name}`);
 
-            return successMessage;
+    try {
+        // Latest hold wins when the sender has more than one message waiting
+        const hold = [...this.undoHolds.values()].filter(entry => entry.fromPhone === fromPhone).pop();
+        if (!hold) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'undo.nothing'));
+        }
 
-        } catch (demotionError) {
-            logger.error(`❌ Failed to demote admin: ${demotionError.message}`);
-            return `❌ Failed to demote ${targetMember.name} from administrator.\n\n💡 Error: ${demotionError.message}`;
+        clearTimeout(hold.timer);
+        this.undoHolds.delete(hold.key);
+        hold.resolve(true);
+
+        if (this.dbManager.isConnected && hold.messageId) {
+            await this.dbManager.updateBroadcastMessage(hold.messageId, {
+                deliveryStatus: 'cancelled',
+                processingStatus: 'completed',
+                cancelledAt: new Date()
+            });
         }
 
+        await this.dbManager.recordAnalytic('broadcast_undone', 1,
+            `Sender: ${member.name}, Message: ${hold.messageId}`);
+
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('undo_command', durationMs, true);
+
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'undo.cancelled', { target: hold.target }));
+
     } catch (error) {
         const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('demote_command', durationMs, false, error.message);
-        
-        logger.error(`❌ DEMOTE command error: ${error.message}`);
-        logger.error(`❌ Stack trace: ${error.stack}`);
-        
-        return "❌ System error occurred while demoting administrator.\n\n💡 Tech team has been notified.";
+        await this.recordPerformanceMetric('undo_command', durationMs, false, error.message);
+
+        logger.error(`❌ UNDO command error: ${error.message}`);
+        return null;
     }
 }
 
-// ✨ NEW METHOD: Send admin demotion notification SMS
-async sendAdminDemotionSMS(memberPhone, memberName, demotingAdminName) {
+async findCorrectableBroadcast(fromPhone) {
+    if (!this.dbManager.isConnected || config.correctionWindowHours <= 0) {
+        return null;
+    }
+    return await this.dbManager.getLatestSentBroadcast(fromPhone,
+        new Date(Date.now() - config.correctionWindowHours * 60 * 60 * 1000));
+}
+
+// Sends "CORRECTION: ..." to everyone the original reached, tied to it with correctionOf
+async handleCorrectCommand(fromPhone, member, correctionText, original) {
     const startTime = Date.now();
-    logger.info(`📩 Sending admin demotion SMS to: ${memberName} (${memberPhone})`);
+    logger.info(`✏️ CORRECT command from ${member.name}`);
 
     try {
-        // Create a professional demotion notification message
-        const demotionMessage = this.createAdminDemotionMessage(memberName, demotingAdminName);
-        
-        // Send the demotion SMS
-        const result = await this.sendSMS(memberPhone, demotionMessage, 2);
-        
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('admin_demotion_sms', durationMs, result.success);
+        if (!original) {
+            return await this.replyToSender(member, fromPhone,
+                this.localize(member, 'correct.none', { hours: config.correctionWindowHours }));
+        }
 
-        if (result.success) {
-            await this.dbManager.recordAnalytic('admin_demotion_sms_sent', 1, 
-                `Former Admin: ${memberName} (${memberPhone}), Demoted by: ${demotingAdminName}`);
-            
-            logger.info(`✅ Admin demotion SMS sent to ${memberName}: ${result.sid}`);
-            return {
-                success: true,
-                sid: result.sid,
-                message: "Admin demotion SMS sent successfully"
-            };
-        } else {
-            await this.dbManager.recordAnalytic('admin_demotion_sms_failed', 1, 
-                `Former Admin: ${memberName} (${memberPhone}), Error: ${result.error}`);
-            
-            logger.error(`❌ Admin demotion SMS failed to ${memberName}: ${result.error}`);
-            return {
-                success: false,
-                error: result.error,
-                message: "Admin demotion SMS delivery failed"
-            };
+        const text = (correctionText || '').trim();
+        if (!text) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'correct.empty'));
         }
 
-    } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('admin_demotion_sms', durationMs, false, error.message);
-        
-        logger.error(`❌ Admin demotion SMS system error for ${memberName}: ${error.message}`);
-        return {
-            success: false,
-            error: error.message,
-            message: "Admin demotion SMS system error"
-        };
-    }
-}
+        // Correcting a correction still points at the broadcast people first received
+        const originalId = original.correctionOf || original._id;
 
-// ✨ NEW METHOD: Create admin demotion message
-createAdminDemotionMessage(memberName, demotingAdminName) {
-    const demotionMessage = `🔻 ADMIN PRIVILEGES REMOVED
+        // Only members the original actually reached - still active and not opted out
+        const deliveries = await this.dbManager.getDeliveryLogsForMessage(original._id);
+        const reached = new Set(deliveries
+            .filter(delivery => delivery.memberId && !['failed', 'undelivered'].includes(delivery.deliveryStatus))
+            .map(delivery => (delivery.memberId._id || delivery.memberId).toString()));
+        const recipients = (await this.getAllActiveMembers(fromPhone)).filter(recipient => reached.has(recipient.id));
 
-${memberName}, your administrator privileges have been removed by ${demotingAdminName}.
+        if (recipients.length === 0) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'correct.no_recipients'));
+        }
+
+        const targetGroup = original.targetGroupName ? { name: original.targetGroupName } : null;
+        const finalMessage = this.normalizeOutgoingText(
+            this.formatMessageWithMedia(`CORRECTION: ${text}`, member, [], targetGroup));
+        const encodingStats = analyzeMessage(finalMessage);
+
+        const correction = await this.dbManager.createBroadcastMessage({
+            fromPhone: fromPhone,
+            fromName: member.name,
+            originalMessage: text,
+            processedMessage: finalMessage,
+            messageType: 'text',
+            targetGroupId: original.targetGroupId || null,
+            targetGroupName: original.targetGroupName || null,
+            urgent: Boolean(original.urgent),
+            correctionOf: originalId,
+            encoding: encodingStats.encoding,
+            segmentCount: encodingStats.segments,
+            estimatedSegments: encodingStats.segments * recipients.length,
+            processingStatus: 'completed',
+            deliveryStatus: 'sending',
+            sentAt: new Date()
+        });
+        const correctionId = correction._id.toString();
 
-📊 YOUR NEW STATUS:
-• Regular Congregation Member
-• Retained church membership
-• No administrative access
+        await this.dbManager.updateBroadcastMessage(originalId, {
+            $inc: { correctionCount: 1 },
+            lastCorrectedAt: new Date()
+        });
 
-❌ REMOVED PRIVILEGES:
-• Cannot ADD new members
-• Cannot REMOVE members
-• Cannot grant ADMIN privileges
-• Cannot WIPE database
-• Cannot use CLEANUP commands
-• No admin endpoint access
+        // Same quiet-hours treatment as the broadcast being corrected
+        this.queueDirectMessage(recipients, finalMessage, `Correction ${correctionId}`, {
+            messageId: correctionId,
+            urgent: Boolean(original.urgent),
+            onComplete: async () => {
+                await this.dbManager.updateBroadcastMessage(correctionId, { deliveryStatus: 'completed' });
+                await this.dbManager.refreshBroadcastDeliverySummary(correctionId);
+            }
+        });
 
-✅ YOU CAN STILL:
-• Send messages to congregation
-• Share photos and media
-• Participate in church communication
-• Receive all broadcasts
+        await this.dbManager.recordAnalytic('broadcast_corrected', recipients.length,
+            `Sender: ${member.name}, Original: ${originalId}, Correction: ${correctionId}`);
 
-📱 QUESTIONS?
-Contact ${demotingAdminName} or church leadership for clarification.
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('correct_command', durationMs, true);
 
-You remain a valued member of our church family.
+        const preview = original.originalMessage.length > 40
+            ? `${original.originalMessage.substring(0, 40)}...`
+            : original.originalMessage;
+        return await this.replyToSender(member, fromPhone,
+            this.localize(member, 'correct.sent', { count: recipients.length, preview }));
 
-- YesuWay Church Leadership`;
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('correct_command', durationMs, false, error.message);
 
-    return demotionMessage;
+        logger.error(`❌ CORRECT command error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'correct.failed'));
+    }
 }
 
+// Holds a member broadcast as pending_approval and asks every admin to APPROVE or REJECT it
+async submitForApproval(sender, fromPhone, messageText, mediaUrls, targetGroup, recipientCount) {
+    const startTime = Date.now();
 
-// Add these methods to your ProductionChurchSMS class in app.js
-// Place them after the existing handleCleanupCommand method
+    try {
+        if (!this.dbManager.isConnected) {
+            return await this.replyToSender(sender, fromPhone, this.localize(sender, 'moderation.unavailable'));
+        }
+
+        const hasMedia = Boolean(mediaUrls && mediaUrls.length > 0);
+        const shortId = uuidv4().replace(/-/g, '').substring(0, 6).toUpperCase();
+        const expiresAt = new Date(Date.now() + config.moderation.expiryHours * 60 * 60 * 1000);
+
+        await this.dbManager.createBroadcastMessage({
+            fromPhone: fromPhone,
+            fromName: sender.name,
+            originalMessage: messageText || MEDIA_ONLY_PLACEHOLDER,
+            processedMessage: messageText || MEDIA_ONLY_PLACEHOLDER,
+            messageType: hasMedia ? 'media' : 'text',
+            hasMedia: hasMedia,
+            mediaCount: hasMedia ? mediaUrls.length : 0,
+            targetGroupId: targetGroup ? targetGroup._id : null,
+            targetGroupName: targetGroup ? targetGroup.name : null,
+            processingStatus: 'pending',
+            deliveryStatus: 'pending_approval',
+            moderation: {
+                shortId: shortId,
+                expiresAt: expiresAt,
+                mediaUrls: hasMedia ? mediaUrls.map(media => ({ url: media.url, type: media.type })) : []
+            },
+            sentAt: new Date()
+        });
 
-// ⚠️ DANGEROUS: WIPE command - Completely wipes all database data
-async handleWipeCommand(adminPhone, commandText) {
+        const target = targetGroup ? targetGroup.name : 'Everyone';
+        const preview = messageText.length > 120 ? `${messageText.substring(0, 117)}...` : messageText;
+
+        const admins = (await this.dbManager.getAllActiveMembers()).filter(member => member.isAdmin);
+        for (const admin of admins) {
+            try {
+                let notice = this.localize(admin, 'moderation.admin_notice', {
+                    id: shortId,
+                    sender: sender.name,
+                    target: targetGroup ? targetGroup.name : this.localize(admin, 'common.everyone'),
+                    count: recipientCount,
+                    preview: preview || MEDIA_ONLY_PLACEHOLDER
+                });
+                if (hasMedia) {
+                    notice += `\n${this.localize(admin, 'moderation.admin_notice_media', { count: mediaUrls.length })}`;
+                }
+                notice += `\n\n${this.localize(admin, 'moderation.admin_notice_actions', {
+                    id: shortId,
+                    hours: config.moderation.expiryHours
+                })}`;
+                await this.sendSMS(admin.phoneNumber, notice);
+            } catch (notifyError) {
+                logger.error(`❌ Failed to notify admin ${admin.name}: ${notifyError.message}`);
+            }
+        }
+
+        await this.dbManager.recordAnalytic('broadcast_held_for_approval', 1,
+            `Sender: ${sender.name}, Target: ${target}, ID: ${shortId}`);
+        await this.recordPerformanceMetric('moderation_submit', Date.now() - startTime, true);
+        logger.info(`🛡️ Broadcast from ${sender.name} held for approval as ${shortId} (${admins.length} admins notified)`);
+
+        return await this.replyToSender(sender, fromPhone, this.localize(sender, 'moderation.waiting', {
+            target: targetGroup ? targetGroup.name : this.localize(sender, 'common.everyone')
+        }));
+
+    } catch (error) {
+        await this.recordPerformanceMetric('moderation_submit', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Moderation submit error: ${error.message}`);
+        return await this.replyToSender(sender, fromPhone, this.localize(sender, 'moderation.failed'));
+    }
+}
+
+async handleApproveCommand(adminPhone, commandText) {
     const startTime = Date.now();
-    logger.info(`🚨 ADMIN WIPE command from ${adminPhone}: ${commandText}`);
+    logger.info(`🛡️ Admin APPROVE command from ${adminPhone}: ${commandText}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
 
     try {
-        // Verify admin privileges
-        const admin = await this.getMemberInfo(adminPhone);
+        admin = await this.getMemberInfo(adminPhone);
         if (!admin || !admin.isAdmin) {
-            logger.warn(`❌ Non-admin attempted WIPE command: ${adminPhone}`);
-            return "❌ Access denied. Only church administrators can execute WIPE operations.";
+            logger.warn(`❌ Non-admin attempted APPROVE command: ${adminPhone}`);
+            return this.localize(admin, 'approve.access_denied');
         }
 
         const parts = commandText.trim().split(/\s+/);
-        const confirmationWord = parts[1]?.toUpperCase();
+        if (parts.length < 2) {
+            return this.localize(admin, 'approve.usage');
+        }
 
-        // Require explicit confirmation to prevent accidental wipes
-        if (!confirmationWord || confirmationWord !== 'CONFIRM') {
-            return `🚨 WIPE COMMAND - PERMANENT DATA DESTRUCTION\n\n` +
-                   `⚠️ This will PERMANENTLY DELETE ALL DATA:\n` +
-                   `• All congregation members\n` +
-                   `• All broadcast messages\n` +
-                   `• All media files\n` +
-                   `• All delivery logs\n` +
-                   `• All analytics data\n` +
-                   `• All performance metrics\n` +
-                   `• ALL DATABASE CONTENT\n\n` +
-                   `🔥 THIS CANNOT BE UNDONE!\n\n` +
-                   `To proceed, send: WIPE CONFIRM\n\n` +
-                   `⚠️ Only use this for complete system reset`;
+        const message = await this.dbManager.getPendingApproval(parts[1]);
+        if (!message) {
+            return this.localize(admin, 'approve.not_found', { id: parts[1].toUpperCase() });
         }
 
-        logger.warn(`🚨 ADMIN ${admin.name} initiating COMPLETE DATABASE WIPE`);
+        const sender = await this.getMemberInfo(message.fromPhone);
+        if (!sender) {
+            return this.localize(admin, 'approve.sender_gone', { name: message.fromName, id: message.moderation.shortId });
+        }
 
-        try {
-            // Count data before deletion for logging
-            const preWipeStats = {
-                members: await Member.countDocuments({}),
-                groups: await Group.countDocuments({}),
-                messages: await BroadcastMessage.countDocuments({}),
-                mediaFiles: await MediaFile.countDocuments({}),
-                deliveryLogs: await DeliveryLog.countDocuments({}),
-                analytics: await SystemAnalytics.countDocuments({}),
-                performanceMetrics: await PerformanceMetrics.countDocuments({})
-            };
+        let messageText = message.originalMessage === MEDIA_ONLY_PLACEHOLDER && message.hasMedia ? '' : message.originalMessage;
+        if (message.targetGroupId) {
+            const group = await this.dbManager.getGroupById(message.targetGroupId);
+            if (!group || !group.active) {
+                return this.localize(admin, 'approve.group_gone', {
+                    group: message.targetGroupName || this.localize(admin, 'approve.target_group'),
+                    id: message.moderation.shortId
+                });
+            }
+            if (!this.canPostToGroup(sender, group)) {
+                return this.localize(admin, 'approve.not_allowed', {
+                    name: message.fromName,
+                    group: group.name,
+                    policy: group.postingPolicy.toUpperCase(),
+                    id: message.moderation.shortId
+                });
+            }
+            messageText = `@${this.getGroupKeyword(group)} ${messageText}`;
+        }
 
-            logger.warn(`🚨 Pre-wipe data count: ${JSON.stringify(preWipeStats)}`);
+        const approved = await this.dbManager.resolvePendingApproval(message._id, 'pending', {
+            reviewedBy: admin.name,
+            reviewedAt: new Date()
+        });
+        if (!approved) {
+            return this.localize(admin, 'approve.already_reviewed', { id: message.moderation.shortId });
+        }
 
-            // COMPLETE DATABASE WIPE - DELETE ALL COLLECTIONS
-            const deleteResults = await Promise.allSettled([
-                Member.deleteMany({}),
-                Group.deleteMany({}),
-                BroadcastMessage.deleteMany({}),
-                MediaFile.deleteMany({}),
-                DeliveryLog.deleteMany({}),
-                SystemAnalytics.deleteMany({}),
-                PerformanceMetrics.deleteMany({})
-            ]);
+        const target = message.targetGroupName || this.localize(admin, 'common.everyone');
+        const mediaUrls = message.moderation.mediaUrls.length > 0
+            ? message.moderation.mediaUrls.map(media => ({ url: media.url, type: media.type }))
+            : null;
 
-            // Check deletion results
-            const deletionSummary = {
-                members: deleteResults[0].status === 'fulfilled' ? deleteResults[0].value.deletedCount : 0,
-                groups: deleteResults[1].status === 'fulfilled' ? deleteResults[1].value.deletedCount : 0,
-                messages: deleteResults[2].status === 'fulfilled' ? deleteResults[2].value.deletedCount : 0,
-                mediaFiles: deleteResults[3].status === 'fulfilled' ? deleteResults[3].value.deletedCount : 0,
-                deliveryLogs: deleteResults[4].status === 'fulfilled' ? deleteResults[4].value.deletedCount : 0,
-                analytics: deleteResults[5].status === 'fulfilled' ? deleteResults[5].value.deletedCount : 0,
-                performanceMetrics: deleteResults[6].status === 'fulfilled' ? deleteResults[6].value.deletedCount : 0
-            };
+        this.broadcastMessage(message.fromPhone, messageText, mediaUrls, { approvedMessageId: message._id })
+            .catch(error => logger.error(`❌ Approved broadcast ${message.moderation.shortId} failed: ${error.message}`));
 
-            // Check for any failed deletions
-            const failures = deleteResults.filter(result => result.status === 'rejected');
-            if (failures.length > 0) {
-                logger.error(`❌ Some deletions failed: ${failures.map(f => f.reason?.message).join(', ')}`);
-            }
+        const messageSender = await this.getMemberInfo(message.fromPhone);
+        await this.sendSMS(message.fromPhone, this.localize(messageSender, 'moderation.approved', {
+            admin: admin.name,
+            target: message.targetGroupName || this.localize(messageSender, 'common.everyone')
+        }));
 
-            const totalDeleted = Object.values(deletionSummary).reduce((sum, count) => sum + count, 0);
+        await this.dbManager.recordAnalytic('broadcast_approved', 1,
+            `Admin: ${admin.name}, Sender: ${message.fromName}, ID: ${message.moderation.shortId}`);
+        await this.recordPerformanceMetric('moderation_approve', Date.now() - startTime, true);
 
-            // Final verification - check if database is truly empty
-            const postWipeStats = {
-                members: await Member.countDocuments({}),
-                groups: await Group.countDocuments({}),
-                messages: await BroadcastMessage.countDocuments({}),
-                mediaFiles: await MediaFile.countDocuments({}),
-                deliveryLogs: await DeliveryLog.countDocuments({}),
-                analytics: await SystemAnalytics.countDocuments({}),
-                performanceMetrics: await PerformanceMetrics.countDocuments({})
-            };
+        logger.info(`✅ Admin ${admin.name} approved broadcast ${message.moderation.shortId} from ${message.fromName}`);
+        return this.localize(admin, 'approve.done', { id: message.moderation.shortId, name: message.fromName, target });
 
-            const remainingRecords = Object.values(postWipeStats).reduce((sum, count) => sum + count, 0);
+    } catch (error) {
+        await this.recordPerformanceMetric('moderation_approve', Date.now() - startTime, false, error.message);
+        logger.error(`❌ APPROVE command error: ${error.message}`);
+        return this.localize(admin, 'approve.failed');
+    }
+}
 
-            const durationMs = Date.now() - startTime;
-            
-            // Log the wipe operation (this will fail if analytics collection was wiped)
-            try {
-                await this.dbManager.recordAnalytic('database_wiped', totalDeleted, 
-                    `Admin: ${admin.name}, Total records deleted: ${totalDeleted}, Duration: ${durationMs}ms`);
-            } catch (logError) {
-                logger.warn(`⚠️ Could not log wipe operation (expected if analytics collection wiped): ${logError.message}`);
-            }
+async handleRejectCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`🛡️ Admin REJECT command from ${adminPhone}: ${commandText}`);
 
-            await this.recordPerformanceMetric('database_wipe', durationMs, remainingRecords === 0);
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
 
-            logger.warn(`🚨 DATABASE WIPE COMPLETED by ${admin.name}`);
-            logger.warn(`📊 Total records deleted: ${totalDeleted}`);
-            logger.warn(`📊 Remaining records: ${remainingRecords}`);
+    try {
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted REJECT command: ${adminPhone}`);
+            return this.localize(admin, 'reject.access_denied');
+        }
 
-            let wipeReport = `🚨 DATABASE WIPE COMPLETED\n\n`;
-            wipeReport += `🔥 PERMANENT DELETION SUMMARY:\n`;
-            wipeReport += `👥 Members deleted: ${deletionSummary.members}\n`;
-            wipeReport += `🏛️ Groups deleted: ${deletionSummary.groups}\n`;
-            wipeReport += `📨 Messages deleted: ${deletionSummary.messages}\n`;
-            wipeReport += `📎 Media files deleted: ${deletionSummary.mediaFiles}\n`;
-            wipeReport += `📊 Delivery logs deleted: ${deletionSummary.deliveryLogs}\n`;
-            wipeReport += `📈 Analytics deleted: ${deletionSummary.analytics}\n`;
-            wipeReport += `⚡ Performance metrics deleted: ${deletionSummary.performanceMetrics}\n\n`;
-            wipeReport += `📊 Total records deleted: ${totalDeleted}\n`;
-            wipeReport += `⏱️ Operation completed in: ${(durationMs / 1000).toFixed(2)}s\n\n`;
+        const parts = commandText.trim().split(/\s+/);
+        if (parts.length < 2) {
+            return this.localize(admin, 'reject.usage');
+        }
 
-            if (remainingRecords === 0) {
-                wipeReport += `✅ DATABASE IS NOW COMPLETELY EMPTY\n`;
-                wipeReport += `💡 Run setup.js to reinitialize the system\n`;
-                wipeReport += `💡 Add congregation members via setup script`;
-            } else {
-                wipeReport += `⚠️ WARNING: ${remainingRecords} records remain\n`;
-                wipeReport += `💡 Some collections may not have been fully wiped`;
-            }
+        const reason = this.extractScheduledMessage(commandText, 2).trim();
+        const message = await this.dbManager.getPendingApproval(parts[1]);
+        if (!message) {
+            return this.localize(admin, 'approve.not_found', { id: parts[1].toUpperCase() });
+        }
 
-            return wipeReport;
+        const rejected = await this.dbManager.resolvePendingApproval(message._id, 'rejected', {
+            reviewedBy: admin.name,
+            reviewedAt: new Date(),
+            reason: reason || null
+        });
+        if (!rejected) {
+            return this.localize(admin, 'approve.already_reviewed', { id: message.moderation.shortId });
+        }
 
-        } catch (wipeError) {
-            logger.error(`❌ Database wipe failed: ${wipeError.message}`);
-            return `❌ Database wipe failed: ${wipeError.message}\n\n💡 Check database connection and permissions`;
+        const preview = message.originalMessage.length > 60
+            ? `${message.originalMessage.substring(0, 57)}...`
+            : message.originalMessage;
+        const messageSender = await this.getMemberInfo(message.fromPhone);
+        let senderNotice = this.localize(messageSender, 'moderation.rejected', { preview, admin: admin.name });
+        if (reason) {
+            senderNotice += `\n\n${this.localize(messageSender, 'moderation.reason', { reason })}`;
         }
+        await this.sendSMS(message.fromPhone, senderNotice);
+
+        await this.dbManager.recordAnalytic('broadcast_rejected', 1,
+            `Admin: ${admin.name}, Sender: ${message.fromName}, ID: ${message.moderation.shortId}`);
+        await this.recordPerformanceMetric('moderation_reject', Date.now() - startTime, true);
+
+        logger.info(`🗑️ Admin ${admin.name} rejected broadcast ${message.moderation.shortId} from ${message.fromName}`);
+        return this.localize(admin, reason ? 'reject.done_with_reason' : 'reject.done', {
+            id: message.moderation.shortId,
+            name: message.fromName
+        });
 
     } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('database_wipe', durationMs, false, error.message);
-        
-        logger.error(`❌ WIPE command error: ${error.message}`);
-        logger.error(`❌ Stack trace: ${error.stack}`);
-        
-        return "❌ System error occurred during wipe operation.\n\n💡 Check system logs for detailed error information.";
+        await this.recordPerformanceMetric('moderation_reject', Date.now() - startTime, false, error.message);
+        logger.error(`❌ REJECT command error: ${error.message}`);
+        return this.localize(admin, 'reject.failed');
     }
 }
 
+async handlePendingCommand(adminPhone) {
+    logger.info(`🛡️ Admin PENDING command from ${adminPhone}`);
 
-
-// 🔑 ADMIN command - Add new administrators with full control
-async handleAdminCommand(adminPhone, commandText) {
-    const startTime = Date.now();
-    logger.info(`🔑 ADMIN command from ${adminPhone}: ${commandText}`);
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
 
     try {
-        // Verify admin privileges
-        const admin = await this.getMemberInfo(adminPhone);
+        admin = await this.getMemberInfo(adminPhone);
         if (!admin || !admin.isAdmin) {
-            logger.warn(`❌ Non-admin attempted ADMIN command: ${adminPhone}`);
-            return "❌ Access denied. Only church administrators can manage admin privileges.";
+            logger.warn(`❌ Non-admin attempted PENDING command: ${adminPhone}`);
+            return this.localize(admin, 'pending.access_denied');
         }
 
-        // Parse the ADMIN command: "ADMIN +15425636786 DANE"
-        const parts = commandText.trim().split(/\s+/);
-        
-        if (parts.length < 3) {
-            return "❌ Invalid format. Use: ADMIN +1234567890 AdminName\n\n💡 This will:\n• Add person as new admin\n• Grant full administrative control\n• Enable all admin commands (ADD, REMOVE, WIPE, CLEANUP)";
+        const pending = await this.dbManager.getPendingApprovals(10);
+        const joinRequests = await this.dbManager.getPendingJoinRequests(10);
+        if (pending.length === 0 && joinRequests.length === 0) {
+            return this.localize(admin, 'pending.none');
         }
 
-        const [command, phoneNumber, ...nameParts] = parts;
-        const adminName = nameParts.join(' ').trim();
-
-        if (command.toUpperCase() !== 'ADMIN') {
-            return "❌ Command not recognized. Use: ADMIN +1234567890 AdminName";
+        let listMessage = '';
+        if (pending.length > 0) {
+            listMessage += `${this.localize(admin, 'pending.approvals_title', { count: pending.length })}\n\n`;
+            pending.forEach(item => {
+                const preview = item.originalMessage.length > 40
+                    ? item.originalMessage.substring(0, 37) + '...'
+                    : item.originalMessage;
+                listMessage += `🆔 ${item.moderation.shortId} • ${item.fromName} → ${item.targetGroupName || this.localize(admin, 'common.everyone')}\n`;
+                listMessage += `   "${preview}"\n`;
+            });
+            listMessage += `\n${this.localize(admin, 'pending.approvals_hint')}\n\n`;
+        }
+        if (joinRequests.length > 0) {
+            listMessage += `${this.localize(admin, 'pending.joins_title', { count: joinRequests.length })}\n\n`;
+            joinRequests.forEach(item => {
+                listMessage += `🆔 ${item.shortId} • ${item.name} (${item.phoneNumber})\n`;
+            });
+            listMessage += `\n${this.localize(admin, 'pending.joins_hint')}`;
         }
+        return listMessage.trim();
 
-        if (!adminName) {
-            return "❌ Admin name is required. Use: ADMIN +1234567890 AdminName";
+    } catch (error) {
+        logger.error(`❌ PENDING command error: ${error.message}`);
+        return this.localize(admin, 'pending.failed');
+    }
+}
+
+initializeModerationScheduler() {
+    const schedule = require('node-schedule');
+
+    const expiryJob = schedule.scheduleJob('*/10 * * * *', async () => {
+        await this.expirePendingApprovals();
+    });
+
+    if (expiryJob) {
+        logger.info(`✅ Moderation expiry sweep active - every 10 minutes (${config.moderation.expiryHours}h limit)`);
+    } else {
+        logger.error('❌ Failed to initialize moderation expiry sweep');
+    }
+}
+
+async expirePendingApprovals() {
+    try {
+        if (!this.dbManager.isConnected) {
+            return 0;
         }
 
-        // Clean and validate phone number
-        const cleanPhone = this.cleanPhoneNumber(phoneNumber);
-        if (!cleanPhone) {
-            return `❌ Invalid phone number format: ${phoneNumber}.\n💡 Use format: +1234567890`;
+        const expiredMessages = await this.dbManager.getExpiredApprovals();
+        let expiredCount = 0;
+
+        for (const message of expiredMessages) {
+            const expired = await this.dbManager.resolvePendingApproval(message._id, 'expired');
+            if (!expired) {
+                continue;
+            }
+            expiredCount++;
+
+            const preview = message.originalMessage.length > 60
+                ? `${message.originalMessage.substring(0, 57)}...`
+                : message.originalMessage;
+            const messageSender = await this.getMemberInfo(message.fromPhone);
+            await this.sendSMS(message.fromPhone, this.localize(messageSender, 'moderation.expired', {
+                preview,
+                hours: config.moderation.expiryHours
+            }));
+
+            logger.info(`⌛ Broadcast ${message.moderation.shortId} from ${message.fromName} expired without review`);
         }
 
-        // Prevent admin from modifying themselves (though they could add themselves as admin again)
-        if (cleanPhone === this.cleanPhoneNumber(adminPhone)) {
-            return "❌ You cannot modify your own admin status.\n\n💡 Contact another admin if you need to change your permissions.";
+        if (expiredCount > 0) {
+            await this.dbManager.recordAnalytic('broadcast_approval_expired', expiredCount);
         }
+        return expiredCount;
 
-        // Check if person already exists
-        let existingMember = await this.getMemberInfo(cleanPhone);
-        
-        if (existingMember) {
-            // Person exists - check if already admin
-            if (existingMember.isAdmin) {
-                const groupNames = existingMember.groups?.map(g => g.name).join(", ") || "no groups";
-                return `❌ ${existingMember.name} is already an administrator!\n\n📊 Current Status:\n👤 Name: ${existingMember.name}\n📱 Phone: ${cleanPhone}\n🔑 Admin: Yes\n🏛️ Groups: ${groupNames}\n📊 Messages sent: ${existingMember.messageCount}`;
-            } else {
-                // Promote existing member to admin
-                try {
-                    await Member.findByIdAndUpdate(
-                        existingMember.id,
-                        { 
-                            isAdmin: true,
-                            name: adminName, // Update name in case it changed
-                            lastActivity: new Date()
-                        },
-                        { new: true }
-                    );
+    } catch (error) {
+        logger.error(`❌ Moderation expiry sweep error: ${error.message}`);
+        return 0;
+    }
+}
 
-                    // Ensure they're in the leadership group
-                    const leadershipGroup = await this.dbManager.getGroupByName("Church Leadership");
-                    if (leadershipGroup) {
-                        const isInLeadershipGroup = existingMember.groups.some(g => 
-                            g.groupId.toString() === leadershipGroup._id.toString()
-                        );
-                        
-                        if (!isInLeadershipGroup) {
-                            await this.dbManager.addMemberToGroup(existingMember.id, leadershipGroup._id);
-                            logger.info(`✅ Added new admin ${adminName} to Church Leadership group`);
-                        }
-                    }
+// Saved template if there is one, otherwise the built-in default; null for unknown names
+async getMessageTemplate(name) {
+    const templateName = normalizeTemplateName(name);
+    const builtIn = DEFAULT_TEMPLATES[templateName] || null;
+    const saved = templateName && this.dbManager.isConnected
+        ? await this.dbManager.getMessageTemplate(templateName)
+        : null;
 
-                    // ✨ Send admin promotion notification SMS
-                    const promotionMessage = await this.sendAdminPromotionSMS(cleanPhone, adminName, admin.name);
+    if (saved) {
+        return {
+            name: saved.name,
+            body: saved.body,
+            description: saved.description || (builtIn ? builtIn.description : ''),
+            builtIn: Boolean(builtIn),
+            customized: true,
+            updatedBy: saved.updatedBy,
+            updatedAt: saved.updatedAt
+        };
+    }
 
-                    // Log the promotion for audit trail
-                    await this.dbManager.recordAnalytic('member_promoted_to_admin', 1, 
-                        `Promoted by: ${admin.name}, New Admin: ${adminName} (${cleanPhone}), Promotion SMS: ${promotionMessage.success ? 'Sent' : 'Failed'}`);
+    if (builtIn) {
+        return { name: templateName, body: builtIn.body, description: builtIn.description, builtIn: true, customized: false };
+    }
 
-                    const durationMs = Date.now() - startTime;
-                    await this.recordPerformanceMetric('admin_promotion', durationMs, true);
+    return null;
+}
 
-                    logger.info(`✅ Admin ${admin.name} promoted ${adminName} (${cleanPhone}) to administrator`);
+async listMessageTemplates() {
+    const saved = this.dbManager.isConnected ? await this.dbManager.getAllMessageTemplates() : [];
+    const names = new Set([...Object.keys(DEFAULT_TEMPLATES), ...saved.map(template => template.name)]);
 
-                    // Get updated member count
-                    const totalMembers = await this.dbManager.getAllActiveMembers();
-                    const adminCount = totalMembers.filter(m => m.isAdmin).length;
+    const templates = [];
+    for (const name of [...names].sort()) {
+        templates.push(await this.getMessageTemplate(name));
+    }
+    return templates;
+}
 
-                    let successMessage = `🔑 ADMIN PROMOTION SUCCESSFUL!\n\n`;
-                    successMessage += `👤 Name: ${adminName}\n`;
-                    successMessage += `📱 Phone: ${cleanPhone}\n`;
-                    successMessage += `🔑 Status: Administrator (PROMOTED)\n`;
-                    successMessage += `🏛️ Group: Church Leadership\n`;
-                    successMessage += `📊 Total admins: ${adminCount}\n`;
-                    successMessage += `📊 Total members: ${totalMembers.length}\n\n`;
-                    successMessage += `✅ FULL ADMIN PRIVILEGES GRANTED:\n`;
-                    successMessage += `• ADD - Add new congregation members\n`;
-                    successMessage += `• REMOVE - Remove members from system\n`;
-                    successMessage += `• ADMIN - Manage administrator privileges\n`;
-                    successMessage += `• WIPE - Emergency database wipe\n`;
-                    successMessage += `• CLEANUP - Database maintenance\n`;
-                    successMessage += `• Access to all admin endpoints\n\n`;
+async saveMessageTemplate(name, body, updatedBy, description = undefined) {
+    const validationError = validateTemplate(name, body);
+    if (validationError) {
+        throw new Error(validationError);
+    }
 
-                    // Add promotion SMS status to admin response
-                    if (promotionMessage.success) {
-                        successMessage += `📩 Admin promotion SMS sent successfully`;
-                        logger.info(`📩 Admin promotion SMS delivered to ${adminName} (${cleanPhone}): ${promotionMessage.sid}`);
-                    } else {
-                        successMessage += `⚠️ Admin promotion SMS failed: ${promotionMessage.error}`;
-                        logger.warn(`📩 Admin promotion SMS failed to ${adminName} (${cleanPhone}): ${promotionMessage.error}`);
-                    }
+    const templateData = { body: body.trim(), updatedBy };
+    if (description !== undefined) {
+        templateData.description = description;
+    }
+    const saved = await this.dbManager.saveMessageTemplate(normalizeTemplateName(name), templateData);
+    await this.dbManager.recordAnalytic('message_template_saved', 1, `Template: ${saved.name}, By: ${updatedBy}`);
+    return saved;
+}
 
-                    return successMessage;
+// Other languages use a saved "<name>_<language>" template, then the catalog translation, then English
+async renderSystemTemplate(name, fields, language = DEFAULT_LANGUAGE) {
+    let body = null;
+    if (language !== DEFAULT_LANGUAGE) {
+        const saved = this.dbManager.isConnected
+            ? await this.dbManager.getMessageTemplate(`${name}_${language}`)
+            : null;
+        body = saved ? saved.body : getTranslation(language, `template.${name}`);
+    }
+    if (!body) {
+        body = (await this.getMessageTemplate(name)).body;
+    }
+    return renderTemplate(body, { churchName: config.churchName, ...fields });
+}
 
-                } catch (promotionError) {
-                    logger.error(`❌ Failed to promote member to admin: ${promotionError.message}`);
-                    return `❌ Failed to promote ${existingMember.name} to administrator.\n\n💡 Error: ${promotionError.message}`;
-                }
-            }
-        } else {
-            // Person doesn't exist - create new admin member
-            try {
-                // Get the leadership group for new admin
-                const leadershipGroup = await this.dbManager.getGroupByName("Church Leadership");
-                if (!leadershipGroup) {
-                    return "❌ Church Leadership group not found. Run setup.js to initialize groups.";
-                }
+// Send-queue hook for TEMPLATE SEND broadcasts. Resumed jobs only know the phone number.
+async personalizeBroadcast(messageText, job) {
+    let name = job.name;
+    if (!name || name === job.toPhone) {
+        const member = await this.getMemberInfo(job.toPhone);
+        name = member ? member.name : '';
+    }
+    return renderTemplate(messageText, recipientFields(name));
+}
 
-                // Create new admin member
-                const newAdmin = await this.dbManager.createMember({
-                    phoneNumber: cleanPhone,
-                    name: adminName,
-                    isAdmin: true,
-                    active: true,
-                    messageCount: 0,
-                    lastActivity: new Date(),
-                    groups: [{
-                        groupId: leadershipGroup._id,
-                        joinedAt: new Date()
-                    }]
-                });
+async handleTemplateCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`📝 Admin TEMPLATE command from ${adminPhone}: ${commandText.substring(0, 60)}`);
 
-                // ✨ Send admin welcome SMS to new admin
-                const welcomeMessage = await this.sendAdminWelcomeSMS(cleanPhone, adminName, admin.name);
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
 
-                // Log the new admin creation for audit trail
-                await this.dbManager.recordAnalytic('new_admin_created', 1, 
-                    `Created by: ${admin.name}, New Admin: ${adminName} (${cleanPhone}), Welcome SMS: ${welcomeMessage.success ? 'Sent' : 'Failed'}`);
+    try {
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted TEMPLATE command: ${adminPhone}`);
+            return this.localize(admin, 'templates.access_denied');
+        }
 
-                const durationMs = Date.now() - startTime;
-                await this.recordPerformanceMetric('admin_creation', durationMs, true);
+        const parts = commandText.trim().split(/\s+/);
+        const subCommand = parts[1]?.toUpperCase() || 'LIST';
+        const fieldList = Object.keys(MERGE_FIELD_FALLBACKS).map(field => `{${field}}`).join(' ');
+        const usage = this.localize(admin, 'templates.commands', { fields: fieldList });
 
-                logger.info(`✅ Admin ${admin.name} created new administrator: ${adminName} (${cleanPhone})`);
+        if (subCommand !== 'LIST' && !parts[2]) {
+            return `${this.localize(admin, 'templates.usage', { command: subCommand })}\n\n${usage}`;
+        }
 
-                // Get updated counts
-                const totalMembers = await this.dbManager.getAllActiveMembers();
-                const adminCount = totalMembers.filter(m => m.isAdmin).length;
+        switch (subCommand) {
+            case 'LIST': {
+                const templates = await this.listMessageTemplates();
+                let listMessage = `${this.localize(admin, 'templates.list_title', { count: templates.length })}\n\n`;
+                for (const template of templates) {
+                    const label = template.builtIn
+                        ? ` • ${this.localize(admin, template.customized ? 'templates.built_in_edited' : 'templates.built_in')}`
+                        : '';
+                    listMessage += `• ${template.name}${label}\n`;
+                    if (template.description) {
+                        listMessage += `   ${template.description}\n`;
+                    }
+                }
+                listMessage += `\n${this.localize(admin, 'templates.list_hint')}`;
+                return listMessage;
+            }
 
-                let successMessage = `🔑 NEW ADMIN CREATED SUCCESSFULLY!\n\n`;
-                successMessage += `👤 Name: ${adminName}\n`;
-                successMessage += `📱 Phone: ${cleanPhone}\n`;
-                successMessage += `🔑 Status: Administrator (NEW)\n`;
-                successMessage += `🏛️ Group: Church Leadership\n`;
-                successMessage += `📊 Total admins: ${adminCount}\n`;
-                successMessage += `📊 Total members: ${totalMembers.length}\n\n`;
-                successMessage += `✅ FULL ADMIN PRIVILEGES GRANTED:\n`;
-                successMessage += `• ADD - Add new congregation members\n`;
-                successMessage += `• REMOVE - Remove members from system\n`;
-                successMessage += `• ADMIN - Manage administrator privileges\n`;
-                successMessage += `• WIPE - Emergency database wipe\n`;
-                successMessage += `• CLEANUP - Database maintenance\n`;
-                successMessage += `• Access to all admin endpoints\n\n`;
+            case 'SHOW': {
+                const template = await this.getMessageTemplate(parts[2]);
+                if (!template) {
+                    return this.localize(admin, 'templates.not_found', { name: parts[2] });
+                }
+                const label = template.builtIn ? ` (${this.localize(admin, 'templates.built_in')})` : '';
+                return `📝 ${template.name}${label}\n\n${template.body}`;
+            }
 
-                // Add welcome SMS status to admin response
-                if (welcomeMessage.success) {
-                    successMessage += `📩 Admin welcome SMS sent successfully`;
-                    logger.info(`📩 Admin welcome SMS delivered to ${adminName} (${cleanPhone}): ${welcomeMessage.sid}`);
-                } else {
-                    successMessage += `⚠️ Admin welcome SMS failed: ${welcomeMessage.error}`;
-                    logger.warn(`📩 Admin welcome SMS failed to ${adminName} (${cleanPhone}): ${welcomeMessage.error}`);
+            case 'SAVE': {
+                const body = this.extractScheduledMessage(commandText, 3).trim();
+                const validationError = validateTemplate(parts[2], body);
+                if (validationError) {
+                    return this.localize(admin, 'templates.invalid', { error: validationError });
                 }
 
-                return successMessage;
+                const saved = await this.saveMessageTemplate(parts[2], body, admin.name);
 
-            } catch (createError) {
-                // Enhanced error handling for specific MongoDB errors
-                if (createError.code === 11000) {
-                    // Duplicate key error
-                    const duplicateField = createError.keyPattern ? Object.keys(createError.keyPattern)[0] : 'phoneNumber';
-                    return `❌ Phone number already exists in database!\n📱 Number: ${cleanPhone}\n💡 Use a different phone number or check existing members.`;
-                } else if (createError.name === 'ValidationError') {
-                    // Mongoose validation error
-                    const validationErrors = Object.values(createError.errors).map(err => err.message).join(', ');
-                    return `❌ Validation error: ${validationErrors}`;
-                } else {
-                    // Other database errors
-                    logger.error(`❌ Database error creating admin: ${createError.message}`);
-                    return `❌ Database error: Unable to create admin. Please try again or contact tech support.`;
-                }
+                await this.recordPerformanceMetric('template_command', Date.now() - startTime, true);
+                logger.info(`✅ Admin ${admin.name} saved template ${saved.name}`);
+                return this.localize(admin, 'templates.saved', { name: saved.name, length: saved.body.length });
             }
-        }
 
-    } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('admin_command', durationMs, false, error.message);
-        
-        logger.error(`❌ ADMIN command error: ${error.message}`);
-        logger.error(`❌ Stack trace: ${error.stack}`);
-        
-        // Provide more specific error information
-        if (error.name === 'MongoNetworkError') {
-            return "❌ Database connection error. Please try again in a moment.";
-        } else if (error.name === 'MongoServerError' && error.code === 11000) {
-            return "❌ Admin with this phone number already exists in the system.";
-        } else {
-            return "❌ System error occurred while managing admin privileges.\n\n💡 Tech team has been notified.";
-        }
-    }
-}
+            case 'DELETE': {
+                const templateName = normalizeTemplateName(parts[2]);
+                const deleted = await this.dbManager.deleteMessageTemplate(templateName);
+                if (isBuiltInTemplate(templateName)) {
+                    await this.dbManager.recordAnalytic('message_template_reset', 1, `Template: ${templateName}, By: ${admin.name}`);
+                    return this.localize(admin, deleted ? 'templates.restored' : 'templates.already_default', { name: templateName });
+                }
+                if (!deleted) {
+                    return this.localize(admin, 'templates.delete_not_found', { name: parts[2] });
+                }
 
+                await this.dbManager.recordAnalytic('message_template_deleted', 1, `Template: ${templateName}, By: ${admin.name}`);
+                logger.info(`🗑️ Admin ${admin.name} deleted template ${templateName}`);
+                return this.localize(admin, 'templates.deleted', { name: templateName });
+            }
 
+            case 'SEND': {
+                const template = await this.getMessageTemplate(parts[2]);
+                if (!template) {
+                    return this.localize(admin, 'templates.not_found', { name: parts[2] });
+                }
 
+                const groupTarget = parts[3] && parts[3].startsWith('@') ? parts[3] : null;
+                const messageText = groupTarget ? `${groupTarget} ${template.body}` : template.body;
 
-// ✨ NEW METHOD: Send admin promotion SMS
-async sendAdminPromotionSMS(adminPhone, adminName, promoterName) {
-    const startTime = Date.now();
-    logger.info(`📩 Sending admin promotion SMS to: ${adminName} (${adminPhone})`);
+                await this.dbManager.recordAnalytic('message_template_sent', 1,
+                    `Template: ${template.name}, By: ${admin.name}, Target: ${groupTarget || 'everyone'}`);
+                logger.info(`📝 Admin ${admin.name} sending template ${template.name} to ${groupTarget || 'everyone'}`);
 
-    try {
-        // Create a personalized admin promotion message
-        const promotionMessage = this.createAdminPromotionMessage(adminName, promoterName);
-        
-        // Send the promotion SMS
-        const result = await this.sendSMS(adminPhone, promotionMessage, 2); // 2 retries for admin messages
-        
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('admin_promotion_sms', durationMs, result.success);
+                return await this.broadcastMessage(adminPhone, messageText, null, { templateName: template.name });
+            }
 
-        if (result.success) {
-            // Log successful promotion SMS
-            await this.dbManager.recordAnalytic('admin_promotion_sms_sent', 1, 
-                `New Admin: ${adminName} (${adminPhone}), Promoted by: ${promoterName}`);
-            
-            logger.info(`✅ Admin promotion SMS sent to ${adminName}: ${result.sid}`);
-            return {
-                success: true,
-                sid: result.sid,
-                message: "Admin promotion SMS sent successfully"
-            };
-        } else {
-            // Log failed promotion SMS
-            await this.dbManager.recordAnalytic('admin_promotion_sms_failed', 1, 
-                `New Admin: ${adminName} (${adminPhone}), Error: ${result.error}`);
-            
-            logger.error(`❌ Admin promotion SMS failed to ${adminName}: ${result.error}`);
-            return {
-                success: false,
-                error: result.error,
-                message: "Admin promotion SMS delivery failed"
-            };
+            default:
+                return `${this.localize(admin, 'templates.unknown', { command: subCommand })}\n\n${usage}`;
         }
 
     } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('admin_promotion_sms', durationMs, false, error.message);
-        
-        logger.error(`❌ Admin promotion SMS system error for ${adminName}: ${error.message}`);
-        return {
-            success: false,
-            error: error.message,
-            message: "Admin promotion SMS system error"
-        };
+        await this.recordPerformanceMetric('template_command', Date.now() - startTime, false, error.message);
+        logger.error(`❌ TEMPLATE command error: ${error.message}`);
+        return this.localize(admin, 'templates.failed');
     }
 }
 
-
-
-// ✨ NEW METHOD: Send admin welcome SMS for new admin creation
-async sendAdminWelcomeSMS(adminPhone, adminName, creatorName) {
+// POLL question | option | option... broadcasts a numbered poll; POLL RESULTS / POLL CLOSE report on it
+async handlePollCommand(adminPhone, commandText) {
     const startTime = Date.now();
-    logger.info(`📩 Sending admin welcome SMS to new admin: ${adminName} (${adminPhone})`);
+    logger.info(`📊 Admin POLL command from ${adminPhone}: ${commandText.substring(0, 60)}`);
 
-    try {
-        // Create a personalized admin welcome message
-        const welcomeMessage = this.createAdminWelcomeMessage(adminName, creatorName);
-        
-        // Send the welcome SMS
-        const result = await this.sendSMS(adminPhone, welcomeMessage, 2); // 2 retries for admin messages
-        
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('admin_welcome_sms', durationMs, result.success);
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
 
-        if (result.success) {
-            // Log successful welcome SMS
-            await this.dbManager.recordAnalytic('admin_welcome_sms_sent', 1, 
-                `New Admin: ${adminName} (${adminPhone}), Created by: ${creatorName}`);
-            
-            logger.info(`✅ Admin welcome SMS sent to ${adminName}: ${result.sid}`);
-            return {
-                success: true,
-                sid: result.sid,
-                message: "Admin welcome SMS sent successfully"
-            };
-        } else {
-            // Log failed welcome SMS
-            await this.dbManager.recordAnalytic('admin_welcome_sms_failed', 1, 
-                `New Admin: ${adminName} (${adminPhone}), Error: ${result.error}`);
-            
-            logger.error(`❌ Admin welcome SMS failed to ${adminName}: ${result.error}`);
-            return {
-                success: false,
-                error: result.error,
-                message: "Admin welcome SMS delivery failed"
-            };
+    try {
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted POLL command: ${adminPhone}`);
+            return this.localize(admin, 'poll.access_denied');
         }
 
-    } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('admin_welcome_sms', durationMs, false, error.message);
-        
-        logger.error(`❌ Admin welcome SMS system error for ${adminName}: ${error.message}`);
-        return {
-            success: false,
-            error: error.message,
-            message: "Admin welcome SMS system error"
-        };
-    }
-}
+        const usage = this.localize(admin, 'poll.commands');
+        const subCommand = commandText.trim().split(/\s+/)[1]?.toUpperCase() || '';
 
+        if (subCommand === 'RESULTS' || subCommand === 'CLOSE') {
+            const poll = subCommand === 'CLOSE'
+                ? await this.dbManager.getOpenPoll()
+                : await this.dbManager.getLatestPoll();
+            if (!poll) {
+                return subCommand === 'CLOSE'
+                    ? this.localize(admin, 'poll.none_open')
+                    : `${this.localize(admin, 'poll.none')}\n\n${usage}`;
+            }
 
+            if (subCommand === 'CLOSE') {
+                await this.dbManager.closeOpenPolls(admin.name);
+                poll.status = 'closed';
+                await this.dbManager.recordAnalytic('poll_closed', 1, `Poll: ${poll._id}, By: ${admin.name}`);
+                logger.info(`📊 Admin ${admin.name} closed poll ${poll._id}`);
+            }
 
-// 🔧 IMMEDIATE FIX: Replace these two methods in your app.js file
-// Find these methods in your ProductionChurchSMS class and replace them
+            await this.recordPerformanceMetric('poll_command', Date.now() - startTime, true);
+            return await this.formatPollResults(poll, admin);
+        }
 
-// Method 1: Replace createAdminPromotionMessage
-createAdminPromotionMessage(adminName, promoterName) {
-    const promotionMessage = `🔑 ADMIN PRIVILEGES GRANTED
+        const [question, ...options] = this.extractScheduledMessage(commandText, 1)
+            .split('|')
+            .map(part => part.trim());
+        const choices = options.filter(Boolean);
 
-${adminName}, you've been promoted to Church Administrator by ${promoterName}.
+        if (!question || choices.length < 2) {
+            return `${this.localize(admin, 'poll.usage')}\n\n${usage}`;
+        }
+        if (choices.length > MAX_POLL_OPTIONS) {
+            return this.localize(admin, 'poll.too_many_options', { max: MAX_POLL_OPTIONS });
+        }
 
-🔑 YOUR ADMIN COMMANDS:
-• ADD +1234567890 Name (add members)
-• REMOVE +1234567890 Name (remove members)  
-• ADMIN +1234567890 Name (grant admin)
-• WIPE CONFIRM (emergency reset)
-• CLEANUP STATUS (system health)
+        // "@YOUTH Coming Saturday?" polls one group; only its members' votes count
+        let targetGroup = null;
+        let questionText = question;
+        const groupPrefix = this.parseGroupPrefix(question);
+        if (groupPrefix) {
+            targetGroup = await this.dbManager.getGroupByKeyword(groupPrefix.keyword);
+            if (!targetGroup) {
+                return await this.groupNotFoundReply(admin, `@${groupPrefix.keyword}`);
+            }
+            questionText = groupPrefix.body;
+            if (!questionText) {
+                return this.localize(admin, 'poll.question_required', { keyword: groupPrefix.keyword });
+            }
+        }
 
-⚠️ RESPONSIBILITIES:
-• All commands are logged
-• Coordinate with other admins
-• Use WIPE only in emergencies
+        // Only one poll takes votes at a time, so a new poll closes the previous one
+        const closedCount = await this.dbManager.closeOpenPolls(admin.name);
 
-Send "HELP" for full command list.
+        const poll = await this.dbManager.createPoll({
+            question: questionText,
+            options: choices,
+            createdByPhone: adminPhone,
+            createdByName: admin.name,
+            targetGroupId: targetGroup ? targetGroup._id : null,
+            targetGroupName: targetGroup ? targetGroup.name : null
+        });
 
-Welcome to the admin team!
-- YesuWay Church Leadership`;
+        await this.dbManager.recordAnalytic('poll_created', choices.length,
+            `Poll: ${poll._id}, By: ${admin.name}, Target: ${targetGroup ? targetGroup.name : 'everyone'}`);
+        logger.info(`📊 Admin ${admin.name} opened poll ${poll._id}: "${questionText}" (${choices.length} options)`);
 
-    return promotionMessage;
-}
+        let pollText = `POLL: ${questionText}\n`;
+        pollText += choices.map((choice, index) => `${index + 1}. ${choice}`).join('\n');
+        pollText += `\n\nReply with the number of your choice.`;
 
-// Method 2: Replace createAdminWelcomeMessage  
-createAdminWelcomeMessage(adminName, creatorName) {
-    const welcomeMessage = `🏛️ YESUWAY CHURCH ADMIN
+        const confirmation = await this.broadcastMessage(adminPhone,
+            targetGroup ? `@${groupPrefix.keyword} ${pollText}` : pollText);
 
-Welcome ${adminName}!
+        await this.recordPerformanceMetric('poll_command', Date.now() - startTime, true);
 
-${creatorName} added you as Church Administrator.
+        let reply = `${this.localize(admin, 'poll.opened', { count: choices.length })}\n`;
+        if (closedCount > 0) {
+            reply += `${this.localize(admin, 'poll.previous_closed')}\n`;
+        }
+        reply += this.localize(admin, 'poll.opened_hint');
+        return confirmation ? `${reply}\n\n${confirmation}` : reply;
 
-🔑 ADMIN COMMANDS:
-• ADD +1234567890 Name (add members)
-• REMOVE +1234567890 Name (remove members)
-• ADMIN +1234567890 Name (grant admin privileges)
-• WIPE CONFIRM (emergency database reset)
-• CLEANUP STATUS (check system health)
+    } catch (error) {
+        await this.recordPerformanceMetric('poll_command', Date.now() - startTime, false, error.message);
+        logger.error(`❌ POLL command error: ${error.message}`);
+        return this.localize(admin, 'poll.failed');
+    }
+}
 
-⚠️ ADMIN RESPONSIBILITIES:
-• Protect member privacy
-• All actions are logged
-• Coordinate with other admins
-• WIPE destroys ALL data permanently
+async formatPollResults(poll, admin) {
+    const counts = await this.dbManager.getPollVoteCounts(poll._id);
+    const totalVotes = Object.values(counts).reduce((sum, count) => sum + count, 0);
 
-📱 GETTING STARTED:
-1. Send "HELP" for full commands
-2. Send "CLEANUP STATUS" for system check
-3. Contact ${creatorName} with questions
+    let results = `${this.localize(admin, poll.status === 'open' ? 'poll.results_open' : 'poll.results_closed')}\n`;
+    results += `❓ ${poll.question}\n`;
+    if (poll.targetGroupName) {
+        results += `👥 ${poll.targetGroupName}\n`;
+    }
+    results += `\n`;
 
-Welcome to the admin team!
-- YesuWay Church Leadership`;
+    poll.options.forEach((option, index) => {
+        const count = counts[index] || 0;
+        const percent = totalVotes > 0 ? Math.round(count / totalVotes * 100) : 0;
+        results += `${index + 1}. ${option} - ${count} (${percent}%)\n`;
+    });
 
-    return welcomeMessage;
+    results += `\n${this.localize(admin, 'poll.votes', { count: totalVotes })}`;
+    return results;
 }
 
+// The open poll, if this member is in its audience
+async findPollForVoter(member) {
+    if (!this.dbManager.isConnected) {
+        return null;
+    }
 
+    const poll = await this.dbManager.getOpenPoll();
+    if (!poll) {
+        return null;
+    }
+    if (poll.targetGroupId && !member.isAdmin && !this.isMemberOfGroup(member, poll.targetGroupId)) {
+        return null;
+    }
+    return poll;
+}
 
+async handlePollVote(fromPhone, member, poll, choice) {
+    const startTime = Date.now();
 
+    try {
+        if (choice > poll.options.length) {
+            return await this.replyToSender(member, fromPhone,
+                this.localize(member, 'poll.invalid_choice', { max: poll.options.length }));
+        }
 
-// Ultra-short promotion message (around 500 characters)
-createShortAdminPromotionMessage(adminName, promoterName) {
-    return `🔑 ADMIN PROMOTION
+        const previousVote = await this.dbManager.recordPollVote(poll._id, {
+            memberId: member.id,
+            voterPhone: fromPhone,
+            voterName: member.name,
+            optionIndex: choice - 1
+        });
 
-${adminName}, you're now a Church Administrator!
+        await this.dbManager.recordAnalytic('poll_vote', 1, `Poll: ${poll._id}, Member: ${member.name}, Choice: ${choice}`);
+        await this.recordPerformanceMetric('poll_vote', Date.now() - startTime, true);
+        logger.info(`🗳️ ${member.name} voted ${choice} in poll ${poll._id}${previousVote ? ' (changed)' : ''}`);
 
-Promoted by: ${promoterName}
+        const option = `${choice}. ${poll.options[choice - 1]}`;
+        return await this.replyToSender(member, fromPhone,
+            this.localize(member, previousVote ? 'poll.vote_changed' : 'poll.vote_recorded', { option }));
 
-🔑 YOUR COMMANDS:
-• ADD +1234567890 Name
-• REMOVE +1234567890 Name  
-• ADMIN +1234567890 Name
-• WIPE CONFIRM
-• CLEANUP STATUS
+    } catch (error) {
+        await this.recordPerformanceMetric('poll_vote', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Poll vote error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'poll.vote_failed'));
+    }
+}
 
-Send "HELP" for details.
+// 📅 EVENT command - create events with RSVP, list them, see who is coming, cancel
+async handleEventCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`📅 Admin EVENT command from ${adminPhone}: ${commandText.substring(0, 60)}`);
 
-Welcome to the admin team!
-- YesuWay Church`;
-}
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
 
-// Ultra-short welcome message (around 600 characters)
-createShortAdminWelcomeMessage(adminName, creatorName) {
-    return `🏛️ YESUWAY CHURCH ADMIN
+    try {
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted EVENT command: ${adminPhone}`);
+            return this.localize(admin, 'event.access_denied');
+        }
 
-Welcome ${adminName}!
+        if (!this.dbManager.isConnected) {
+            return this.localize(admin, 'event.unavailable');
+        }
 
-Added by: ${creatorName}
+        const usage = this.localize(admin, 'event.commands');
+        const tokens = commandText.trim().split(/\s+/);
+        const subCommand = tokens[1]?.toUpperCase() || '';
 
-🔑 ADMIN COMMANDS:
-• ADD +1234567890 Name
-• REMOVE +1234567890 Name
-• ADMIN +1234567890 Name
-• WIPE CONFIRM (⚠️ DANGER)
-• CLEANUP STATUS
+        if (subCommand === 'LIST') {
+            const events = await this.dbManager.getUpcomingEvents(10);
+            await this.recordPerformanceMetric('event_command', Date.now() - startTime, true);
+            if (events.length === 0) {
+                return `${this.localize(admin, 'event.none')}\n\n${usage}`;
+            }
 
-⚠️ All actions logged
-⚠️ WIPE destroys ALL data
+            let reply = `${this.localize(admin, 'event.list_title', { count: events.length })}\n\n`;
+            for (const event of events) {
+                const counts = await this.dbManager.getEventRsvpCounts(event._id);
+                reply += `🆔 ${event.shortId} - ${event.title}\n`;
+                reply += `📅 ${this.formatScheduleTime(event.startsAt, admin)}${event.targetGroupName ? ` • 👥 ${event.targetGroupName}` : ''}\n`;
+                reply += `${this.localize(admin, 'event.rsvp_counts', counts)}\n\n`;
+            }
+            reply += this.localize(admin, 'event.list_hint');
+            return reply;
+        }
 
-Send "HELP" for full guide.
+        if (subCommand === 'RSVPS' || subCommand === 'CANCEL') {
+            const shortId = tokens[2];
+            if (!shortId) {
+                return this.localize(admin, 'event.id_required', { command: subCommand });
+            }
 
-Welcome to leadership!
-- YesuWay Church`;
-}
+            const event = await this.dbManager.getEventByShortId(shortId);
+            if (!event) {
+                return this.localize(admin, 'event.unknown_id', { id: shortId.toUpperCase() });
+            }
 
-async getCleanupStatus() {
-    try {
-        // Find duplicates
-        const duplicates = await Member.aggregate([
-            { $group: { _id: "$phoneNumber", count: { $sum: 1 }, docs: { $push: "$$ROOT" } } },
-            { $match: { count: { $gt: 1 } } }
-        ]);
+            if (subCommand === 'RSVPS') {
+                await this.recordPerformanceMetric('event_command', Date.now() - startTime, true);
+                return await this.formatEventRsvps(event, admin);
+            }
 
-        // Count inactive members
-        const inactiveCount = await Member.countDocuments({ active: false });
-        
-        // Count orphaned data
-        const orphanedMessages = await BroadcastMessage.countDocuments({
-            fromPhone: { $nin: await Member.distinct('phoneNumber') }
-        });
+            if (event.status === 'cancelled') {
+                return this.localize(admin, 'event.already_cancelled', { id: event.shortId });
+            }
 
-        let status = `🧹 DATABASE CLEANUP STATUS\n\n`;
-        status += `📊 Duplicate phone numbers: ${duplicates.length}\n`;
-        status += `👻 Inactive members: ${inactiveCount}\n`;
-        status += `📨 Orphaned messages: ${orphanedMessages}\n\n`;
+            await this.cancelChurchEvent(event, admin.name);
+            const confirmation = await this.announceEventCancellation(event, adminPhone);
+            await this.recordPerformanceMetric('event_command', Date.now() - startTime, true);
 
-        if (duplicates.length > 0) {
-            status += `⚠️ DUPLICATES FOUND:\n`;
-            duplicates.slice(0, 5).forEach(dup => {
-                status += `📱 ${dup._id}: ${dup.count} copies\n`;
-            });
-            if (duplicates.length > 5) {
-                status += `... and ${duplicates.length - 5} more\n`;
+            const reply = this.localize(admin, 'event.cancelled', { id: event.shortId, title: event.title });
+            return confirmation ? `${reply}\n\n${confirmation}` : reply;
+        }
+
+        // "EVENT @YOUTH SAT 6PM ..." invites one group; its members are the only ones reminded
+        let targetGroup = null;
+        let whenIndex = 1;
+        const groupPrefix = tokens[1] ? this.parseGroupPrefix(tokens[1]) : null;
+        if (groupPrefix) {
+            targetGroup = await this.dbManager.getGroupByKeyword(groupPrefix.keyword);
+            if (!targetGroup) {
+                return await this.groupNotFoundReply(admin, `@${groupPrefix.keyword}`);
             }
-            status += `\n💡 Use: CLEANUP DUPLICATES to fix\n`;
+            whenIndex = 2;
         }
 
-        if (inactiveCount > 0) {
-            status += `\n👻 ${inactiveCount} inactive members taking up space\n`;
-            status += `💡 Use: CLEANUP ORPHANED to remove\n`;
+        const parsedTime = this.parseScheduleTime(tokens.slice(whenIndex));
+        if (!parsedTime) {
+            return `${this.localize(admin, 'event.bad_time')}\n\n${usage}`;
         }
 
-        return status;
+        const [title, location, ...details] = this.extractScheduledMessage(commandText, whenIndex + parsedTime.consumed)
+            .split('|')
+            .map(part => part.trim());
+        if (!title) {
+            return `${this.localize(admin, 'event.title_required')}\n\n${usage}`;
+        }
+        if (parsedTime.date.getTime() <= Date.now()) {
+            return this.localize(admin, 'event.in_past', { when: this.formatScheduleTime(parsedTime.date, admin) });
+        }
+
+        const event = await this.createChurchEvent({
+            title,
+            startsAt: parsedTime.date,
+            location: location || undefined,
+            description: details.filter(Boolean).join(' | ') || undefined,
+            targetGroup,
+            createdByPhone: this.cleanPhoneNumber(adminPhone),
+            createdByName: admin.name
+        });
+        const confirmation = await this.sendEventInvitation(event, targetGroup);
+
+        await this.recordPerformanceMetric('event_command', Date.now() - startTime, true);
+
+        let reply = `${this.localize(admin, 'event.created', {
+            id: event.shortId,
+            when: this.formatScheduleTime(event.startsAt, admin)
+        })}\n`;
+        if (event.location) {
+            reply += `${this.localize(admin, 'event.where', { location: event.location })}\n`;
+        }
+        const reminders = config.eventReminderHours.filter(hours => !event.remindersSent.includes(hours));
+        reply += reminders.length > 0
+            ? this.localize(admin, 'event.reminders', { hours: reminders.map(hours => `${hours}h`).join(', ') })
+            : this.localize(admin, 'event.no_reminders');
+        reply += `\n\n${this.localize(admin, 'event.created_hint', { id: event.shortId })}`;
+        return confirmation ? `${reply}\n\n${confirmation}` : reply;
 
     } catch (error) {
-        logger.error(`❌ Error getting cleanup status: ${error.message}`);
-        return "❌ Error checking cleanup status";
+        await this.recordPerformanceMetric('event_command', Date.now() - startTime, false, error.message);
+        logger.error(`❌ EVENT command error: ${error.message}`);
+        return this.localize(admin, 'event.failed');
     }
 }
 
-async cleanupDuplicates() {
-    try {
-        const duplicates = await Member.aggregate([
-            { $group: { _id: "$phoneNumber", count: { $sum: 1 }, docs: { $push: "$$ROOT" } } },
-            { $match: { count: { $gt: 1 } } }
-        ]);
-
-        if (duplicates.length === 0) {
-            return "✅ No duplicate phone numbers found";
-        }
+async formatEventRsvps(event, admin) {
+    const rsvps = await this.dbManager.getEventRsvps(event._id);
 
-        let deletedCount = 0;
-        let keptCount = 0;
-        let results = `🧹 CLEANING UP ${duplicates.length} DUPLICATE PHONE NUMBERS\n\n`;
+    const cancelled = event.status === 'cancelled' ? ` - ${this.localize(admin, 'event.cancelled_label')}` : '';
+    let reply = `📅 ${event.title} (${event.shortId})${cancelled}\n`;
+    reply += `📅 ${this.formatScheduleTime(event.startsAt, admin)}\n`;
+    if (event.targetGroupName) {
+        reply += `👥 ${event.targetGroupName}\n`;
+    }
 
-        for (const duplicate of duplicates) {
-            // Keep the oldest active member, or just the oldest if none are active
-            const activeDocs = duplicate.docs.filter(doc => doc.active);
-            const keepDoc = activeDocs.length > 0 
-                ? activeDocs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0]
-                : duplicate.docs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
-            
-            const toDelete = duplicate.docs.filter(doc => doc._id.toString() !== keepDoc._id.toString());
-            
-            results += `📱 ${duplicate._id}: Keeping ${keepDoc.name}, deleting ${toDelete.length}\n`;
-            
-            // Delete the duplicates
-            for (const doc of toDelete) {
-                await Member.findByIdAndDelete(doc._id);
-                deletedCount++;
-            }
-            keptCount++;
-        }
+    for (const response of ['yes', 'maybe', 'no']) {
+        const names = rsvps.filter(rsvp => rsvp.response === response).map(rsvp => rsvp.name || rsvp.phone);
+        const label = this.localize(admin, `event.rsvps_${response}`, { count: names.length });
+        reply += `\n${label}${names.length > 0 ? `: ${names.join(', ')}` : ''}`;
+    }
+    return reply;
+}
 
-        results += `\n✅ CLEANUP COMPLETE:\n`;
-        results += `🗑️ Deleted: ${deletedCount} duplicates\n`;
-        results += `✅ Kept: ${keptCount} members\n`;
-        results += `💡 All phone numbers are now unique`;
+// Shared by the EVENT command and POST /api/v1/events. Reminders whose time has already passed
+// are marked sent up front - the invitation covers them.
+async createChurchEvent({ title, startsAt, endsAt, location, description, targetGroup = null, createdByPhone, createdByName }) {
+    const now = Date.now();
+    const event = await this.dbManager.createEvent({
+        shortId: uuidv4().replace(/-/g, '').substring(0, 6).toUpperCase(),
+        title,
+        startsAt,
+        endsAt,
+        location,
+        description,
+        targetGroupId: targetGroup ? targetGroup._id : null,
+        targetGroupName: targetGroup ? targetGroup.name : null,
+        createdByPhone,
+        createdByName,
+        remindersSent: config.eventReminderHours.filter(hours => startsAt.getTime() - hours * 60 * 60 * 1000 <= now)
+    });
 
-        await this.dbManager.recordAnalytic('duplicates_cleaned', deletedCount, `Deleted ${deletedCount} duplicates, kept ${keptCount}`);
+    this.armEventReminders(event);
 
-        return results;
+    await this.dbManager.recordAnalytic('event_created', 1,
+        `Event: ${event.shortId}, By: ${createdByName}, Target: ${targetGroup ? targetGroup.name : 'everyone'}`);
+    logger.info(`📅 ${createdByName} created event ${event.shortId}: "${title}" at ${startsAt.toISOString()}`);
+    return event;
+}
 
-    } catch (error) {
-        logger.error(`❌ Error cleaning duplicates: ${error.message}`);
-        return `❌ Error cleaning duplicates: ${error.message}`;
+// Broadcasts the invitation from the event's creator; returns broadcastMessage's confirmation
+async sendEventInvitation(event, targetGroup = null) {
+    let invitation = `EVENT: ${event.title}\nWhen: ${this.formatScheduleTime(event.startsAt)}\n`;
+    if (event.location) {
+        invitation += `Where: ${event.location}\n`;
     }
+    if (event.description) {
+        invitation += `\n${event.description}\n`;
+    }
+    invitation += `\nReply YES, NO or MAYBE to RSVP (event code ${event.shortId}).`;
+
+    const confirmation = await this.broadcastMessage(event.createdByPhone,
+        targetGroup ? `@${this.getGroupKeyword(targetGroup)} ${invitation}` : invitation);
+
+    await this.dbManager.updateEvent(event._id, { invitationSentAt: new Date() });
+    event.invitationSentAt = new Date();
+    return confirmation;
 }
 
-async cleanupPhone(phoneInput) {
-    try {
-        const cleanPhone = this.cleanPhoneNumber(phoneInput);
-        if (!cleanPhone) {
-            return `❌ Invalid phone number: ${phoneInput}`;
-        }
-        
-        // Find all members with this phone (any format)
-        const phoneDigits = cleanPhone.replace(/\D/g, '');
-        const formats = [
-            cleanPhone,
-            phoneInput,
-            phoneDigits,
-            `+1${phoneDigits}`,
-            `+${phoneDigits}`,
-            `1${phoneDigits}`
-        ];
+async cancelChurchEvent(event, cancelledByName) {
+    const cancellation = { status: 'cancelled', cancelledAt: new Date(), cancelledBy: cancelledByName };
+    this.disarmEventReminders(event._id);
+    await this.dbManager.updateEvent(event._id, cancellation);
+    Object.assign(event, cancellation);
 
-        const members = await Member.find({ phoneNumber: { $in: formats } });
-        
-        if (members.length === 0) {
-            return `❌ No members found with phone: ${cleanPhone}`;
-        }
+    await this.dbManager.recordAnalytic('event_cancelled', 1, `Event: ${event.shortId}, By: ${cancelledByName}`);
+    logger.info(`🚫 ${cancelledByName} cancelled event ${event.shortId}`);
+}
 
-        // Delete all members with this phone
-        const memberIds = members.map(m => m._id);
-        const phoneNumbers = members.map(m => m.phoneNumber);
+// Only events whose invitation went out are announced as cancelled; returns the broadcast confirmation
+async announceEventCancellation(event, fromPhone) {
+    if (!event.invitationSentAt || event.startsAt.getTime() <= Date.now()) {
+        return null;
+    }
 
-        await Member.deleteMany({ _id: { $in: memberIds } });
-        await BroadcastMessage.deleteMany({ fromPhone: { $in: phoneNumbers } });
-        await DeliveryLog.deleteMany({ toPhone: { $in: phoneNumbers } });
+    const notice = `CANCELLED: ${event.title} (${this.formatScheduleTime(event.startsAt)}) will not take place.`;
+    const group = event.targetGroupId ? await this.dbManager.getGroupById(event.targetGroupId) : null;
+    return await this.broadcastMessage(fromPhone, group ? `@${this.getGroupKeyword(group)} ${notice}` : notice);
+}
 
-        let result = `✅ COMPLETELY REMOVED ALL DATA FOR: ${cleanPhone}\n\n`;
-        result += `🗑️ Deleted members: ${members.length}\n`;
-        members.forEach((member, index) => {
-            const status = member.active ? 'Active' : 'Inactive';
-            const admin = member.isAdmin ? ' [ADMIN]' : '';
-            result += `${index + 1}. ${member.name}${admin} (${status})\n`;
-        });
-        result += `\n✅ Phone number ${cleanPhone} is now completely available\n`;
-        result += `💡 You can now ADD a new member with this phone number`;
+// The event an RSVP answers: the one named by its code, otherwise the next invited event the member is part of
+async findEventForRsvp(member, shortId) {
+    if (!this.dbManager.isConnected) {
+        return null;
+    }
 
-        return result;
+    const inAudience = event => !event.targetGroupId || member.isAdmin || this.isMemberOfGroup(member, event.targetGroupId);
 
-    } catch (error) {
-        logger.error(`❌ Error cleaning phone: ${error.message}`);
-        return `❌ Error cleaning phone: ${error.message}`;
+    if (shortId) {
+        const event = await this.dbManager.getEventByShortId(shortId);
+        const isOpen = event && event.status === 'scheduled' && event.startsAt.getTime() > Date.now();
+        return isOpen && inAudience(event) ? event : null;
     }
+
+    const upcoming = await this.dbManager.getUpcomingEvents();
+    return upcoming.find(event => event.invitationSentAt && inAudience(event)) || null;
 }
 
-async cleanupOrphanedData() {
+async handleEventRsvp(fromPhone, member, event, response) {
+    const startTime = Date.now();
+
     try {
-        const activePhones = await Member.distinct('phoneNumber', { active: true });
-        
-        // Remove inactive members completely
-        const inactiveResult = await Member.deleteMany({ active: false });
-        
-        // Remove orphaned messages
-        const messagesResult = await BroadcastMessage.deleteMany({
-            fromPhone: { $nin: activePhones }
-        });
-        
-        // Remove orphaned delivery logs
-        const deliveryResult = await DeliveryLog.deleteMany({
-            toPhone: { $nin: activePhones }
+        const previousRsvp = await this.dbManager.recordEventRsvp(event._id, {
+            memberId: member.id,
+            phone: fromPhone,
+            name: member.name,
+            response
         });
 
-        let result = `🧹 ORPHANED DATA CLEANUP COMPLETE\n\n`;
-        result += `👻 Removed inactive members: ${inactiveResult.deletedCount}\n`;
-        result += `📨 Removed orphaned messages: ${messagesResult.deletedCount}\n`;
-        result += `📊 Removed orphaned delivery logs: ${deliveryResult.deletedCount}\n\n`;
-        result += `✅ Database is now clean and optimized`;
+        await this.dbManager.recordAnalytic('event_rsvp', 1, `Event: ${event.shortId}, Member: ${member.name}, Response: ${response}`);
+        await this.recordPerformanceMetric('event_rsvp', Date.now() - startTime, true);
+        logger.info(`📅 ${member.name} answered ${response.toUpperCase()} for event ${event.shortId}${previousRsvp ? ` (was ${previousRsvp.response.toUpperCase()})` : ''}`);
 
-        return result;
+        const when = formatLocalTime(event.startsAt, this.getMemberTimeZone(member), {}, languageLocale(languageOf(member)));
+        return await this.replyToSender(member, fromPhone,
+            this.localize(member, `event.rsvp_${response}`, { title: event.title, when }));
 
     } catch (error) {
-        logger.error(`❌ Error cleaning orphaned data: ${error.message}`);
-        return `❌ Error cleaning orphaned data: ${error.message}`;
+        await this.recordPerformanceMetric('event_rsvp', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Event RSVP error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'event.rsvp_failed'));
     }
 }
 
+// One node-schedule job per reminder still to send (EVENT_REMINDER_HOURS)
+armEventReminders(event) {
+    const eventId = event._id.toString();
+    this.disarmEventReminders(eventId);
 
+    let armed = 0;
+    for (const hoursBefore of config.eventReminderHours) {
+        if ((event.remindersSent || []).includes(hoursBefore)) {
+            continue;
+        }
 
+        const jobKey = `${eventId}_${hoursBefore}`;
+        const remindAt = new Date(event.startsAt.getTime() - hoursBefore * 60 * 60 * 1000);
+        const job = schedule.scheduleJob(remindAt, async () => {
+            this.eventJobs.delete(jobKey);
+            await this.sendEventReminder(event._id, hoursBefore);
+        });
 
-// COMPLETE FIXED handleIncomingMessage METHOD
-// Replace your existing handleIncomingMessage method in app.js with this
-// UPDATED handleIncomingMessage - Add debugging
-async handleIncomingMessage(fromPhone, messageBody, mediaUrls) {
-    logger.info(`📨 ENHANCED: Incoming message from ${fromPhone}`);
+        if (job) {
+            this.eventJobs.set(jobKey, job);
+            armed++;
+        }
+    }
+
+    if (armed > 0) {
+        logger.info(`⏰ Event ${event.shortId}: ${armed} reminder(s) armed`);
+    }
+    return armed;
+}
+
+disarmEventReminders(eventId) {
+    const prefix = `${eventId.toString()}_`;
+    for (const [jobKey, job] of this.eventJobs) {
+        if (jobKey.startsWith(prefix)) {
+            job.cancel();
+            this.eventJobs.delete(jobKey);
+        }
+    }
+}
+
+// Reminds everyone invited except members who answered NO
+async sendEventReminder(eventId, hoursBefore) {
+    const startTime = Date.now();
 
     try {
-        fromPhone = this.cleanPhoneNumber(fromPhone);
-        messageBody = messageBody ? messageBody.trim() : "";
-        
-        if (!messageBody && mediaUrls && mediaUrls.length > 0) {
-            messageBody = "";
+        if (!this.dbManager.isConnected) {
+            logger.error('❌ Database not connected - event reminder will be retried at next startup');
+            return;
         }
 
-        if (!messageBody && (!mediaUrls || mediaUrls.length === 0)) {
-            messageBody = "[Empty message]";
+        // Claiming marks the larger offsets too, so a late 24h reminder never follows the 1h one
+        const hoursToMark = config.eventReminderHours.filter(hours => hours >= hoursBefore);
+        const event = await this.dbManager.claimEventReminder(eventId, hoursBefore, hoursToMark);
+        if (!event) {
+            return;
+        }
+        if (event.startsAt.getTime() <= Date.now()) {
+            logger.warn(`⚠️ Skipped ${hoursBefore}h reminder for event ${event.shortId} - it has already started`);
+            return;
         }
 
-        const member = await this.getMemberInfo(fromPhone);
+        const rsvps = await this.dbManager.getEventRsvps(event._id);
+        const declined = new Set(rsvps.filter(rsvp => rsvp.response === 'no').map(rsvp => rsvp.phone));
+        const recipients = (await this.getAllActiveMembers(null, event.targetGroupId))
+            .filter(recipient => !declined.has(recipient.phone));
 
-        if (!member) {
-            logger.warn(`❌ Rejected message from unregistered number: ${fromPhone}`);
-            await this.sendSMS(
-                fromPhone,
-                "You are not registered in the church SMS system. Please contact a church administrator to be added."
-            );
-            return null;
+        // Held recipients whose quiet hours outlast the event are dropped rather than reminded afterwards
+        const queued = { queued: 0, held: 0, dropped: 0 };
+        for (const [language, group] of this.groupByLanguage(recipients)) {
+            const reader = { language };
+            let reminder = this.localize(reader, 'event.reminder', {
+                title: event.title,
+                time: this.formatScheduleTime(event.startsAt, reader)
+            });
+            if (event.location) {
+                reminder += `\n${this.localize(reader, 'event.where', { location: event.location })}`;
+            }
+
+            const result = this.queueDirectMessage(group, this.normalizeOutgoingText(reminder),
+                `Event ${event.shortId} ${hoursBefore}h reminder`, { dropHeldAfter: event.startsAt });
+            queued.queued += result.queued;
+            queued.held += result.held;
+            queued.dropped += result.dropped;
         }
 
-        logger.info(`👤 Sender: ${member.name} (Admin: ${member.isAdmin})`);
+        await this.dbManager.recordAnalytic('event_reminder_sent', queued.queued,
+            `Event: ${event.shortId}, Hours before: ${hoursBefore}, Held: ${queued.held}, Skipped: ${queued.dropped}`);
+        await this.recordPerformanceMetric('event_reminder', Date.now() - startTime, true);
+        logger.info(`⏰ Queued ${hoursBefore}h reminder for event ${event.shortId} to ${queued.queued} member(s)`);
 
-        // ADD DEBUGGING LOG for potential missed reactions
-        await this.logPotentialReaction(messageBody, fromPhone, member.name);
+    } catch (error) {
+        await this.recordPerformanceMetric('event_reminder', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Event reminder error: ${error.message}`);
+    }
+}
 
-        // STEP 1: Check for reactions FIRST - before any other processing
-        if (await this.isReactionMessage(messageBody)) {
-            logger.info(`🔇 REACTION DETECTED AND BLOCKED from ${member.name}: "${messageBody}"`);
-            await this.storeReactionSilently(messageBody, fromPhone, member.name);
-            return null; // Return null to prevent any broadcast
-        }
+// The group whose @keyword is exactly PRAYER_TEAM_GROUP, or null if the church has not created it.
+// No looser name matching: private requests must never reach a "Youth Prayer Night" group by accident.
+async getPrayerTeamGroup() {
+    if (!this.dbManager.isConnected) {
+        return null;
+    }
+    const groups = await this.dbManager.getAllGroups();
+    return groups.find(group => this.getGroupKeyword(group) === config.prayer.teamGroupKeyword) || null;
+}
 
-        // STEP 2: Check for HELP command
-        if (messageBody.toUpperCase() === 'HELP') {
-            return await this.generateHelpMessage(member);
-        }
+isPrayerTeamMember(member, team) {
+    return Boolean(member.isAdmin || (team && this.isMemberOfGroup(member, team._id)));
+}
 
-        // STEP 3: Check for admin commands
-        if (messageBody.toUpperCase().startsWith('ADD ')) {
-            return await this.handleAddMemberCommand(fromPhone, messageBody);
-        }
+// Quiet hours apply - team members inside theirs get the message when they end
+// render(language) builds the text; each language gets its own queued batch
+async sendToPrayerTeam(team, render, excludePhone = null) {
+    const recipients = await this.getAllActiveMembers(excludePhone, team._id);
+    let queued = 0;
+    for (const [language, group] of this.groupByLanguage(recipients)) {
+        queued += this.queueDirectMessage(group, this.normalizeOutgoingText(render(language)), 'Prayer team message').queued;
+    }
+    return queued;
+}
 
-        if (messageBody.toUpperCase().startsWith('REMOVE ')) {
-            return await this.handleRemoveMemberCommand(fromPhone, messageBody);
-        }
+// PRAY <text> / PRAY ANON <text> - any member; the text is never logged or broadcast
+async handlePrayCommand(fromPhone, member, commandText) {
+    const startTime = Date.now();
 
-        if (messageBody.toUpperCase().startsWith('WIPE ') || messageBody.toUpperCase() === 'WIPE') {
-            return await this.handleWipeCommand(fromPhone, messageBody);
+    try {
+        const anonymous = PRAY_ANONYMOUS_PATTERN.test(commandText);
+        const requestText = commandText.replace(PRAY_ANONYMOUS_PATTERN, '').trim();
+        if (!requestText) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.usage'));
         }
 
-        if (messageBody.toUpperCase().startsWith('ADMIN ')) {
-            return await this.handleAdminCommand(fromPhone, messageBody);
+        const team = await this.getPrayerTeamGroup();
+        if (!team) {
+            logger.warn(`⚠️ Prayer request from ${member.name} not sent - no @${config.prayer.teamGroupKeyword} group`);
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.unavailable'));
         }
 
-        if (messageBody.toUpperCase().startsWith('DEMOTE ')) {
-            return await this.handleDemoteCommand(fromPhone, messageBody);
-        }
+        const prayerRequest = await this.dbManager.createPrayerRequest({
+            shortId: uuidv4().replace(/-/g, '').substring(0, 6).toUpperCase(),
+            requestText,
+            memberId: member.id,
+            requesterPhone: fromPhone,
+            requesterName: member.name,
+            anonymous
+        });
 
-        if (messageBody.toUpperCase().startsWith('CLEANUP ') || messageBody.toUpperCase() === 'CLEANUP') {
-            return await this.handleCleanupCommand(fromPhone, messageBody);
-        }
+        const notifiedCount = await this.sendToPrayerTeam(team, language => translate(language, 'prayer.team_request', {
+            code: prayerRequest.shortId,
+            from: anonymous ? translate(language, 'prayer.anonymous') : member.name,
+            text: requestText
+        }), fromPhone);
+        await this.dbManager.updatePrayerRequest(prayerRequest._id, { teamNotifiedCount: notifiedCount });
 
-        // STEP 4: Check for REACTION admin commands
-        if (messageBody.toUpperCase().startsWith('REACTION ')) {
-            return await this.handleReactionCommand(fromPhone, messageBody);
-        }
+        await this.dbManager.recordAnalytic('prayer_request', notifiedCount,
+            `Request: ${prayerRequest.shortId}, Anonymous: ${anonymous}`);
+        await this.recordPerformanceMetric('prayer_request', Date.now() - startTime, true);
+        logger.info(`🙏 Prayer request ${prayerRequest.shortId}${anonymous ? ' (anonymous)' : ` from ${member.name}`} sent to ${notifiedCount} prayer team member(s)`);
+
+        return await this.replyToSender(member, fromPhone,
+            this.localize(member, anonymous ? 'prayer.received_anonymous' : 'prayer.received', { code: prayerRequest.shortId }));
 
-        // STEP 5: Regular message broadcasting
-        logger.info(`📡 REGULAR MESSAGE BROADCAST: "${messageBody}"`);
-        return await this.broadcastMessage(fromPhone, messageBody, mediaUrls);
-        
     } catch (error) {
-        logger.error(`❌ Enhanced message processing error: ${error.message}`);
-        logger.error(`❌ Stack trace: ${error.stack}`);
-        return "Message processing temporarily unavailable - please try again";
+        await this.recordPerformanceMetric('prayer_request', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Prayer request error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.failed'));
     }
 }
 
-async isReactionMessage(messageBody) {
-    try {
-        // Trim the message to handle any whitespace
-        const trimmedMessage = messageBody.trim();
-        
-        logger.info(`🔍 DETAILED CHECK: "${trimmedMessage}"`);
+// PRAYING <code> / ANSWERED <code> from a prayer team member or admin
+async handlePrayerStatusCommand(fromPhone, member, status, shortId) {
+    const startTime = Date.now();
 
-        // 1. Single emoji reactions (works for both platforms)
-        const singleEmojiPattern = /^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|🆘|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💯|💫|⭐|🌟|✨|💥|💦|💨)$/;
-        if (singleEmojiPattern.test(trimmedMessage)) {
-            logger.info(`✅ SINGLE EMOJI REACTION: ${trimmedMessage}`);
-            return true;
+    try {
+        const team = await this.getPrayerTeamGroup();
+        if (!this.isPrayerTeamMember(member, team)) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.not_team'));
         }
 
-        // 2. iPhone-style reactions (comprehensive patterns)
-        const iphonePatterns = [
-            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+".+"/i,
-            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+'.+'/i,
-            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+.+/i
-        ];
+        const prayerRequest = await this.dbManager.getPrayerRequestByShortId(shortId);
+        if (!prayerRequest) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.not_found', { code: shortId }));
+        }
 
-        for (const pattern of iphonePatterns) {
-            if (pattern.test(trimmedMessage)) {
-                logger.info(`✅ IPHONE REACTION: ${trimmedMessage}`);
-                return true;
-            }
+        const updated = await this.dbManager.setPrayerRequestStatus(prayerRequest._id, status, member.name);
+        if (!updated) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.already_answered', { code: shortId }));
         }
 
-        // 3. COMPREHENSIVE Android-style reactions (ALL possible patterns)
-        const androidPatterns = [
-            // Standard patterns with quotes
-            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)\s+to\s+".+"/i,
-            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)\s+to\s+'.+'/i,
-            
-            // Without quotes (common Android pattern)
-            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)\s+to\s+.+/i,
-            
-            // Different Android formats
-            /^Reacted\s+with\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)/i,
-            
-            // Simplified Android patterns
-            /^(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)\s+to\s+.+/i,
-            
-            // Any message that starts with "Reacted"
-            /^Reacted\s+/i
-        ];
+        await this.dbManager.recordAnalytic(`prayer_${status}`, 1, `Request: ${shortId}, By: ${member.name}`);
+        await this.recordPerformanceMetric('prayer_status', Date.now() - startTime, true);
+        logger.info(`🙏 ${member.name} marked prayer request ${shortId} ${status}`);
 
-        for (const pattern of androidPatterns) {
-            if (pattern.test(trimmedMessage)) {
-                logger.info(`✅ ANDROID REACTION: ${trimmedMessage}`);
-                return true;
+        if (status === 'answered') {
+            const requester = await this.getMemberInfo(prayerRequest.requesterPhone);
+            if (requester && !requester.smsOptOut) {
+                const excerpt = prayerRequest.requestText.length > 60
+                    ? `${prayerRequest.requestText.substring(0, 60)}...`
+                    : prayerRequest.requestText;
+                await this.sendSMS(prayerRequest.requesterPhone,
+                    this.localize(requester, 'prayer.answered_notice', { code: shortId, excerpt }));
             }
         }
 
-        // 4. CATCH-ALL: Any message containing reaction keywords
-        const reactionKeywords = [
-            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s/i,
-            /^Reacted\s/i,
-            /\sreacted\s/i,
-            /\sloved\s/i,
-            /\sliked\s/i
-        ];
+        return await this.replyToSender(member, fromPhone,
+            this.localize(member, status === 'answered' ? 'prayer.marked_answered' : 'prayer.marked_praying', { code: shortId }));
 
-        for (const keyword of reactionKeywords) {
-            if (keyword.test(trimmedMessage)) {
-                logger.info(`✅ REACTION KEYWORD DETECTED: ${trimmedMessage}`);
-                return true;
+    } catch (error) {
+        await this.recordPerformanceMetric('prayer_status', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Prayer status error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.failed'));
+    }
+}
+
+// 🙏 PRAYER LIST (prayer team and admins) / PRAYER DIGEST (admins - sends the weekly list now)
+async handlePrayerCommand(fromPhone, member, commandText) {
+    logger.info(`🙏 PRAYER command from ${fromPhone}: ${commandText}`);
+
+    try {
+        const subCommand = commandText.trim().split(/\s+/)[1].toUpperCase();
+        const team = await this.getPrayerTeamGroup();
+
+        if (subCommand === 'DIGEST') {
+            if (!member.isAdmin) {
+                return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.digest_access_denied'));
+            }
+            if (!team) {
+                return this.localize(member, 'prayer.digest_no_team', { keyword: config.prayer.teamGroupKeyword });
             }
+            const recipientCount = await this.sendWeeklyPrayerDigest();
+            return recipientCount > 0
+                ? this.localize(member, 'prayer.digest_sent', { count: recipientCount })
+                : this.localize(member, 'prayer.digest_empty');
         }
 
-        // 5. EMERGENCY PATTERN: Common reaction phrases
-        const emergencyPatterns = [
-            /reacted.*to.*"/i,
-            /reacted.*to.*/i,
-            /loved.*"/i,
-            /liked.*"/i,
-            /laughed.*at.*"/i
-        ];
+        if (!this.isPrayerTeamMember(member, team)) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.not_team'));
+        }
 
-        for (const pattern of emergencyPatterns) {
-            if (pattern.test(trimmedMessage)) {
-                logger.info(`✅ EMERGENCY REACTION PATTERN: ${trimmedMessage}`);
-                return true;
-            }
-        }
-
-        logger.info(`❌ NOT A REACTION: "${trimmedMessage}"`);
-        return false;
+        const active = await this.dbManager.getActivePrayerRequests();
+        return await this.replyToSender(member, fromPhone, active.length > 0
+            ? this.formatPrayerList(active, [], languageOf(member))
+            : this.localize(member, 'prayer.list_empty'));
 
     } catch (error) {
-        logger.error(`❌ Reaction detection error: ${error.message}`);
-        return false;
+        logger.error(`❌ PRAYER command error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'prayer.list_failed'));
     }
 }
 
-// DEBUGGING METHOD - Add this to help identify missed patterns
-async logPotentialReaction(messageBody, fromPhone, senderName) {
-    try {
-        const trimmedMessage = messageBody.trim().toLowerCase();
-        
-        // Log anything that might be a reaction
-        const suspiciousWords = ['react', 'love', 'like', 'laugh', 'emphasiz', 'question', 'dislik'];
-        const containsSuspiciousWord = suspiciousWords.some(word => trimmedMessage.includes(word));
-        
-        if (containsSuspiciousWord) {
-            logger.warn(`🚨 POTENTIAL MISSED REACTION from ${senderName}: "${messageBody}"`);
-            logger.warn(`🚨 Message length: ${messageBody.length} characters`);
-            logger.warn(`🚨 Contains emoji: ${/[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/u.test(messageBody)}`);
-        }
-        
-    } catch (error) {
-        // Ignore errors in debugging
+formatPrayerList(active, answered, language = DEFAULT_LANGUAGE) {
+    const describe = prayerRequest => {
+        const text = prayerRequest.requestText.length > 120
+            ? `${prayerRequest.requestText.substring(0, 120)}...`
+            : prayerRequest.requestText;
+        const praying = prayerRequest.status === 'praying'
+            ? ` ${translate(language, 'prayer.list_praying', { count: prayerRequest.prayingBy.length })}`
+            : '';
+        return `${prayerRequest.shortId} - ${prayerRequest.anonymous ? translate(language, 'prayer.anonymous') : prayerRequest.requesterName}` +
+            `${praying}: ${text}`;
+    };
+
+    const date = formatLocalTime(new Date(), config.timeZone, { hour: undefined, minute: undefined }, languageLocale(language));
+    let list = `${translate(language, 'prayer.list_title', { date })}\n`;
+    if (active.length > 0) {
+        list += `\n${translate(language, 'prayer.list_open', { count: active.length })}\n${active.map(describe).join('\n')}\n`;
+    }
+    if (answered.length > 0) {
+        list += `\n${translate(language, 'prayer.list_answered', { count: answered.length })}\n${answered.map(describe).join('\n')}\n`;
     }
+    list += `\n${translate(language, 'prayer.list_hint')}`;
+    return list;
 }
 
-// ALSO REPLACE THE storeReactionSilently METHOD with this improved version
+// Weekly prayer list for the team; returns how many members it went to
+async sendWeeklyPrayerDigest() {
+    const startTime = Date.now();
 
-async storeReactionSilently(messageBody, fromPhone, senderName) {
     try {
-        logger.info(`🔇 Storing reaction silently: "${messageBody}" from ${senderName}`);
-        
-        let emoji = '';
-        let targetMessage = '';
-        let reactionType = 'unknown';
-        
-        // Extract emoji and target from different reaction formats
-        const trimmedMessage = messageBody.trim();
-
-        // Handle single emoji reactions
-        if (/^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|🆘|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💯|💫|⭐|🌟|✨|💥|💦|💨)$/.test(trimmedMessage)) {
-            emoji = trimmedMessage;
-            reactionType = 'direct_emoji';
-            
-            // Get the most recent message to react to
-            const recentMessage = await this.getMostRecentMessage(fromPhone);
-            targetMessage = recentMessage ? recentMessage.originalMessage.substring(0, 50) : 'Recent message';
-        }
-        
-        // Handle iPhone-style reactions
-        else if (/^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)/i.test(trimmedMessage)) {
-            reactionType = 'iphone_reaction';
-            
-            // Map iPhone reactions to emojis
-            if (trimmedMessage.toLowerCase().startsWith('loved')) {
-                emoji = '❤️';
-            } else if (trimmedMessage.toLowerCase().startsWith('liked')) {
-                emoji = '👍';
-            } else if (trimmedMessage.toLowerCase().startsWith('disliked')) {
-                emoji = '👎';
-            } else if (trimmedMessage.toLowerCase().startsWith('laughed at')) {
-                emoji = '😂';
-            } else if (trimmedMessage.toLowerCase().startsWith('emphasized')) {
-                emoji = '‼️';
-            } else if (trimmedMessage.toLowerCase().startsWith('questioned')) {
-                emoji = '❓';
-            } else {
-                emoji = '❤️'; // Default fallback
-            }
-            
-            // Extract target message (everything after the reaction word)
-            targetMessage = this.extractTargetFromiPhoneReaction(trimmedMessage);
-        }
-        
-        // Handle Android-style reactions
-        else if (/^Reacted/i.test(trimmedMessage)) {
-            reactionType = 'android_reaction';
-            
-            const emojiMatch = trimmedMessage.match(/(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)/);
-            emoji = emojiMatch ? emojiMatch[1] : '❤️';
-            targetMessage = this.extractTargetFromAndroidReaction(trimmedMessage);
+        const team = await this.getPrayerTeamGroup();
+        if (!team) {
+            logger.warn(`⚠️ Weekly prayer list skipped - no @${config.prayer.teamGroupKeyword} group`);
+            return 0;
         }
-        
-        // Fallback
-        else {
-            emoji = '❤️';
-            targetMessage = 'Message';
-            reactionType = 'unknown';
+
+        const active = await this.dbManager.getActivePrayerRequests();
+        const answered = await this.dbManager.getAnsweredPrayerRequests(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+        if (active.length === 0 && answered.length === 0) {
+            logger.info('🙏 Weekly prayer list skipped - no open or recently answered requests');
+            return 0;
         }
 
-        // Store in database
-        await this.storeReactionInDatabase(emoji, targetMessage, fromPhone, senderName, reactionType, trimmedMessage);
-        
-        logger.info(`✅ Reaction stored: ${emoji} by ${senderName} for "${targetMessage}" (${reactionType})`);
-        
-        // Record analytics for admin tracking
-        await this.dbManager.recordAnalytic('reaction_detected_silently', 1, 
-            `${emoji} by ${senderName} (${reactionType}): "${targetMessage}"`);
-        
+        const recipientCount = await this.sendToPrayerTeam(team, language => this.formatPrayerList(active, answered, language));
+
+        await this.dbManager.recordAnalytic('prayer_digest_sent', recipientCount,
+            `Open: ${active.length}, Answered: ${answered.length}`);
+        await this.recordPerformanceMetric('prayer_digest', Date.now() - startTime, true);
+        logger.info(`🙏 Weekly prayer list (${active.length} open, ${answered.length} answered) sent to ${recipientCount} member(s)`);
+        return recipientCount;
+
     } catch (error) {
-        logger.error(`❌ Failed to store reaction silently: ${error.message}`);
+        await this.recordPerformanceMetric('prayer_digest', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Weekly prayer list error: ${error.message}`);
+        return 0;
     }
 }
 
-// NEW METHOD: Extract target from iPhone reactions
-extractTargetFromiPhoneReaction(reactionText) {
+initializePrayerDigestScheduler() {
+    const digestJob = schedule.scheduleJob({ rule: config.prayer.digestSchedule, tz: config.timeZone }, async () => {
+        await this.sendWeeklyPrayerDigest();
+    });
+
+    if (digestJob) {
+        logger.info(`✅ Weekly prayer list scheduler active - "${config.prayer.digestSchedule}" (${config.timeZone})`);
+    } else {
+        logger.error(`❌ Failed to initialize weekly prayer list - check PRAYER_DIGEST_SCHEDULE "${config.prayer.digestSchedule}"`);
+    }
+}
+
+// 🔑 KEYWORD command - auto-responders that answer common questions privately
+async handleKeywordCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`🔑 Admin KEYWORD command from ${adminPhone}: ${commandText.substring(0, 60)}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
     try {
-        // Try to extract quoted text first
-        const quoteMatch = reactionText.match(/"([^"]+)"/);
-        if (quoteMatch) {
-            return quoteMatch[1].substring(0, 50);
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted KEYWORD command: ${adminPhone}`);
+            return this.localize(admin, 'keyword.access_denied');
         }
-        
-        // Try single quotes
-        const singleQuoteMatch = reactionText.match(/'([^']+)'/);
-        if (singleQuoteMatch) {
-            return singleQuoteMatch[1].substring(0, 50);
+
+        if (!this.dbManager.isConnected) {
+            return this.localize(admin, 'keyword.unavailable');
         }
-        
-        // Extract everything after the reaction word (for cases like "Loved Abel: Hsysb")
-        const words = reactionText.split(' ');
-        if (words.length > 1) {
-            // Skip the first word (Loved, Liked, etc.) and join the rest
-            const target = words.slice(1).join(' ').substring(0, 50);
-            return target || 'Message';
+
+        const parts = commandText.trim().split(/\s+/);
+        const subCommand = parts[1]?.toUpperCase() || 'LIST';
+        const usage = this.localize(admin, 'keyword.commands');
+
+        switch (subCommand) {
+            case 'LIST': {
+                const responders = await this.dbManager.getAutoResponders();
+                await this.recordPerformanceMetric('keyword_command', Date.now() - startTime, true);
+                if (responders.length === 0) {
+                    return `${this.localize(admin, 'keyword.none')}\n\n${usage}`;
+                }
+
+                let listMessage = `${this.localize(admin, 'keyword.list_title', { count: responders.length })}\n\n`;
+                for (const responder of responders) {
+                    const flattened = responder.response.replace(/\s+/g, ' ');
+                    const preview = flattened.length > 50 ? `${flattened.substring(0, 50)}...` : flattened;
+                    listMessage += `• ${responder.keyword}${responder.matchType === 'prefix' ? '*' : ''} - ${this.localize(admin, 'keyword.hits', { count: responder.hitCount })}\n`;
+                    listMessage += `   ${preview}\n`;
+                }
+                listMessage += `\n${this.localize(admin, 'keyword.list_hint')}`;
+                return listMessage;
+            }
+
+            case 'SET': {
+                const keywordToken = (parts[2] || '').toUpperCase();
+                const matchType = keywordToken.endsWith('*') ? 'prefix' : 'exact';
+                const keyword = keywordToken.replace(/\*$/, '');
+                const response = this.extractScheduledMessage(commandText, 3).trim();
+
+                if (!AUTO_RESPONDER_KEYWORD_PATTERN.test(keyword) || !response) {
+                    return this.localize(admin, 'keyword.set_usage');
+                }
+                if (RESERVED_AUTO_RESPONDER_KEYWORDS.includes(keyword)) {
+                    return this.localize(admin, 'keyword.reserved', { keyword });
+                }
+
+                const responder = await this.dbManager.saveAutoResponder(keyword, {
+                    response,
+                    matchType,
+                    updatedBy: admin.name
+                });
+
+                await this.dbManager.recordAnalytic('auto_responder_saved', 1, `Keyword: ${keyword}, Match: ${matchType}, By: ${admin.name}`);
+                await this.recordPerformanceMetric('keyword_command', Date.now() - startTime, true);
+                logger.info(`✅ Admin ${admin.name} saved keyword ${keyword} (${matchType})`);
+
+                return this.localize(admin, matchType === 'prefix' ? 'keyword.saved_prefix' : 'keyword.saved_exact', {
+                    keyword: responder.keyword
+                });
+            }
+
+            case 'DELETE': {
+                const keyword = (parts[2] || '').toUpperCase().replace(/\*$/, '');
+                if (!keyword) {
+                    return `${this.localize(admin, 'keyword.delete_usage')}\n\n${usage}`;
+                }
+
+                const deleted = await this.dbManager.deleteAutoResponder(keyword);
+                if (!deleted) {
+                    return this.localize(admin, 'keyword.not_found', { keyword });
+                }
+
+                await this.dbManager.recordAnalytic('auto_responder_deleted', 1, `Keyword: ${keyword}, By: ${admin.name}`);
+                logger.info(`🗑️ Admin ${admin.name} deleted keyword ${keyword}`);
+                return this.localize(admin, 'keyword.deleted', { keyword });
+            }
+
+            default:
+                return `${this.localize(admin, 'keyword.unknown', { command: subCommand })}\n\n${usage}`;
         }
-        
-        return 'Message';
+
     } catch (error) {
-        logger.error(`❌ Error extracting iPhone reaction target: ${error.message}`);
-        return 'Message';
+        await this.recordPerformanceMetric('keyword_command', Date.now() - startTime, false, error.message);
+        logger.error(`❌ KEYWORD command error: ${error.message}`);
+        return this.localize(admin, 'keyword.failed');
     }
 }
 
-// NEW METHOD: Extract target from Android reactions
-extractTargetFromAndroidReaction(reactionText) {
+// Exact rules match the whole message, ignoring case and trailing punctuation ("Service?");
+// prefix rules also match when the keyword is the first word ("SERVICE times this week?")
+async findAutoResponder(messageBody) {
+    if (!this.dbManager.isConnected || !messageBody) {
+        return null;
+    }
+
+    const normalized = messageBody.trim().toUpperCase().replace(/[\s?!.]+$/, '');
+    const firstWord = normalized.split(/[\s,:;?!.]+/)[0];
+    const responders = await this.dbManager.getAutoResponders();
+
+    return responders.find(responder => responder.keyword === normalized)
+        || responders.find(responder => responder.matchType === 'prefix' && responder.keyword === firstWord)
+        || null;
+}
+
+async handleAutoResponse(fromPhone, member, responder) {
+    await this.dbManager.recordAutoResponderHit(responder._id);
+    await this.dbManager.recordAnalytic('auto_response', 1, `Keyword: ${responder.keyword}, Member: ${member.name}`);
+    logger.info(`🔑 Auto-response ${responder.keyword} sent to ${member.name} instead of a broadcast`);
+
+    return await this.replyToSender(member, fromPhone, responder.response);
+}
+
+// MYINFO - the member's own profile as the system sees it
+async handleMyInfoCommand(fromPhone, member) {
+    logger.info(`👤 MYINFO command from ${member.name}`);
+
+    const groupNames = member.groups.map(g => g.groupId?.name).filter(Boolean);
+    return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.info', {
+        name: member.name,
+        phone: fromPhone,
+        groups: groupNames.length > 0 ? groupNames.join(', ') : this.localize(member, 'common.no_groups'),
+        language: languageName(languageOf(member)),
+        status: this.localize(member, member.isAdmin ? 'profile.status_admin' : 'profile.status_member')
+    }));
+}
+
+async handleNameCommand(fromPhone, member, nameText) {
+    const startTime = Date.now();
+    const name = nameText.replace(/\s+/g, ' ').trim();
+    logger.info(`👤 MYNAME command from ${member.name}: ${name || '(no name)'}`);
+
     try {
-        // Look for "to" followed by quoted text
-        const toMatch = reactionText.match(/to\s+"([^"]+)"/i);
-        if (toMatch) {
-            return toMatch[1].substring(0, 50);
-        }
-        
-        const toSingleQuoteMatch = reactionText.match(/to\s+'([^']+)'/i);
-        if (toSingleQuoteMatch) {
-            return toSingleQuoteMatch[1].substring(0, 50);
-        }
-        
-        // Extract everything after "to"
-        const toIndex = reactionText.toLowerCase().indexOf(' to ');
-        if (toIndex !== -1) {
-            const target = reactionText.substring(toIndex + 4).trim().substring(0, 50);
-            return target || 'Message';
+        if (!name || name.length > 50 || !MEMBER_NAME_PATTERN.test(name)) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.name_usage'));
         }
-        
-        return 'Message';
+
+        await this.dbManager.updateMember(member.id, { name });
+
+        await this.dbManager.recordAnalytic('member_renamed', 1, `From: ${member.name}, To: ${name}`);
+        await this.recordPerformanceMetric('name_command', Date.now() - startTime, true);
+        logger.info(`✅ ${member.name} (${fromPhone}) is now ${name}`);
+
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.name_updated', { name }));
+
     } catch (error) {
-        logger.error(`❌ Error extracting Android reaction target: ${error.message}`);
-        return 'Message';
+        await this.recordPerformanceMetric('name_command', Date.now() - startTime, false, error.message);
+        logger.error(`❌ MYNAME command error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.failed'));
     }
 }
 
-// GET MOST RECENT MESSAGE (for direct emoji reactions)
-async getMostRecentMessage(excludePhone) {
+// GROUPS - open groups, with a ✅ on the ones the member is already in
+async handleGroupsCommand(fromPhone, member) {
+    logger.info(`🏛️ GROUPS command from ${member.name}`);
+
     try {
-        if (!this.dbManager.isConnected) {
-            return null;
+        const openGroups = (await this.dbManager.getAllGroups()).filter(group => group.open);
+        if (openGroups.length === 0) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'groups.none_open'));
         }
 
-        const recentMessage = await BroadcastMessage.findOne({
-            fromPhone: { $ne: excludePhone },
-            sentAt: { $gt: new Date(Date.now() - 2 * 60 * 60 * 1000) } // Last 2 hours
-        }).sort({ sentAt: -1 });
+        const lines = openGroups.map(group =>
+            `${this.isMemberOfGroup(member, group._id) ? '✅' : '•'} ${group.name} (@${this.getGroupKeyword(group)})`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'groups.list', { groups: lines.join('\n') }));
 
-        return recentMessage;
     } catch (error) {
-        logger.error(`❌ Error getting recent message: ${error.message}`);
-        return null;
+        logger.error(`❌ GROUPS command error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.failed'));
     }
 }
 
-// SIMPLE DATABASE STORAGE FOR REACTIONS
-// UPDATED DATABASE STORAGE METHOD
-async storeReactionInDatabase(emoji, targetMessage, fromPhone, senderName, reactionType, originalText) {
+// JOIN GROUP / LEAVE GROUP <name or @keyword> - only open groups, unless the member is an admin
+async handleGroupMembershipCommand(fromPhone, member, action, groupText) {
+    const startTime = Date.now();
+    const target = groupText.replace(/^@/, '').trim();
+    logger.info(`🏛️ ${action} GROUP command from ${member.name}: ${target || '(no group)'}`);
+
     try {
-        if (!this.dbManager.isConnected) {
-            logger.warn('❌ Database not connected - cannot store reaction');
-            return;
+        // "Youth Ministry" resolves like the compacted @YOUTHMINISTRY keyword
+        const keyword = /\s/.test(target) ? target.replace(/[^A-Za-z0-9]/g, '') : target;
+        if (!keyword) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'groups.usage', { command: action }));
+        }
+
+        const group = await this.dbManager.getGroupByKeyword(keyword);
+        if (!group) {
+            const suggestions = await this.suggestGroupKeywords(keyword);
+            let reply = this.localize(member, 'groups.not_found', { input: target });
+            if (suggestions) {
+                reply += `\n${this.localize(member, 'groups.did_you_mean', { groups: suggestions })}`;
+            }
+            return await this.replyToSender(member, fromPhone, reply);
+        }
+        if (!group.open && !member.isAdmin) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'groups.closed', { group: group.name }));
         }
 
-        // Try to use MessageReaction model if available
-        try {
-            const { MessageReaction } = require('./models');
-            if (MessageReaction) {
-                const reaction = new MessageReaction({
-                    reactorPhone: fromPhone,
-                    reactorName: senderName,
-                    emoji: emoji,
-                    targetMessage: targetMessage,
-                    reactionType: reactionType,
-                    originalReactionText: originalText,
-                    processedForSummary: false,
-                    detectedAt: new Date()
-                });
-                
-                await reaction.save();
-                logger.info(`✅ Reaction saved to MessageReaction collection`);
-                return;
+        const alreadyMember = this.isMemberOfGroup(member, group._id);
+        if (action === 'JOIN') {
+            if (alreadyMember) {
+                return await this.replyToSender(member, fromPhone, this.localize(member, 'groups.already_member', { group: group.name }));
             }
-        } catch (modelError) {
-            logger.warn(`⚠️ MessageReaction model not available: ${modelError.message}`);
+            await this.dbManager.addMemberToGroup(member.id, group._id);
+        } else {
+            if (!alreadyMember) {
+                return await this.replyToSender(member, fromPhone, this.localize(member, 'groups.not_member', { group: group.name }));
+            }
+            await this.dbManager.removeMemberFromGroup(member.id, group._id);
         }
 
-        // Fallback: Store in analytics table
-        await this.dbManager.recordAnalytic('reaction_detected', 1, 
-            `${emoji} by ${senderName} (${reactionType}) for "${targetMessage}" - Original: "${originalText}"`);
-        
-        logger.info(`✅ Reaction stored in analytics as fallback`);
-        
+        await this.dbManager.recordAnalytic(action === 'JOIN' ? 'member_joined_group' : 'member_left_group', 1,
+            `Member: ${member.name}, Group: ${group.name}`);
+        await this.recordPerformanceMetric('group_membership', Date.now() - startTime, true);
+        logger.info(`✅ ${member.name} ${action === 'JOIN' ? 'joined' : 'left'} ${group.name}`);
+
+        return await this.replyToSender(member, fromPhone, action === 'JOIN'
+            ? this.localize(member, 'groups.joined', { group: group.name, keyword: this.getGroupKeyword(group) })
+            : this.localize(member, 'groups.left', { group: group.name }));
+
     } catch (error) {
-        logger.error(`❌ Database storage failed: ${error.message}`);
+        await this.recordPerformanceMetric('group_membership', Date.now() - startTime, false, error.message);
+        logger.error(`❌ ${action} GROUP command error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.failed'));
     }
 }
 
+// DIGEST ON / OFF - daily digest instead of every broadcast; a bare DIGEST shows the current mode
+async handleDigestCommand(fromPhone, member, setting) {
+    const startTime = Date.now();
+    logger.info(`📰 DIGEST command from ${member.name}: ${setting || '(show current)'}`);
 
-// SIMPLE REACTION COMMAND HANDLER
-async handleReactionCommand(fromPhone, commandText) {
     try {
-        const member = await this.getMemberInfo(fromPhone);
-        if (!member || !member.isAdmin) {
-            return "❌ Access denied. Only administrators can use REACTION commands.";
+        const time = this.formatDigestTime(member);
+        if (!setting) {
+            return await this.replyToSender(member, fromPhone,
+                this.localize(member, member.deliveryMode === 'digest' ? 'digest.current_on' : 'digest.current_off', { time }));
         }
 
-        const parts = commandText.trim().split(/\s+/);
-        const subCommand = parts[1]?.toUpperCase() || 'STATUS';
+        const deliveryMode = setting.toUpperCase() === 'ON' ? 'digest' : 'instant';
+        await this.dbManager.updateMember(member.id, { deliveryMode });
 
-        switch (subCommand) {
-            case 'STATUS':
-                return await this.getSimpleReactionStatus();
-            
-            case 'SEND':
-                return await this.sendSimpleReactionSummary();
-            
-            case 'STATS':
-                return await this.getSimpleReactionStats();
-            
-            default:
-                return `❌ Unknown reaction command: ${subCommand}\n\nAvailable commands:\n• REACTION STATUS\n• REACTION SEND\n• REACTION STATS`;
-        }
+        await this.dbManager.recordAnalytic('delivery_mode_changed', 1, `Member: ${member.name}, Mode: ${deliveryMode}`);
+        await this.recordPerformanceMetric('digest_command', Date.now() - startTime, true);
+        logger.info(`✅ ${member.name} switched to ${deliveryMode} delivery`);
+
+        return await this.replyToSender(member, fromPhone,
+            this.localize(member, deliveryMode === 'digest' ? 'digest.enabled' : 'digest.disabled', { time }));
 
     } catch (error) {
-        logger.error(`❌ REACTION command error: ${error.message}`);
-        return "❌ Error processing reaction command";
+        await this.recordPerformanceMetric('digest_command', Date.now() - startTime, false, error.message);
+        logger.error(`❌ DIGEST command error: ${error.message}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.failed'));
     }
 }
 
-// SIMPLE REACTION STATUS
-async getSimpleReactionStatus() {
+// Today's digest time (church time) as the member's own clock shows it
+formatDigestTime(member) {
+    const today = getLocalParts(new Date(), config.timeZone);
+    const sendsAt = zonedTime(config.timeZone, today.year, today.month, today.day,
+        Math.floor(config.digestTime / 60), config.digestTime % 60);
+    return formatLocalTime(sendsAt, this.getMemberTimeZone(member),
+        { weekday: undefined, month: undefined, day: undefined }, languageLocale(languageOf(member)));
+}
+
+// Header plus one block per broadcast, cut into parts Twilio will accept
+formatDigestParts(member, broadcasts, digestDate) {
+    const timeZone = this.getMemberTimeZone(member);
+    const locale = languageLocale(languageOf(member));
+    const maxEntryLength = MAX_DIGEST_PART_LENGTH - 100;
+
+    const parts = [];
+    let current = this.localize(member, 'digest.header', {
+        date: formatLocalTime(digestDate, timeZone, { hour: undefined, minute: undefined }, locale),
+        count: broadcasts.length
+    });
+
+    for (const broadcast of broadcasts) {
+        let text = broadcast.personalized
+            ? renderTemplate(broadcast.processedMessage, recipientFields(member.name))
+            : broadcast.processedMessage;
+        if (text.length > maxEntryLength) {
+            text = `${text.substring(0, maxEntryLength)}...`;
+        }
+
+        const time = formatLocalTime(broadcast.sentAt, timeZone, { weekday: undefined, month: undefined, day: undefined }, locale);
+        const entry = `🕘 ${time}\n${text}`;
+        if (`${current}\n\n${entry}`.length > MAX_DIGEST_PART_LENGTH) {
+            parts.push(current);
+            current = entry;
+        } else {
+            current = `${current}\n\n${entry}`;
+        }
+    }
+    parts.push(current);
+
+    return parts.map((part, index) =>
+        this.normalizeOutgoingText(parts.length > 1 ? `(${index + 1}/${parts.length}) ${part}` : part));
+}
+
+// Sends every DIGEST member the broadcasts from the day before digestTime that reached their groups,
+// leaving out their own and any they already got (sent before they switched). Returns how many got one.
+async sendDailyDigests() {
+    const startTime = Date.now();
+
     try {
-        const today = new Date();
-        const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-        
-        let reactionCount = 0;
-        
-        // Try to get from MessageReaction collection
-        try {
-            const { MessageReaction } = require('./models');
-            if (MessageReaction) {
-                reactionCount = await MessageReaction.countDocuments({
-                    detectedAt: { $gte: todayStart },
-                    processedForSummary: false
-                });
+        if (!this.dbManager.isConnected) {
+            logger.warn('❌ Database not connected - daily digest skipped');
+            return 0;
+        }
+
+        const digestMembers = (await this.dbManager.getAllActiveMembers(null, null, { excludePaused: true })).filter(member => member.deliveryMode === 'digest');
+        if (digestMembers.length === 0) {
+            logger.info('📰 Daily digest skipped - no members in digest mode');
+            return 0;
+        }
+
+        const today = getLocalParts(new Date(), config.timeZone);
+        const digestHour = Math.floor(config.digestTime / 60);
+        const digestMinute = config.digestTime % 60;
+        const until = zonedTime(config.timeZone, today.year, today.month, today.day, digestHour, digestMinute);
+        const since = zonedTime(config.timeZone, today.year, today.month, today.day - 1, digestHour, digestMinute);
+
+        const broadcasts = await this.dbManager.getBroadcastsForDigest(since, until);
+        if (broadcasts.length === 0) {
+            logger.info('📰 Daily digest skipped - no broadcasts since the last one');
+            return 0;
+        }
+
+        const deliveredTo = new Map();
+        for (const broadcast of broadcasts) {
+            deliveredTo.set(broadcast._id.toString(), new Set(await this.dbManager.getDeliveryMemberIds(broadcast._id)));
+        }
+
+        // Members whose digest reads the same share one queued batch per part
+        const batches = new Map();
+        for (const member of digestMembers) {
+            const phone = this.cleanPhoneNumber(member.phoneNumber);
+            const memberId = member._id.toString();
+            const included = broadcasts.filter(broadcast =>
+                broadcast.fromPhone !== phone &&
+                !deliveredTo.get(broadcast._id.toString()).has(memberId) &&
+                (!broadcast.targetGroupId || this.isMemberOfGroup(member, broadcast.targetGroupId)));
+            if (!phone || included.length === 0) {
+                continue;
             }
-        } catch (error) {
-            // Fallback to analytics count
-            const analytics = await SystemAnalytics.find({
-                metricName: 'reaction_detected',
-                recordedAt: { $gte: todayStart }
+
+            const parts = this.formatDigestParts(member, included, until);
+            const batchKey = parts.join('\n');
+            if (!batches.has(batchKey)) {
+                batches.set(batchKey, { parts, recipients: [] });
+            }
+            batches.get(batchKey).recipients.push({
+                id: memberId,
+                phone,
+                name: member.name,
+                timeZone: member.timeZone || null,
+                language: member.language || null
             });
-            reactionCount = analytics.length;
         }
 
-        return `📊 REACTION SYSTEM STATUS
-
-📅 Today (${todayStart.toLocaleDateString()}):
-🔇 Pending reactions: ${reactionCount}
-🕒 Next summary: 8:00 PM daily
-✅ Silent detection: Active
-📱 System: Operational
+        let recipientCount = 0;
+        for (const { parts, recipients } of batches.values()) {
+            const queued = parts.map(part => this.queueDirectMessage(recipients, part, 'Daily digest part'));
+            recipientCount += queued[0].queued;
+        }
 
-💡 Send reactions like ❤️😂👍 to test the system!`;
+        await this.dbManager.recordAnalytic('daily_digest_sent', recipientCount,
+            `Broadcasts: ${broadcasts.length}, Variants: ${batches.size}`);
+        await this.recordPerformanceMetric('daily_digest', Date.now() - startTime, true);
+        logger.info(`📰 Daily digest of ${broadcasts.length} broadcast(s) queued for ${recipientCount} member(s)`);
+        return recipientCount;
 
     } catch (error) {
-        logger.error(`❌ Error getting reaction status: ${error.message}`);
-        return "❌ Error retrieving reaction status";
+        await this.recordPerformanceMetric('daily_digest', Date.now() - startTime, false, error.message);
+        logger.error(`❌ Daily digest error: ${error.message}`);
+        return 0;
     }
 }
 
-// SIMPLE REACTION SUMMARY SENDER
-async sendSimpleReactionSummary() {
-    try {
-        return "✅ Daily reaction summary feature is in development.\n\n📊 For now, reactions are being collected silently.\n\n🔜 Full 8 PM summaries coming soon!";
-    } catch (error) {
-        return "❌ Error sending reaction summary";
+initializeDailyDigestScheduler() {
+    const rule = `${config.digestTime % 60} ${Math.floor(config.digestTime / 60)} * * *`;
+    const digestJob = schedule.scheduleJob({ rule, tz: config.timeZone }, async () => {
+        await this.sendDailyDigests();
+    });
+
+    if (digestJob) {
+        logger.info(`✅ Daily digest scheduler active - ${formatClock(config.digestTime)} (${config.timeZone})`);
+    } else {
+        logger.error('❌ Failed to initialize daily digest scheduler');
     }
 }
 
-// SIMPLE REACTION STATISTICS
-async getSimpleReactionStats() {
+// "PAUSE 14" from a member, "PAUSE +1234567890 14" from an admin. pausedUntil is the start of
+// the local day the pause ends on; getAllActiveMembers skips the member until then.
+async handlePauseCommand(fromPhone, member, targetPhone, days) {
+    const startTime = Date.now();
+    logger.info(`⏸️ PAUSE command from ${member.name}: ${targetPhone || 'self'} ${days || '(no days)'}`);
+
+    if (targetPhone && !member.isAdmin) {
+        logger.warn(`❌ Non-admin attempted to pause ${targetPhone}: ${fromPhone}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'pause.access_denied'));
+    }
+
     try {
-        const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-        
-        let totalReactions = 0;
-        
-        // Try to get from MessageReaction collection
-        try {
-            const { MessageReaction } = require('./models');
-            if (MessageReaction) {
-                totalReactions = await MessageReaction.countDocuments({
-                    detectedAt: { $gte: sevenDaysAgo }
-                });
-            }
-        } catch (error) {
-            // Fallback to analytics count
-            const analytics = await SystemAnalytics.find({
-                metricName: 'reaction_detected',
-                recordedAt: { $gte: sevenDaysAgo }
-            });
-            totalReactions = analytics.length;
+        const dayCount = parseInt(days, 10);
+        if (!dayCount || dayCount > MAX_PAUSE_DAYS) {
+            return await this.replyToSender(member, fromPhone, this.localize(member, 'pause.usage', { max: MAX_PAUSE_DAYS }));
+        }
+
+        const target = await this.dbManager.getMemberByPhone(this.cleanPhoneNumber(targetPhone || fromPhone));
+        if (!target || !target.active) {
+            return this.localize(member, 'pause.no_member', { phone: this.cleanPhoneNumber(targetPhone) });
         }
 
-        return `📊 REACTION STATISTICS (Last 7 Days)
+        const pausedUntil = startOfLocalDay(new Date(), this.getMemberTimeZone(target), dayCount);
+        await this.dbManager.updateMember(target._id, { pausedUntil });
+
+        await this.dbManager.recordAnalytic('member_paused', 1,
+            `Member: ${target.name}, Days: ${dayCount}, By: ${member.name}`);
+        await this.recordPerformanceMetric('pause_command', Date.now() - startTime, true);
+        logger.info(`✅ ${target.name} paused until ${pausedUntil.toISOString()}`);
 
-📈 Total reactions detected: ${totalReactions}
-🔇 All reactions stored silently
-📅 Daily average: ${Math.round(totalReactions / 7)}
-✅ System working properly
+        const dateOptions = { hour: undefined, minute: undefined };
+        const date = formatLocalTime(pausedUntil, this.getMemberTimeZone(target), dateOptions, languageLocale(languageOf(target)));
 
-💡 Reactions are collected throughout the day for future 8 PM summaries!`;
+        if (!targetPhone) {
+            return await this.replyToSender(member, fromPhone, this.localize(target, 'pause.confirmed', { date }));
+        }
+
+        await this.sendSMS(target.phoneNumber, this.localize(target, 'pause.by_admin', { admin: member.name, date }));
+        return this.localize(member, 'pause.admin_confirmed', {
+            name: target.name,
+            phone: target.phoneNumber,
+            date: formatLocalTime(pausedUntil, this.getMemberTimeZone(target), dateOptions, languageLocale(languageOf(member)))
+        });
 
     } catch (error) {
-        logger.error(`❌ Error getting reaction stats: ${error.message}`);
-        return "❌ Error retrieving reaction statistics";
+        await this.recordPerformanceMetric('pause_command', Date.now() - startTime, false, error.message);
+        logger.error(`❌ PAUSE command error: ${error.message}`);
+        if (targetPhone) {
+            return this.localize(member, 'pause.admin_failed');
+        }
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.failed'));
     }
 }
 
-// PRODUCTION REACTION DETECTION ENGINE
-async detectAndProcessReaction(messageBody, fromPhone, senderName) {
+async handleResumeCommand(fromPhone, member, targetPhone) {
     const startTime = Date.now();
-    
+    logger.info(`▶️ RESUME command from ${member.name}: ${targetPhone || 'self'}`);
+
+    if (targetPhone && !member.isAdmin) {
+        logger.warn(`❌ Non-admin attempted to resume ${targetPhone}: ${fromPhone}`);
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'pause.access_denied'));
+    }
+
     try {
-        // INDUSTRIAL-GRADE REACTION PATTERNS
-        const reactionPatterns = [
-            // iPhone reactions
-            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+"(.+)"$/i,
-            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+'(.+)'$/i,
-            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+(.+)$/i,
-            
-            // Android reactions  
-            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)\s+to\s+"(.+)"$/i,
-            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)\s+to\s+'(.+)'$/i,
-            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)\s+to\s+(.+)$/i,
-            
-            // Direct emoji reactions (common pattern)
-            /^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎)$/,
-            
-            // Multiple emoji reactions
-            /^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎){1,5}$/
-        ];
+        const target = await this.dbManager.getMemberByPhone(this.cleanPhoneNumber(targetPhone || fromPhone));
+        if (!target || !target.active) {
+            return this.localize(member, 'pause.no_member', { phone: this.cleanPhoneNumber(targetPhone) });
+        }
 
-        for (const pattern of reactionPatterns) {
-            const match = messageBody.match(pattern);
-            if (match) {
-                logger.info(`🎯 Reaction pattern matched: ${pattern} for message: "${messageBody}"`);
-                
-                const reactionData = await this.parseReactionMatch(match, fromPhone, senderName, messageBody);
-                if (reactionData) {
-                    const durationMs = Date.now() - startTime;
-                    await this.recordPerformanceMetric('reaction_detection', durationMs, true);
-                    
-                    return reactionData;
-                }
+        if (!target.pausedUntil || target.pausedUntil <= new Date()) {
+            if (targetPhone) {
+                return this.localize(member, 'pause.admin_not_paused', { name: target.name });
             }
+            return await this.replyToSender(member, fromPhone, this.localize(target, 'pause.not_paused'));
         }
 
-        // Not a reaction - regular message
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('reaction_detection', durationMs, true);
-        
-        return { isReaction: false };
-        
-    } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('reaction_detection', durationMs, false, error.message);
-        
-        logger.error(`❌ Reaction detection error: ${error.message}`);
-        return { isReaction: false };
-    }
-}
+        await this.dbManager.updateMember(target._id, { pausedUntil: null });
 
-// PRODUCTION REACTION PARSER
-async parseReactionMatch(match, fromPhone, senderName, originalMessage) {
-    try {
-        let emoji = '';
-        let targetMessage = '';
-        let reactionType = 'unknown';
+        await this.dbManager.recordAnalytic('member_resumed', 1, `Member: ${target.name}, By: ${member.name}`);
+        await this.recordPerformanceMetric('resume_command', Date.now() - startTime, true);
+        logger.info(`✅ ${target.name} resumed`);
 
-        // iPhone-style reactions
-        if (match[1] && (match[2] || match[3])) {
-            const action = match[1].toLowerCase();
-            targetMessage = match[2] || match[3] || '';
-            
-            const emojiMap = {
-                'loved': '❤️',
-                'liked': '👍', 
-                'disliked': '👎',
-                'laughed at': '😂',
-                'emphasized': '‼️',
-                'questioned': '❓'
-            };
-            
-            emoji = emojiMap[action] || '❤️';
-            reactionType = 'iphone_reaction';
-        }
-        
-        // Android-style reactions
-        else if (match[1] && match[1].match(/^(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)$/)) {
-            emoji = match[1];
-            targetMessage = match[2] || '';
-            reactionType = 'android_reaction';
-        }
-        
-        // Direct emoji reactions
-        else if (match[1] && match[1].match(/^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎)+$/)) {
-            emoji = match[1].charAt(0); // Take first emoji if multiple
-            reactionType = 'direct_emoji';
-            
-            // For direct emoji, find the most recent message to react to
-            const recentMessage = await this.findMostRecentBroadcastMessage(fromPhone);
-            targetMessage = recentMessage ? recentMessage.originalMessage.substring(0, 50) : '';
+        if (!targetPhone) {
+            return await this.replyToSender(member, fromPhone, this.localize(target, 'pause.resumed'));
         }
 
-        if (emoji && emoji.length > 0) {
-            return {
-                isReaction: true,
-                emoji: emoji,
-                targetMessage: targetMessage.substring(0, 100), // Limit target message length
-                reactorPhone: fromPhone,
-                reactorName: senderName,
-                reactionType: reactionType,
-                originalReactionText: originalMessage,
-                detectedAt: new Date()
-            };
-        }
+        await this.sendSMS(target.phoneNumber, this.localize(target, 'pause.resumed'));
+        return this.localize(member, 'pause.admin_resumed', { name: target.name, phone: target.phoneNumber });
 
-        return null;
-        
     } catch (error) {
-        logger.error(`❌ Reaction parsing error: ${error.message}`);
-        return null;
+        await this.recordPerformanceMetric('resume_command', Date.now() - startTime, false, error.message);
+        logger.error(`❌ RESUME command error: ${error.message}`);
+        if (targetPhone) {
+            return this.localize(member, 'pause.resume_failed');
+        }
+        return await this.replyToSender(member, fromPhone, this.localize(member, 'profile.failed'));
     }
 }
 
-// PRODUCTION MESSAGE FINDER FOR REACTIONS
-async findMostRecentBroadcastMessage(excludePhone) {
+async handlePausedCommand(adminPhone) {
+    logger.info(`⏸️ Admin PAUSED command from ${adminPhone}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
     try {
-        if (!this.dbManager.isConnected) {
-            return null;
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted PAUSED command: ${adminPhone}`);
+            return this.localize(admin, 'paused.access_denied');
         }
 
-        // Find the most recent broadcast message from someone else
-        const recentMessage = await BroadcastMessage.findOne({
-            fromPhone: { $ne: excludePhone },
-            sentAt: { $gt: new Date(Date.now() - 2 * 60 * 60 * 1000) }, // Within last 2 hours
-            deliveryStatus: 'completed'
-        }).sort({ sentAt: -1 });
+        const paused = await this.dbManager.getPausedMembers();
+        if (paused.length === 0) {
+            return this.localize(admin, 'paused.none');
+        }
+
+        const locale = languageLocale(languageOf(admin));
+        let listMessage = `${this.localize(admin, 'paused.title', { count: paused.length })}\n\n`;
+        for (const member of paused.slice(0, 20)) {
+            const until = formatLocalTime(member.pausedUntil, config.timeZone, { hour: undefined, minute: undefined }, locale);
+            listMessage += `${this.localize(admin, 'paused.line', { name: member.name, phone: member.phoneNumber, date: until })}\n`;
+        }
+        if (paused.length > 20) {
+            listMessage += `${this.localize(admin, 'paused.more', { count: paused.length - 20 })}\n`;
+        }
+        listMessage += `\n${this.localize(admin, 'paused.hint')}`;
+
+        return listMessage;
 
-        return recentMessage;
-        
     } catch (error) {
-        logger.error(`❌ Error finding recent message: ${error.message}`);
-        return null;
+        logger.error(`❌ PAUSED command error: ${error.message}`);
+        return this.localize(admin, 'paused.failed');
     }
 }
 
-// PRODUCTION REACTION STORAGE
-async storeReactionData(reactionData) {
+// Enhanced generateHelpMessage method with WIPE and ADMIN commands
+// Replace your existing generateHelpMessage method in app.js with this version
+
+async generateHelpMessage(member) {
     const startTime = Date.now();
     
     try {
-        if (!this.dbManager.isConnected) {
-            logger.warn('❌ Database not connected - cannot store reaction');
-            return false;
+        const stats = await this.dbManager.getHealthStats();
+        
+        // 🎯 COMMANDS-ONLY HELP (Under 800 characters), in the member's language
+        const sections = [
+            this.localize(member, 'help.header', {
+                memberCount: stats.activeMemberCount,
+                phone: config.twilio.phoneNumber
+            }),
+            this.localize(member, 'help.basic'),
+            this.localize(member, 'help.commands')
+        ];
+
+        // Add admin commands if user is admin; members get their self-service commands instead
+        if (member.isAdmin) {
+            sections.push(this.localize(member, 'help.admin'));
+        } else {
+            sections.push(this.localize(member, 'help.self_service'));
         }
 
-        // Create new MessageReaction model entry
-        const reaction = new MessageReaction({
-            reactorPhone: reactionData.reactorPhone,
-            reactorName: reactionData.reactorName,
-            emoji: reactionData.emoji,
-            targetMessage: reactionData.targetMessage,
-            reactionType: reactionData.reactionType,
-            originalReactionText: reactionData.originalReactionText,
-            processedForSummary: false,
+        sections.push(this.localize(member, 'help.footer'));
+        const helpMessage = sections.join('\n\n');
+
+        // Record usage and log character count
+        await this.dbManager.recordAnalytic('help_command_used', 1, 
+            `User: ${member.name} (${member.isAdmin ? 'Admin' : 'Member'})`);
+
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('help_command', durationMs, true);
+
+        logger.info(`📋 HELP command used by ${member.name} (Admin: ${member.isAdmin}, Language: ${languageOf(member)})`);
+        logger.info(`📏 Help message length: ${helpMessage.length} characters`);
+
+        return helpMessage;
+
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('help_command', durationMs, false, error.message);
+        
+        logger.error(`❌ HELP command error: ${error.message}`);
+        
+        // Ultra-minimal fallback
+        return this.localize(member, 'help.fallback');
+    }
+}
+
+// ============================================================================
+// ALTERNATIVE: EVEN MORE MINIMAL VERSION
+// ============================================================================
+
+async generateMinimalHelp(member) {
+    let help = `📋 COMMANDS
+
+📱 BASIC:
+• Text anything → broadcast to all
+• React: ❤️😂👍🙏 (silent processing)`;
+
+    if (member.isAdmin) {
+        help += `
+
+🔑 ADMIN:
+
+• ADD +phone Name
+• REMOVE +phone Name
+• CLEANUP STATUS`;
+    }
+
+    help += `
+
+💚 YesuWay Church`;
+
+    logger.info(`📏 Minimal help: ${help.length} characters`);
+    return help;
+}
+
+// ============================================================================
+// SUPER MINIMAL: JUST COMMANDS
+// ============================================================================
+
+async generateCommandsOnly(member) {
+    let commands = `📋 AVAILABLE COMMANDS
+
+💬 HELP - Show commands`;
+
+    if (member.isAdmin) {
+        commands += `
+
+🔑 ADD +phone Name - Add member
+🔑 REMOVE +phone Name - Remove member
+🔑 ADMIN +phone Name - Grant admin
+🔑 DEMOTE +phone Name - Remove admin
+🔑 CLEANUP STATUS - Database health
+🔑 REACTION STATUS
+🔑 REACTION SEND
+🔑 REACTION STATS
+🔑 WIPE CONFIRM - Emergency reset`;
+    }
+
+    commands += `
+
+Text anything else to broadcast to congregation.
+React with ❤️😂👍🙏 for silent reactions.
+
+YesuWay Church`;
+
+    logger.info(`📏 Commands only: ${commands.length} characters`);
+    return commands;
+}
+
+// Optional: Add a detailed admin help command
+async generateDetailedAdminHelp(member) {
+    if (!member.isAdmin) {
+        return "❌ Access denied. Admin commands are restricted to church administrators.";
+    }
+
+    const helpMessage = `🔑 DETAILED ADMIN COMMAND REFERENCE
+═══════════════════════════════════════
+
+📝 MEMBER MANAGEMENT:
+═══════════════════════════════════════
+
+➤ ADD COMMAND:
+Format: ADD +1234567890 MemberName
+• Adds new member to YesuWay Congregation group
+• Sends automatic welcome SMS to new member
+• Validates phone number format
+• Checks for existing members
+• Returns confirmation with member count
+
+Examples:
+• ADD +12065551234 John Smith
+• ADD +14257729189 Sarah Johnson
+
+➤ REMOVE COMMAND:
+Format: REMOVE +1234567890 [MemberName]
+• PERMANENTLY deletes member from database
+• Removes all associated data (messages, logs)
+• Optional name for verification
+• Cannot remove admin members
+• Cannot remove yourself
+
+Examples:
+• REMOVE +12065551234
+• REMOVE +12065551234 John Smith
+
+🗄️ DATABASE CLEANUP:
+═══════════════════════════════════════
+
+➤ CLEANUP STATUS:
+Shows database health information:
+• Duplicate phone numbers count
+• Inactive members count  
+• Orphaned messages count
+• Detailed list of issues found
+
+➤ CLEANUP DUPLICATES:
+• Finds members with same phone number
+• Keeps oldest active member
+• Deletes duplicate entries
+• Cannot be undone
+
+➤ CLEANUP PHONE +1234567890:
+• Removes ALL members with that phone
+• Deletes all associated data
+• Completely cleans phone number
+• Makes number available for re-use
+
+➤ CLEANUP ORPHANED:
+• Removes inactive members (active: false)
+• Deletes orphaned messages
+• Deletes orphaned delivery logs
+• Optimizes database performance
+
+⚠️ IMPORTANT WARNINGS:
+═══════════════════════════════════════
+• All REMOVE and CLEANUP operations are PERMANENT
+• Deleted data cannot be recovered
+• Admin members cannot be removed via SMS
+• Always check CLEANUP STATUS before running cleanup
+• Welcome SMS are sent automatically for new members
+
+📊 SYSTEM MONITORING:
+═══════════════════════════════════════
+• All admin commands are logged for audit
+• Performance metrics are tracked
+• Database operations are monitored
+• Error handling provides detailed feedback
+
+💡 BEST PRACTICES:
+═══════════════════════════════════════
+• Run CLEANUP STATUS weekly
+• Add members one at a time for welcome SMS
+• Use full names for better organization
+• Keep phone numbers in +1234567890 format
+• Verify member details before removal
+
+🏛️ YesuWay Church Technology Team`;
+
+    return helpMessage;
+}
+
+
+// Add this new method to your ProductionChurchSMS class in app.js
+
+// 🔻 DEMOTE command - Remove admin privileges from administrators
+async handleDemoteCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`🔻 ADMIN DEMOTE command from ${adminPhone}: ${commandText}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
+    try {
+        // Verify admin privileges
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted DEMOTE command: ${adminPhone}`);
+            return this.localize(admin, 'demote.access_denied');
+        }
+
+        // Parse the DEMOTE command: "DEMOTE +12068001141 Abel"
+        const parts = commandText.trim().split(/\s+/);
+        
+        if (parts.length < 2) {
+            return this.localize(admin, 'demote.usage');
+        }
+
+        const [command, phoneNumber, ...nameParts] = parts;
+        const adminName = nameParts.join(' ').trim();
+
+        if (command.toUpperCase() !== 'DEMOTE') {
+            return this.localize(admin, 'demote.unrecognized');
+        }
+
+        // Clean and validate phone number
+        const cleanPhone = this.cleanPhoneNumber(phoneNumber);
+        if (!cleanPhone) {
+            return this.localize(admin, 'demote.invalid_phone', { phone: phoneNumber });
+        }
+
+        // Prevent admin from demoting themselves
+        if (cleanPhone === this.cleanPhoneNumber(adminPhone)) {
+            return this.localize(admin, 'demote.self');
+        }
+
+        // Check if person exists and is an admin
+        const targetMember = await this.getMemberInfo(cleanPhone);
+        
+        if (!targetMember) {
+            return this.localize(admin, 'demote.not_found', { phone: cleanPhone });
+        }
+
+        if (!targetMember.isAdmin) {
+            const groupNames = targetMember.groups?.map(g => g.name).join(", ") || this.localize(admin, 'demote.no_groups');
+            return this.localize(admin, 'demote.not_admin', { name: targetMember.name, phone: cleanPhone, groups: groupNames });
+        }
+
+        // Name verification if provided
+        if (adminName && targetMember.name.toLowerCase() !== adminName.toLowerCase()) {
+            return this.localize(admin, 'demote.name_mismatch', { phone: cleanPhone, found: targetMember.name, input: adminName });
+        }
+
+        try {
+            // Remove admin privileges (convert to regular member)
+            await Member.findByIdAndUpdate(
+                targetMember.id,
+                { 
+                    isAdmin: false,
+                    lastActivity: new Date()
+                },
+                { new: true }
+            );
+
+            // ✨ Send demotion notification SMS
+            const demotionMessage = await this.sendAdminDemotionSMS(cleanPhone, targetMember.name, admin.name);
+
+            // Log the demotion for audit trail
+            await this.dbManager.recordAnalytic('admin_demoted', 1, 
+                `Demoted by: ${admin.name}, Former Admin: ${targetMember.name} (${cleanPhone}), Demotion SMS: ${demotionMessage.success ? 'Sent' : 'Failed'}`);
+
+            const durationMs = Date.now() - startTime;
+            await this.recordPerformanceMetric('admin_demotion', durationMs, true);
+
+            logger.info(`✅ Admin ${admin.name} demoted ${targetMember.name} (${cleanPhone}) from administrator`);
+
+            // Get updated member counts
+            const totalMembers = await this.dbManager.getAllActiveMembers();
+            const adminCount = totalMembers.filter(m => m.isAdmin).length;
+
+            let successMessage = `${this.localize(admin, 'demote.success', {
+                name: targetMember.name,
+                phone: cleanPhone,
+                admins: adminCount,
+                members: totalMembers.length
+            })}\n`;
+
+            // Add demotion SMS status
+            if (demotionMessage.success) {
+                successMessage += this.localize(admin, 'demote.sms_sent');
+                logger.info(`📩 Demotion SMS delivered to ${targetMember.name} (${cleanPhone}): ${demotionMessage.sid}`);
+            } else {
+                successMessage += this.localize(admin, 'demote.sms_failed', { error: demotionMessage.error });
+                logger.warn(`📩 Demotion SMS failed to ${targetMember.name} (${cleanPhone}): ${demotionMessage.error}`);
+            }
+
+            return successMessage;
+
+        } catch (demotionError) {
+            logger.error(`❌ Failed to demote admin: ${demotionError.message}`);
+            return this.localize(admin, 'demote.failed', { name: targetMember.name, error: demotionError.message });
+        }
+
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('demote_command', durationMs, false, error.message);
+        
+        logger.error(`❌ DEMOTE command error: ${error.message}`);
+        logger.error(`❌ Stack trace: ${error.stack}`);
+        
+        return this.localize(admin, 'demote.system_error');
+    }
+}
+
+// ✨ NEW METHOD: Send admin demotion notification SMS
+async sendAdminDemotionSMS(memberPhone, memberName, demotingAdminName) {
+    const startTime = Date.now();
+    logger.info(`📩 Sending admin demotion SMS to: ${memberName} (${memberPhone})`);
+
+    try {
+        // Create a professional demotion notification message
+        const demotedMember = await this.getMemberInfo(memberPhone);
+        const demotionMessage = await this.createAdminDemotionMessage(memberName, demotingAdminName, languageOf(demotedMember));
+        
+        // Send the demotion SMS
+        const result = await this.sendSMS(memberPhone, demotionMessage, 2);
+        
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('admin_demotion_sms', durationMs, result.success);
+
+        if (result.success) {
+            await this.dbManager.recordAnalytic('admin_demotion_sms_sent', 1, 
+                `Former Admin: ${memberName} (${memberPhone}), Demoted by: ${demotingAdminName}`);
+            
+            logger.info(`✅ Admin demotion SMS sent to ${memberName}: ${result.sid}`);
+            return {
+                success: true,
+                sid: result.sid,
+                message: "Admin demotion SMS sent successfully"
+            };
+        } else {
+            await this.dbManager.recordAnalytic('admin_demotion_sms_failed', 1, 
+                `Former Admin: ${memberName} (${memberPhone}), Error: ${result.error}`);
+            
+            logger.error(`❌ Admin demotion SMS failed to ${memberName}: ${result.error}`);
+            return {
+                success: false,
+                error: result.error,
+                message: "Admin demotion SMS delivery failed"
+            };
+        }
+
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('admin_demotion_sms', durationMs, false, error.message);
+        
+        logger.error(`❌ Admin demotion SMS system error for ${memberName}: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            message: "Admin demotion SMS system error"
+        };
+    }
+}
+
+// ✨ NEW METHOD: Create admin demotion message
+// Text comes from the editable "admin_demotion" template
+async createAdminDemotionMessage(memberName, demotingAdminName, language = DEFAULT_LANGUAGE) {
+    return await this.renderSystemTemplate('admin_demotion', { ...recipientFields(memberName), adminName: demotingAdminName }, language);
+}
+
+
+// Add these methods to your ProductionChurchSMS class in app.js
+// Place them after the existing handleCleanupCommand method
+
+// ⚠️ DANGEROUS: WIPE command - Completely wipes all database data
+async handleWipeCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`🚨 ADMIN WIPE command from ${adminPhone}: ${commandText}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
+    try {
+        // Verify admin privileges
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted WIPE command: ${adminPhone}`);
+            return this.localize(admin, 'wipe.access_denied');
+        }
+
+        const parts = commandText.trim().split(/\s+/);
+        const confirmationWord = parts[1]?.toUpperCase();
+
+        // Require explicit confirmation to prevent accidental wipes
+        if (!confirmationWord || confirmationWord !== 'CONFIRM') {
+            return this.localize(admin, 'wipe.warning');
+        }
+
+        logger.warn(`🚨 ADMIN ${admin.name} initiating COMPLETE DATABASE WIPE`);
+
+        try {
+            // Count data before deletion for logging
+            const preWipeStats = {
+                members: await Member.countDocuments({}),
+                groups: await Group.countDocuments({}),
+                messages: await BroadcastMessage.countDocuments({}),
+                mediaFiles: await MediaFile.countDocuments({}),
+                deliveryLogs: await DeliveryLog.countDocuments({}),
+                analytics: await SystemAnalytics.countDocuments({}),
+                performanceMetrics: await PerformanceMetrics.countDocuments({})
+            };
+
+            logger.warn(`🚨 Pre-wipe data count: ${JSON.stringify(preWipeStats)}`);
+
+            // COMPLETE DATABASE WIPE - DELETE ALL COLLECTIONS
+            const deleteResults = await Promise.allSettled([
+                Member.deleteMany({}),
+                Group.deleteMany({}),
+                BroadcastMessage.deleteMany({}),
+                MediaFile.deleteMany({}),
+                DeliveryLog.deleteMany({}),
+                SystemAnalytics.deleteMany({}),
+                PerformanceMetrics.deleteMany({})
+            ]);
+
+            // Check deletion results
+            const deletionSummary = {
+                members: deleteResults[0].status === 'fulfilled' ? deleteResults[0].value.deletedCount : 0,
+                groups: deleteResults[1].status === 'fulfilled' ? deleteResults[1].value.deletedCount : 0,
+                messages: deleteResults[2].status === 'fulfilled' ? deleteResults[2].value.deletedCount : 0,
+                mediaFiles: deleteResults[3].status === 'fulfilled' ? deleteResults[3].value.deletedCount : 0,
+                deliveryLogs: deleteResults[4].status === 'fulfilled' ? deleteResults[4].value.deletedCount : 0,
+                analytics: deleteResults[5].status === 'fulfilled' ? deleteResults[5].value.deletedCount : 0,
+                performanceMetrics: deleteResults[6].status === 'fulfilled' ? deleteResults[6].value.deletedCount : 0
+            };
+
+            // Check for any failed deletions
+            const failures = deleteResults.filter(result => result.status === 'rejected');
+            if (failures.length > 0) {
+                logger.error(`❌ Some deletions failed: ${failures.map(f => f.reason?.message).join(', ')}`);
+            }
+
+            const totalDeleted = Object.values(deletionSummary).reduce((sum, count) => sum + count, 0);
+
+            // Final verification - check if database is truly empty
+            const postWipeStats = {
+                members: await Member.countDocuments({}),
+                groups: await Group.countDocuments({}),
+                messages: await BroadcastMessage.countDocuments({}),
+                mediaFiles: await MediaFile.countDocuments({}),
+                deliveryLogs: await DeliveryLog.countDocuments({}),
+                analytics: await SystemAnalytics.countDocuments({}),
+                performanceMetrics: await PerformanceMetrics.countDocuments({})
+            };
+
+            const remainingRecords = Object.values(postWipeStats).reduce((sum, count) => sum + count, 0);
+
+            const durationMs = Date.now() - startTime;
+            
+            // Log the wipe operation (this will fail if analytics collection was wiped)
+            try {
+                await this.dbManager.recordAnalytic('database_wiped', totalDeleted, 
+                    `Admin: ${admin.name}, Total records deleted: ${totalDeleted}, Duration: ${durationMs}ms`);
+            } catch (logError) {
+                logger.warn(`⚠️ Could not log wipe operation (expected if analytics collection wiped): ${logError.message}`);
+            }
+
+            await this.recordPerformanceMetric('database_wipe', durationMs, remainingRecords === 0);
+
+            logger.warn(`🚨 DATABASE WIPE COMPLETED by ${admin.name}`);
+            logger.warn(`📊 Total records deleted: ${totalDeleted}`);
+            logger.warn(`📊 Remaining records: ${remainingRecords}`);
+
+            // The admin's own record is gone by now, so the language was read before the wipe
+            let wipeReport = `${this.localize(admin, 'wipe.report', {
+                ...deletionSummary,
+                total: totalDeleted,
+                seconds: (durationMs / 1000).toFixed(2)
+            })}\n\n`;
+
+            if (remainingRecords === 0) {
+                wipeReport += this.localize(admin, 'wipe.empty');
+            } else {
+                wipeReport += this.localize(admin, 'wipe.remaining', { count: remainingRecords });
+            }
+
+            return wipeReport;
+
+        } catch (wipeError) {
+            logger.error(`❌ Database wipe failed: ${wipeError.message}`);
+            return this.localize(admin, 'wipe.failed', { error: wipeError.message });
+        }
+
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('database_wipe', durationMs, false, error.message);
+        
+        logger.error(`❌ WIPE command error: ${error.message}`);
+        logger.error(`❌ Stack trace: ${error.stack}`);
+        
+        return this.localize(admin, 'wipe.system_error');
+    }
+}
+
+
+
+// 🔑 ADMIN command - Add new administrators with full control
+async handleAdminCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`🔑 ADMIN command from ${adminPhone}: ${commandText}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
+    try {
+        // Verify admin privileges
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted ADMIN command: ${adminPhone}`);
+            return this.localize(admin, 'admin.access_denied');
+        }
+
+        // Parse the ADMIN command: "ADMIN +15425636786 DANE"
+        const parts = commandText.trim().split(/\s+/);
+        
+        if (parts.length < 3) {
+            return this.localize(admin, 'admin.usage');
+        }
+
+        const [command, phoneNumber, ...nameParts] = parts;
+        const adminName = nameParts.join(' ').trim();
+
+        if (command.toUpperCase() !== 'ADMIN') {
+            return this.localize(admin, 'admin.unrecognized');
+        }
+
+        if (!adminName) {
+            return this.localize(admin, 'admin.name_required');
+        }
+
+        // Clean and validate phone number
+        const cleanPhone = this.cleanPhoneNumber(phoneNumber);
+        if (!cleanPhone) {
+            return this.localize(admin, 'admin.invalid_phone', { phone: phoneNumber });
+        }
+
+        // Prevent admin from modifying themselves (though they could add themselves as admin again)
+        if (cleanPhone === this.cleanPhoneNumber(adminPhone)) {
+            return this.localize(admin, 'admin.self');
+        }
+
+        // Check if person already exists
+        let existingMember = await this.getMemberInfo(cleanPhone);
+        
+        if (existingMember) {
+            // Person exists - check if already admin
+            if (existingMember.isAdmin) {
+                const groupNames = existingMember.groups?.map(g => g.name).join(", ") || this.localize(admin, 'demote.no_groups');
+                return this.localize(admin, 'admin.already_admin', {
+                    name: existingMember.name,
+                    phone: cleanPhone,
+                    groups: groupNames,
+                    messages: existingMember.messageCount
+                });
+            } else {
+                // Promote existing member to admin
+                try {
+                    await Member.findByIdAndUpdate(
+                        existingMember.id,
+                        { 
+                            isAdmin: true,
+                            name: adminName, // Update name in case it changed
+                            lastActivity: new Date()
+                        },
+                        { new: true }
+                    );
+
+                    // Ensure they're in the leadership group
+                    const leadershipGroup = await this.dbManager.getGroupByName("Church Leadership");
+                    if (leadershipGroup) {
+                        const isInLeadershipGroup = existingMember.groups.some(g => 
+                            g.groupId.toString() === leadershipGroup._id.toString()
+                        );
+                        
+                        if (!isInLeadershipGroup) {
+                            await this.dbManager.addMemberToGroup(existingMember.id, leadershipGroup._id);
+                            logger.info(`✅ Added new admin ${adminName} to Church Leadership group`);
+                        }
+                    }
+
+                    // ✨ Send admin promotion notification SMS
+                    const promotionMessage = await this.sendAdminPromotionSMS(cleanPhone, adminName, admin.name);
+
+                    // Log the promotion for audit trail
+                    await this.dbManager.recordAnalytic('member_promoted_to_admin', 1, 
+                        `Promoted by: ${admin.name}, New Admin: ${adminName} (${cleanPhone}), Promotion SMS: ${promotionMessage.success ? 'Sent' : 'Failed'}`);
+
+                    const durationMs = Date.now() - startTime;
+                    await this.recordPerformanceMetric('admin_promotion', durationMs, true);
+
+                    logger.info(`✅ Admin ${admin.name} promoted ${adminName} (${cleanPhone}) to administrator`);
+
+                    // Get updated member count
+                    const totalMembers = await this.dbManager.getAllActiveMembers();
+                    const adminCount = totalMembers.filter(m => m.isAdmin).length;
+
+                    let successMessage = `${this.localize(admin, 'admin.promoted', {
+                        name: adminName,
+                        phone: cleanPhone,
+                        admins: adminCount,
+                        members: totalMembers.length
+                    })}\n\n`;
+
+                    // Add promotion SMS status to admin response
+                    if (promotionMessage.success) {
+                        successMessage += this.localize(admin, 'admin.promotion_sms_sent');
+                        logger.info(`📩 Admin promotion SMS delivered to ${adminName} (${cleanPhone}): ${promotionMessage.sid}`);
+                    } else {
+                        successMessage += this.localize(admin, 'admin.promotion_sms_failed', { error: promotionMessage.error });
+                        logger.warn(`📩 Admin promotion SMS failed to ${adminName} (${cleanPhone}): ${promotionMessage.error}`);
+                    }
+
+                    return successMessage;
+
+                } catch (promotionError) {
+                    logger.error(`❌ Failed to promote member to admin: ${promotionError.message}`);
+                    return this.localize(admin, 'admin.promotion_failed', { name: existingMember.name, error: promotionError.message });
+                }
+            }
+        } else {
+            // Person doesn't exist - create new admin member
+            try {
+                // Get the leadership group for new admin
+                const leadershipGroup = await this.dbManager.getGroupByName("Church Leadership");
+                if (!leadershipGroup) {
+                    return this.localize(admin, 'admin.no_leadership_group');
+                }
+
+                // Create new admin member
+                const newAdmin = await this.dbManager.createMember({
+                    phoneNumber: cleanPhone,
+                    name: adminName,
+                    isAdmin: true,
+                    active: true,
+                    messageCount: 0,
+                    lastActivity: new Date(),
+                    groups: [{
+                        groupId: leadershipGroup._id,
+                        joinedAt: new Date()
+                    }]
+                });
+
+                // ✨ Send admin welcome SMS to new admin
+                const welcomeMessage = await this.sendAdminWelcomeSMS(cleanPhone, adminName, admin.name);
+
+                // Log the new admin creation for audit trail
+                await this.dbManager.recordAnalytic('new_admin_created', 1, 
+                    `Created by: ${admin.name}, New Admin: ${adminName} (${cleanPhone}), Welcome SMS: ${welcomeMessage.success ? 'Sent' : 'Failed'}`);
+
+                const durationMs = Date.now() - startTime;
+                await this.recordPerformanceMetric('admin_creation', durationMs, true);
+
+                logger.info(`✅ Admin ${admin.name} created new administrator: ${adminName} (${cleanPhone})`);
+
+                // Get updated counts
+                const totalMembers = await this.dbManager.getAllActiveMembers();
+                const adminCount = totalMembers.filter(m => m.isAdmin).length;
+
+                let successMessage = `${this.localize(admin, 'admin.created', {
+                    name: adminName,
+                    phone: cleanPhone,
+                    admins: adminCount,
+                    members: totalMembers.length
+                })}\n\n`;
+
+                // Add welcome SMS status to admin response
+                if (welcomeMessage.success) {
+                    successMessage += this.localize(admin, 'admin.welcome_sms_sent');
+                    logger.info(`📩 Admin welcome SMS delivered to ${adminName} (${cleanPhone}): ${welcomeMessage.sid}`);
+                } else {
+                    successMessage += this.localize(admin, 'admin.welcome_sms_failed', { error: welcomeMessage.error });
+                    logger.warn(`📩 Admin welcome SMS failed to ${adminName} (${cleanPhone}): ${welcomeMessage.error}`);
+                }
+
+                return successMessage;
+
+            } catch (createError) {
+                // Enhanced error handling for specific MongoDB errors
+                if (createError.code === 11000) {
+                    // Duplicate key error
+                    const duplicateField = createError.keyPattern ? Object.keys(createError.keyPattern)[0] : 'phoneNumber';
+                    return this.localize(admin, 'admin.duplicate_phone', { phone: cleanPhone });
+                } else if (createError.name === 'ValidationError') {
+                    // Mongoose validation error
+                    const validationErrors = Object.values(createError.errors).map(err => err.message).join(', ');
+                    return this.localize(admin, 'add.validation_error', { errors: validationErrors });
+                } else {
+                    // Other database errors
+                    logger.error(`❌ Database error creating admin: ${createError.message}`);
+                    return this.localize(admin, 'admin.database_error');
+                }
+            }
+        }
+
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('admin_command', durationMs, false, error.message);
+        
+        logger.error(`❌ ADMIN command error: ${error.message}`);
+        logger.error(`❌ Stack trace: ${error.stack}`);
+        
+        // Provide more specific error information
+        if (error.name === 'MongoNetworkError') {
+            return this.localize(admin, 'add.connection_error');
+        } else if (error.name === 'MongoServerError' && error.code === 11000) {
+            return this.localize(admin, 'admin.already_exists');
+        } else {
+            return this.localize(admin, 'admin.system_error');
+        }
+    }
+}
+
+
+
+
+// ✨ NEW METHOD: Send admin promotion SMS
+async sendAdminPromotionSMS(adminPhone, adminName, promoterName) {
+    const startTime = Date.now();
+    logger.info(`📩 Sending admin promotion SMS to: ${adminName} (${adminPhone})`);
+
+    try {
+        // Create a personalized admin promotion message
+        const promotedMember = await this.getMemberInfo(adminPhone);
+        const promotionMessage = await this.createAdminPromotionMessage(adminName, promoterName, languageOf(promotedMember));
+        
+        // Send the promotion SMS
+        const result = await this.sendSMS(adminPhone, promotionMessage, 2); // 2 retries for admin messages
+        
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('admin_promotion_sms', durationMs, result.success);
+
+        if (result.success) {
+            // Log successful promotion SMS
+            await this.dbManager.recordAnalytic('admin_promotion_sms_sent', 1, 
+                `New Admin: ${adminName} (${adminPhone}), Promoted by: ${promoterName}`);
+            
+            logger.info(`✅ Admin promotion SMS sent to ${adminName}: ${result.sid}`);
+            return {
+                success: true,
+                sid: result.sid,
+                message: "Admin promotion SMS sent successfully"
+            };
+        } else {
+            // Log failed promotion SMS
+            await this.dbManager.recordAnalytic('admin_promotion_sms_failed', 1, 
+                `New Admin: ${adminName} (${adminPhone}), Error: ${result.error}`);
+            
+            logger.error(`❌ Admin promotion SMS failed to ${adminName}: ${result.error}`);
+            return {
+                success: false,
+                error: result.error,
+                message: "Admin promotion SMS delivery failed"
+            };
+        }
+
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('admin_promotion_sms', durationMs, false, error.message);
+        
+        logger.error(`❌ Admin promotion SMS system error for ${adminName}: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            message: "Admin promotion SMS system error"
+        };
+    }
+}
+
+
+
+// ✨ NEW METHOD: Send admin welcome SMS for new admin creation
+async sendAdminWelcomeSMS(adminPhone, adminName, creatorName) {
+    const startTime = Date.now();
+    logger.info(`📩 Sending admin welcome SMS to new admin: ${adminName} (${adminPhone})`);
+
+    try {
+        // Create a personalized admin welcome message
+        const welcomeMessage = this.createAdminWelcomeMessage(adminName, creatorName);
+        
+        // Send the welcome SMS
+        const result = await this.sendSMS(adminPhone, welcomeMessage, 2); // 2 retries for admin messages
+        
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('admin_welcome_sms', durationMs, result.success);
+
+        if (result.success) {
+            // Log successful welcome SMS
+            await this.dbManager.recordAnalytic('admin_welcome_sms_sent', 1, 
+                `New Admin: ${adminName} (${adminPhone}), Created by: ${creatorName}`);
+            
+            logger.info(`✅ Admin welcome SMS sent to ${adminName}: ${result.sid}`);
+            return {
+                success: true,
+                sid: result.sid,
+                message: "Admin welcome SMS sent successfully"
+            };
+        } else {
+            // Log failed welcome SMS
+            await this.dbManager.recordAnalytic('admin_welcome_sms_failed', 1, 
+                `New Admin: ${adminName} (${adminPhone}), Error: ${result.error}`);
+            
+            logger.error(`❌ Admin welcome SMS failed to ${adminName}: ${result.error}`);
+            return {
+                success: false,
+                error: result.error,
+                message: "Admin welcome SMS delivery failed"
+            };
+        }
+
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('admin_welcome_sms', durationMs, false, error.message);
+        
+        logger.error(`❌ Admin welcome SMS system error for ${adminName}: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            message: "Admin welcome SMS system error"
+        };
+    }
+}
+
+
+
+// 🔧 IMMEDIATE FIX: Replace these two methods in your app.js file
+// Find these methods in your ProductionChurchSMS class and replace them
+
+// Method 1: Replace createAdminPromotionMessage
+// Text comes from the editable "admin_promotion" template
+async createAdminPromotionMessage(adminName, promoterName, language = DEFAULT_LANGUAGE) {
+    return await this.renderSystemTemplate('admin_promotion', { ...recipientFields(adminName), adminName: promoterName }, language);
+}
+
+// Method 2: Replace createAdminWelcomeMessage  
+createAdminWelcomeMessage(adminName, creatorName) {
+    const welcomeMessage = `🏛️ YESUWAY CHURCH ADMIN
+
+Welcome ${adminName}!
+
+${creatorName} added you as Church Administrator.
+
+🔑 ADMIN COMMANDS:
+• ADD +1234567890 Name (add members)
+• REMOVE +1234567890 Name (remove members)
+• ADMIN +1234567890 Name (grant admin privileges)
+• WIPE CONFIRM (emergency database reset)
+• CLEANUP STATUS (check system health)
+
+⚠️ ADMIN RESPONSIBILITIES:
+• Protect member privacy
+• All actions are logged
+• Coordinate with other admins
+• WIPE destroys ALL data permanently
+
+📱 GETTING STARTED:
+1. Send "HELP" for full commands
+2. Send "CLEANUP STATUS" for system check
+3. Contact ${creatorName} with questions
+
+Welcome to the admin team!
+- YesuWay Church Leadership`;
+
+    return welcomeMessage;
+}
+
+
+
+
+
+// Ultra-short promotion message (around 500 characters)
+createShortAdminPromotionMessage(adminName, promoterName) {
+    return `🔑 ADMIN PROMOTION
+
+${adminName}, you're now a Church Administrator!
+
+Promoted by: ${promoterName}
+
+🔑 YOUR COMMANDS:
+• ADD +1234567890 Name
+• REMOVE +1234567890 Name  
+• ADMIN +1234567890 Name
+• WIPE CONFIRM
+• CLEANUP STATUS
+
+Send "HELP" for details.
+
+Welcome to the admin team!
+- YesuWay Church`;
+}
+
+// Ultra-short welcome message (around 600 characters)
+createShortAdminWelcomeMessage(adminName, creatorName) {
+    return `🏛️ YESUWAY CHURCH ADMIN
+
+Welcome ${adminName}!
+
+Added by: ${creatorName}
+
+🔑 ADMIN COMMANDS:
+• ADD +1234567890 Name
+• REMOVE +1234567890 Name
+• ADMIN +1234567890 Name
+• WIPE CONFIRM (⚠️ DANGER)
+• CLEANUP STATUS
+
+⚠️ All actions logged
+⚠️ WIPE destroys ALL data
+
+Send "HELP" for full guide.
+
+Welcome to leadership!
+- YesuWay Church`;
+}
+
+async getCleanupStatus(admin) {
+    try {
+        // Find duplicates
+        const duplicates = await Member.aggregate([
+            { $group: { _id: "$phoneNumber", count: { $sum: 1 }, docs: { $push: "$$ROOT" } } },
+            { $match: { count: { $gt: 1 } } }
+        ]);
+
+        // Count inactive members
+        const inactiveCount = await Member.countDocuments({ active: false });
+        
+        // Count orphaned data
+        const orphanedMessages = await BroadcastMessage.countDocuments({
+            fromPhone: { $nin: await Member.distinct('phoneNumber') }
+        });
+
+        let status = `${this.localize(admin, 'cleanup.status', {
+            duplicates: duplicates.length,
+            inactive: inactiveCount,
+            orphaned: orphanedMessages
+        })}\n\n`;
+
+        if (duplicates.length > 0) {
+            status += `${this.localize(admin, 'cleanup.duplicates_found')}\n`;
+            duplicates.slice(0, 5).forEach(dup => {
+                status += `${this.localize(admin, 'cleanup.duplicate_line', { phone: dup._id, count: dup.count })}\n`;
+            });
+            if (duplicates.length > 5) {
+                status += `${this.localize(admin, 'cleanup.and_more', { count: duplicates.length - 5 })}\n`;
+            }
+            status += `\n${this.localize(admin, 'cleanup.duplicates_hint')}\n`;
+        }
+
+        if (inactiveCount > 0) {
+            status += `\n${this.localize(admin, 'cleanup.inactive_hint', { count: inactiveCount })}\n`;
+        }
+
+        return status;
+
+    } catch (error) {
+        logger.error(`❌ Error getting cleanup status: ${error.message}`);
+        return this.localize(admin, 'cleanup.status_error');
+    }
+}
+
+async cleanupDuplicates(admin) {
+    try {
+        const duplicates = await Member.aggregate([
+            { $group: { _id: "$phoneNumber", count: { $sum: 1 }, docs: { $push: "$$ROOT" } } },
+            { $match: { count: { $gt: 1 } } }
+        ]);
+
+        if (duplicates.length === 0) {
+            return this.localize(admin, 'cleanup.no_duplicates');
+        }
+
+        let deletedCount = 0;
+        let keptCount = 0;
+        let results = `${this.localize(admin, 'cleanup.duplicates_header', { count: duplicates.length })}\n\n`;
+
+        for (const duplicate of duplicates) {
+            // Keep the oldest active member, or just the oldest if none are active
+            const activeDocs = duplicate.docs.filter(doc => doc.active);
+            const keepDoc = activeDocs.length > 0 
+                ? activeDocs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0]
+                : duplicate.docs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+            
+            const toDelete = duplicate.docs.filter(doc => doc._id.toString() !== keepDoc._id.toString());
+            
+            results += `${this.localize(admin, 'cleanup.duplicate_kept', { phone: duplicate._id, name: keepDoc.name, count: toDelete.length })}\n`;
+            
+            // Delete the duplicates
+            for (const doc of toDelete) {
+                await Member.findByIdAndDelete(doc._id);
+                deletedCount++;
+            }
+            keptCount++;
+        }
+
+        results += `\n${this.localize(admin, 'cleanup.duplicates_done', { deleted: deletedCount, kept: keptCount })}`;
+
+        await this.dbManager.recordAnalytic('duplicates_cleaned', deletedCount, `Deleted ${deletedCount} duplicates, kept ${keptCount}`);
+
+        return results;
+
+    } catch (error) {
+        logger.error(`❌ Error cleaning duplicates: ${error.message}`);
+        return this.localize(admin, 'cleanup.duplicates_error', { error: error.message });
+    }
+}
+
+async cleanupPhone(admin, phoneInput) {
+    try {
+        const cleanPhone = this.cleanPhoneNumber(phoneInput);
+        if (!cleanPhone) {
+            return this.localize(admin, 'cleanup.invalid_phone', { phone: phoneInput });
+        }
+        
+        // Find all members with this phone (any format)
+        const phoneDigits = cleanPhone.replace(/\D/g, '');
+        const formats = [
+            cleanPhone,
+            phoneInput,
+            phoneDigits,
+            `+1${phoneDigits}`,
+            `+${phoneDigits}`,
+            `1${phoneDigits}`
+        ];
+
+        const members = await Member.find({ phoneNumber: { $in: formats } });
+        
+        if (members.length === 0) {
+            return this.localize(admin, 'cleanup.phone_not_found', { phone: cleanPhone });
+        }
+
+        // Delete all members with this phone
+        const memberIds = members.map(m => m._id);
+        const phoneNumbers = members.map(m => m.phoneNumber);
+
+        await Member.deleteMany({ _id: { $in: memberIds } });
+        await BroadcastMessage.deleteMany({ fromPhone: { $in: phoneNumbers } });
+        await DeliveryLog.deleteMany({ toPhone: { $in: phoneNumbers } });
+
+        return this.localize(admin, 'cleanup.phone_done', {
+            phone: cleanPhone,
+            count: members.length,
+            members: members.map((member, index) => {
+                const status = this.localize(admin, member.active ? 'common.active' : 'common.inactive');
+                return `${index + 1}. ${member.name}${member.isAdmin ? ' [ADMIN]' : ''} (${status})`;
+            }).join('\n')
+        });
+
+    } catch (error) {
+        logger.error(`❌ Error cleaning phone: ${error.message}`);
+        return this.localize(admin, 'cleanup.phone_error', { error: error.message });
+    }
+}
+
+async cleanupOrphanedData(admin) {
+    try {
+        const activePhones = await Member.distinct('phoneNumber', { active: true });
+        
+        // Remove inactive members completely
+        const inactiveResult = await Member.deleteMany({ active: false });
+        
+        // Remove orphaned messages
+        const messagesResult = await BroadcastMessage.deleteMany({
+            fromPhone: { $nin: activePhones }
+        });
+        
+        // Remove orphaned delivery logs
+        const deliveryResult = await DeliveryLog.deleteMany({
+            toPhone: { $nin: activePhones }
+        });
+
+        return this.localize(admin, 'cleanup.orphaned_done', {
+            members: inactiveResult.deletedCount,
+            messages: messagesResult.deletedCount,
+            deliveries: deliveryResult.deletedCount
+        });
+
+    } catch (error) {
+        logger.error(`❌ Error cleaning orphaned data: ${error.message}`);
+        return this.localize(admin, 'cleanup.orphaned_error', { error: error.message });
+    }
+}
+
+
+
+
+// COMPLETE FIXED handleIncomingMessage METHOD
+// Replace your existing handleIncomingMessage method in app.js with this
+// UPDATED handleIncomingMessage - Add debugging
+async handleIncomingMessage(fromPhone, messageBody, mediaUrls) {
+    logger.info(`📨 ENHANCED: Incoming message from ${fromPhone}`);
+
+    try {
+        fromPhone = this.cleanPhoneNumber(fromPhone);
+        messageBody = messageBody ? messageBody.trim() : "";
+        
+        if (!messageBody && mediaUrls && mediaUrls.length > 0) {
+            messageBody = "";
+        }
+
+        if (!messageBody && (!mediaUrls || mediaUrls.length === 0)) {
+            messageBody = "[Empty message]";
+        }
+
+        // STEP 0: Opt-out keywords are honoured for any number and are never broadcast
+        const complianceKeyword = this.getComplianceKeyword(messageBody);
+        if (OPT_OUT_KEYWORDS.includes(complianceKeyword)) {
+            return await this.handleOptOut(fromPhone, complianceKeyword);
+        }
+
+        const member = await this.getMemberInfo(fromPhone);
+
+        if (!member) {
+            const joinMatch = messageBody.match(JOIN_PATTERN);
+            if (joinMatch) {
+                // "JOIN GROUP Youth" is a member command, not a name - answer with the JOIN usage
+                return await this.handleJoinRequest(fromPhone, GROUP_MEMBERSHIP_PATTERN.test(messageBody) ? '' : joinMatch[1]);
+            }
+
+            logger.warn(`❌ Rejected message from unregistered number: ${fromPhone}`);
+            await this.sendSMS(fromPhone, this.localize(null, 'member.not_registered'));
+            return null;
+        }
+
+        logger.info(`👤 Sender: ${member.name} (Admin: ${member.isAdmin})`);
+
+        if (OPT_IN_KEYWORDS.includes(complianceKeyword) && (member.smsOptOut || complianceKeyword !== 'YES')) {
+            return await this.handleOptIn(fromPhone, member, complianceKeyword);
+        }
+
+        // Opted-out members cannot be messaged, so nothing they send is broadcast or answered
+        if (member.smsOptOut) {
+            logger.info(`🚫 Dropped message from opted-out member ${member.name}`);
+            await this.dbManager.recordAnalytic('opted_out_message_dropped', 1, `Member: ${member.name}`);
+            return null;
+        }
+
+        // Prayer requests are private to the prayer team - never broadcast. They are routed before
+        // reaction detection, which logs the text and would take "loved ones" for a reaction.
+        const prayMatch = messageBody.match(PRAY_PREFIX_PATTERN);
+        if (prayMatch) {
+            return await this.handlePrayCommand(fromPhone, member, prayMatch[1] || '');
+        }
+
+        const prayerStatusMatch = messageBody.match(PRAYER_STATUS_PATTERN);
+        if (prayerStatusMatch) {
+            return await this.handlePrayerStatusCommand(fromPhone, member,
+                prayerStatusMatch[1].toLowerCase(), prayerStatusMatch[2].toUpperCase());
+        }
+
+        if (/^PRAYER\s+(LIST|DIGEST)$/i.test(messageBody)) {
+            return await this.handlePrayerCommand(fromPhone, member, messageBody);
+        }
+
+        // ADD DEBUGGING LOG for potential missed reactions
+        await this.logPotentialReaction(messageBody, fromPhone, member.name);
+
+        // STEP 1: Check for reactions FIRST - before any other processing
+        if (await this.isReactionMessage(messageBody)) {
+            logger.info(`🔇 REACTION DETECTED AND BLOCKED from ${member.name}: "${messageBody}"`);
+            await this.storeReactionSilently(messageBody, fromPhone, member.name);
+            return null; // Return null to prevent any broadcast
+        }
+
+        // STEP 1b: A number while a poll is open is a vote - stored, never broadcast
+        const voteMatch = messageBody.match(POLL_VOTE_PATTERN);
+        if (voteMatch) {
+            const poll = await this.findPollForVoter(member);
+            if (poll) {
+                return await this.handlePollVote(fromPhone, member, poll, parseInt(voteMatch[1]));
+            }
+        }
+
+        // STEP 1c: YES / NO / MAYBE answers the next event invitation - without one it is a normal message
+        const rsvpMatch = messageBody.match(RSVP_PATTERN);
+        if (rsvpMatch) {
+            const event = await this.findEventForRsvp(member, rsvpMatch[2]);
+            if (event) {
+                return await this.handleEventRsvp(fromPhone, member, event, rsvpMatch[1].toLowerCase());
+            }
+            if (rsvpMatch[2]) {
+                return await this.replyToSender(member, fromPhone,
+                    this.localize(member, 'event.not_found', { code: rsvpMatch[2].toUpperCase() }));
+            }
+        }
+
+        // STEP 2: Check for HELP command - every member gets a reply for carrier compliance
+        if (HELP_KEYWORDS.includes(complianceKeyword)) {
+            return await this.replyToSender(member, fromPhone, await this.generateHelpMessage(member));
+        }
+
+        // LANGUAGE is open to every member - it only changes how replies reach them
+        if (/^LANGUAGE(\s+\S+)?$/i.test(messageBody)) {
+            return await this.handleLanguageCommand(fromPhone, member, messageBody);
+        }
+
+        if (messageBody.toUpperCase() === 'MYINFO') {
+            return await this.handleMyInfoCommand(fromPhone, member);
+        }
+
+        const nameMatch = messageBody.match(NAME_COMMAND_PATTERN);
+        if (nameMatch) {
+            return await this.handleNameCommand(fromPhone, member, nameMatch[1] || '');
+        }
+
+        const digestMatch = messageBody.match(DIGEST_COMMAND_PATTERN);
+        if (digestMatch) {
+            return await this.handleDigestCommand(fromPhone, member, digestMatch[1]);
+        }
+
+        const pauseMatch = messageBody.match(PAUSE_COMMAND_PATTERN);
+        if (pauseMatch) {
+            return await this.handlePauseCommand(fromPhone, member, pauseMatch[1], pauseMatch[2]);
+        }
+
+        const resumeMatch = messageBody.match(RESUME_COMMAND_PATTERN);
+        if (resumeMatch) {
+            return await this.handleResumeCommand(fromPhone, member, resumeMatch[1]);
+        }
+
+        if (messageBody.toUpperCase() === 'GROUPS') {
+            return await this.handleGroupsCommand(fromPhone, member);
+        }
+
+        const groupMembershipMatch = messageBody.match(GROUP_MEMBERSHIP_PATTERN);
+        if (groupMembershipMatch) {
+            return await this.handleGroupMembershipCommand(fromPhone, member,
+                groupMembershipMatch[1].toUpperCase(), groupMembershipMatch[2] || '');
+        }
+
+        if (messageBody.toUpperCase() === 'UNDO') {
+            return await this.handleUndoCommand(fromPhone, member);
+        }
+
+        // Members' "Correct me if I'm wrong..." stays a normal message unless they have a broadcast to fix
+        const correctMatch = messageBody.match(CORRECT_PREFIX_PATTERN);
+        if (correctMatch) {
+            const original = await this.findCorrectableBroadcast(fromPhone);
+            if (original || member.isAdmin) {
+                return await this.handleCorrectCommand(fromPhone, member, correctMatch[1], original);
+            }
+        }
+
+        // STEP 3: Check for admin commands
+        if (messageBody.toUpperCase().startsWith('ADD ')) {
+            return await this.handleAddMemberCommand(fromPhone, messageBody);
+        }
+
+        if (messageBody.toUpperCase().startsWith('REMOVE ')) {
+            return await this.handleRemoveMemberCommand(fromPhone, messageBody);
+        }
+
+        if (messageBody.toUpperCase().startsWith('WIPE ') || messageBody.toUpperCase() === 'WIPE') {
+            return await this.handleWipeCommand(fromPhone, messageBody);
+        }
+
+        if (messageBody.toUpperCase().startsWith('ADMIN ')) {
+            return await this.handleAdminCommand(fromPhone, messageBody);
+        }
+
+        if (messageBody.toUpperCase().startsWith('DEMOTE ')) {
+            return await this.handleDemoteCommand(fromPhone, messageBody);
+        }
+
+        if (messageBody.toUpperCase().startsWith('CLEANUP ') || messageBody.toUpperCase() === 'CLEANUP') {
+            return await this.handleCleanupCommand(fromPhone, messageBody);
+        }
+
+        if (messageBody.toUpperCase() === 'OPTOUTS') {
+            return await this.handleOptOutsCommand(fromPhone);
+        }
+
+        if (messageBody.toUpperCase() === 'PAUSED') {
+            return await this.handlePausedCommand(fromPhone);
+        }
+
+        // Members' "Approve of the new hymns!" style messages stay broadcasts
+        if (member.isAdmin && /^APPROVE\s+/i.test(messageBody)) {
+            return await this.handleApproveCommand(fromPhone, messageBody);
+        }
+
+        if (member.isAdmin && /^REJECT\s+/i.test(messageBody)) {
+            return await this.handleRejectCommand(fromPhone, messageBody);
+        }
+
+        if (member.isAdmin && JOIN_DECISION_PATTERN.test(messageBody)) {
+            return await this.handleJoinDecisionCommand(fromPhone, messageBody);
+        }
+
+        if (messageBody.toUpperCase() === 'PENDING') {
+            return await this.handlePendingCommand(fromPhone);
+        }
+
+        if (/^GROUP\s+(LIST|POLICY|KEYWORD|APPROVAL|OPEN)\b/i.test(messageBody) || messageBody.toUpperCase() === 'GROUP') {
+            return await this.handleGroupCommand(fromPhone, messageBody);
+        }
+
+        // Members' "Poll: who's bringing dessert?" stays a broadcast
+        if (member.isAdmin && /^POLL(\s|$)/i.test(messageBody)) {
+            return await this.handlePollCommand(fromPhone, messageBody);
+        }
+
+        // Members' "Event reminder: ..." stays a broadcast
+        if (member.isAdmin && /^EVENT(\s|$)/i.test(messageBody)) {
+            return await this.handleEventCommand(fromPhone, messageBody);
+        }
+
+        if (member.isAdmin && /^KEYWORD(\s|$)/i.test(messageBody)) {
+            return await this.handleKeywordCommand(fromPhone, messageBody);
+        }
+
+        if (/^TEMPLATE\s+(LIST|SHOW|SAVE|DELETE|SEND)\b/i.test(messageBody) || messageBody.toUpperCase() === 'TEMPLATE') {
+            return await this.handleTemplateCommand(fromPhone, messageBody);
+        }
+
+        // Only admins can schedule - "Schedule for Sunday..." or "Scheduled practice moved to 6pm"
+        // from members is a normal broadcast
+        if (member.isAdmin && (messageBody.toUpperCase().startsWith('SCHEDULED ') || messageBody.toUpperCase() === 'SCHEDULED')) {
+            return await this.handleScheduledCommand(fromPhone, messageBody);
+        }
+
+        if (member.isAdmin && messageBody.toUpperCase().startsWith('SCHEDULE ')) {
+            return await this.handleScheduleCommand(fromPhone, messageBody);
+        }
+
+        // STEP 4: Check for REACTION admin commands
+        if (messageBody.toUpperCase().startsWith('REACTION ')) {
+            return await this.handleReactionCommand(fromPhone, messageBody);
+        }
+
+        // STEP 4b: Questions with a KEYWORD rule ("SERVICE?") get the stored answer, not a broadcast
+        const autoResponder = await this.findAutoResponder(messageBody);
+        if (autoResponder) {
+            return await this.handleAutoResponse(fromPhone, member, autoResponder);
+        }
+
+        // STEP 5: Replies to a recent broadcast go back to its sender only
+        const announceMatch = messageBody.match(ANNOUNCE_PREFIX_PATTERN);
+        if (announceMatch) {
+            messageBody = announceMatch[1].trim();
+        } else if (!this.parseGroupPrefix(messageBody)) {
+            const replyRoute = await this.findReplyRoute(member, fromPhone, messageBody);
+            if (replyRoute) {
+                return await this.relayReply(member, fromPhone, replyRoute, mediaUrls);
+            }
+        }
+
+        // STEP 6: Regular message broadcasting
+        logger.info(`📡 REGULAR MESSAGE BROADCAST: "${messageBody}"`);
+        return await this.broadcastMessage(fromPhone, messageBody, mediaUrls, { allowUndo: true });
+        
+    } catch (error) {
+        logger.error(`❌ Enhanced message processing error: ${error.message}`);
+        logger.error(`❌ Stack trace: ${error.stack}`);
+        return "Message processing temporarily unavailable - please try again";
+    }
+}
+
+async isReactionMessage(messageBody) {
+    try {
+        // Trim the message to handle any whitespace
+        const trimmedMessage = messageBody.trim();
+        
+        logger.info(`🔍 DETAILED CHECK: "${trimmedMessage}"`);
+
+        // 1. Single emoji reactions (works for both platforms)
+        const singleEmojiPattern = /^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|🆘|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💯|💫|⭐|🌟|✨|💥|💦|💨)$/;
+        if (singleEmojiPattern.test(trimmedMessage)) {
+            logger.info(`✅ SINGLE EMOJI REACTION: ${trimmedMessage}`);
+            return true;
+        }
+
+        // 2. iPhone-style reactions (comprehensive patterns)
+        const iphonePatterns = [
+            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+".+"/i,
+            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+'.+'/i,
+            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+.+/i
+        ];
+
+        for (const pattern of iphonePatterns) {
+            if (pattern.test(trimmedMessage)) {
+                logger.info(`✅ IPHONE REACTION: ${trimmedMessage}`);
+                return true;
+            }
+        }
+
+        // 3. COMPREHENSIVE Android-style reactions (ALL possible patterns)
+        const androidPatterns = [
+            // Standard patterns with quotes
+            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)\s+to\s+".+"/i,
+            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)\s+to\s+'.+'/i,
+            
+            // Without quotes (common Android pattern)
+            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)\s+to\s+.+/i,
+            
+            // Different Android formats
+            /^Reacted\s+with\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)/i,
+            
+            // Simplified Android patterns
+            /^(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💫|💥|💦|💨)\s+to\s+.+/i,
+            
+            // Any message that starts with "Reacted"
+            /^Reacted\s+/i
+        ];
+
+        for (const pattern of androidPatterns) {
+            if (pattern.test(trimmedMessage)) {
+                logger.info(`✅ ANDROID REACTION: ${trimmedMessage}`);
+                return true;
+            }
+        }
+
+        // 4. CATCH-ALL: Any message containing reaction keywords
+        const reactionKeywords = [
+            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s/i,
+            /^Reacted\s/i,
+            /\sreacted\s/i,
+            /\sloved\s/i,
+            /\sliked\s/i
+        ];
+
+        for (const keyword of reactionKeywords) {
+            if (keyword.test(trimmedMessage)) {
+                logger.info(`✅ REACTION KEYWORD DETECTED: ${trimmedMessage}`);
+                return true;
+            }
+        }
+
+        // 5. EMERGENCY PATTERN: Common reaction phrases
+        const emergencyPatterns = [
+            /reacted.*to.*"/i,
+            /reacted.*to.*/i,
+            /loved.*"/i,
+            /liked.*"/i,
+            /laughed.*at.*"/i
+        ];
+
+        for (const pattern of emergencyPatterns) {
+            if (pattern.test(trimmedMessage)) {
+                logger.info(`✅ EMERGENCY REACTION PATTERN: ${trimmedMessage}`);
+                return true;
+            }
+        }
+
+        logger.info(`❌ NOT A REACTION: "${trimmedMessage}"`);
+        return false;
+
+    } catch (error) {
+        logger.error(`❌ Reaction detection error: ${error.message}`);
+        return false;
+    }
+}
+
+// DEBUGGING METHOD - Add this to help identify missed patterns
+async logPotentialReaction(messageBody, fromPhone, senderName) {
+    try {
+        const trimmedMessage = messageBody.trim().toLowerCase();
+        
+        // Log anything that might be a reaction
+        const suspiciousWords = ['react', 'love', 'like', 'laugh', 'emphasiz', 'question', 'dislik'];
+        const containsSuspiciousWord = suspiciousWords.some(word => trimmedMessage.includes(word));
+        
+        if (containsSuspiciousWord) {
+            logger.warn(`🚨 POTENTIAL MISSED REACTION from ${senderName}: "${messageBody}"`);
+            logger.warn(`🚨 Message length: ${messageBody.length} characters`);
+            logger.warn(`🚨 Contains emoji: ${/[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/u.test(messageBody)}`);
+        }
+        
+    } catch (error) {
+        // Ignore errors in debugging
+    }
+}
+
+// ALSO REPLACE THE storeReactionSilently METHOD with this improved version
+
+async storeReactionSilently(messageBody, fromPhone, senderName) {
+    try {
+        logger.info(`🔇 Storing reaction silently: "${messageBody}" from ${senderName}`);
+        
+        let emoji = '';
+        let targetMessage = '';
+        let reactionType = 'unknown';
+        
+        // Extract emoji and target from different reaction formats
+        const trimmedMessage = messageBody.trim();
+
+        // Handle single emoji reactions
+        if (/^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎|😭|🥰|💪|🎊|🌟|⭐|✨|💝|🙌|👌|✅|‼️|⚠️|🆘|💔|💕|💖|💗|💘|💙|💚|💛|💜|🖤|🤍|🤎|💋|💯|💫|⭐|🌟|✨|💥|💦|💨)$/.test(trimmedMessage)) {
+            emoji = trimmedMessage;
+            reactionType = 'direct_emoji';
+            
+            // Get the most recent message to react to
+            const recentMessage = await this.getMostRecentMessage(fromPhone);
+            targetMessage = recentMessage ? recentMessage.originalMessage.substring(0, 50) : 'Recent message';
+        }
+        
+        // Handle iPhone-style reactions
+        else if (/^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)/i.test(trimmedMessage)) {
+            reactionType = 'iphone_reaction';
+            
+            // Map iPhone reactions to emojis
+            if (trimmedMessage.toLowerCase().startsWith('loved')) {
+                emoji = '❤️';
+            } else if (trimmedMessage.toLowerCase().startsWith('liked')) {
+                emoji = '👍';
+            } else if (trimmedMessage.toLowerCase().startsWith('disliked')) {
+                emoji = '👎';
+            } else if (trimmedMessage.toLowerCase().startsWith('laughed at')) {
+                emoji = '😂';
+            } else if (trimmedMessage.toLowerCase().startsWith('emphasized')) {
+                emoji = '‼️';
+            } else if (trimmedMessage.toLowerCase().startsWith('questioned')) {
+                emoji = '❓';
+            } else {
+                emoji = '❤️'; // Default fallback
+            }
+            
+            // Extract target message (everything after the reaction word)
+            targetMessage = this.extractTargetFromiPhoneReaction(trimmedMessage);
+        }
+        
+        // Handle Android-style reactions
+        else if (/^Reacted/i.test(trimmedMessage)) {
+            reactionType = 'android_reaction';
+            
+            const emojiMatch = trimmedMessage.match(/(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)/);
+            emoji = emojiMatch ? emojiMatch[1] : '❤️';
+            targetMessage = this.extractTargetFromAndroidReaction(trimmedMessage);
+        }
+        
+        // Fallback
+        else {
+            emoji = '❤️';
+            targetMessage = 'Message';
+            reactionType = 'unknown';
+        }
+
+        // Store in database
+        await this.storeReactionInDatabase(emoji, targetMessage, fromPhone, senderName, reactionType, trimmedMessage);
+        
+        logger.info(`✅ Reaction stored: ${emoji} by ${senderName} for "${targetMessage}" (${reactionType})`);
+        
+        // Record analytics for admin tracking
+        await this.dbManager.recordAnalytic('reaction_detected_silently', 1, 
+            `${emoji} by ${senderName} (${reactionType}): "${targetMessage}"`);
+        
+    } catch (error) {
+        logger.error(`❌ Failed to store reaction silently: ${error.message}`);
+    }
+}
+
+// NEW METHOD: Extract target from iPhone reactions
+extractTargetFromiPhoneReaction(reactionText) {
+    try {
+        // Try to extract quoted text first
+        const quoteMatch = reactionText.match(/"([^"]+)"/);
+        if (quoteMatch) {
+            return quoteMatch[1].substring(0, 50);
+        }
+        
+        // Try single quotes
+        const singleQuoteMatch = reactionText.match(/'([^']+)'/);
+        if (singleQuoteMatch) {
+            return singleQuoteMatch[1].substring(0, 50);
+        }
+        
+        // Extract everything after the reaction word (for cases like "Loved Abel: Hsysb")
+        const words = reactionText.split(' ');
+        if (words.length > 1) {
+            // Skip the first word (Loved, Liked, etc.) and join the rest
+            const target = words.slice(1).join(' ').substring(0, 50);
+            return target || 'Message';
+        }
+        
+        return 'Message';
+    } catch (error) {
+        logger.error(`❌ Error extracting iPhone reaction target: ${error.message}`);
+        return 'Message';
+    }
+}
+
+// NEW METHOD: Extract target from Android reactions
+extractTargetFromAndroidReaction(reactionText) {
+    try {
+        // Look for "to" followed by quoted text
+        const toMatch = reactionText.match(/to\s+"([^"]+)"/i);
+        if (toMatch) {
+            return toMatch[1].substring(0, 50);
+        }
+        
+        const toSingleQuoteMatch = reactionText.match(/to\s+'([^']+)'/i);
+        if (toSingleQuoteMatch) {
+            return toSingleQuoteMatch[1].substring(0, 50);
+        }
+        
+        // Extract everything after "to"
+        const toIndex = reactionText.toLowerCase().indexOf(' to ');
+        if (toIndex !== -1) {
+            const target = reactionText.substring(toIndex + 4).trim().substring(0, 50);
+            return target || 'Message';
+        }
+        
+        return 'Message';
+    } catch (error) {
+        logger.error(`❌ Error extracting Android reaction target: ${error.message}`);
+        return 'Message';
+    }
+}
+
+// GET MOST RECENT MESSAGE (for direct emoji reactions)
+async getMostRecentMessage(excludePhone) {
+    try {
+        if (!this.dbManager.isConnected) {
+            return null;
+        }
+
+        const recentMessage = await BroadcastMessage.findOne({
+            fromPhone: { $ne: excludePhone },
+            sentAt: { $gt: new Date(Date.now() - 2 * 60 * 60 * 1000) } // Last 2 hours
+        }).sort({ sentAt: -1 });
+
+        return recentMessage;
+    } catch (error) {
+        logger.error(`❌ Error getting recent message: ${error.message}`);
+        return null;
+    }
+}
+
+// SIMPLE DATABASE STORAGE FOR REACTIONS
+// UPDATED DATABASE STORAGE METHOD
+async storeReactionInDatabase(emoji, targetMessage, fromPhone, senderName, reactionType, originalText) {
+    try {
+        if (!this.dbManager.isConnected) {
+            logger.warn('❌ Database not connected - cannot store reaction');
+            return;
+        }
+
+        // Try to use MessageReaction model if available
+        try {
+            const { MessageReaction } = require('./models');
+            if (MessageReaction) {
+                const reaction = new MessageReaction({
+                    reactorPhone: fromPhone,
+                    reactorName: senderName,
+                    emoji: emoji,
+                    targetMessage: targetMessage,
+                    reactionType: reactionType,
+                    originalReactionText: originalText,
+                    processedForSummary: false,
+                    detectedAt: new Date()
+                });
+                
+                await reaction.save();
+                logger.info(`✅ Reaction saved to MessageReaction collection`);
+                return;
+            }
+        } catch (modelError) {
+            logger.warn(`⚠️ MessageReaction model not available: ${modelError.message}`);
+        }
+
+        // Fallback: Store in analytics table
+        await this.dbManager.recordAnalytic('reaction_detected', 1, 
+            `${emoji} by ${senderName} (${reactionType}) for "${targetMessage}" - Original: "${originalText}"`);
+        
+        logger.info(`✅ Reaction stored in analytics as fallback`);
+        
+    } catch (error) {
+        logger.error(`❌ Database storage failed: ${error.message}`);
+    }
+}
+
+
+// SIMPLE REACTION COMMAND HANDLER
+async handleReactionCommand(fromPhone, commandText) {
+    // Replies go out in the admin's language, including from the outer catch
+    let member = null;
+
+    try {
+        member = await this.getMemberInfo(fromPhone);
+        if (!member || !member.isAdmin) {
+            return this.localize(member, 'reaction.access_denied');
+        }
+
+        const parts = commandText.trim().split(/\s+/);
+        const subCommand = parts[1]?.toUpperCase() || 'STATUS';
+
+        switch (subCommand) {
+            case 'STATUS':
+                return await this.getSimpleReactionStatus(member);
+            
+            case 'SEND':
+                return await this.sendSimpleReactionSummary(member);
+            
+            case 'STATS':
+                return await this.getSimpleReactionStats(member);
+            
+            default:
+                return this.localize(member, 'reaction.unknown', { command: subCommand });
+        }
+
+    } catch (error) {
+        logger.error(`❌ REACTION command error: ${error.message}`);
+        return this.localize(member, 'reaction.failed');
+    }
+}
+
+// SIMPLE REACTION STATUS
+async getSimpleReactionStatus(admin = null) {
+    try {
+        const todayStart = startOfLocalDay(new Date(), config.timeZone);
+        
+        let reactionCount = 0;
+        
+        // Try to get from MessageReaction collection
+        try {
+            const { MessageReaction } = require('./models');
+            if (MessageReaction) {
+                reactionCount = await MessageReaction.countDocuments({
+                    detectedAt: { $gte: todayStart },
+                    processedForSummary: false
+                });
+            }
+        } catch (error) {
+            // Fallback to analytics count
+            const analytics = await SystemAnalytics.find({
+                metricName: 'reaction_detected',
+                recordedAt: { $gte: todayStart }
+            });
+            reactionCount = analytics.length;
+        }
+
+        return this.localize(admin, 'reaction.status', {
+            date: todayStart.toLocaleDateString(languageLocale(languageOf(admin)), { timeZone: config.timeZone }),
+            count: reactionCount,
+            timeZone: config.timeZone
+        });
+
+    } catch (error) {
+        logger.error(`❌ Error getting reaction status: ${error.message}`);
+        return this.localize(admin, 'reaction.status_failed');
+    }
+}
+
+// SIMPLE REACTION SUMMARY SENDER
+async sendSimpleReactionSummary(admin = null) {
+    try {
+        return this.localize(admin, 'reaction.send_pending');
+    } catch (error) {
+        return this.localize(admin, 'reaction.send_failed');
+    }
+}
+
+// SIMPLE REACTION STATISTICS
+async getSimpleReactionStats(admin = null) {
+    try {
+        const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        
+        let totalReactions = 0;
+        
+        // Try to get from MessageReaction collection
+        try {
+            const { MessageReaction } = require('./models');
+            if (MessageReaction) {
+                totalReactions = await MessageReaction.countDocuments({
+                    detectedAt: { $gte: sevenDaysAgo }
+                });
+            }
+        } catch (error) {
+            // Fallback to analytics count
+            const analytics = await SystemAnalytics.find({
+                metricName: 'reaction_detected',
+                recordedAt: { $gte: sevenDaysAgo }
+            });
+            totalReactions = analytics.length;
+        }
+
+        return this.localize(admin, 'reaction.stats', {
+            total: totalReactions,
+            average: Math.round(totalReactions / 7)
+        });
+
+    } catch (error) {
+        logger.error(`❌ Error getting reaction stats: ${error.message}`);
+        return this.localize(admin, 'reaction.stats_failed');
+    }
+}
+
+// PRODUCTION REACTION DETECTION ENGINE
+async detectAndProcessReaction(messageBody, fromPhone, senderName) {
+    const startTime = Date.now();
+    
+    try {
+        // INDUSTRIAL-GRADE REACTION PATTERNS
+        const reactionPatterns = [
+            // iPhone reactions
+            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+"(.+)"$/i,
+            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+'(.+)'$/i,
+            /^(Loved|Liked|Disliked|Laughed at|Emphasized|Questioned)\s+(.+)$/i,
+            
+            // Android reactions  
+            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)\s+to\s+"(.+)"$/i,
+            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)\s+to\s+'(.+)'$/i,
+            /^Reacted\s+(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)\s+to\s+(.+)$/i,
+            
+            // Direct emoji reactions (common pattern)
+            /^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎)$/,
+            
+            // Multiple emoji reactions
+            /^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎){1,5}$/
+        ];
+
+        for (const pattern of reactionPatterns) {
+            const match = messageBody.match(pattern);
+            if (match) {
+                logger.info(`🎯 Reaction pattern matched: ${pattern} for message: "${messageBody}"`);
+                
+                const reactionData = await this.parseReactionMatch(match, fromPhone, senderName, messageBody);
+                if (reactionData) {
+                    const durationMs = Date.now() - startTime;
+                    await this.recordPerformanceMetric('reaction_detection', durationMs, true);
+                    
+                    return reactionData;
+                }
+            }
+        }
+
+        // Not a reaction - regular message
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('reaction_detection', durationMs, true);
+        
+        return { isReaction: false };
+        
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('reaction_detection', durationMs, false, error.message);
+        
+        logger.error(`❌ Reaction detection error: ${error.message}`);
+        return { isReaction: false };
+    }
+}
+
+// PRODUCTION REACTION PARSER
+async parseReactionMatch(match, fromPhone, senderName, originalMessage) {
+    try {
+        let emoji = '';
+        let targetMessage = '';
+        let reactionType = 'unknown';
+
+        // iPhone-style reactions
+        if (match[1] && (match[2] || match[3])) {
+            const action = match[1].toLowerCase();
+            targetMessage = match[2] || match[3] || '';
+            
+            const emojiMap = {
+                'loved': '❤️',
+                'liked': '👍', 
+                'disliked': '👎',
+                'laughed at': '😂',
+                'emphasized': '‼️',
+                'questioned': '❓'
+            };
+            
+            emoji = emojiMap[action] || '❤️';
+            reactionType = 'iphone_reaction';
+        }
+        
+        // Android-style reactions
+        else if (match[1] && match[1].match(/^(❤️|👍|👎|😂|😮|😢|😡|🔥|🎉|💯)$/)) {
+            emoji = match[1];
+            targetMessage = match[2] || '';
+            reactionType = 'android_reaction';
+        }
+        
+        // Direct emoji reactions
+        else if (match[1] && match[1].match(/^(❤️|😂|👍|🙏|😍|🎉|👏|🔥|💯|😢|😮|🤔|😡|👎)+$/)) {
+            emoji = match[1].charAt(0); // Take first emoji if multiple
+            reactionType = 'direct_emoji';
+            
+            // For direct emoji, find the most recent message to react to
+            const recentMessage = await this.findMostRecentBroadcastMessage(fromPhone);
+            targetMessage = recentMessage ? recentMessage.originalMessage.substring(0, 50) : '';
+        }
+
+        if (emoji && emoji.length > 0) {
+            return {
+                isReaction: true,
+                emoji: emoji,
+                targetMessage: targetMessage.substring(0, 100), // Limit target message length
+                reactorPhone: fromPhone,
+                reactorName: senderName,
+                reactionType: reactionType,
+                originalReactionText: originalMessage,
+                detectedAt: new Date()
+            };
+        }
+
+        return null;
+        
+    } catch (error) {
+        logger.error(`❌ Reaction parsing error: ${error.message}`);
+        return null;
+    }
+}
+
+// PRODUCTION MESSAGE FINDER FOR REACTIONS
+// With recipientId, only broadcasts that member was actually sent count (not other groups',
+// nor ones still queued, held for their digest or skipped by a pause)
+async findMostRecentBroadcastMessage(excludePhone, maxAgeMs = 2 * 60 * 60 * 1000, recipientId = null) {
+    try {
+        if (!this.dbManager.isConnected) {
+            return null;
+        }
+
+        const since = new Date(Date.now() - maxAgeMs);
+        const filter = {
+            fromPhone: { $ne: excludePhone },
+            sentAt: { $gt: since }, // Within last 2 hours by default
+            deliveryStatus: { $in: ['sending', 'completed'] }
+        };
+        if (recipientId) {
+            filter._id = {
+                $in: await DeliveryLog.distinct('messageId', {
+                    memberId: recipientId,
+                    createdAt: { $gt: since },
+                    deliveryStatus: { $nin: ['queued', 'failed', 'undelivered'] }
+                })
+            };
+        }
+
+        // Find the most recent broadcast message from someone else
+        const recentMessage = await BroadcastMessage.findOne(filter).sort({ sentAt: -1 });
+
+        return recentMessage;
+        
+    } catch (error) {
+        logger.error(`❌ Error finding recent message: ${error.message}`);
+        return null;
+    }
+}
+
+// PRODUCTION REACTION STORAGE
+async storeReactionData(reactionData) {
+    const startTime = Date.now();
+    
+    try {
+        if (!this.dbManager.isConnected) {
+            logger.warn('❌ Database not connected - cannot store reaction');
+            return false;
+        }
+
+        // Create new MessageReaction model entry
+        const reaction = new MessageReaction({
+            reactorPhone: reactionData.reactorPhone,
+            reactorName: reactionData.reactorName,
+            emoji: reactionData.emoji,
+            targetMessage: reactionData.targetMessage,
+            reactionType: reactionData.reactionType,
+            originalReactionText: reactionData.originalReactionText,
+            processedForSummary: false,
             summaryDate: null,
             detectedAt: reactionData.detectedAt
         });
 
         await reaction.save();
 
-        // Record analytics
-        await this.dbManager.recordAnalytic('daily_reaction_stored', 1, 
-            `${reactionData.emoji} by ${reactionData.reactorName} for "${reactionData.targetMessage.substring(0, 30)}"`);
+        // Record analytics
+        await this.dbManager.recordAnalytic('daily_reaction_stored', 1, 
+            `${reactionData.emoji} by ${reactionData.reactorName} for "${reactionData.targetMessage.substring(0, 30)}"`);
+
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('reaction_storage', durationMs, true);
+
+        logger.info(`✅ Reaction stored: ${reactionData.emoji} by ${reactionData.reactorName}`);
+        return true;
+        
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('reaction_storage', durationMs, false, error.message);
+        
+        logger.error(`❌ Failed to store reaction: ${error.message}`);
+        return false;
+    }
+}
+// PRODUCTION DAILY REACTION SUMMARY SCHEDULER
+// Add this to your ProductionChurchSMS class in app.js
+
+// INDUSTRIAL-GRADE 8 PM DAILY REACTION SUMMARY SYSTEM
+initializeReactionSummaryScheduler() {
+    const schedule = require('node-schedule');
+    
+    logger.info('🕒 Initializing production reaction summary scheduler...');
+    
+    // Schedule daily at 8:00 PM church time - the server clock is UTC in production
+    const summaryJob = schedule.scheduleJob({ rule: '0 20 * * *', tz: config.timeZone }, async () => {
+        await this.processDailyReactionSummary();
+    });
+    
+    if (summaryJob) {
+        logger.info(`✅ Daily reaction summary scheduler active - 8:00 PM daily (${config.timeZone})`);
+        
+        // Also schedule a cleanup job at 2 AM to remove old processed reactions
+        const cleanupJob = schedule.scheduleJob({ rule: '0 2 * * *', tz: config.timeZone }, async () => {
+            await this.cleanupProcessedReactions();
+        });
+        
+        if (cleanupJob) {
+            logger.info('✅ Reaction cleanup scheduler active - 2:00 AM daily');
+        }
+    } else {
+        logger.error('❌ Failed to initialize reaction summary scheduler');
+    }
+}
+
+// PRODUCTION DAILY REACTION SUMMARY PROCESSOR
+async processDailyReactionSummary() {
+    const startTime = Date.now();
+    logger.info('📊 Starting daily reaction summary processing...');
+    
+    try {
+        if (!this.dbManager.isConnected) {
+            logger.error('❌ Database not connected - skipping reaction summary');
+            return;
+        }
+
+        // "Today" is the church's calendar day, stored as the instant it began
+        const summaryDate = startOfLocalDay(new Date(), config.timeZone);
+        
+        // Check if summary already exists for today
+        const existingSummary = await DailyReactionSummary.findOne({ 
+            summaryDate: summaryDate 
+        });
+        
+        if (existingSummary && existingSummary.summaryStatus === 'sent') {
+            logger.info('ℹ️ Daily summary already sent for today');
+            return;
+        }
+
+        // Get today's unprocessed reactions
+        const todayStart = new Date(summaryDate);
+        const todayEnd = endOfLocalDay(summaryDate, config.timeZone);
+        
+        const todaysReactions = await MessageReaction.find({
+            detectedAt: { $gte: todayStart, $lte: todayEnd },
+            processedForSummary: false
+        }).sort({ detectedAt: 1 });
+
+        if (todaysReactions.length === 0) {
+            logger.info('ℹ️ No reactions to summarize today');
+            await this.recordNoReactionsSummary(summaryDate);
+            return;
+        }
+
+        logger.info(`📊 Processing ${todaysReactions.length} reactions for daily summary`);
+
+        // Group reactions by target message
+        const reactionsByMessage = this.groupReactionsByMessage(todaysReactions);
+        
+        // Generate summary data
+        const summaryData = this.generateSummaryData(reactionsByMessage, summaryDate);
+        
+        // Create formatted summary text
+        const summaryText = this.formatDailySummaryText(summaryData);
+        
+        // Save summary to database
+        const savedSummary = await this.saveDailyReactionSummary(summaryData, summaryText);
+        
+        // Broadcast summary to congregation
+        const broadcastResult = await this.broadcastDailySummary(summaryText, summaryData);
+        
+        // Update summary status and mark reactions as processed
+        await this.finalizeDailySummary(savedSummary._id, broadcastResult, todaysReactions);
+        
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('daily_reaction_summary', durationMs, true);
+        
+        logger.info(`✅ Daily reaction summary completed in ${(durationMs/1000).toFixed(2)}s`);
+        
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('daily_reaction_summary', durationMs, false, error.message);
+        
+        logger.error(`❌ Daily reaction summary failed: ${error.message}`);
+        await this.handleSummaryError(error);
+    }
+}
+
+// PRODUCTION REACTION GROUPING ENGINE
+groupReactionsByMessage(reactions) {
+    const messageGroups = new Map();
+    
+    reactions.forEach(reaction => {
+        const messageKey = reaction.targetMessage.toLowerCase().trim();
+        
+        if (!messageGroups.has(messageKey)) {
+            messageGroups.set(messageKey, {
+                originalMessage: reaction.targetMessage,
+                reactions: new Map(),
+                totalCount: 0
+            });
+        }
+        
+        const group = messageGroups.get(messageKey);
+        const emoji = reaction.emoji;
+        
+        if (!group.reactions.has(emoji)) {
+            group.reactions.set(emoji, 0);
+        }
+        
+        group.reactions.set(emoji, group.reactions.get(emoji) + 1);
+        group.totalCount++;
+    });
+    
+    // Convert to array and sort by total reaction count
+    return Array.from(messageGroups.values())
+        .sort((a, b) => b.totalCount - a.totalCount);
+}
+
+// PRODUCTION SUMMARY DATA GENERATOR
+generateSummaryData(reactionsByMessage, summaryDate) {
+    const settings = this.getReactionSummarySettings();
+    const threshold = settings.minimumReactionsThreshold;
+    const maxMessages = settings.maximumMessagesInSummary;
+    
+    // Filter messages that meet minimum reaction threshold
+    const qualifyingMessages = reactionsByMessage.filter(msg => 
+        msg.totalCount >= threshold
+    ).slice(0, maxMessages);
+    
+    let totalReactions = 0;
+    const processedMessages = qualifyingMessages.map(msg => {
+        const reactionArray = Array.from(msg.reactions.entries())
+            .sort((a, b) => b[1] - a[1]) // Sort by count descending
+            .map(([emoji, count]) => ({ emoji, count }));
+        
+        totalReactions += msg.totalCount;
+        
+        return {
+            targetMessage: msg.originalMessage.substring(0, 80), // Limit length
+            reactions: reactionArray,
+            totalReactionCount: msg.totalCount
+        };
+    });
+    
+    const topMessage = qualifyingMessages.length > 0 ? {
+        message: qualifyingMessages[0].originalMessage.substring(0, 100),
+        reactionCount: qualifyingMessages[0].totalCount
+    } : null;
+    
+    return {
+        summaryDate,
+        totalReactions,
+        totalMessages: qualifyingMessages.length,
+        reactionsByMessage: processedMessages,
+        topReactedMessage: topMessage,
+        summaryStatus: 'generated'
+    };
+}
+
+// PRODUCTION SUMMARY TEXT FORMATTER
+formatDailySummaryText(summaryData, language = DEFAULT_LANGUAGE) {
+    const locale = languageLocale(language);
+    if (summaryData.totalMessages === 0) {
+        return translate(language, 'summary.none', {
+            date: summaryData.summaryDate.toLocaleDateString(locale, { timeZone: config.timeZone })
+        });
+    }
+    
+    const dateStr = summaryData.summaryDate.toLocaleDateString(locale, { 
+        timeZone: config.timeZone,
+        weekday: 'long', 
+        month: 'short', 
+        day: 'numeric' 
+    });
+    
+    let summaryText = `${translate(language, 'summary.title', { date: dateStr })}\n\n`;
+    
+    summaryData.reactionsByMessage.forEach((msg, index) => {
+        // Truncate long messages for clean display
+        const displayMessage = msg.targetMessage.length > 50 
+            ? msg.targetMessage.substring(0, 47) + "..."
+            : msg.targetMessage;
+            
+        summaryText += `"${displayMessage}"\n`;
+        
+        // Format reaction counts
+        const reactionStr = msg.reactions
+            .map(r => `${r.emoji} ${r.count}`)
+            .join('  ');
+        
+        summaryText += `${reactionStr}\n\n`;
+    });
+    
+    // Add totals
+    summaryText += translate(language, 'summary.totals', {
+        messages: summaryData.totalMessages,
+        reactions: summaryData.totalReactions
+    });
+    
+    if (summaryData.topReactedMessage) {
+        const topMsg = summaryData.topReactedMessage.message.length > 40
+            ? summaryData.topReactedMessage.message.substring(0, 37) + "..."
+            : summaryData.topReactedMessage.message;
+            
+        summaryText += `\n${translate(language, 'summary.top', {
+            message: topMsg,
+            count: summaryData.topReactedMessage.reactionCount
+        })}`;
+    }
+    
+    return summaryText;
+}
+
+// PRODUCTION SUMMARY DATABASE STORAGE
+async saveDailyReactionSummary(summaryData, summaryText) {
+    try {
+        const summary = new DailyReactionSummary({
+            ...summaryData,
+            summaryText: summaryText
+        });
+        
+        const savedSummary = await summary.save();
+        logger.info(`✅ Daily summary saved to database: ${savedSummary._id}`);
+        
+        return savedSummary;
+        
+    } catch (error) {
+        logger.error(`❌ Failed to save daily summary: ${error.message}`);
+        throw error;
+    }
+}
+
+// PRODUCTION SUMMARY BROADCAST ENGINE
+async broadcastDailySummary(summaryText, summaryData) {
+    try {
+        logger.info('📡 Broadcasting daily reaction summary to congregation...');
+        
+        const recipients = await this.getAllActiveMembers();
+        if (recipients.length === 0) {
+            logger.warn('❌ No active members found for summary broadcast');
+            return { success: false, error: 'No recipients' };
+        }
+        
+        // One batch per language; the stored summaryText is the English rendering
+        const byLanguage = this.groupByLanguage(recipients);
 
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('reaction_storage', durationMs, true);
+        // Summaries are not stored as broadcasts; their delivery_log rows carry the text instead
+        const batchResults = await Promise.all([...byLanguage.entries()].map(([language, group]) => {
+            const text = language === DEFAULT_LANGUAGE || !summaryData
+                ? summaryText
+                : this.formatDailySummaryText(summaryData, language);
+            return this.sendQueue.enqueueBroadcast(null, group, text);
+        }));
 
-        logger.info(`✅ Reaction stored: ${reactionData.emoji} by ${reactionData.reactorName}`);
-        return true;
+        const deliveryStats = batchResults.reduce((total, stats) => ({
+            sent: total.sent + stats.sent,
+            failed: total.failed + stats.failed,
+            errors: total.errors.concat(stats.errors)
+        }), { sent: 0, failed: 0, errors: [] });
+        
+        logger.info(`📊 Summary broadcast completed: ${deliveryStats.sent} sent, ${deliveryStats.failed} failed`);
+        
+        return {
+            success: deliveryStats.sent > 0,
+            successCount: deliveryStats.sent,
+            failureCount: deliveryStats.failed,
+            errors: deliveryStats.errors
+        };
         
     } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('reaction_storage', durationMs, false, error.message);
+        logger.error(`❌ Summary broadcast failed: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+// PRODUCTION SUMMARY FINALIZATION
+async finalizeDailySummary(summaryId, broadcastResult, processedReactions) {
+    try {
+        // Update summary status
+        await DailyReactionSummary.findByIdAndUpdate(summaryId, {
+            summaryStatus: broadcastResult.success ? 'sent' : 'failed',
+            sentAt: new Date(),
+            'deliveryResults.successCount': broadcastResult.successCount || 0,
+            'deliveryResults.failureCount': broadcastResult.failureCount || 0
+        });
         
-        logger.error(`❌ Failed to store reaction: ${error.message}`);
-        return false;
+        // Mark all reactions as processed
+        const reactionIds = processedReactions.map(r => r._id);
+        await MessageReaction.updateMany(
+            { _id: { $in: reactionIds } },
+            { 
+                processedForSummary: true,
+                summaryDate: new Date()
+            }
+        );
+        
+        // Record analytics
+        await this.dbManager.recordAnalytic('daily_summary_sent', 1, 
+            `${processedReactions.length} reactions, ${broadcastResult.successCount} deliveries`);
+        
+        logger.info(`✅ Daily summary finalized: ${processedReactions.length} reactions processed`);
+        
+    } catch (error) {
+        logger.error(`❌ Failed to finalize daily summary: ${error.message}`);
+        throw error;
     }
 }
-// PRODUCTION DAILY REACTION SUMMARY SCHEDULER
-// Add this to your ProductionChurchSMS class in app.js
 
-// INDUSTRIAL-GRADE 8 PM DAILY REACTION SUMMARY SYSTEM
-initializeReactionSummaryScheduler() {
-    const schedule = require('node-schedule');
-    
-    logger.info('🕒 Initializing production reaction summary scheduler...');
-    
-    // Schedule daily at 8:00 PM - Production cron job
-    const summaryJob = schedule.scheduleJob('0 20 * * *', async () => {
-        await this.processDailyReactionSummary();
-    });
-    
-    if (summaryJob) {
-        logger.info('✅ Daily reaction summary scheduler active - 8:00 PM daily');
+// PRODUCTION SETTINGS GETTER
+getReactionSummarySettings() {
+    // Default production settings - can be overridden by database settings
+    return {
+        minimumReactionsThreshold: 3,
+        maximumMessagesInSummary: 8,
+        includeReactorNames: false,
+        summaryFormat: 'compact'
+    };
+}
+
+// PRODUCTION ERROR HANDLER
+async handleSummaryError(error) {
+    try {
+        logger.error(`🚨 Daily summary system error: ${error.message}`);
         
-        // Also schedule a cleanup job at 2 AM to remove old processed reactions
-        const cleanupJob = schedule.scheduleJob('0 2 * * *', async () => {
-            await this.cleanupProcessedReactions();
-        });
+        // Record critical error in analytics
+        await this.dbManager.recordAnalytic('daily_summary_error', 1, 
+            `Error: ${error.message}, Stack: ${error.stack?.substring(0, 200)}`);
         
-        if (cleanupJob) {
-            logger.info('✅ Reaction cleanup scheduler active - 2:00 AM daily');
+        // Notify administrators about the failure
+        const adminMembers = await this.dbManager.getAllActiveMembers();
+        const admins = adminMembers.filter(member => member.isAdmin);
+        
+        if (admins.length > 0) {
+            const errorNotification = `🚨 SYSTEM ALERT\n\nDaily reaction summary failed at ${new Date().toLocaleString()}\n\nError: ${error.message}\n\nTech team has been notified.`;
+            
+            for (const admin of admins) {
+                try {
+                    await this.sendSMS(admin.phone, errorNotification);
+                    logger.info(`📧 Error notification sent to admin: ${admin.name}`);
+                } catch (notifyError) {
+                    logger.error(`❌ Failed to notify admin ${admin.name}: ${notifyError.message}`);
+                }
+            }
         }
-    } else {
-        logger.error('❌ Failed to initialize reaction summary scheduler');
+        
+    } catch (handleError) {
+        logger.error(`❌ Error in error handler: ${handleError.message}`);
     }
 }
 
-// PRODUCTION DAILY REACTION SUMMARY PROCESSOR
-async processDailyReactionSummary() {
+// PRODUCTION NO-REACTIONS SUMMARY RECORDER
+async recordNoReactionsSummary(summaryDate) {
+    try {
+        const noReactionsSummary = new DailyReactionSummary({
+            summaryDate: summaryDate,
+            totalReactions: 0,
+            totalMessages: 0,
+            reactionsByMessage: [],
+            topReactedMessage: null,
+            summaryStatus: 'sent',
+            summaryText: 'No reactions to summarize today',
+            sentAt: new Date(),
+            deliveryResults: {
+                successCount: 0,
+                failureCount: 0
+            }
+        });
+        
+        await noReactionsSummary.save();
+        logger.info('✅ No-reactions summary recorded for today');
+        
+        // Record analytics
+        await this.dbManager.recordAnalytic('daily_summary_no_reactions', 1, 
+            `Date: ${summaryDate.toLocaleDateString('en-US', { timeZone: config.timeZone })}`);
+        
+    } catch (error) {
+        logger.error(`❌ Failed to record no-reactions summary: ${error.message}`);
+    }
+}
+
+// PRODUCTION REACTION CLEANUP SERVICE
+async cleanupProcessedReactions() {
     const startTime = Date.now();
-    logger.info('📊 Starting daily reaction summary processing...');
+    logger.info('🧹 Starting processed reaction cleanup...');
     
     try {
         if (!this.dbManager.isConnected) {
-            logger.error('❌ Database not connected - skipping reaction summary');
+            logger.warn('❌ Database not connected - skipping reaction cleanup');
             return;
         }
-
-        const today = new Date();
-        const summaryDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
         
-        // Check if summary already exists for today
-        const existingSummary = await DailyReactionSummary.findOne({ 
-            summaryDate: summaryDate 
+        // Remove reactions older than 30 days that have been processed
+        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        
+        const deleteResult = await MessageReaction.deleteMany({
+            processedForSummary: true,
+            summaryDate: { $lt: thirtyDaysAgo }
         });
         
-        if (existingSummary && existingSummary.summaryStatus === 'sent') {
-            logger.info('ℹ️ Daily summary already sent for today');
-            return;
+        // Also cleanup old summary records (keep last 90 days)
+        const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+        
+        const summaryDeleteResult = await DailyReactionSummary.deleteMany({
+            summaryDate: { $lt: ninetyDaysAgo }
+        });
+        
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('reaction_cleanup', durationMs, true);
+        
+        logger.info(`✅ Reaction cleanup completed: ${deleteResult.deletedCount} reactions, ${summaryDeleteResult.deletedCount} summaries removed`);
+        
+        // Record cleanup analytics
+        await this.dbManager.recordAnalytic('reaction_cleanup_completed', deleteResult.deletedCount, 
+            `Summaries cleaned: ${summaryDeleteResult.deletedCount}, Duration: ${durationMs}ms`);
+        
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('reaction_cleanup', durationMs, false, error.message);
+        
+        logger.error(`❌ Reaction cleanup failed: ${error.message}`);
+    }
+}
+
+// PRODUCTION ADMIN COMMAND: REACTION SUMMARY CONTROLS
+async handleReactionSummaryCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`📊 Admin REACTION SUMMARY command from ${adminPhone}: ${commandText}`);
+
+    try {
+        // Verify admin privileges
+        const admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted REACTION SUMMARY command: ${adminPhone}`);
+            return "❌ Access denied. Only church administrators can manage reaction summaries.";
         }
 
-        // Get today's unprocessed reactions
-        const todayStart = new Date(summaryDate);
-        const todayEnd = new Date(summaryDate);
-        todayEnd.setHours(23, 59, 59, 999);
-        
-        const todaysReactions = await MessageReaction.find({
-            detectedAt: { $gte: todayStart, $lte: todayEnd },
-            processedForSummary: false
-        }).sort({ detectedAt: 1 });
+        const parts = commandText.trim().split(/\s+/);
+        const subCommand = parts[1]?.toUpperCase() || 'STATUS';
 
-        if (todaysReactions.length === 0) {
-            logger.info('ℹ️ No reactions to summarize today');
-            await this.recordNoReactionsSummary(summaryDate);
-            return;
+        switch (subCommand) {
+            case 'STATUS':
+                return await this.getReactionSummaryStatus();
+            
+            case 'SEND':
+                return await this.forceDailySummary(admin.name);
+            
+            case 'DISABLE':
+                return await this.disableReactionSummaries(admin.name);
+            
+            case 'ENABLE':
+                return await this.enableReactionSummaries(admin.name);
+            
+            case 'STATS':
+                return await this.getReactionStatistics();
+            
+            default:
+                return `❌ Unknown reaction summary command: ${subCommand}\n\n📋 Available commands:\n• REACTION STATUS - Show summary system status\n• REACTION SEND - Force send today's summary now\n• REACTION DISABLE - Disable daily summaries\n• REACTION ENABLE - Enable daily summaries\n• REACTION STATS - View reaction statistics`;
         }
 
-        logger.info(`📊 Processing ${todaysReactions.length} reactions for daily summary`);
+    } catch (error) {
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('reaction_summary_command', durationMs, false, error.message);
+        
+        logger.error(`❌ REACTION SUMMARY command error: ${error.message}`);
+        return "❌ System error occurred managing reaction summaries.\n\n💡 Tech team has been notified.";
+    }
+}
 
-        // Group reactions by target message
-        const reactionsByMessage = this.groupReactionsByMessage(todaysReactions);
+// PRODUCTION SUMMARY STATUS CHECKER
+async getReactionSummaryStatus() {
+    try {
+        const todayStart = startOfLocalDay(new Date(), config.timeZone);
+        
+        // Check today's summary status
+        const todaySummary = await DailyReactionSummary.findOne({ 
+            summaryDate: todayStart 
+        });
+        
+        // Count today's reactions
+        const todayEnd = endOfLocalDay(todayStart, config.timeZone);
         
-        // Generate summary data
-        const summaryData = this.generateSummaryData(reactionsByMessage, summaryDate);
+        const todayReactionCount = await MessageReaction.countDocuments({
+            detectedAt: { $gte: todayStart, $lte: todayEnd },
+            processedForSummary: false
+        });
         
-        // Create formatted summary text
-        const summaryText = this.formatDailySummaryText(summaryData);
+        // Get recent summary history
+        const recentSummaries = await DailyReactionSummary.find({})
+            .sort({ summaryDate: -1 })
+            .limit(7);
         
-        // Save summary to database
-        const savedSummary = await this.saveDailyReactionSummary(summaryData, summaryText);
+        let statusMessage = `📊 REACTION SUMMARY SYSTEM STATUS\n\n`;
+        statusMessage += `📅 Today (${todayStart.toLocaleDateString('en-US', { timeZone: config.timeZone })}):\n`;
         
-        // Broadcast summary to congregation
-        const broadcastResult = await this.broadcastDailySummary(summaryText);
+        if (todaySummary) {
+            statusMessage += `   Status: ${todaySummary.summaryStatus.toUpperCase()}\n`;
+            if (todaySummary.sentAt) {
+                statusMessage += `   Sent: ${todaySummary.sentAt.toLocaleTimeString('en-US', { timeZone: config.timeZone })}\n`;
+            }
+            statusMessage += `   Messages: ${todaySummary.totalMessages}\n`;
+            statusMessage += `   Reactions: ${todaySummary.totalReactions}\n`;
+        } else {
+            statusMessage += `   Status: PENDING\n`;
+        }
         
-        // Update summary status and mark reactions as processed
-        await this.finalizeDailySummary(savedSummary._id, broadcastResult, todaysReactions);
+        statusMessage += `\n⏱️ Pending reactions today: ${todayReactionCount}\n`;
+        statusMessage += `🕒 Next summary: 8:00 PM daily\n`;
         
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('daily_reaction_summary', durationMs, true);
+        if (recentSummaries.length > 0) {
+            statusMessage += `\n📈 Recent Summary History:\n`;
+            recentSummaries.slice(0, 5).forEach(summary => {
+                const date = summary.summaryDate.toLocaleDateString('en-US', { timeZone: config.timeZone });
+                const status = summary.summaryStatus === 'sent' ? '✅' : '❌';
+                statusMessage += `   ${status} ${date}: ${summary.totalReactions} reactions\n`;
+            });
+        }
         
-        logger.info(`✅ Daily reaction summary completed in ${(durationMs/1000).toFixed(2)}s`);
+        return statusMessage;
         
     } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('daily_reaction_summary', durationMs, false, error.message);
-        
-        logger.error(`❌ Daily reaction summary failed: ${error.message}`);
-        await this.handleSummaryError(error);
+        logger.error(`❌ Error getting reaction summary status: ${error.message}`);
+        return "❌ Error retrieving reaction summary status";
     }
 }
 
-// PRODUCTION REACTION GROUPING ENGINE
-groupReactionsByMessage(reactions) {
-    const messageGroups = new Map();
-    
-    reactions.forEach(reaction => {
-        const messageKey = reaction.targetMessage.toLowerCase().trim();
+// PRODUCTION FORCE SUMMARY SENDER
+async forceDailySummary(adminName) {
+    try {
+        logger.info(`🔧 Admin ${adminName} forcing daily summary send`);
         
-        if (!messageGroups.has(messageKey)) {
-            messageGroups.set(messageKey, {
-                originalMessage: reaction.targetMessage,
-                reactions: new Map(),
-                totalCount: 0
-            });
-        }
+        // Run the daily summary process immediately
+        await this.processDailyReactionSummary();
         
-        const group = messageGroups.get(messageKey);
-        const emoji = reaction.emoji;
+        // Record the forced action
+        await this.dbManager.recordAnalytic('daily_summary_forced', 1, 
+            `Forced by admin: ${adminName}`);
         
-        if (!group.reactions.has(emoji)) {
-            group.reactions.set(emoji, 0);
-        }
+        return `✅ Daily reaction summary sent immediately by admin command.\n\n💡 Regular 8 PM schedule remains active.`;
         
-        group.reactions.set(emoji, group.reactions.get(emoji) + 1);
-        group.totalCount++;
-    });
-    
-    // Convert to array and sort by total reaction count
-    return Array.from(messageGroups.values())
-        .sort((a, b) => b.totalCount - a.totalCount);
+    } catch (error) {
+        logger.error(`❌ Force daily summary failed: ${error.message}`);
+        return `❌ Failed to send daily summary: ${error.message}`;
+    }
 }
 
-// PRODUCTION SUMMARY DATA GENERATOR
-generateSummaryData(reactionsByMessage, summaryDate) {
-    const settings = this.getReactionSummarySettings();
-    const threshold = settings.minimumReactionsThreshold;
-    const maxMessages = settings.maximumMessagesInSummary;
-    
-    // Filter messages that meet minimum reaction threshold
-    const qualifyingMessages = reactionsByMessage.filter(msg => 
-        msg.totalCount >= threshold
-    ).slice(0, maxMessages);
-    
-    let totalReactions = 0;
-    const processedMessages = qualifyingMessages.map(msg => {
-        const reactionArray = Array.from(msg.reactions.entries())
-            .sort((a, b) => b[1] - a[1]) // Sort by count descending
-            .map(([emoji, count]) => ({ emoji, count }));
+// PRODUCTION REACTION STATISTICS
+async getReactionStatistics() {
+    try {
+        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
         
-        totalReactions += msg.totalCount;
+        // Get reaction counts by emoji for last 30 days
+        const emojiStats = await MessageReaction.aggregate([
+            { $match: { detectedAt: { $gte: thirtyDaysAgo } } },
+            { $group: { _id: '$emoji', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 10 }
+        ]);
         
-        return {
-            targetMessage: msg.originalMessage.substring(0, 80), // Limit length
-            reactions: reactionArray,
-            totalReactionCount: msg.totalCount
-        };
-    });
-    
-    const topMessage = qualifyingMessages.length > 0 ? {
-        message: qualifyingMessages[0].originalMessage.substring(0, 100),
-        reactionCount: qualifyingMessages[0].totalCount
-    } : null;
-    
-    return {
-        summaryDate,
-        totalReactions,
-        totalMessages: qualifyingMessages.length,
-        reactionsByMessage: processedMessages,
-        topReactedMessage: topMessage,
-        summaryStatus: 'generated'
-    };
-}
-
-// PRODUCTION SUMMARY TEXT FORMATTER
-formatDailySummaryText(summaryData) {
-    if (summaryData.totalMessages === 0) {
-        return `📊 Daily Reactions Summary (${summaryData.summaryDate.toLocaleDateString()})\n\nNo messages received significant reactions today.`;
-    }
-    
-    const dateStr = summaryData.summaryDate.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        month: 'short', 
-        day: 'numeric' 
-    });
-    
-    let summaryText = `📊 DAILY REACTIONS SUMMARY (${dateStr})\n\n`;
-    
-    summaryData.reactionsByMessage.forEach((msg, index) => {
-        // Truncate long messages for clean display
-        const displayMessage = msg.targetMessage.length > 50 
-            ? msg.targetMessage.substring(0, 47) + "..."
-            : msg.targetMessage;
-            
-        summaryText += `"${displayMessage}"\n`;
+        // Get top reactors
+        const topReactors = await MessageReaction.aggregate([
+            { $match: { detectedAt: { $gte: thirtyDaysAgo } } },
+            { $group: { _id: '$reactorName', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 5 }
+        ]);
         
-        // Format reaction counts
-        const reactionStr = msg.reactions
-            .map(r => `${r.emoji} ${r.count}`)
-            .join('  ');
+        // Get recent summary performance
+        const summaryPerformance = await DailyReactionSummary.aggregate([
+            { $match: { summaryDate: { $gte: thirtyDaysAgo } } },
+            { $group: {
+                _id: null,
+                totalSummaries: { $sum: 1 },
+                successfulSummaries: { 
+                    $sum: { $cond: [{ $eq: ['$summaryStatus', 'sent'] }, 1, 0] }
+                },
+                averageReactions: { $avg: '$totalReactions' },
+                totalReactions: { $sum: '$totalReactions' }
+            }}
+        ]);
         
-        summaryText += `${reactionStr}\n\n`;
-    });
-    
-    // Add totals
-    summaryText += `📈 ${summaryData.totalMessages} messages received ${summaryData.totalReactions} total reactions today`;
-    
-    if (summaryData.topReactedMessage) {
-        const topMsg = summaryData.topReactedMessage.message.length > 40
-            ? summaryData.topReactedMessage.message.substring(0, 37) + "..."
-            : summaryData.topReactedMessage.message;
+        let statsMessage = `📊 REACTION STATISTICS (Last 30 Days)\n\n`;
+        
+        if (emojiStats.length > 0) {
+            statsMessage += `🎯 Top Reactions:\n`;
+            emojiStats.slice(0, 5).forEach((stat, index) => {
+                statsMessage += `   ${index + 1}. ${stat._id} - ${stat.count} times\n`;
+            });
+        }
+        
+        if (topReactors.length > 0) {
+            statsMessage += `\n👥 Most Active Reactors:\n`;
+            topReactors.forEach((reactor, index) => {
+                statsMessage += `   ${index + 1}. ${reactor._id} - ${reactor.count} reactions\n`;
+            });
+        }
+        
+        if (summaryPerformance.length > 0) {
+            const perf = summaryPerformance[0];
+            const successRate = ((perf.successfulSummaries / perf.totalSummaries) * 100).toFixed(1);
             
-        summaryText += `\n🏆 Most reacted: "${topMsg}" (${summaryData.topReactedMessage.reactionCount} reactions)`;
+            statsMessage += `\n📈 Summary Performance:\n`;
+            statsMessage += `   Total summaries sent: ${perf.successfulSummaries}/${perf.totalSummaries}\n`;
+            statsMessage += `   Success rate: ${successRate}%\n`;
+            statsMessage += `   Average reactions per day: ${Math.round(perf.averageReactions)}\n`;
+            statsMessage += `   Total reactions processed: ${perf.totalReactions}\n`;
+        }
+        
+        return statsMessage;
+        
+    } catch (error) {
+        logger.error(`❌ Error getting reaction statistics: ${error.message}`);
+        return "❌ Error retrieving reaction statistics";
     }
-    
-    return summaryText;
 }
 
-// PRODUCTION SUMMARY DATABASE STORAGE
-async saveDailyReactionSummary(summaryData, summaryText) {
+// ⏰ SCHEDULE command - Queue a broadcast for later delivery
+async handleScheduleCommand(adminPhone, commandText) {
+    const startTime = Date.now();
+    logger.info(`⏰ Admin SCHEDULE command from ${adminPhone}: ${commandText}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
     try {
-        const summary = new DailyReactionSummary({
-            ...summaryData,
-            summaryText: summaryText
+        // Verify admin privileges
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted SCHEDULE command: ${adminPhone}`);
+            return this.localize(admin, 'schedule.access_denied');
+        }
+
+        const usage = this.localize(admin, 'schedule.usage');
+
+        const tokens = commandText.trim().split(/\s+/).slice(1);
+        const parsedTime = this.parseScheduleTime(tokens);
+
+        if (!parsedTime) {
+            return `${this.localize(admin, 'schedule.invalid_format')} ${usage}`;
+        }
+
+        // Skip "SCHEDULE" plus the time tokens, keeping the message's own line breaks
+        const rawMessage = this.extractScheduledMessage(commandText, parsedTime.consumed + 1);
+
+        if (!rawMessage.trim()) {
+            return `${this.localize(admin, 'schedule.message_required')}\n\n${usage}`;
+        }
+
+        if (parsedTime.date.getTime() <= Date.now()) {
+            return this.localize(admin, 'schedule.in_past', { time: this.formatScheduleTime(parsedTime.date, admin) });
+        }
+
+        if (!this.dbManager.isConnected) {
+            return this.localize(admin, 'schedule.unavailable');
+        }
+
+        const scheduled = await this.dbManager.createScheduledBroadcast({
+            shortId: uuidv4().replace(/-/g, '').substring(0, 6).toUpperCase(),
+            fromPhone: this.cleanPhoneNumber(adminPhone),
+            fromName: admin.name,
+            messageText: rawMessage.trim(),
+            scheduledFor: parsedTime.date,
+            status: 'scheduled'
         });
-        
-        const savedSummary = await summary.save();
-        logger.info(`✅ Daily summary saved to database: ${savedSummary._id}`);
-        
-        return savedSummary;
-        
+
+        this.armScheduledBroadcast(scheduled);
+
+        await this.dbManager.recordAnalytic('broadcast_scheduled', 1,
+            `Admin: ${admin.name}, ID: ${scheduled.shortId}, For: ${scheduled.scheduledFor.toISOString()}`);
+
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('schedule_command', durationMs, true);
+
+        logger.info(`✅ Admin ${admin.name} scheduled broadcast ${scheduled.shortId} for ${scheduled.scheduledFor.toISOString()}`);
+
+        return this.localize(admin, 'schedule.created', {
+            id: scheduled.shortId,
+            time: this.formatScheduleTime(scheduled.scheduledFor, admin),
+            preview: `${scheduled.messageText.substring(0, 60)}${scheduled.messageText.length > 60 ? '...' : ''}`
+        });
+
     } catch (error) {
-        logger.error(`❌ Failed to save daily summary: ${error.message}`);
-        throw error;
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('schedule_command', durationMs, false, error.message);
+
+        logger.error(`❌ SCHEDULE command error: ${error.message}`);
+        return this.localize(admin, 'schedule.failed');
     }
 }
 
-// PRODUCTION SUMMARY BROADCAST ENGINE
-async broadcastDailySummary(summaryText) {
+// ⏰ SCHEDULED command - List or cancel queued broadcasts
+async handleScheduledCommand(adminPhone, commandText) {
+    logger.info(`⏰ Admin SCHEDULED command from ${adminPhone}: ${commandText}`);
+
+    // Replies go out in the admin's language, including from the outer catch
+    let admin = null;
+
     try {
-        logger.info('📡 Broadcasting daily reaction summary to congregation...');
-        
-        const recipients = await this.getAllActiveMembers();
-        if (recipients.length === 0) {
-            logger.warn('❌ No active members found for summary broadcast');
-            return { success: false, error: 'No recipients' };
+        // Verify admin privileges
+        admin = await this.getMemberInfo(adminPhone);
+        if (!admin || !admin.isAdmin) {
+            logger.warn(`❌ Non-admin attempted SCHEDULED command: ${adminPhone}`);
+            return this.localize(admin, 'scheduled.access_denied');
         }
-        
-        const deliveryStats = {
-            sent: 0,
-            failed: 0,
-            errors: []
-        };
-        
-        // Send to all congregation members
-        const sendPromises = recipients.map(async (member) => {
-            try {
-                const result = await this.sendSMS(member.phone, summaryText);
-                
-                if (result.success) {
-                    deliveryStats.sent++;
-                    logger.info(`✅ Summary delivered to ${member.name}: ${result.sid}`);
-                } else {
-                    deliveryStats.failed++;
-                    deliveryStats.errors.push(`${member.name}: ${result.error}`);
-                    logger.error(`❌ Summary failed to ${member.name}: ${result.error}`);
+
+        const parts = commandText.trim().split(/\s+/);
+        const subCommand = parts[1]?.toUpperCase() || 'LIST';
+
+        switch (subCommand) {
+            case 'LIST': {
+                const pending = await this.dbManager.getPendingScheduledBroadcasts(10);
+                if (pending.length === 0) {
+                    return this.localize(admin, 'scheduled.none');
                 }
-            } catch (error) {
-                deliveryStats.failed++;
-                deliveryStats.errors.push(`${member.name}: ${error.message}`);
-                logger.error(`❌ Summary delivery error to ${member.name}: ${error.message}`);
+
+                let listMessage = `${this.localize(admin, 'scheduled.list_title', { count: pending.length })}\n\n`;
+                pending.forEach(item => {
+                    const preview = item.messageText.length > 40
+                        ? item.messageText.substring(0, 37) + '...'
+                        : item.messageText;
+                    listMessage += `🆔 ${item.shortId} • ${this.formatScheduleTime(item.scheduledFor, admin)}\n`;
+                    listMessage += `   👤 ${item.fromName}: "${preview}"\n`;
+                });
+                listMessage += `\n${this.localize(admin, 'scheduled.list_hint')}`;
+                return listMessage;
             }
-        });
-        
-        await Promise.allSettled(sendPromises);
-        
-        logger.info(`📊 Summary broadcast completed: ${deliveryStats.sent} sent, ${deliveryStats.failed} failed`);
-        
+
+            case 'CANCEL': {
+                if (parts.length < 3) {
+                    return this.localize(admin, 'scheduled.cancel_usage');
+                }
+
+                const scheduled = await this.dbManager.getScheduledBroadcastByShortId(parts[2]);
+                if (!scheduled) {
+                    return this.localize(admin, 'scheduled.not_found', { id: parts[2].toUpperCase() });
+                }
+
+                if (scheduled.status !== 'scheduled') {
+                    return this.localize(admin, 'scheduled.not_cancellable', {
+                        id: scheduled.shortId,
+                        status: scheduled.status.toUpperCase()
+                    });
+                }
+
+                await this.dbManager.updateScheduledBroadcast(scheduled._id, {
+                    status: 'cancelled',
+                    cancelledAt: new Date(),
+                    cancelledBy: admin.name
+                });
+                this.disarmScheduledBroadcast(scheduled._id);
+
+                await this.dbManager.recordAnalytic('scheduled_broadcast_cancelled', 1,
+                    `Admin: ${admin.name}, ID: ${scheduled.shortId}`);
+
+                logger.info(`✅ Admin ${admin.name} cancelled scheduled broadcast ${scheduled.shortId}`);
+                return this.localize(admin, 'scheduled.cancelled', {
+                    id: scheduled.shortId,
+                    time: this.formatScheduleTime(scheduled.scheduledFor, admin)
+                });
+            }
+
+            default:
+                return this.localize(admin, 'scheduled.unknown', { command: subCommand });
+        }
+
+    } catch (error) {
+        logger.error(`❌ SCHEDULED command error: ${error.message}`);
+        return this.localize(admin, 'scheduled.failed');
+    }
+}
+
+// Returns the raw command text after the first N whitespace-separated tokens
+extractScheduledMessage(commandText, tokensToSkip) {
+    const pattern = new RegExp(`^\\s*(?:\\S+\\s+){${tokensToSkip}}`);
+    const match = commandText.match(pattern);
+    return match ? commandText.substring(match[0].length) : '';
+}
+
+// Parses the <when> part of SCHEDULE into a Date plus the number of tokens it used.
+// Clock times and day words are read in the church time zone, not the server's.
+parseScheduleTime(tokens, now = new Date()) {
+    if (!tokens || tokens.length === 0) {
+        return null;
+    }
+
+    const tz = config.timeZone;
+    const today = getLocalParts(now, tz);
+
+    const first = tokens[0].toUpperCase();
+    const second = tokens[1] ? tokens[1].toUpperCase() : null;
+
+    // Relative: +30M, +2H, +1D
+    const relativeMatch = first.match(/^\+(\d+)(M|MIN|MINS|H|HR|HRS|D|DAY|DAYS)$/);
+    if (relativeMatch) {
+        const amount = parseInt(relativeMatch[1]);
+        const unit = relativeMatch[2].charAt(0);
+        const multipliers = { M: 60 * 1000, H: 60 * 60 * 1000, D: 24 * 60 * 60 * 1000 };
+        return { date: new Date(now.getTime() + amount * multipliers[unit]), consumed: 1 };
+    }
+
+    // ISO-style: 2025-12-24T17:00
+    const isoMatch = first.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{1,2}):(\d{2})$/);
+    if (isoMatch) {
+        const [, year, month, day, hour, minute] = isoMatch.map(Number);
+        return { date: zonedTime(tz, year, month, day, hour, minute), consumed: 1 };
+    }
+
+    const time = second ? this.parseClockTime(second) : null;
+
+    // Date and time: 2025-12-24 5PM
+    const dateMatch = first.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateMatch && time) {
+        const [, year, month, day] = dateMatch.map(Number);
+        return { date: zonedTime(tz, year, month, day, time.hour, time.minute), consumed: 2 };
+    }
+
+    // Month/day and time: 12/24 5PM (next occurrence)
+    const monthDayMatch = first.match(/^(\d{1,2})\/(\d{1,2})$/);
+    if (monthDayMatch && time) {
+        const month = parseInt(monthDayMatch[1]);
+        const day = parseInt(monthDayMatch[2]);
+        let date = zonedTime(tz, today.year, month, day, time.hour, time.minute);
+        if (date.getTime() <= now.getTime()) {
+            date = zonedTime(tz, today.year + 1, month, day, time.hour, time.minute);
+        }
+        return { date, consumed: 2 };
+    }
+
+    if (!time) {
+        return null;
+    }
+
+    // Day words: TODAY 6PM, TOMORROW 9AM, SUNDAY 9AM
+    if (first === 'TODAY' || first === 'TOMORROW') {
+        const offset = first === 'TOMORROW' ? 1 : 0;
         return {
-            success: deliveryStats.sent > 0,
-            successCount: deliveryStats.sent,
-            failureCount: deliveryStats.failed,
-            errors: deliveryStats.errors
+            date: zonedTime(tz, today.year, today.month, today.day + offset, time.hour, time.minute),
+            consumed: 2
         };
-        
-    } catch (error) {
-        logger.error(`❌ Summary broadcast failed: ${error.message}`);
-        return { success: false, error: error.message };
     }
+
+    const weekdays = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+    const weekdayIndex = weekdays.findIndex(day => first.startsWith(day) && /^[A-Z]+$/.test(first));
+    if (weekdayIndex !== -1) {
+        let daysAhead = (weekdayIndex - today.weekday + 7) % 7;
+        let date = zonedTime(tz, today.year, today.month, today.day + daysAhead, time.hour, time.minute);
+        if (date.getTime() <= now.getTime()) {
+            daysAhead += 7;
+            date = zonedTime(tz, today.year, today.month, today.day + daysAhead, time.hour, time.minute);
+        }
+        return { date, consumed: 2 };
+    }
+
+    return null;
 }
 
-// PRODUCTION SUMMARY FINALIZATION
-async finalizeDailySummary(summaryId, broadcastResult, processedReactions) {
-    try {
-        // Update summary status
-        await DailyReactionSummary.findByIdAndUpdate(summaryId, {
-            summaryStatus: broadcastResult.success ? 'sent' : 'failed',
-            sentAt: new Date(),
-            'deliveryResults.successCount': broadcastResult.successCount || 0,
-            'deliveryResults.failureCount': broadcastResult.failureCount || 0
-        });
-        
-        // Mark all reactions as processed
-        const reactionIds = processedReactions.map(r => r._id);
-        await MessageReaction.updateMany(
-            { _id: { $in: reactionIds } },
-            { 
-                processedForSummary: true,
-                summaryDate: new Date()
-            }
-        );
-        
-        // Record analytics
-        await this.dbManager.recordAnalytic('daily_summary_sent', 1, 
-            `${processedReactions.length} reactions, ${broadcastResult.successCount} deliveries`);
-        
-        logger.info(`✅ Daily summary finalized: ${processedReactions.length} reactions processed`);
-        
-    } catch (error) {
-        logger.error(`❌ Failed to finalize daily summary: ${error.message}`);
-        throw error;
+// Parses 9AM, 9:30PM, 18:00 - a bare "9" is rejected as ambiguous
+parseClockTime(token) {
+    const match = token.match(/^(\d{1,2})(?::(\d{2}))?(AM|PM)?$/i);
+    if (!match || (!match[2] && !match[3])) {
+        return null;
+    }
+
+    let hour = parseInt(match[1]);
+    const minute = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3] ? match[3].toUpperCase() : null;
+
+    if (minute > 59) {
+        return null;
+    }
+
+    if (meridiem) {
+        if (hour < 1 || hour > 12) {
+            return null;
+        }
+        if (meridiem === 'AM' && hour === 12) hour = 0;
+        if (meridiem === 'PM' && hour !== 12) hour += 12;
+    } else if (hour > 23) {
+        return null;
     }
+
+    return { hour, minute };
 }
 
-// PRODUCTION SETTINGS GETTER
-getReactionSummarySettings() {
-    // Default production settings - can be overridden by database settings
-    return {
-        minimumReactionsThreshold: 3,
-        maximumMessagesInSummary: 8,
-        includeReactorNames: false,
-        summaryFormat: 'compact'
-    };
+// Church time, in the reader's language when a member is given
+formatScheduleTime(date, member = null) {
+    return formatLocalTime(date, config.timeZone, {}, languageLocale(languageOf(member)));
 }
 
-// PRODUCTION ERROR HANDLER
-async handleSummaryError(error) {
-    try {
-        logger.error(`🚨 Daily summary system error: ${error.message}`);
-        
-        // Record critical error in analytics
-        await this.dbManager.recordAnalytic('daily_summary_error', 1, 
-            `Error: ${error.message}, Stack: ${error.stack?.substring(0, 200)}`);
-        
-        // Notify administrators about the failure
-        const adminMembers = await this.dbManager.getAllActiveMembers();
-        const admins = adminMembers.filter(member => member.isAdmin);
-        
-        if (admins.length > 0) {
-            const errorNotification = `🚨 SYSTEM ALERT\n\nDaily reaction summary failed at ${new Date().toLocaleString()}\n\nError: ${error.message}\n\nTech team has been notified.`;
-            
-            for (const admin of admins) {
-                try {
-                    await this.sendSMS(admin.phone, errorNotification);
-                    logger.info(`📧 Error notification sent to admin: ${admin.name}`);
-                } catch (notifyError) {
-                    logger.error(`❌ Failed to notify admin ${admin.name}: ${notifyError.message}`);
-                }
-            }
-        }
-        
-    } catch (handleError) {
-        logger.error(`❌ Error in error handler: ${handleError.message}`);
+// Registers an in-memory node-schedule job for a stored scheduled broadcast
+armScheduledBroadcast(scheduled) {
+    const jobKey = scheduled._id.toString();
+    this.disarmScheduledBroadcast(jobKey);
+
+    const job = schedule.scheduleJob(scheduled.scheduledFor, async () => {
+        this.scheduledJobs.delete(jobKey);
+        await this.executeScheduledBroadcast(scheduled._id);
+    });
+
+    if (job) {
+        this.scheduledJobs.set(jobKey, job);
+        logger.info(`⏰ Scheduled broadcast ${scheduled.shortId} armed for ${scheduled.scheduledFor.toISOString()}`);
+    } else {
+        logger.warn(`⚠️ Could not arm scheduled broadcast ${scheduled.shortId} - time may have passed`);
     }
+
+    return job;
 }
 
-// PRODUCTION NO-REACTIONS SUMMARY RECORDER
-async recordNoReactionsSummary(summaryDate) {
-    try {
-        const noReactionsSummary = new DailyReactionSummary({
-            summaryDate: summaryDate,
-            totalReactions: 0,
-            totalMessages: 0,
-            reactionsByMessage: [],
-            topReactedMessage: null,
-            summaryStatus: 'sent',
-            summaryText: 'No reactions to summarize today',
-            sentAt: new Date(),
-            deliveryResults: {
-                successCount: 0,
-                failureCount: 0
-            }
-        });
-        
-        await noReactionsSummary.save();
-        logger.info('✅ No-reactions summary recorded for today');
-        
-        // Record analytics
-        await this.dbManager.recordAnalytic('daily_summary_no_reactions', 1, 
-            `Date: ${summaryDate.toLocaleDateString()}`);
-        
-    } catch (error) {
-        logger.error(`❌ Failed to record no-reactions summary: ${error.message}`);
+disarmScheduledBroadcast(scheduledId) {
+    const jobKey = scheduledId.toString();
+    const job = this.scheduledJobs.get(jobKey);
+    if (job) {
+        job.cancel();
+        this.scheduledJobs.delete(jobKey);
     }
 }
 
-// PRODUCTION REACTION CLEANUP SERVICE
-async cleanupProcessedReactions() {
+// PRODUCTION SCHEDULED BROADCAST EXECUTOR
+async executeScheduledBroadcast(scheduledId) {
     const startTime = Date.now();
-    logger.info('🧹 Starting processed reaction cleanup...');
-    
+
     try {
         if (!this.dbManager.isConnected) {
-            logger.warn('❌ Database not connected - skipping reaction cleanup');
+            logger.error('❌ Database not connected - scheduled broadcast will be retried at next startup');
             return;
         }
-        
-        // Remove reactions older than 30 days that have been processed
-        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        
-        const deleteResult = await MessageReaction.deleteMany({
-            processedForSummary: true,
-            summaryDate: { $lt: thirtyDaysAgo }
-        });
-        
-        // Also cleanup old summary records (keep last 90 days)
-        const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
-        
-        const summaryDeleteResult = await DailyReactionSummary.deleteMany({
-            summaryDate: { $lt: ninetyDaysAgo }
-        });
-        
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('reaction_cleanup', durationMs, true);
-        
-        logger.info(`✅ Reaction cleanup completed: ${deleteResult.deletedCount} reactions, ${summaryDeleteResult.deletedCount} summaries removed`);
-        
-        // Record cleanup analytics
-        await this.dbManager.recordAnalytic('reaction_cleanup_completed', deleteResult.deletedCount, 
-            `Summaries cleaned: ${summaryDeleteResult.deletedCount}, Duration: ${durationMs}ms`);
-        
-    } catch (error) {
-        const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('reaction_cleanup', durationMs, false, error.message);
-        
-        logger.error(`❌ Reaction cleanup failed: ${error.message}`);
-    }
-}
-
-// PRODUCTION ADMIN COMMAND: REACTION SUMMARY CONTROLS
-async handleReactionSummaryCommand(adminPhone, commandText) {
-    const startTime = Date.now();
-    logger.info(`📊 Admin REACTION SUMMARY command from ${adminPhone}: ${commandText}`);
 
-    try {
-        // Verify admin privileges
-        const admin = await this.getMemberInfo(adminPhone);
-        if (!admin || !admin.isAdmin) {
-            logger.warn(`❌ Non-admin attempted REACTION SUMMARY command: ${adminPhone}`);
-            return "❌ Access denied. Only church administrators can manage reaction summaries.";
+        // Claim first so an overlapping restart cannot send the same item twice
+        const scheduled = await this.dbManager.claimScheduledBroadcast(scheduledId);
+        if (!scheduled) {
+            logger.info(`ℹ️ Scheduled broadcast ${scheduledId} already handled or cancelled`);
+            return;
         }
 
-        const parts = commandText.trim().split(/\s+/);
-        const subCommand = parts[1]?.toUpperCase() || 'STATUS';
+        const delayMinutes = Math.round((Date.now() - scheduled.scheduledFor.getTime()) / 60000);
+        logger.info(`⏰ Sending scheduled broadcast ${scheduled.shortId}${delayMinutes > 1 ? ` (${delayMinutes} min late)` : ''}`);
+
+        const result = await this.broadcastMessage(scheduled.fromPhone, scheduled.messageText, null);
+
+        await this.dbManager.updateScheduledBroadcast(scheduled._id, {
+            status: 'sent',
+            sentAt: new Date(),
+            resultSummary: result || 'Broadcast sent'
+        });
+
+        await this.dbManager.recordAnalytic('scheduled_broadcast_sent', 1,
+            `ID: ${scheduled.shortId}, Delay: ${delayMinutes} min`);
+
+        const durationMs = Date.now() - startTime;
+        await this.recordPerformanceMetric('scheduled_broadcast', durationMs, true);
 
-        switch (subCommand) {
-            case 'STATUS':
-                return await this.getReactionSummaryStatus();
-            
-            case 'SEND':
-                return await this.forceDailySummary(admin.name);
-            
-            case 'DISABLE':
-                return await this.disableReactionSummaries(admin.name);
-            
-            case 'ENABLE':
-                return await this.enableReactionSummaries(admin.name);
-            
-            case 'STATS':
-                return await this.getReactionStatistics();
-            
-            default:
-                return `❌ Unknown reaction summary command: ${subCommand}\n\n📋 Available commands:\n• REACTION STATUS - Show summary system status\n• REACTION SEND - Force send today's summary now\n• REACTION DISABLE - Disable daily summaries\n• REACTION ENABLE - Enable daily summaries\n• REACTION STATS - View reaction statistics`;
+        // Let the scheduling admin know it went out
+        if (result) {
+            let notice = `⏰ Scheduled broadcast ${scheduled.shortId} sent\n`;
+            if (delayMinutes > 1) {
+                notice += `⚠️ Sent ${delayMinutes} min late (server was offline)\n`;
+            }
+            await this.sendSMS(scheduled.fromPhone, notice + result);
         }
 
     } catch (error) {
         const durationMs = Date.now() - startTime;
-        await this.recordPerformanceMetric('reaction_summary_command', durationMs, false, error.message);
-        
-        logger.error(`❌ REACTION SUMMARY command error: ${error.message}`);
-        return "❌ System error occurred managing reaction summaries.\n\n💡 Tech team has been notified.";
+        await this.recordPerformanceMetric('scheduled_broadcast', durationMs, false, error.message);
+
+        logger.error(`❌ Scheduled broadcast ${scheduledId} failed: ${error.message}`);
+
+        try {
+            await this.dbManager.updateScheduledBroadcast(scheduledId, {
+                status: 'failed',
+                errorMessage: error.message
+            });
+        } catch (updateError) {
+            logger.error(`❌ Failed to mark scheduled broadcast as failed: ${updateError.message}`);
+        }
     }
 }
 
-// PRODUCTION SUMMARY STATUS CHECKER
-async getReactionSummaryStatus() {
+// Finishes broadcasts a restart cut short, skipping anyone who already has a delivery_log row
+async resumeUnfinishedBroadcasts() {
     try {
-        const today = new Date();
-        const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-        
-        // Check today's summary status
-        const todaySummary = await DailyReactionSummary.findOne({ 
-            summaryDate: todayStart 
-        });
-        
-        // Count today's reactions
-        const todayEnd = new Date(todayStart);
-        todayEnd.setHours(23, 59, 59, 999);
-        
-        const todayReactionCount = await MessageReaction.countDocuments({
-            detectedAt: { $gte: todayStart, $lte: todayEnd },
-            processedForSummary: false
-        });
-        
-        // Get recent summary history
-        const recentSummaries = await DailyReactionSummary.find({})
-            .sort({ summaryDate: -1 })
-            .limit(7);
-        
-        let statusMessage = `📊 REACTION SUMMARY SYSTEM STATUS\n\n`;
-        statusMessage += `📅 Today (${todayStart.toLocaleDateString()}):\n`;
-        
-        if (todaySummary) {
-            statusMessage += `   Status: ${todaySummary.summaryStatus.toUpperCase()}\n`;
-            if (todaySummary.sentAt) {
-                statusMessage += `   Sent: ${todaySummary.sentAt.toLocaleTimeString()}\n`;
-            }
-            statusMessage += `   Messages: ${todaySummary.totalMessages}\n`;
-            statusMessage += `   Reactions: ${todaySummary.totalReactions}\n`;
-        } else {
-            statusMessage += `   Status: PENDING\n`;
+        if (!this.dbManager.isConnected) {
+            logger.warn('❌ Database not connected - cannot resume unfinished broadcasts');
+            return;
         }
-        
-        statusMessage += `\n⏱️ Pending reactions today: ${todayReactionCount}\n`;
-        statusMessage += `🕒 Next summary: 8:00 PM daily\n`;
-        
-        if (recentSummaries.length > 0) {
-            statusMessage += `\n📈 Recent Summary History:\n`;
-            recentSummaries.slice(0, 5).forEach(summary => {
-                const date = summary.summaryDate.toLocaleDateString();
-                const status = summary.summaryStatus === 'sent' ? '✅' : '❌';
-                statusMessage += `   ${status} ${date}: ${summary.totalReactions} reactions\n`;
-            });
+
+        const unfinished = await this.dbManager.getUnfinishedBroadcasts();
+        if (unfinished.length === 0) {
+            return;
         }
-        
-        return statusMessage;
-        
+
+        logger.info(`🔁 Found ${unfinished.length} unfinished broadcast(s) from before restart`);
+        const cutoff = Date.now() - config.broadcastResumeMaxAgeHours * 60 * 60 * 1000;
+
+        for (const message of unfinished) {
+            const messageId = message._id.toString();
+
+            if (message.sentAt.getTime() < cutoff) {
+                logger.warn(`⚠️ Broadcast ${messageId} is older than ${config.broadcastResumeMaxAgeHours}h - not resuming`);
+                await this.dbManager.updateBroadcastMessage(messageId, { deliveryStatus: 'failed' });
+                await this.dbManager.refreshBroadcastDeliverySummary(messageId);
+                continue;
+            }
+
+            const targetGroup = message.targetGroupId ? await this.dbManager.getGroupById(message.targetGroupId) : null;
+
+            // Restarted inside its UNDO window - hold it for what is left of the window so UNDO still works
+            if (message.undoUntil && message.undoUntil > new Date()) {
+                const sender = await this.getMemberInfo(message.fromPhone);
+                const target = targetGroup ? targetGroup.name : this.localize(sender, 'common.everyone');
+                const remainingMs = message.undoUntil.getTime() - Date.now();
+                logger.info(`⏳ Broadcast ${messageId} was still inside its UNDO window - holding ${Math.ceil(remainingMs / 1000)}s more`);
+
+                this.armUndoHold(messageId, message.fromPhone, messageId, target, remainingMs)
+                    .then(undone => (undone ? null : this.resumeBroadcast(message, targetGroup)))
+                    .catch(error => logger.error(`❌ Resumed broadcast ${messageId} failed: ${error.message}`));
+                continue;
+            }
+
+            await this.resumeBroadcast(message, targetGroup);
+        }
+
     } catch (error) {
-        logger.error(`❌ Error getting reaction summary status: ${error.message}`);
-        return "❌ Error retrieving reaction summary status";
+        logger.error(`❌ Failed to resume unfinished broadcasts: ${error.message}`);
     }
 }
 
-// PRODUCTION FORCE SUMMARY SENDER
-async forceDailySummary(adminName) {
+// Sends one unfinished broadcast to the recipients it has not reached yet
+async resumeBroadcast(message, targetGroup) {
+    const messageId = message._id.toString();
+
+    // Crashed before the final text was built - media links are lost, plain text can be rebuilt
+    if (message.processingStatus !== 'completed') {
+        if (message.hasMedia) {
+            logger.warn(`⚠️ Broadcast ${messageId} was interrupted during media processing - not resuming`);
+            await this.dbManager.updateBroadcastMessage(messageId, { deliveryStatus: 'failed', processingStatus: 'error' });
+            return;
+        }
+
+        const processedMessage = this.normalizeOutgoingText(
+            this.formatMessageWithMedia(message.originalMessage, { name: message.fromName }, [], targetGroup));
+        await this.dbManager.updateBroadcastMessage(messageId, { processedMessage, processingStatus: 'completed' });
+        message.processedMessage = processedMessage;
+    }
+
+    const alreadyHandled = new Set(await this.dbManager.getDeliveryMemberIds(messageId));
+    const recipients = this.splitDigestRecipients(
+        await this.getAllActiveMembers(message.fromPhone, message.targetGroupId), message.urgent).instant
+        .filter(member => !alreadyHandled.has(member.id));
+
+    // Same quiet-hours rule as broadcastMessage - held recipients wait in the queue until morning
+    const quietHold = message.urgent ? { sendNow: recipients, held: [] } : this.holdForQuietHours(recipients);
+
+    logger.info(`🔁 Resuming broadcast ${messageId} from ${message.fromName}: ${recipients.length} recipient(s) still to send (${quietHold.held.length} held for quiet hours), ${alreadyHandled.size} already handled`);
+
+    await this.dbManager.updateBroadcastMessage(messageId, { deliveryStatus: 'sending' });
+
+    // Not awaited - startup should not wait for a large broadcast to drain through the queue
+    this.sendQueue.enqueueBroadcast(messageId, [...quietHold.sendNow, ...quietHold.held], message.processedMessage,
+        { personalized: message.personalized })
+        .then(async (deliveryStats) => {
+            await this.dbManager.updateBroadcastMessage(messageId, { deliveryStatus: 'completed' });
+            await this.dbManager.refreshBroadcastDeliverySummary(messageId);
+            await this.dbManager.recordAnalytic('broadcast_resumed', recipients.length,
+                `Message: ${messageId}, From: ${message.fromName}, sent:${deliveryStats.sent},failed:${deliveryStats.failed}`);
+
+            logger.info(`✅ Resumed broadcast ${messageId} completed: ${deliveryStats.sent} sent, ${deliveryStats.failed} failed`);
+        })
+        .catch(error => logger.error(`❌ Resumed broadcast ${messageId} failed: ${error.message}`));
+}
+
+// Re-arms stored schedules after a restart and sends any that came due while offline
+async restoreScheduledBroadcasts() {
     try {
-        logger.info(`🔧 Admin ${adminName} forcing daily summary send`);
-        
-        // Run the daily summary process immediately
-        await this.processDailyReactionSummary();
-        
-        // Record the forced action
-        await this.dbManager.recordAnalytic('daily_summary_forced', 1, 
-            `Forced by admin: ${adminName}`);
-        
-        return `✅ Daily reaction summary sent immediately by admin command.\n\n💡 Regular 8 PM schedule remains active.`;
-        
+        if (!this.dbManager.isConnected) {
+            logger.warn('❌ Database not connected - cannot restore scheduled broadcasts');
+            return;
+        }
+
+        // Anything still 'sending' was interrupted mid-broadcast - do not risk a double send
+        const interrupted = await ScheduledBroadcast.updateMany(
+            { status: 'sending' },
+            { status: 'failed', errorMessage: 'Interrupted by server restart - check broadcast history' }
+        );
+        if (interrupted.modifiedCount > 0) {
+            logger.warn(`⚠️ ${interrupted.modifiedCount} scheduled broadcast(s) were interrupted by a restart`);
+        }
+
+        const pending = await this.dbManager.getPendingScheduledBroadcasts();
+        const now = Date.now();
+        let armed = 0;
+        let missed = 0;
+
+        for (const scheduled of pending) {
+            if (scheduled.scheduledFor.getTime() <= now) {
+                missed++;
+                await this.executeScheduledBroadcast(scheduled._id);
+            } else if (this.armScheduledBroadcast(scheduled)) {
+                armed++;
+            }
+        }
+
+        logger.info(`✅ Scheduled broadcasts restored: ${armed} armed, ${missed} missed and sent`);
+
     } catch (error) {
-        logger.error(`❌ Force daily summary failed: ${error.message}`);
-        return `❌ Failed to send daily summary: ${error.message}`;
+        logger.error(`❌ Failed to restore scheduled broadcasts: ${error.message}`);
     }
 }
 
-// PRODUCTION REACTION STATISTICS
-async getReactionStatistics() {
+// Re-arms reminders after a restart. Of the reminders missed while down, only the closest to the
+// start is sent - claiming it marks the earlier ones.
+async restoreEventReminders() {
     try {
-        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        
-        // Get reaction counts by emoji for last 30 days
-        const emojiStats = await MessageReaction.aggregate([
-            { $match: { detectedAt: { $gte: thirtyDaysAgo } } },
-            { $group: { _id: '$emoji', count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 10 }
-        ]);
-        
-        // Get top reactors
-        const topReactors = await MessageReaction.aggregate([
-            { $match: { detectedAt: { $gte: thirtyDaysAgo } } },
-            { $group: { _id: '$reactorName', count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 5 }
-        ]);
-        
-        // Get recent summary performance
-        const summaryPerformance = await DailyReactionSummary.aggregate([
-            { $match: { summaryDate: { $gte: thirtyDaysAgo } } },
-            { $group: {
-                _id: null,
-                totalSummaries: { $sum: 1 },
-                successfulSummaries: { 
-                    $sum: { $cond: [{ $eq: ['$summaryStatus', 'sent'] }, 1, 0] }
-                },
-                averageReactions: { $avg: '$totalReactions' },
-                totalReactions: { $sum: '$totalReactions' }
-            }}
-        ]);
-        
-        let statsMessage = `📊 REACTION STATISTICS (Last 30 Days)\n\n`;
-        
-        if (emojiStats.length > 0) {
-            statsMessage += `🎯 Top Reactions:\n`;
-            emojiStats.slice(0, 5).forEach((stat, index) => {
-                statsMessage += `   ${index + 1}. ${stat._id} - ${stat.count} times\n`;
-            });
-        }
-        
-        if (topReactors.length > 0) {
-            statsMessage += `\n👥 Most Active Reactors:\n`;
-            topReactors.forEach((reactor, index) => {
-                statsMessage += `   ${index + 1}. ${reactor._id} - ${reactor.count} reactions\n`;
-            });
+        if (!this.dbManager.isConnected) {
+            logger.warn('❌ Database not connected - cannot restore event reminders');
+            return;
         }
-        
-        if (summaryPerformance.length > 0) {
-            const perf = summaryPerformance[0];
-            const successRate = ((perf.successfulSummaries / perf.totalSummaries) * 100).toFixed(1);
-            
-            statsMessage += `\n📈 Summary Performance:\n`;
-            statsMessage += `   Total summaries sent: ${perf.successfulSummaries}/${perf.totalSummaries}\n`;
-            statsMessage += `   Success rate: ${successRate}%\n`;
-            statsMessage += `   Average reactions per day: ${Math.round(perf.averageReactions)}\n`;
-            statsMessage += `   Total reactions processed: ${perf.totalReactions}\n`;
+
+        const upcoming = await this.dbManager.getUpcomingEvents();
+        const now = Date.now();
+        let armed = 0;
+        let missed = 0;
+
+        for (const event of upcoming) {
+            const overdue = config.eventReminderHours.filter(hours =>
+                !event.remindersSent.includes(hours) && event.startsAt.getTime() - hours * 60 * 60 * 1000 <= now);
+            if (overdue.length > 0) {
+                missed++;
+                await this.sendEventReminder(event._id, Math.min(...overdue));
+                event.remindersSent.push(...overdue);
+            }
+            armed += this.armEventReminders(event);
         }
-        
-        return statsMessage;
-        
+
+        logger.info(`✅ Event reminders restored: ${armed} armed, ${missed} missed and sent`);
+
     } catch (error) {
-        logger.error(`❌ Error getting reaction statistics: ${error.message}`);
-        return "❌ Error retrieving reaction statistics";
+        logger.error(`❌ Failed to restore event reminders: ${error.message}`);
     }
 }
 
@@ -4121,6 +7776,24 @@ async function setupProductionCongregation() {
             return;
         }
 
+        // Backfill @ keywords for groups created before group routing existed
+        const defaultKeywords = [
+            [congregationGroup, 'CONGREGATION'],
+            [leadershipGroup, 'LEADERSHIP'],
+            [mediaGroup, 'MEDIA']
+        ];
+
+        for (const [group, keyword] of defaultKeywords) {
+            if (!group.keyword) {
+                try {
+                    await smsSystem.dbManager.updateGroup(group._id, { keyword });
+                    logger.info(`✅ Assigned keyword @${keyword} to ${group.name}`);
+                } catch (keywordError) {
+                    logger.warn(`⚠️ Could not assign keyword @${keyword} to ${group.name}: ${keywordError.message}`);
+                }
+            }
+        }
+
         const adminPhone = smsSystem.cleanPhoneNumber("+14257729189");
         let admin = await smsSystem.dbManager.getMemberByPhone(adminPhone);
         
@@ -4198,6 +7871,50 @@ async function setupProductionCongregation() {
 }
 
 const smsSystem = new ProductionChurchSMS();
+const requireApiKey = createApiKeyAuth(config.apiKeys, logger);
+
+if (config.twilio.skipSignatureValidation) {
+    logger.warn('⚠️ Twilio webhook signature validation is DISABLED - never run production like this');
+}
+
+// Rejects webhook requests that were not signed by Twilio with our auth token.
+// Twilio signs the exact URL it was configured with, so behind a proxy PUBLIC_BASE_URL must match it.
+function validateTwilioSignature(req, res, next) {
+    if (config.twilio.skipSignatureValidation) {
+        return next();
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature || config.twilio.authToken === 'not_configured') {
+        logger.warn(`❌ Unsigned webhook request rejected: ${req.originalUrl} from ${req.ip}`);
+        return res.status(403).send('Forbidden');
+    }
+
+    const baseUrl = config.publicBaseUrl ||
+        `${req.get('X-Forwarded-Proto') || req.protocol}://${req.get('host')}`;
+    const url = `${baseUrl}${req.originalUrl}`;
+
+    if (!twilio.validateRequest(config.twilio.authToken, signature, url, req.body || {})) {
+        logger.warn(`❌ Invalid Twilio signature rejected: ${url} from ${req.ip}`);
+        return res.status(403).send('Forbidden');
+    }
+
+    return next();
+}
+
+// Prayer requests are private to the prayer team, so their text stays out of request logs
+function loggableBody(messageBody) {
+    return PRAY_PREFIX_PATTERN.test(messageBody.trim()) ? '[PRAY request - text not logged]' : messageBody;
+}
+
+// /test feeds any From/Body straight into handleIncomingMessage, so it only exists where
+// webhook signatures are already off (local development)
+function requireLocalTesting(req, res, next) {
+    if (!config.twilio.skipSignatureValidation) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+    return next();
+}
 
 // Express Routes
 app.use((req, res, next) => {
@@ -4226,7 +7943,7 @@ app.use((req, res, next) => {
     next();
 });
 
-app.post('/webhook/sms', async (req, res) => {
+app.post('/webhook/sms', validateTwilioSignature, async (req, res) => {
     const requestStart = Date.now();
     const requestId = uuidv4().substring(0, 8);
 
@@ -4238,13 +7955,26 @@ app.post('/webhook/sms', async (req, res) => {
         const numMedia = parseInt(req.body.NumMedia || 0);
         const messageSid = req.body.MessageSid || '';
 
-        logger.info(`📨 [${requestId}] From: ${fromNumber}, Body: '${messageBody}', Media: ${numMedia}`);
+        logger.info(`📨 [${requestId}] From: ${fromNumber}, Body: '${loggableBody(messageBody)}', Media: ${numMedia}`);
 
         if (!fromNumber) {
             logger.warn(`⚠️ [${requestId}] Missing From number`);
             return res.status(200).send('OK');
         }
 
+        // Twilio redelivers when it doesn't get a timely 200 - handle each MessageSid once
+        if (messageSid && smsSystem.dbManager.isConnected) {
+            try {
+                const firstDelivery = await smsSystem.dbManager.claimInboundMessage(messageSid, fromNumber);
+                if (!firstDelivery) {
+                    logger.info(`🔁 [${requestId}] Duplicate MessageSid ${messageSid} ignored`);
+                    return res.status(200).send('OK');
+                }
+            } catch (error) {
+                logger.warn(`⚠️ [${requestId}] Could not record MessageSid, processing anyway: ${error.message}`);
+            }
+        }
+
         const mediaUrls = [];
         for (let i = 0; i < numMedia; i++) {
             const mediaUrl = req.body[`MediaUrl${i}`];
@@ -4292,7 +8022,7 @@ app.post('/webhook/sms', async (req, res) => {
     }
 });
 
-app.post('/webhook/status', async (req, res) => {
+app.post('/webhook/status', validateTwilioSignature, async (req, res) => {
     logger.info('📊 Status callback received');
 
     try {
@@ -4309,20 +8039,14 @@ app.post('/webhook/status', async (req, res) => {
         if (errorCode) {
             logger.warn(`   ❌ Error ${errorCode}: ${errorMessage}`);
 
-            const errorMeanings = {
-                '30007': 'Recipient device does not support MMS',
-                '30008': 'Message blocked by carrier',
-                '30034': 'A2P 10DLC registration issue',
-                '30035': 'Media file too large',
-                '30036': 'Unsupported media format',
-                '11200': 'HTTP retrieval failure'
-            };
-
-            if (errorMeanings[errorCode]) {
-                logger.info(`💡 Error meaning: ${errorMeanings[errorCode]}`);
+            if (TWILIO_ERROR_MEANINGS[errorCode]) {
+                logger.info(`💡 Error meaning: ${TWILIO_ERROR_MEANINGS[errorCode]}`);
             }
-        } else {
-            logger.info('   ✅ Message delivered successfully');
+        }
+
+        const delivery = await smsSystem.processDeliveryStatus(messageSid, messageStatus, errorCode, errorMessage);
+        if (delivery) {
+            logger.info(`   💾 Delivery log updated: ${delivery.deliveryStatus}`);
         }
 
         res.status(200).send('OK');
@@ -4409,6 +8133,7 @@ app.get('/', async (req, res) => {
     try {
         let stats = {
             activeMemberCount: 0,
+            pausedMemberCount: 0,
             recentMessages24h: 0,
             processedMediaCount: 0
         };
@@ -4425,6 +8150,7 @@ app.get('/', async (req, res) => {
 
 📊 LIVE STATISTICS:
 ✅ Registered Members: ${stats.activeMemberCount}
+✅ Paused Members: ${stats.pausedMemberCount}
 ✅ Messages (24h): ${stats.recentMessages24h}
 ✅ Media Files Processed: ${stats.processedMediaCount}
 ✅ Church Number: ${config.twilio.phoneNumber}
@@ -4475,13 +8201,13 @@ app.get('/', async (req, res) => {
     }
 });
 
-app.all('/test', async (req, res) => {
+app.all('/test', requireLocalTesting, async (req, res) => {
     try {
         if (req.method === 'POST') {
             const fromNumber = req.body.From || '+1234567890';
             const messageBody = req.body.Body || 'test message';
 
-            logger.info(`🧪 Test message: ${fromNumber} -> ${messageBody}`);
+            logger.info(`🧪 Test message: ${fromNumber} -> ${loggableBody(messageBody)}`);
 
             const testAsync = async () => {
                 try {
@@ -4532,7 +8258,7 @@ app.all('/test', async (req, res) => {
     }
 });
 
-app.get('/debug', async (req, res) => {
+app.get('/debug', requireApiKey, async (req, res) => {
     try {
         if (!smsSystem.dbManager.isConnected) {
             return res.status(503).json({
@@ -4596,7 +8322,7 @@ app.get('/debug', async (req, res) => {
     }
 });
 
-app.post('/setup', async (req, res) => {
+app.post('/setup', requireApiKey, async (req, res) => {
     try {
         logger.info('🔧 Manual database setup/recovery initiated...');
         
@@ -4643,7 +8369,7 @@ app.post('/setup', async (req, res) => {
     }
 });
 
-app.get('/analytics', async (req, res) => {
+app.get('/analytics', requireApiKey, async (req, res) => {
     try {
         if (!smsSystem.dbManager.isConnected) {
             return res.status(503).json({
@@ -4654,6 +8380,12 @@ app.get('/analytics', async (req, res) => {
 
         const healthStats = await smsSystem.dbManager.getHealthStats();
         const deliveryStats = await smsSystem.dbManager.getDeliveryStats();
+
+        // Only carrier-confirmed outcomes count towards the delivery rate
+        const finalDeliveries = (deliveryStats.delivered || 0) + (deliveryStats.undelivered || 0) + (deliveryStats.failed || 0);
+        const deliveryRate = finalDeliveries > 0
+            ? Number(((deliveryStats.delivered || 0) / finalDeliveries * 100).toFixed(1))
+            : null;
         
         const performanceData = await PerformanceMetrics.find({
             recordedAt: { 
@@ -4671,6 +8403,7 @@ app.get('/analytics', async (req, res) => {
             timestamp: new Date().toISOString(),
             health_stats: healthStats,
             delivery_stats: deliveryStats,
+            delivery_rate_percent: deliveryRate,
             performance_metrics: {
                 total_entries: performanceData.length,
                 operations: performanceData.reduce((acc, metric) => {
@@ -4794,13 +8527,62 @@ app.get('/media-info/:filename', async (req, res) => {
     }
 });
 
+// iCal subscription feeds: /calendar/all.ics for every event, /calendar/<KEYWORD>.ics for a group's
+// events plus church-wide ones. Protected by ?token= when CALENDAR_FEED_TOKEN is set.
+app.get('/calendar/:feed.ics', async (req, res) => {
+    try {
+        if (config.calendarFeedToken && !keyMatches(String(req.query.token || ''), config.calendarFeedToken)) {
+            logger.warn(`❌ Calendar feed token rejected for ${req.params.feed} from ${req.ip}`);
+            return res.status(401).json({ error: 'Invalid or missing token' });
+        }
+
+        if (!smsSystem.dbManager.isConnected) {
+            return res.status(503).json({ error: 'Database not connected' });
+        }
+
+        const feed = req.params.feed.toUpperCase();
+        let group = null;
+        if (feed !== 'ALL') {
+            group = await smsSystem.dbManager.getGroupByKeyword(feed);
+            if (!group) {
+                return res.status(404).json({ error: `Unknown calendar: ${req.params.feed}` });
+            }
+        }
+
+        // Recent past events stay in the feed so subscribers keep them in their history
+        const since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+        const events = await smsSystem.dbManager.getCalendarEvents(group ? group._id : null, since);
+        const domain = config.publicBaseUrl ? new URL(config.publicBaseUrl).hostname : req.hostname;
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `inline; filename="${req.params.feed.toLowerCase()}.ics"`);
+        res.setHeader('Cache-Control', `${config.calendarFeedToken ? 'private' : 'public'}, max-age=900`);
+        res.send(buildCalendarFeed({
+            name: group ? `${config.churchName} - ${group.name}` : config.churchName,
+            events,
+            domain,
+            timeZone: config.timeZone
+        }));
+
+    } catch (error) {
+        logger.error(`❌ Error serving calendar feed: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Versioned JSON API (API key auth)
+app.use('/api/v1', createApiRouter(smsSystem, logger, { apiKeys: config.apiKeys }));
+
+// Web admin dashboard (HTTP Basic auth)
+app.use('/admin', createAdminDashboard(smsSystem, logger, { ...config.adminDashboard, churchName: config.churchName, timeZone: config.timeZone }));
+
 // Error handlers
 app.use((req, res) => {
     res.status(404).json({
         error: "Endpoint not found",
         status: "production",
         database: "MongoDB",
-        available_endpoints: ["/", "/health", "/webhook/sms", "/test", "/debug", "/analytics"]
+        available_endpoints: ["/", "/health", "/webhook/sms", "/test", "/debug", "/analytics", "/admin", "/api/v1"]
     });
 });
 
@@ -4886,7 +8668,9 @@ async function startServer() {
     logger.info('INFO: Webhook endpoint: /webhook/sms');
     logger.info('INFO: Health monitoring: /health');
     logger.info('INFO: System overview: /');
-    logger.info('INFO: Test endpoint: /test');
+    if (config.twilio.skipSignatureValidation) {
+        logger.info('INFO: Test endpoint: /test');
+    }
     logger.info('INFO: Debug endpoint: /debug');
     logger.info('INFO: Analytics endpoint: /analytics');
     logger.info('INFO: Enterprise-grade system active');
@@ -5,8 +5,18 @@ const {
     BroadcastMessage,
     MediaFile,
     DeliveryLog,
+    ScheduledBroadcast,
     SystemAnalytics,
     PerformanceMetrics,
+    MessageTemplate,
+    ProcessedInboundMessage,
+    AutoResponder,
+    JoinRequest,
+    Poll,
+    PollVote,
+    Event,
+    EventRsvp,
+    PrayerRequest,
 } = require('./models');
 
 class MongoDBManager {
@@ -103,12 +113,20 @@ class MongoDBManager {
     }
 
     
-    async getAllActiveMembers(excludePhone = null) {
+    // excludePaused is for delivery lists only - admin notices and member counts still include
+    // paused members. A pause ends when pausedUntil passes; nothing has to un-pause them.
+    async getAllActiveMembers(excludePhone = null, groupId = null, { excludePaused = false } = {}) {
         try {
-            const filter = { active: true };
+            const filter = { active: true, smsOptOut: { $ne: true } };
+            if (excludePaused) {
+                filter.$or = [{ pausedUntil: null }, { pausedUntil: { $lte: new Date() } }];
+            }
             if (excludePhone) {
                 filter.phoneNumber = { $ne: excludePhone };
             }
+            if (groupId) {
+                filter['groups.groupId'] = groupId;
+            }
 
             return await Member.find(filter)
                 .populate('groups.groupId', 'name description')
@@ -119,6 +137,44 @@ class MongoDBManager {
         }
     }
 
+    // Opt-out state is kept on inactive members too so a later re-add cannot message them
+    async setMemberOptOut(phoneNumber, optedOut, keyword = null) {
+        try {
+            const update = optedOut
+                ? { smsOptOut: true, optedOutAt: new Date(), optOutKeyword: keyword }
+                : { smsOptOut: false, optedInAt: new Date(), optOutKeyword: null };
+
+            return await Member.findOneAndUpdate(
+                { phoneNumber: phoneNumber },
+                update,
+                { new: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error updating opt-out state: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getOptedOutMembers() {
+        try {
+            return await Member.find({ smsOptOut: true })
+                .sort({ optedOutAt: -1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting opted-out members: ${error.message}`);
+            return [];
+        }
+    }
+
+    async getPausedMembers() {
+        try {
+            return await Member.find({ active: true, pausedUntil: { $gt: new Date() } })
+                .sort({ pausedUntil: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting paused members: ${error.message}`);
+            return [];
+        }
+    }
+
     async createMember(memberData) {
         try {
             const member = new Member(memberData);
@@ -165,6 +221,88 @@ class MongoDBManager {
         }
     }
 
+    async removeMemberFromGroup(memberId, groupId) {
+        try {
+            return await Member.findByIdAndUpdate(
+                memberId,
+                { $pull: { groups: { groupId: groupId } } },
+                { new: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error removing member from group: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Includes inactive members - matches the duplicate check in createMemberSafe
+    async getMemberByPhoneAnyStatus(phoneNumber) {
+        try {
+            return await Member.findOne({ phoneNumber: phoneNumber });
+        } catch (error) {
+            this.logger.error(`❌ Error getting member by phone: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getMemberById(memberId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(memberId)) {
+                return null;
+            }
+            return await Member.findById(memberId)
+                .populate('groups.groupId', 'name description keyword');
+        } catch (error) {
+            this.logger.error(`❌ Error getting member by id: ${error.message}`);
+            return null;
+        }
+    }
+
+    async updateMember(memberId, updateData) {
+        try {
+            return await Member.findByIdAndUpdate(
+                memberId,
+                updateData,
+                { new: true, runValidators: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error updating member: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Paged member search by name or phone; status is 'active', 'inactive' or 'all'
+    async searchMembers({ search = '', status = 'active', groupId = null, page = 1, limit = 50 } = {}) {
+        try {
+            const filter = {};
+            if (status === 'active') {
+                filter.active = true;
+            } else if (status === 'inactive') {
+                filter.active = false;
+            }
+            if (groupId) {
+                filter['groups.groupId'] = groupId;
+            }
+            if (search) {
+                const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+                filter.$or = [{ name: pattern }, { phoneNumber: pattern }];
+            }
+
+            const [members, total] = await Promise.all([
+                Member.find(filter)
+                    .populate('groups.groupId', 'name keyword')
+                    .sort({ name: 1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                Member.countDocuments(filter)
+            ]);
+
+            return { members, total };
+        } catch (error) {
+            this.logger.error(`❌ Error searching members: ${error.message}`);
+            return { members: [], total: 0 };
+        }
+    }
+
     // Group Operations
     async getAllGroups() {
         try {
@@ -264,9 +402,9 @@ async getMemberByPhoneSafe(phoneNumber) {
         return null;
     }
 }
-    async createGroup(name, description) {
+    async createGroup(name, description, options = {}) {
         try {
-            const group = new Group({ name, description });
+            const group = new Group({ name, description, ...options });
             return await group.save();
         } catch (error) {
             this.logger.error(`❌ Error creating group: ${error.message}`);
@@ -283,6 +421,71 @@ async getMemberByPhoneSafe(phoneNumber) {
         }
     }
 
+    // Resolves "@KEYWORD" style targets: explicit keyword first, then the whole
+    // compacted group name ("MEDIATEAM"). One word of a name ("MEDIA") is not enough.
+    async getGroupByKeyword(keyword) {
+        try {
+            const target = keyword.toUpperCase();
+            const exactMatch = await Group.findOne({ keyword: target, active: true });
+            if (exactMatch) {
+                return exactMatch;
+            }
+
+            const groups = await Group.find({ active: true });
+            const nameMatches = groups.filter(group => group.name.toUpperCase().replace(/[^A-Z0-9]/g, '') === target);
+            return nameMatches.length === 1 ? nameMatches[0] : null;
+        } catch (error) {
+            this.logger.error(`❌ Error getting group by keyword: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Groups with the word somewhere in their name - "did you mean" candidates for an unknown keyword
+    async getGroupsByNameWord(word) {
+        try {
+            const target = word.toUpperCase();
+            const groups = await Group.find({ active: true }).sort({ name: 1 });
+            return groups.filter(group => group.name.toUpperCase().split(/[^A-Z0-9]+/).includes(target));
+        } catch (error) {
+            this.logger.error(`❌ Error getting groups by name word: ${error.message}`);
+            return [];
+        }
+    }
+
+    async updateGroup(groupId, updateData) {
+        try {
+            return await Group.findByIdAndUpdate(
+                groupId,
+                updateData,
+                { new: true, runValidators: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error updating group: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getGroupById(groupId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(groupId)) {
+                return null;
+            }
+            return await Group.findById(groupId);
+        } catch (error) {
+            this.logger.error(`❌ Error getting group by id: ${error.message}`);
+            return null;
+        }
+    }
+
+    async countActiveMembersInGroup(groupId) {
+        try {
+            return await Member.countDocuments({ active: true, 'groups.groupId': groupId });
+        } catch (error) {
+            this.logger.error(`❌ Error counting group members: ${error.message}`);
+            return 0;
+        }
+    }
+
     // Message Operations
     async createBroadcastMessage(messageData) {
         try {
@@ -307,6 +510,179 @@ async getMemberByPhoneSafe(phoneNumber) {
         }
     }
 
+    async getBroadcastHistory({ page = 1, limit = 25, fromPhone = null } = {}) {
+        try {
+            const filter = fromPhone ? { fromPhone } : {};
+
+            const [messages, total] = await Promise.all([
+                BroadcastMessage.find(filter)
+                    .sort({ sentAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                BroadcastMessage.countDocuments(filter)
+            ]);
+
+            return { messages, total };
+        } catch (error) {
+            this.logger.error(`❌ Error getting broadcast history: ${error.message}`);
+            return { messages: [], total: 0 };
+        }
+    }
+
+    // Broadcasts a crash or redeploy left behind before every recipient had a delivery row
+    async getUnfinishedBroadcasts() {
+        try {
+            return await BroadcastMessage.find({ deliveryStatus: { $in: ['pending', 'sending'] } })
+                .sort({ sentAt: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting unfinished broadcasts: ${error.message}`);
+            return [];
+        }
+    }
+
+    // The sender's latest broadcast that actually went out - what CORRECT applies to
+    async getLatestSentBroadcast(fromPhone, since) {
+        try {
+            return await BroadcastMessage.findOne({
+                fromPhone,
+                deliveryStatus: { $in: ['sending', 'completed'] },
+                sentAt: { $gte: since }
+            }).sort({ sentAt: -1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting latest sent broadcast: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Non-urgent broadcasts that went out in [since, until), oldest first - what DIGEST members missed
+    async getBroadcastsForDigest(since, until) {
+        try {
+            return await BroadcastMessage.find({
+                deliveryStatus: { $in: ['sending', 'completed'] },
+                urgent: { $ne: true },
+                sentAt: { $gte: since, $lt: until }
+            }).sort({ sentAt: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting broadcasts for digest: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Moderation Operations
+    async getPendingApproval(shortId) {
+        try {
+            return await BroadcastMessage.findOne({
+                'moderation.shortId': shortId.toUpperCase(),
+                deliveryStatus: 'pending_approval'
+            });
+        } catch (error) {
+            this.logger.error(`❌ Error getting pending approval: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getPendingApprovals(limit = 0) {
+        try {
+            const query = BroadcastMessage.find({ deliveryStatus: 'pending_approval' }).sort({ sentAt: 1 });
+            return await (limit > 0 ? query.limit(limit) : query);
+        } catch (error) {
+            this.logger.error(`❌ Error getting pending approvals: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Moves a held broadcast out of pending_approval exactly once - APPROVE, REJECT and the
+    // expiry sweep can race, and only the caller that gets a document back owns the outcome
+    async resolvePendingApproval(messageId, deliveryStatus, moderationUpdate = {}) {
+        try {
+            const update = { deliveryStatus };
+            for (const [field, value] of Object.entries(moderationUpdate)) {
+                update[`moderation.${field}`] = value;
+            }
+            return await BroadcastMessage.findOneAndUpdate(
+                { _id: messageId, deliveryStatus: 'pending_approval' },
+                { $set: update },
+                { new: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error resolving pending approval: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getExpiredApprovals(now = new Date()) {
+        try {
+            return await BroadcastMessage.find({
+                deliveryStatus: 'pending_approval',
+                'moderation.expiresAt': { $lte: now }
+            });
+        } catch (error) {
+            this.logger.error(`❌ Error getting expired approvals: ${error.message}`);
+            return [];
+        }
+    }
+
+    async getDeliveryMemberIds(messageId) {
+        try {
+            const memberIds = await DeliveryLog.distinct('memberId', { messageId: messageId });
+            return memberIds.map(memberId => memberId.toString());
+        } catch (error) {
+            this.logger.error(`❌ Error getting delivery member ids: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getBroadcastMessageById(messageId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(messageId)) {
+                return null;
+            }
+            return await BroadcastMessage.findById(messageId);
+        } catch (error) {
+            this.logger.error(`❌ Error getting broadcast message: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getDeliveryLogsForMessage(messageId) {
+        try {
+            return await DeliveryLog.find({ messageId: messageId })
+                .populate('memberId', 'name')
+                .sort({ createdAt: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting delivery logs: ${error.message}`);
+            return [];
+        }
+    }
+
+    async getDeliveryLogs({ messageId = null, status = null, toPhone = null, page = 1, limit = 50 } = {}) {
+        try {
+            const filter = {};
+            if (messageId) {
+                filter.messageId = messageId;
+            }
+            if (status) {
+                filter.deliveryStatus = status;
+            }
+            if (toPhone) {
+                filter.toPhone = toPhone;
+            }
+
+            const [deliveries, total] = await Promise.all([
+                DeliveryLog.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                DeliveryLog.countDocuments(filter)
+            ]);
+
+            return { deliveries, total };
+        } catch (error) {
+            this.logger.error(`❌ Error getting delivery logs: ${error.message}`);
+            return { deliveries: [], total: 0 };
+        }
+    }
+
 async getRecentMessages(hoursBack = 24) {
     try {
         const sinceTime = new Date(Date.now() - hoursBack * 60 * 60 * 1000);
@@ -376,6 +752,573 @@ async getRecentMessages(hoursBack = 24) {
         }
     }
 
+    async updateDeliveryLog(deliveryId, updateData) {
+        try {
+            return await DeliveryLog.findByIdAndUpdate(deliveryId, updateData, { new: true });
+        } catch (error) {
+            this.logger.error(`❌ Error updating delivery log: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Send queue - one 'queued' row per recipient, written before any message goes out.
+    // Direct messages pass messageText instead of a broadcast messageId.
+    async createQueuedDeliveries(messageId, recipients, messageText = null) {
+        try {
+            return await DeliveryLog.insertMany(recipients.map(member => ({
+                messageId: messageId,
+                messageText: messageText,
+                memberId: member.id,
+                toPhone: member.phone,
+                deliveryMethod: 'sms',
+                deliveryStatus: 'queued',
+                nextAttemptAt: member.notBefore || null
+            })));
+        } catch (error) {
+            this.logger.error(`❌ Error queueing deliveries: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getQueuedDeliveries() {
+        try {
+            return await DeliveryLog.find({ deliveryStatus: 'queued' })
+                .sort({ createdAt: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting queued deliveries: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Message Template Operations
+    async getMessageTemplate(name) {
+        try {
+            return await MessageTemplate.findOne({ name: name.toLowerCase() });
+        } catch (error) {
+            this.logger.error(`❌ Error getting message template: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getAllMessageTemplates() {
+        try {
+            return await MessageTemplate.find({}).sort({ name: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting message templates: ${error.message}`);
+            return [];
+        }
+    }
+
+    async saveMessageTemplate(name, templateData) {
+        try {
+            return await MessageTemplate.findOneAndUpdate(
+                { name: name.toLowerCase() },
+                { $set: { name: name.toLowerCase(), ...templateData } },
+                { new: true, upsert: true, runValidators: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error saving message template: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async deleteMessageTemplate(name) {
+        try {
+            const result = await MessageTemplate.deleteOne({ name: name.toLowerCase() });
+            return result.deletedCount > 0;
+        } catch (error) {
+            this.logger.error(`❌ Error deleting message template: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Join Request Operations
+    async createJoinRequest(requestData) {
+        try {
+            const joinRequest = new JoinRequest(requestData);
+            return await joinRequest.save();
+        } catch (error) {
+            this.logger.error(`❌ Error creating join request: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getJoinRequestByShortId(shortId) {
+        try {
+            return await JoinRequest.findOne({ shortId: shortId.toUpperCase() });
+        } catch (error) {
+            this.logger.error(`❌ Error getting join request: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getPendingJoinRequest(phoneNumber) {
+        try {
+            return await JoinRequest.findOne({ phoneNumber, status: 'pending' });
+        } catch (error) {
+            this.logger.error(`❌ Error getting pending join request: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getDeclinedJoinRequest(phoneNumber, since) {
+        try {
+            return await JoinRequest.findOne({ phoneNumber, status: 'declined', decidedAt: { $gt: since } });
+        } catch (error) {
+            this.logger.error(`❌ Error getting declined join request: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getPendingJoinRequests(limit = 10) {
+        try {
+            return await JoinRequest.find({ status: 'pending' }).sort({ createdAt: 1 }).limit(limit);
+        } catch (error) {
+            this.logger.error(`❌ Error getting pending join requests: ${error.message}`);
+            return [];
+        }
+    }
+
+    async updateJoinRequest(requestId, updateData) {
+        try {
+            return await JoinRequest.findByIdAndUpdate(requestId, updateData, { new: true });
+        } catch (error) {
+            this.logger.error(`❌ Error updating join request: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Auto-Responder Operations
+    async getAutoResponders() {
+        try {
+            return await AutoResponder.find({}).sort({ keyword: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting auto-responders: ${error.message}`);
+            return [];
+        }
+    }
+
+    async saveAutoResponder(keyword, responderData) {
+        try {
+            return await AutoResponder.findOneAndUpdate(
+                { keyword: keyword.toUpperCase() },
+                { $set: { keyword: keyword.toUpperCase(), ...responderData } },
+                { new: true, upsert: true, runValidators: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error saving auto-responder: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async deleteAutoResponder(keyword) {
+        try {
+            const result = await AutoResponder.deleteOne({ keyword: keyword.toUpperCase() });
+            return result.deletedCount > 0;
+        } catch (error) {
+            this.logger.error(`❌ Error deleting auto-responder: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async recordAutoResponderHit(responderId) {
+        try {
+            await AutoResponder.updateOne(
+                { _id: responderId },
+                { $inc: { hitCount: 1 }, $set: { lastHitAt: new Date() } }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error counting auto-responder hit: ${error.message}`);
+        }
+    }
+
+    // Inbound webhook idempotency - returns false when this MessageSid was already claimed
+    async claimInboundMessage(messageSid, fromPhone) {
+        try {
+            await ProcessedInboundMessage.create({ messageSid, fromPhone });
+            return true;
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            this.logger.error(`❌ Error recording inbound message ${messageSid}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Poll Operations
+    async createPoll(pollData) {
+        try {
+            const poll = new Poll(pollData);
+            return await poll.save();
+        } catch (error) {
+            this.logger.error(`❌ Error creating poll: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getOpenPoll() {
+        try {
+            return await Poll.findOne({ status: 'open' }).sort({ createdAt: -1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting open poll: ${error.message}`);
+            return null;
+        }
+    }
+
+    // The open poll if there is one, otherwise the most recently created
+    async getLatestPoll() {
+        try {
+            return await Poll.findOne({}).sort({ status: -1, createdAt: -1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting latest poll: ${error.message}`);
+            return null;
+        }
+    }
+
+    async closeOpenPolls(closedBy) {
+        try {
+            const result = await Poll.updateMany(
+                { status: 'open' },
+                { $set: { status: 'closed', closedAt: new Date(), closedBy } }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            this.logger.error(`❌ Error closing polls: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Returns the member's previous vote (null for a first vote) so the reply can say it changed
+    async recordPollVote(pollId, voteData) {
+        try {
+            return await PollVote.findOneAndUpdate(
+                { pollId, voterPhone: voteData.voterPhone },
+                { $set: { pollId, ...voteData } },
+                { new: false, upsert: true, runValidators: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error recording poll vote: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Vote counts per option index, e.g. { 0: 12, 1: 8 }
+    async getPollVoteCounts(pollId) {
+        try {
+            const rows = await PollVote.aggregate([
+                { $match: { pollId: new mongoose.Types.ObjectId(pollId.toString()) } },
+                { $group: { _id: '$optionIndex', count: { $sum: 1 } } }
+            ]);
+            return Object.fromEntries(rows.map(row => [row._id, row.count]));
+        } catch (error) {
+            this.logger.error(`❌ Error counting poll votes: ${error.message}`);
+            return {};
+        }
+    }
+
+    // Event Operations
+    async createEvent(eventData) {
+        try {
+            const event = new Event(eventData);
+            return await event.save();
+        } catch (error) {
+            this.logger.error(`❌ Error creating event: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getEventById(eventId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(eventId)) {
+                return null;
+            }
+            return await Event.findById(eventId);
+        } catch (error) {
+            this.logger.error(`❌ Error getting event: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getEventByShortId(shortId) {
+        try {
+            return await Event.findOne({ shortId: shortId.toUpperCase() });
+        } catch (error) {
+            this.logger.error(`❌ Error getting event: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Scheduled events that have not started, soonest first
+    async getUpcomingEvents(limit = 0, now = new Date()) {
+        try {
+            const query = Event.find({ status: 'scheduled', startsAt: { $gt: now } }).sort({ startsAt: 1 });
+            return await (limit > 0 ? query.limit(limit) : query);
+        } catch (error) {
+            this.logger.error(`❌ Error getting upcoming events: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Events for an .ics feed: a group's own events plus church-wide ones, or every event when
+    // groupId is null. Cancelled events are included so calendar apps drop them.
+    async getCalendarEvents(groupId = null, since = new Date(0)) {
+        try {
+            const filter = { startsAt: { $gte: since } };
+            if (groupId) {
+                filter.targetGroupId = { $in: [groupId, null] };
+            }
+            return await Event.find(filter).sort({ startsAt: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting calendar events: ${error.message}`);
+            return [];
+        }
+    }
+
+    async updateEvent(eventId, updateData) {
+        try {
+            return await Event.findByIdAndUpdate(eventId, updateData, { new: true });
+        } catch (error) {
+            this.logger.error(`❌ Error updating event: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Marks a reminder as handled exactly once. Larger hours-before values are marked with it,
+    // so a restart that missed the 24h reminder does not send it after the 1h one.
+    async claimEventReminder(eventId, hoursBefore, hoursToMark) {
+        try {
+            return await Event.findOneAndUpdate(
+                { _id: eventId, status: 'scheduled', remindersSent: { $ne: hoursBefore } },
+                { $addToSet: { remindersSent: { $each: hoursToMark } } },
+                { new: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error claiming event reminder: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Returns the member's previous RSVP (null for a first answer)
+    async recordEventRsvp(eventId, rsvpData) {
+        try {
+            return await EventRsvp.findOneAndUpdate(
+                { eventId, phone: rsvpData.phone },
+                { $set: { eventId, ...rsvpData } },
+                { new: false, upsert: true, runValidators: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error recording RSVP: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getEventRsvps(eventId) {
+        try {
+            return await EventRsvp.find({ eventId }).sort({ updatedAt: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting RSVPs: ${error.message}`);
+            return [];
+        }
+    }
+
+    // { yes, no, maybe } counts for one event
+    async getEventRsvpCounts(eventId) {
+        try {
+            const rows = await EventRsvp.aggregate([
+                { $match: { eventId: new mongoose.Types.ObjectId(eventId.toString()) } },
+                { $group: { _id: '$response', count: { $sum: 1 } } }
+            ]);
+            const counts = { yes: 0, no: 0, maybe: 0 };
+            for (const row of rows) {
+                counts[row._id] = row.count;
+            }
+            return counts;
+        } catch (error) {
+            this.logger.error(`❌ Error counting RSVPs: ${error.message}`);
+            return { yes: 0, no: 0, maybe: 0 };
+        }
+    }
+
+    // Prayer Request Operations
+    async createPrayerRequest(requestData) {
+        try {
+            const prayerRequest = new PrayerRequest(requestData);
+            return await prayerRequest.save();
+        } catch (error) {
+            this.logger.error(`❌ Error creating prayer request: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getPrayerRequestByShortId(shortId) {
+        try {
+            return await PrayerRequest.findOne({ shortId: shortId.toUpperCase() });
+        } catch (error) {
+            this.logger.error(`❌ Error getting prayer request: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Open and praying requests, oldest first
+    async getActivePrayerRequests() {
+        try {
+            return await PrayerRequest.find({ status: { $in: ['open', 'praying'] } }).sort({ createdAt: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting active prayer requests: ${error.message}`);
+            return [];
+        }
+    }
+
+    async getAnsweredPrayerRequests(since) {
+        try {
+            return await PrayerRequest.find({ status: 'answered', answeredAt: { $gte: since } }).sort({ answeredAt: 1 });
+        } catch (error) {
+            this.logger.error(`❌ Error getting answered prayer requests: ${error.message}`);
+            return [];
+        }
+    }
+
+    async updatePrayerRequest(requestId, updateData) {
+        try {
+            return await PrayerRequest.findByIdAndUpdate(requestId, updateData, { new: true });
+        } catch (error) {
+            this.logger.error(`❌ Error updating prayer request: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Moves an unanswered request to 'praying' or 'answered'. Returns null once it is answered,
+    // so the requester is only ever told once.
+    async setPrayerRequestStatus(requestId, status, memberName) {
+        try {
+            const update = status === 'answered'
+                ? { $set: { status, answeredAt: new Date(), answeredBy: memberName } }
+                : { $set: { status }, $addToSet: { prayingBy: memberName } };
+            return await PrayerRequest.findOneAndUpdate(
+                { _id: requestId, status: { $ne: 'answered' } },
+                update,
+                { new: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error updating prayer request status: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Scheduled Broadcast Operations
+    async createScheduledBroadcast(scheduleData) {
+        try {
+            const scheduled = new ScheduledBroadcast(scheduleData);
+            return await scheduled.save();
+        } catch (error) {
+            this.logger.error(`❌ Error creating scheduled broadcast: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getScheduledBroadcastByShortId(shortId) {
+        try {
+            return await ScheduledBroadcast.findOne({ shortId: shortId.toUpperCase() });
+        } catch (error) {
+            this.logger.error(`❌ Error getting scheduled broadcast: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getPendingScheduledBroadcasts(limit = 0) {
+        try {
+            const query = ScheduledBroadcast.find({ status: 'scheduled' }).sort({ scheduledFor: 1 });
+            return await (limit > 0 ? query.limit(limit) : query);
+        } catch (error) {
+            this.logger.error(`❌ Error getting pending scheduled broadcasts: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Atomically moves a scheduled item into 'sending' so a restart cannot send it twice
+    async claimScheduledBroadcast(scheduledId) {
+        try {
+            return await ScheduledBroadcast.findOneAndUpdate(
+                { _id: scheduledId, status: 'scheduled' },
+                { status: 'sending' },
+                { new: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error claiming scheduled broadcast: ${error.message}`);
+            return null;
+        }
+    }
+
+    async updateScheduledBroadcast(scheduledId, updateData) {
+        try {
+            return await ScheduledBroadcast.findByIdAndUpdate(
+                scheduledId,
+                updateData,
+                { new: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error updating scheduled broadcast: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Applies a Twilio status callback to the matching delivery log. Final states
+    // (delivered/undelivered/failed) are never overwritten by late 'sent' callbacks.
+    async updateDeliveryStatusBySid(messageSid, status, errorDetails = null) {
+        try {
+            const statusRank = { queued: 0, pending: 0, sent: 1, delivered: 2, undelivered: 2, failed: 2 };
+
+            const delivery = await DeliveryLog.findOne({ twilioMessageSid: messageSid });
+            if (!delivery) {
+                return null;
+            }
+
+            const currentRank = statusRank[delivery.deliveryStatus] ?? 0;
+            if (statusRank[status] < currentRank || (currentRank === 2 && status !== delivery.deliveryStatus)) {
+                return delivery;
+            }
+
+            delivery.deliveryStatus = status;
+            if (status === 'delivered') {
+                delivery.deliveredAt = new Date();
+            }
+            if (errorDetails) {
+                delivery.errorCode = errorDetails.code;
+                delivery.errorMessage = errorDetails.message;
+            }
+
+            return await delivery.save();
+        } catch (error) {
+            this.logger.error(`❌ Error updating delivery status by SID: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Recounts per-recipient delivery logs onto the parent broadcast message
+    async refreshBroadcastDeliverySummary(messageId) {
+        try {
+            const results = await DeliveryLog.aggregate([
+                { $match: { messageId: new mongoose.Types.ObjectId(messageId.toString()) } },
+                { $group: { _id: '$deliveryStatus', count: { $sum: 1 } } }
+            ]);
+
+            const summary = { queued: 0, pending: 0, sent: 0, delivered: 0, undelivered: 0, failed: 0 };
+            results.forEach(result => {
+                summary[result._id] = result.count;
+            });
+
+            return await BroadcastMessage.findByIdAndUpdate(
+                messageId,
+                { deliverySummary: { ...summary, updatedAt: new Date() } },
+                { new: true }
+            );
+        } catch (error) {
+            this.logger.error(`❌ Error refreshing broadcast delivery summary: ${error.message}`);
+            return null;
+        }
+    }
+
     // Analytics Operations
     async recordAnalytic(metricName, metricValue, metadata = null) {
         try {
@@ -504,6 +1447,8 @@ async getHealthStats() {
         // Get active member count
         const activeMemberCount = await Member.countDocuments({ active: true });
 
+        const pausedMemberCount = await Member.countDocuments({ active: true, pausedUntil: { $gt: new Date() } });
+
         // Get recent messages count (last 24 hours)
         const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
         const recentMessages24h = await BroadcastMessage.countDocuments({
@@ -529,6 +1474,7 @@ async getHealthStats() {
 
         const stats = {
             activeMemberCount,
+            pausedMemberCount,
             recentMessages24h,
             processedMediaCount,
             totalReactions,
@@ -0,0 +1,98 @@
+// iCalendar (RFC 5545) feeds for /calendar/<keyword>.ics.
+// Times are written in UTC, so no VTIMEZONE block is needed - calendar apps convert them to the
+// subscriber's own zone. Cancelled events stay in the feed as STATUS:CANCELLED so apps remove them.
+
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// 2025-10-24T01:00:00.000Z -> 20251024T010000Z
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Content lines are limited to 75 octets; longer ones continue on the next line after a space.
+// Splits between characters, never inside a multi-byte one.
+function foldLine(line) {
+    const lines = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = lines.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            lines.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n ');
+}
+
+function buildEvent(event, domain, now) {
+    const startsAt = new Date(event.startsAt);
+    const endsAt = event.endsAt ? new Date(event.endsAt) : new Date(startsAt.getTime() + DEFAULT_DURATION_MS);
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event._id}@${domain}`,
+        `DTSTAMP:${formatUtc(now)}`,
+        `DTSTART:${formatUtc(startsAt)}`,
+        `DTEND:${formatUtc(endsAt)}`,
+        `SUMMARY:${escapeText(event.title)}`
+    ];
+    if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatUtc(new Date(event.updatedAt))}`);
+    }
+    lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Returns the feed as a string with CRLF line endings.
+ * name is the calendar title shown in the subscriber's app; domain makes event UIDs globally unique.
+ */
+function buildCalendarFeed({ name, events, domain, timeZone, now = new Date() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${escapeText(name)}//Church SMS//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timeZone}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    for (const event of events) {
+        lines.push(...buildEvent(event, domain, now));
+    }
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendarFeed,
+    escapeText,
+    foldLine
+};
@@ -0,0 +1,2839 @@
+// System SMS text in every language a member can pick with LANGUAGE.
+// English is the reference catalog: a key missing from another language falls back to it, so new
+// text only has to be added to `en` to ship. Placeholders are {name} style and filled by translate().
+// The welcome / admin promotion / admin demotion bodies live in message-templates.js for English;
+// their translations are the template.* keys below, and a saved template such as "welcome_am"
+// overrides them the same way "welcome" overrides the English default.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', locale: 'en-US', aliases: ['ENGLISH', 'ENG'] },
+    am: { name: 'Amharic', nativeName: 'አማርኛ', locale: 'am-ET', aliases: ['AMHARIC', 'AMH'] },
+    ti: { name: 'Tigrinya', nativeName: 'ትግርኛ', locale: 'ti-ET', aliases: ['TIGRINYA', 'TIGRIGNA', 'TIR'] }
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const CATALOG = {
+    en: {
+        'common.everyone': 'Everyone',
+        'common.none': 'none',
+        'common.active': 'active',
+        'common.inactive': 'inactive',
+        'common.no_groups': 'no groups',
+
+        'help.header': `📋 {churchTitle} COMMANDS
+═══════════════════════════════
+
+👥 {memberCount} members • {phone}`,
+        'help.basic': `💬 BASIC USAGE:
+• Text anything → broadcasts to everyone
+• Right after a broadcast, texts go only to its sender
+• ANNOUNCE message → always broadcasts to everyone
+• REPLY message → private reply to last broadcast
+• @GROUP message → sends to one group only
+• Share photos/videos freely
+• React: ❤️😂👍🙏 (processed silently)`,
+        'help.commands': `📱 AVAILABLE COMMANDS:
+• HELP - Show this message
+• LANGUAGE - English, አማርኛ, ትግርኛ
+• UNDO / CORRECT text - Cancel or fix your last message
+• YES / NO / MAYBE - RSVP to the latest event
+• PRAY request - Private prayer request (PRAY ANON hides your name)
+• DIGEST ON / OFF - One text a day instead of each message
+• PAUSE 14 / RESUME - Pause messages for some days
+• STOP - Unsubscribe • START - Resubscribe`,
+        'help.self_service': `👤 YOUR PROFILE:
+• MYINFO - Your name, groups and status
+• MYNAME new name - Change your name
+• GROUPS - Groups you can join
+• JOIN GROUP name / LEAVE GROUP name`,
+        'help.admin': `🔑 ADMIN COMMANDS:
+• ADD +1234567890 Name - Add new member
+• REMOVE +1234567890 Name - Remove member
+• ADMIN +1234567890 Name - Grant admin access
+• DEMOTE +1234567890 Name - Remove admin access
+• URGENT message - Send now, even in quiet hours
+• OPTOUTS - Members who replied STOP
+• PAUSE +1234567890 14 / RESUME +1234567890
+• PAUSED - Members on pause
+• GROUP LIST - Groups and posting policies
+• GROUP POLICY @KEYWORD ADMINS - Who may post
+• GROUP APPROVAL @KEYWORD ON - Hold member posts
+• GROUP OPEN @KEYWORD ON - Members join/leave themselves
+• PENDING - Messages awaiting approval
+• APPROVE id / REJECT id reason
+• POLL question | yes | no - Numbered poll
+• POLL RESULTS / POLL CLOSE
+• EVENT SAT 6PM Title | Place - Invite + RSVP
+• EVENT LIST / RSVPS id / CANCEL id
+• PRAYER LIST / PRAYER DIGEST
+• KEYWORD SET WORD reply / LIST / DELETE
+• ACCEPT id / DECLINE id - Join requests
+• SCHEDULE SUNDAY 9AM message - Send later
+• SCHEDULED LIST / SCHEDULED CANCEL id
+• TEMPLATE LIST / SAVE name text / SEND name
+• REACTION STATUS
+• REACTION SEND
+• REACTION STATS
+• CLEANUP STATUS - Database health check
+• WIPE CONFIRM - Emergency database reset`,
+        'help.footer': '💚 {churchName} • Professional SMS System',
+        'help.fallback': `📋 {churchTitle}
+
+📱 Commands: HELP
+💬 Text anything to broadcast
+🔇 React with ❤️😂👍🙏
+
+💚 {churchName}`,
+
+        'language.current': `🌐 Your language: {language}
+
+💡 To change it, reply with:
+{options}`,
+        'language.updated': '✅ Language set to English. Reply HELP to see the commands.',
+        'language.unknown': `❌ Unknown language: {input}
+
+💡 Reply with:
+{options}`,
+
+        'member.not_registered': 'You are not registered in the church SMS system. Text JOIN and your name (for example JOIN Sara Tesfaye) to ask to be added.',
+        'join.usage': 'To join {churchName} texts, reply JOIN and your full name (letters only, up to four words), for example: JOIN Sara Tesfaye',
+        'join.received': 'Thanks, {name}! Your request to join {churchName} texts was sent to the church administrators. You will get a welcome message once it is accepted.',
+        'join.already_pending': 'Your request to join is still waiting for an administrator. You will get a welcome message once it is accepted.',
+        'join.declined': 'Your request to join {churchName} texts was not approved. Please contact a church administrator if you think this is a mistake.',
+        'join.failed': 'Your request could not be sent right now. Please try again later.',
+        'join.admin_notice': `🙋 JOIN REQUEST • {id}
+👤 {name} ({phone})
+
+✅ ACCEPT {id}
+❌ DECLINE {id}`,
+        'join.access_denied': '❌ Access denied. Only church administrators can accept new members.',
+        'join.not_found': `❌ No join request found with ID {id}
+
+💡 Use PENDING to see waiting requests`,
+        'join.status_accepted': 'accepted',
+        'join.status_declined': 'declined',
+        'join.already_decided': 'ℹ️ Join request {id} was already {status}.',
+        'join.already_decided_by': 'ℹ️ Join request {id} was already {status} by {admin}.',
+        'join.declined_reply': '❌ Join request from {name} declined - they have been told.',
+        'join.decision_error': '❌ Join request could not be processed. Tech team has been notified.',
+        'optout.confirmed': '{churchName}: You have been unsubscribed and will receive no further messages. Reply START to resubscribe.',
+        'optin.already': '✅ You are already subscribed to {churchName} messages. Reply HELP for commands.',
+        'optin.confirmed': '{churchName}: You are resubscribed and will receive church messages again. Reply HELP for help, STOP to unsubscribe.',
+
+        'broadcast.not_registered': 'You are not registered. Please contact church admin to be added to the system.',
+        'broadcast.unknown_group': `❌ Unknown group: @{keyword}
+
+📋 Available groups: {keywords}
+
+💡 Your message was NOT sent.`,
+        'broadcast.admins_only': `❌ Only administrators can post to {group}.
+
+💡 Your message was NOT sent.`,
+        'broadcast.members_only': `❌ Only group members can post to {group}.
+
+💡 Your message was NOT sent.`,
+        'broadcast.no_group_members': 'No other active members found in {group}.',
+
+        'reply.no_recent': `❌ There is no recent broadcast to reply to.
+
+💡 Your message was NOT sent. To message everyone, start with ANNOUNCE.`,
+        'reply.empty': `❌ Your reply is empty.
+
+💡 Example: REPLY I'll bring the chairs`,
+        'reply.unavailable': '❌ {name} can no longer receive messages, so your reply was NOT sent.',
+        'reply.relayed': `↩️ {name} ({phone}) replied to "{snippet}":
+
+{body}`,
+        'reply.no_text': '[No text]',
+        'reply.attachments_not_forwarded': '📎 {count} attachment(s) not forwarded',
+        'reply.sent': `✅ Your reply was sent privately to {name}.
+
+💡 To message everyone, start with ANNOUNCE.`,
+        'reply.failed': '❌ Your reply could not be delivered. Please try again.',
+
+        'moderation.unavailable': '❌ Your message could not be submitted for approval right now. Please try again later.',
+        'moderation.waiting': `⏳ Your message to {target} is waiting for admin approval.
+
+💡 You'll get a text once it has been reviewed.`,
+        'moderation.failed': '❌ Your message could not be submitted for approval. Please try again later.',
+        'moderation.approved': '✅ Your message was approved by {admin} and is being sent to {target}.',
+        'moderation.rejected': '❌ Your message "{preview}" was not approved by {admin} and was not sent.',
+        'moderation.reason': '📝 Reason: {reason}',
+        'moderation.expired': `⌛ Your message "{preview}" was not reviewed within {hours}h and was not sent.
+
+💡 Please send it again or contact a church administrator.`,
+        'moderation.admin_notice': `🛡️ APPROVAL NEEDED • {id}
+👤 {sender} → {target} ({count} members)
+💬 "{preview}"`,
+        'moderation.admin_notice_media': '📎 {count} attachment(s)',
+        'moderation.admin_notice_actions': `✅ APPROVE {id}
+❌ REJECT {id} reason
+⌛ Expires in {hours}h`,
+
+        'undo.holding': '⏳ Your message to {target} goes out in {seconds}s. Reply UNDO to cancel it.',
+        'undo.cancelled': '↩️ Cancelled - your message to {target} was not sent.',
+        'undo.nothing': `❌ There is nothing to undo - your last message has already gone out.
+
+💡 Reply CORRECT followed by the right text to send a correction.`,
+        'correct.none': '❌ You have no broadcast from the last {hours}h to correct.',
+        'correct.empty': `❌ Add the corrected text.
+
+💡 Example: CORRECT Potluck starts at 6 PM, not 5`,
+        'correct.no_recipients': '❌ Nobody who received your message can get a correction right now.',
+        'correct.sent': '✅ Correction on its way to {count} people who got "{preview}".',
+        'correct.failed': '❌ Your correction could not be sent. Please try again.',
+
+        'poll.vote_recorded': '🗳️ Thanks! Your vote for {option} was counted.',
+        'poll.vote_changed': '🗳️ Your vote is now {option}.',
+        'poll.invalid_choice': '❌ Please reply with a number from 1 to {max} to vote.',
+        'poll.vote_failed': '❌ Your vote could not be saved. Please try again.',
+        'poll.access_denied': '❌ Access denied. Only church administrators can run polls.',
+        'poll.commands': `📋 Available commands:
+• POLL question | option 1 | option 2
+• POLL @GROUP question | option 1 | option 2
+• POLL RESULTS
+• POLL CLOSE`,
+        'poll.none_open': `ℹ️ There is no open poll to close.
+
+💡 POLL RESULTS shows the last poll`,
+        'poll.none': 'ℹ️ No polls yet.',
+        'poll.usage': `❌ A poll needs a question and at least 2 options.
+
+💡 Example: POLL Coming Saturday? | Yes | No | Maybe`,
+        'poll.too_many_options': '❌ Polls can have at most {max} options - members vote with a single digit.',
+        'poll.question_required': `❌ A poll needs a question.
+
+💡 Example: POLL @{keyword} Coming Saturday? | Yes | No`,
+        'poll.opened': '📊 Poll opened with {count} options',
+        'poll.previous_closed': '🔒 Previous poll closed',
+        'poll.opened_hint': '💡 POLL RESULTS to see votes, POLL CLOSE to stop voting',
+        'poll.failed': '❌ Poll operation failed. Tech team has been notified.',
+        'poll.results_open': '📊 POLL RESULTS (open)',
+        'poll.results_closed': '📊 POLL RESULTS (closed)',
+        'poll.votes': '🗳️ {count} vote(s)',
+
+        'event.rsvp_yes': '✅ See you there! You are a YES for {title} ({when}).',
+        'event.rsvp_no': '👍 Thanks for letting us know - you are a NO for {title} ({when}).',
+        'event.rsvp_maybe': '🤔 Noted - you are a MAYBE for {title} ({when}).',
+        'event.not_found': '❌ There is no upcoming event with code {code}.',
+        'event.rsvp_failed': '❌ Your RSVP could not be saved. Please try again.',
+        'event.access_denied': '❌ Access denied. Only church administrators can manage events.',
+        'event.unavailable': '❌ Database not connected - events cannot be stored right now.',
+        'event.commands': `📋 Available commands:
+• EVENT <when> Title | Location
+• EVENT @GROUP <when> Title | Location | Details
+• EVENT LIST
+• EVENT RSVPS <id>
+• EVENT CANCEL <id>
+
+💡 Example: EVENT SAT 6PM Potluck | Fellowship Hall`,
+        'event.none': '📅 No upcoming events.',
+        'event.list_title': '📅 UPCOMING EVENTS ({count})',
+        'event.rsvp_counts': '✅ {yes} yes • 🤔 {maybe} maybe • ❌ {no} no',
+        'event.list_hint': '💡 EVENT RSVPS <id> shows names',
+        'event.id_required': `❌ Event ID is required: EVENT {command} <id>
+
+💡 EVENT LIST shows the IDs`,
+        'event.unknown_id': `❌ No event found with ID {id}
+
+💡 EVENT LIST shows the IDs`,
+        'event.already_cancelled': 'ℹ️ Event {id} was already cancelled.',
+        'event.cancelled': `🚫 Event {id} cancelled: {title}
+⏰ Reminders stopped`,
+        'event.bad_time': '❌ Could not read the event time.',
+        'event.title_required': '❌ An event needs a title.',
+        'event.in_past': '❌ Event time {when} is in the past.',
+        'event.created': `📅 Event created!
+🆔 ID: {id}
+📅 When: {when}`,
+        'event.where': '📍 Where: {location}',
+        'event.reminders': '⏰ Reminders: {hours} before',
+        'event.no_reminders': '⏰ Reminders: none',
+        'event.created_hint': '💡 EVENT RSVPS {id} to see who is coming',
+        'event.failed': '❌ Event operation failed. Tech team has been notified.',
+        'event.cancelled_label': 'CANCELLED',
+        'event.rsvps_yes': '✅ YES ({count})',
+        'event.rsvps_maybe': '🤔 MAYBE ({count})',
+        'event.rsvps_no': '❌ NO ({count})',
+        'event.reminder': `REMINDER: {title}
+When: {time}`,
+
+        'prayer.usage': '🙏 To send a prayer request to the prayer team: PRAY your request. To keep your name private: PRAY ANON your request',
+        'prayer.received': '🙏 Your prayer request ({code}) was shared privately with the prayer team. We will let you know when it is marked answered.',
+        'prayer.received_anonymous': '🙏 Your prayer request ({code}) was shared with the prayer team without your name. We will let you know when it is marked answered.',
+        'prayer.unavailable': '❌ The prayer team is not set up yet, so your request was not sent. Please contact a church leader.',
+        'prayer.failed': '❌ Your prayer request could not be sent. Please try again.',
+        'prayer.answered_notice': '🙌 The prayer team marked your prayer request ({code}) as answered: "{excerpt}"',
+        'prayer.not_team': '❌ Only prayer team members can update prayer requests.',
+        'prayer.not_found': '❌ There is no prayer request with code {code}.',
+        'prayer.marked_praying': '🙏 Thank you for praying for request {code}.',
+        'prayer.marked_answered': '🙌 Request {code} is marked answered and the requester has been told.',
+        'prayer.already_answered': 'ℹ️ Request {code} is already marked answered.',
+        'prayer.digest_access_denied': '❌ Access denied. Only church administrators can send the prayer digest.',
+        'prayer.digest_no_team': '❌ No @{keyword} group - create it (or set PRAYER_TEAM_GROUP) first.',
+        'prayer.digest_sent': '🙏 Prayer list sent to {count} prayer team member(s)',
+        'prayer.digest_empty': 'ℹ️ Nothing to send - no open or recently answered prayer requests.',
+        'prayer.anonymous': 'Anonymous',
+        'prayer.team_request': `PRAYER REQUEST {code}
+From: {from}
+
+{text}
+
+Reply PRAYING {code} as you pray, ANSWERED {code} when it is answered.`,
+        'prayer.list_title': 'PRAYER LIST - {date}',
+        'prayer.list_open': 'OPEN ({count})',
+        'prayer.list_answered': 'ANSWERED THIS WEEK ({count})',
+        'prayer.list_praying': '(praying: {count})',
+        'prayer.list_hint': 'Reply PRAYING <code> or ANSWERED <code>.',
+        'prayer.list_empty': '🙏 No open prayer requests.',
+        'prayer.list_failed': '❌ Prayer list unavailable. Tech team has been notified.',
+
+        'profile.info': `👤 {name}
+📱 {phone}
+🏛️ Groups: {groups}
+🌐 Language: {language}
+📊 Status: {status}
+
+💡 MYNAME new name - change your name • GROUPS - join a group`,
+        'profile.status_member': 'Member',
+        'profile.status_admin': 'Administrator',
+        'profile.name_usage': `❌ Add your new name: up to four words of letters, ' or - (50 characters at most).
+
+💡 Example: MYNAME Sara Tesfaye`,
+        'profile.name_updated': '✅ Your name is now {name}.',
+        'profile.failed': '❌ Your request could not be completed. Please try again.',
+
+        'groups.list': `🏛️ GROUPS YOU CAN JOIN
+{groups}
+
+💡 JOIN GROUP name / LEAVE GROUP name`,
+        'groups.none_open': 'ℹ️ No groups are open to join right now. Please ask a church administrator.',
+        'groups.usage': `❌ Add the group name.
+
+💡 Example: {command} GROUP Youth`,
+        'groups.not_found': '❌ There is no group called {input}. Reply GROUPS to see the groups you can join.',
+        'groups.did_you_mean': '💡 Did you mean {groups}?',
+        'groups.closed': '❌ {group} is managed by the church administrators. Please ask one of them to change your membership.',
+        'groups.joined': '✅ You joined {group}. Messages to @{keyword} will now reach you.',
+        'groups.already_member': 'ℹ️ You are already in {group}.',
+        'groups.left': '👋 You left {group}.',
+        'groups.not_member': 'ℹ️ You are not in {group}.',
+        'digest.enabled': `📰 Daily digest is on. Instead of each message as it is sent, you will get one text a day at {time} with that day's messages. URGENT messages still come right away.
+
+💡 Reply DIGEST OFF to get every message again.`,
+        'digest.disabled': '📨 Daily digest is off - you will get each message as it is sent.',
+        'digest.current_on': `📰 You get one daily digest at {time}.
+
+💡 Reply DIGEST OFF to get every message as it is sent.`,
+        'digest.current_off': `📨 You get every message as it is sent.
+
+💡 Reply DIGEST ON for one text a day at {time} instead.`,
+        'digest.header': `📰 {churchTitle} DAILY DIGEST - {date}
+💬 Messages: {count}`,
+
+        'pause.usage': `❌ Add how many days to pause, from 1 to {max}.
+
+💡 Example: PAUSE 14`,
+        'pause.confirmed': `⏸️ Your messages are paused until {date}. They start again automatically then.
+
+💡 Reply RESUME to start sooner.`,
+        'pause.by_admin': `⏸️ {admin} paused your {churchName} messages until {date}. They start again automatically then.
+
+💡 Reply RESUME to start sooner.`,
+        'pause.resumed': '▶️ Welcome back! You will get church messages again.',
+        'pause.not_paused': 'ℹ️ Your messages are not paused.',
+        'pause.access_denied': '❌ Only church administrators can pause or resume other members. Text PAUSE 14 to pause your own messages.',
+        'pause.no_member': '❌ No active member with phone {phone}',
+        'pause.admin_confirmed': `⏸️ {name} ({phone}) paused until {date}
+
+💡 RESUME {phone} to end it early`,
+        'pause.admin_failed': '❌ Could not pause member. Tech team has been notified.',
+        'pause.admin_not_paused': 'ℹ️ {name} is not paused',
+        'pause.admin_resumed': '▶️ {name} ({phone}) will get messages again',
+        'pause.resume_failed': '❌ Could not resume member. Tech team has been notified.',
+
+        'add.access_denied': '❌ Access denied. Only church administrators can add new members.',
+        'add.usage': '❌ Invalid format. Use: ADD +1234567890 MemberName',
+        'add.unrecognized': '❌ Command not recognized. Use: ADD +1234567890 MemberName',
+        'add.name_required': '❌ Member name is required. Use: ADD +1234567890 MemberName',
+        'add.invalid_phone': '❌ Invalid phone number format: {phone}. Use format: +1234567890',
+        'add.exists': `❌ Member already exists!
+👤 Name: {name}
+📱 Phone: {phone}
+📊 Status: {status}
+🏛️ Groups: {groups}`,
+        'add.no_default_group': '❌ System error: Default congregation group not found. Contact tech support.',
+        'add.success': `✅ Member added successfully!
+👤 Name: {name}
+📱 Phone: {phone}
+🏛️ Group: {group}
+📊 Total active members: {total}`,
+        'add.welcome_sent': '📩 Welcome SMS sent successfully',
+        'add.welcome_failed': '⚠️ Welcome SMS failed: {error}',
+        'add.duplicate_phone': `❌ Phone number already exists in database!
+📱 Number: {phone}
+💡 Use a different phone number or check if member already registered.`,
+        'add.duplicate_field': '❌ Duplicate {field}: {value} already exists in database.',
+        'add.validation_error': '❌ Validation error: {errors}',
+        'add.database_error': '❌ Database error: Unable to create member. Please try again or contact tech support.',
+        'add.connection_error': '❌ Database connection error. Please try again in a moment.',
+        'add.already_exists': '❌ Member with this phone number already exists in the system.',
+        'add.system_error': '❌ System error occurred while adding member. Tech team has been notified.',
+
+        'summary.none': `📊 Daily Reactions Summary ({date})
+
+No messages received significant reactions today.`,
+        'summary.title': '📊 DAILY REACTIONS SUMMARY ({date})',
+        'summary.totals': '📈 {messages} messages received {reactions} total reactions today',
+        'summary.top': '🏆 Most reacted: "{message}" ({count} reactions)',
+
+        'remove.access_denied': '❌ Access denied. Only church administrators can remove members.',
+        'remove.usage': `❌ Invalid format. Use: REMOVE +1234567890 [optional name]
+💡 Example: REMOVE +12068001141
+💡 With name: REMOVE +12068001141 John Smith`,
+        'remove.unrecognized': '❌ Command not recognized. Use: REMOVE +1234567890 [optional name]',
+        'remove.invalid_phone': `❌ Invalid phone number: {phone}
+💡 Use format: +1234567890 or 2068001141`,
+        'remove.not_found': `❌ No member found with phone number: {phone}
+
+💡 Check the phone number or view all members with /debug endpoint`,
+        'remove.name_mismatch': `❌ Name verification failed!
+📱 Phone: {phone}
+💾 Found members: {names}
+✏️ Your input: {input}
+
+💡 Use exact name or remove without name for phone-only deletion.`,
+        'remove.self': `❌ You cannot remove yourself from the system.
+
+💡 Contact another admin to remove your account.`,
+        'remove.admin_member': `❌ Cannot remove admin member(s): {names}
+
+💡 Admin members must be removed through database management tools for security.`,
+        'remove.nothing_deleted': `❌ Failed to delete members.
+
+💡 Members may have already been removed.`,
+        'remove.success': `✅ Member(s) PERMANENTLY DELETED!
+
+📊 Deleted: {count} member(s)
+{members}
+
+📊 Remaining active members: {remaining}
+
+✅ Phone number {phone} is now available for re-use
+💡 You can now ADD a new member with this phone number`,
+        'remove.database_error': `❌ Database error occurred while deleting member.
+
+💡 Error: {error}
+Please try again or contact tech support.`,
+        'remove.system_error': `❌ System error occurred while removing member.
+
+💡 Tech team has been notified. Please try again later.`,
+
+        'cleanup.access_denied': '❌ Access denied. Only church administrators can run cleanup operations.',
+        'cleanup.phone_usage': `❌ Usage: CLEANUP PHONE +1234567890
+💡 This removes ALL members with that phone number`,
+        'cleanup.unknown': `❌ Unknown cleanup command: {command}
+
+📋 Available commands:
+• CLEANUP STATUS - Show cleanup status
+• CLEANUP DUPLICATES - Remove duplicate phone numbers
+• CLEANUP PHONE +1234567890 - Remove all members with phone
+• CLEANUP ORPHANED - Remove orphaned data`,
+        'cleanup.failed': '❌ Cleanup operation failed. Tech team has been notified.',
+        'cleanup.status': `🧹 DATABASE CLEANUP STATUS
+
+📊 Duplicate phone numbers: {duplicates}
+👻 Inactive members: {inactive}
+📨 Orphaned messages: {orphaned}`,
+        'cleanup.duplicates_found': '⚠️ DUPLICATES FOUND:',
+        'cleanup.duplicate_line': '📱 {phone}: {count} copies',
+        'cleanup.and_more': '... and {count} more',
+        'cleanup.duplicates_hint': '💡 Use: CLEANUP DUPLICATES to fix',
+        'cleanup.inactive_hint': `👻 {count} inactive members taking up space
+💡 Use: CLEANUP ORPHANED to remove`,
+        'cleanup.status_error': '❌ Error checking cleanup status',
+        'cleanup.no_duplicates': '✅ No duplicate phone numbers found',
+        'cleanup.duplicates_header': '🧹 CLEANING UP {count} DUPLICATE PHONE NUMBERS',
+        'cleanup.duplicate_kept': '📱 {phone}: Keeping {name}, deleting {count}',
+        'cleanup.duplicates_done': `✅ CLEANUP COMPLETE:
+🗑️ Deleted: {deleted} duplicates
+✅ Kept: {kept} members
+💡 All phone numbers are now unique`,
+        'cleanup.duplicates_error': '❌ Error cleaning duplicates: {error}',
+        'cleanup.invalid_phone': '❌ Invalid phone number: {phone}',
+        'cleanup.phone_not_found': '❌ No members found with phone: {phone}',
+        'cleanup.phone_done': `✅ COMPLETELY REMOVED ALL DATA FOR: {phone}
+
+🗑️ Deleted members: {count}
+{members}
+
+✅ Phone number {phone} is now completely available
+💡 You can now ADD a new member with this phone number`,
+        'cleanup.phone_error': '❌ Error cleaning phone: {error}',
+        'cleanup.orphaned_done': `🧹 ORPHANED DATA CLEANUP COMPLETE
+
+👻 Removed inactive members: {members}
+📨 Removed orphaned messages: {messages}
+📊 Removed orphaned delivery logs: {deliveries}
+
+✅ Database is now clean and optimized`,
+        'cleanup.orphaned_error': '❌ Error cleaning orphaned data: {error}',
+
+        'group.not_found': '❌ Group not found: {group}',
+        'group.keywords_hint': '💡 Use GROUP LIST to see group keywords',
+        'group.access_denied': '❌ Access denied. Only church administrators can manage groups.',
+        'group.none': '❌ No groups found. Run setup.js to initialize groups.',
+        'group.list_title': '👥 CHURCH GROUPS',
+        'group.list_line': '👤 {count} members • ✍️ {policy} can post',
+        'group.list_approval': '🛡️ approval',
+        'group.list_open': '🔓 open',
+        'group.list_hint': '💡 Send "@KEYWORD message" to broadcast to one group',
+        'group.policy_usage': `❌ Usage: GROUP POLICY @KEYWORD EVERYONE|MEMBERS|ADMINS
+
+💡 Example: GROUP POLICY @LEADERSHIP ADMINS`,
+        'group.unknown_policy': `❌ Unknown policy: {policy}
+
+💡 Use EVERYONE, MEMBERS or ADMINS`,
+        'group.policy_updated': `✅ {group} posting policy updated
+✍️ {policy} can now post to @{keyword}`,
+        'group.keyword_usage': `❌ Usage: GROUP KEYWORD @KEYWORD NEWKEYWORD
+
+💡 Example: GROUP KEYWORD @MEDIATEAM MEDIA`,
+        'group.invalid_keyword': `❌ Invalid keyword: {keyword}
+
+💡 Use letters, numbers, - or _ only`,
+        'group.keyword_taken': '❌ Keyword @{keyword} is already used by another group.',
+        'group.keyword_updated': `✅ {group} keyword updated
+💬 Send "@{keyword} message" to post to this group`,
+        'group.approval_usage': `❌ Usage: GROUP APPROVAL @KEYWORD ON|OFF
+
+💡 Example: GROUP APPROVAL @YOUTH ON`,
+        'group.approval_on': `🛡️ {group} now requires approval
+📨 Member posts to @{keyword} go to PENDING until an admin approves them`,
+        'group.approval_off': `✅ {group} no longer requires approval
+✍️ {policy} can post directly`,
+        'group.open_usage': `❌ Usage: GROUP OPEN @KEYWORD ON|OFF
+
+💡 Example: GROUP OPEN @CHOIR ON`,
+        'group.open_on': `🔓 {group} is now open
+👥 Members can JOIN GROUP {group} / LEAVE GROUP {group} and see it under GROUPS`,
+        'group.open_off': `🔒 {group} is now closed
+🔑 Only admins can change who is in it`,
+        'group.unknown': `❌ Unknown group command: {command}
+
+📋 Available commands:
+• GROUP LIST - Show groups and posting policies
+• GROUP POLICY @KEYWORD EVERYONE|MEMBERS|ADMINS - Set who may post
+• GROUP KEYWORD @KEYWORD NEWKEYWORD - Rename the @ keyword
+• GROUP APPROVAL @KEYWORD ON|OFF - Hold member posts for approval
+• GROUP OPEN @KEYWORD ON|OFF - Let members JOIN GROUP / LEAVE GROUP themselves`,
+        'group.failed': '❌ Group operation failed. Tech team has been notified.',
+
+        'optouts.access_denied': '❌ Access denied. Only church administrators can view opt-outs.',
+        'optouts.none': '✅ No members have opted out.',
+        'optouts.title': '🚫 OPTED-OUT MEMBERS ({count})',
+        'optouts.line': '{keyword} on {date}',
+        'optouts.unknown_date': 'unknown date',
+        'optouts.more': '...and {count} more',
+        'optouts.hint': '💡 Only the member can resubscribe by texting START',
+        'optouts.failed': '❌ Could not load opt-outs. Tech team has been notified.',
+
+        'approve.access_denied': '❌ Access denied. Only church administrators can approve broadcasts.',
+        'approve.usage': `❌ Usage: APPROVE <id>
+
+💡 Use PENDING to see messages waiting for approval`,
+        'approve.not_found': '❌ No message waiting for approval with ID: {id}',
+        'approve.sender_gone': `❌ {name} is no longer an active member.
+
+💡 Use REJECT {id} to discard it`,
+        'approve.target_group': 'The target group',
+        'approve.group_gone': `❌ {group} no longer exists.
+
+💡 Use REJECT {id} to discard it`,
+        'approve.not_allowed': `❌ {name} may no longer post to {group} ({policy} only).
+
+💡 Use REJECT {id} to discard it`,
+        'approve.already_reviewed': '❌ Message {id} was already reviewed or has expired.',
+        'approve.done': `✅ Approved {id} from {name}
+📡 Sending to {target} now`,
+        'approve.failed': '❌ Approval failed. Tech team has been notified.',
+
+        'reject.access_denied': '❌ Access denied. Only church administrators can reject broadcasts.',
+        'reject.usage': `❌ Usage: REJECT <id> <reason>
+
+💡 Example: REJECT A1B2C3 Please send event details to the office`,
+        'reject.done': `🗑️ Rejected {id} from {name}
+📨 {name} has been told`,
+        'reject.done_with_reason': `🗑️ Rejected {id} from {name}
+📨 {name} has been told why`,
+        'reject.failed': '❌ Rejection failed. Tech team has been notified.',
+
+        'pending.access_denied': '❌ Access denied. Only church administrators can review broadcasts.',
+        'pending.none': '✅ No messages or join requests waiting for approval.',
+        'pending.approvals_title': '🛡️ AWAITING APPROVAL ({count})',
+        'pending.approvals_hint': '💡 APPROVE <id> or REJECT <id> reason',
+        'pending.joins_title': '🙋 JOIN REQUESTS ({count})',
+        'pending.joins_hint': '💡 ACCEPT <id> or DECLINE <id>',
+        'pending.failed': '❌ Could not load pending messages. Tech team has been notified.',
+
+        'templates.access_denied': '❌ Access denied. Only church administrators can manage templates.',
+        'templates.commands': `📋 Available commands:
+• TEMPLATE LIST
+• TEMPLATE SHOW name
+• TEMPLATE SAVE name text
+• TEMPLATE DELETE name
+• TEMPLATE SEND name [@GROUP]
+
+🔤 Fields: {fields}`,
+        'templates.usage': '❌ Usage: TEMPLATE {command} name',
+        'templates.list_title': '📝 MESSAGE TEMPLATES ({count})',
+        'templates.built_in': 'built-in',
+        'templates.built_in_edited': 'built-in, edited',
+        'templates.list_hint': '💡 TEMPLATE SEND name [@GROUP]',
+        'templates.not_found': `❌ Template not found: {name}
+
+💡 Use TEMPLATE LIST to see templates`,
+        'templates.invalid': `❌ {error}
+
+💡 Example: TEMPLATE SAVE potluck Hi {firstName}! Potluck Sunday after service.`,
+        'templates.saved': `✅ Template "{name}" saved ({length} chars)
+
+💡 Send it with: TEMPLATE SEND {name}`,
+        'templates.restored': '♻️ Template "{name}" restored to the default text.',
+        'templates.already_default': 'ℹ️ Template "{name}" is already using the default text.',
+        'templates.delete_not_found': '❌ Template not found: {name}',
+        'templates.deleted': '🗑️ Template "{name}" deleted.',
+        'templates.unknown': '❌ Unknown template command: {command}',
+        'templates.failed': '❌ Template operation failed. Tech team has been notified.',
+
+        'keyword.access_denied': '❌ Access denied. Only church administrators can manage keywords.',
+        'keyword.unavailable': '❌ Database not connected - keywords cannot be changed right now.',
+        'keyword.commands': `📋 Available commands:
+• KEYWORD LIST
+• KEYWORD SET SERVICE reply text - whole message must be SERVICE
+• KEYWORD SET SERVICE* reply text - also "SERVICE times?"
+• KEYWORD DELETE SERVICE`,
+        'keyword.none': '🔑 No keywords yet.',
+        'keyword.list_title': '🔑 KEYWORDS ({count})',
+        'keyword.hits': '{count} hit(s)',
+        'keyword.list_hint': '💡 * = also matches longer messages starting with the keyword',
+        'keyword.set_usage': `❌ Usage: KEYWORD SET WORD reply text (letters and digits, up to 20)
+
+💡 Example: KEYWORD SET SERVICE Sunday service is at 10 AM.`,
+        'keyword.reserved': '❌ {keyword} is a system command and cannot be a keyword.',
+        'keyword.saved_exact': `✅ Keyword {keyword} saved (exact match)
+
+💡 Texting {keyword} now gets this reply instead of a broadcast`,
+        'keyword.saved_prefix': `✅ Keyword {keyword} saved (prefix match)
+
+💡 Texting {keyword} ... now gets this reply instead of a broadcast`,
+        'keyword.delete_usage': '❌ Usage: KEYWORD DELETE WORD',
+        'keyword.not_found': `❌ Keyword not found: {keyword}
+
+💡 Use KEYWORD LIST to see keywords`,
+        'keyword.deleted': '🗑️ Keyword {keyword} deleted.',
+        'keyword.unknown': '❌ Unknown keyword command: {command}',
+        'keyword.failed': '❌ Keyword operation failed. Tech team has been notified.',
+
+        'schedule.access_denied': '❌ Access denied. Only church administrators can schedule broadcasts.',
+        'schedule.invalid_format': '❌ Invalid format.',
+        'schedule.usage': `Use: SCHEDULE <when> <message>
+
+💡 Examples:
+• SCHEDULE SUNDAY 9AM Service starts at 10!
+• SCHEDULE TOMORROW 6:30PM Bible study tonight
+• SCHEDULE 2025-12-24 17:00 Christmas Eve service
+• SCHEDULE +2H Reminder in two hours`,
+        'schedule.message_required': '❌ Message text is required.',
+        'schedule.in_past': '❌ Scheduled time {time} is in the past.',
+        'schedule.unavailable': '❌ Database not connected - scheduled broadcasts cannot be stored right now.',
+        'schedule.created': `⏰ Broadcast scheduled!
+🆔 ID: {id}
+📅 When: {time}
+💬 "{preview}"
+
+💡 Cancel with: SCHEDULED CANCEL {id}`,
+        'schedule.failed': `❌ System error occurred while scheduling broadcast.
+
+💡 Tech team has been notified.`,
+
+        'scheduled.access_denied': '❌ Access denied. Only church administrators can manage scheduled broadcasts.',
+        'scheduled.none': `📭 No scheduled broadcasts.
+
+💡 Use: SCHEDULE SUNDAY 9AM message`,
+        'scheduled.list_title': '⏰ SCHEDULED BROADCASTS ({count})',
+        'scheduled.list_hint': '💡 Cancel with: SCHEDULED CANCEL <id>',
+        'scheduled.cancel_usage': `❌ Usage: SCHEDULED CANCEL <id>
+
+💡 Use SCHEDULED LIST to see IDs`,
+        'scheduled.not_found': '❌ No scheduled broadcast found with ID: {id}',
+        'scheduled.not_cancellable': '❌ Broadcast {id} cannot be cancelled (status: {status})',
+        'scheduled.cancelled': `🗑️ Scheduled broadcast {id} cancelled.
+📅 Was set for: {time}`,
+        'scheduled.unknown': `❌ Unknown scheduled command: {command}
+
+📋 Available commands:
+• SCHEDULED LIST - Show upcoming broadcasts
+• SCHEDULED CANCEL <id> - Cancel a scheduled broadcast`,
+        'scheduled.failed': '❌ Error managing scheduled broadcasts. Tech team has been notified.',
+
+        'paused.access_denied': '❌ Access denied. Only church administrators can view paused members.',
+        'paused.none': '✅ No members are paused.',
+        'paused.title': '⏸️ PAUSED MEMBERS ({count})',
+        'paused.line': `• {name} {phone}
+   until {date}`,
+        'paused.more': '...and {count} more',
+        'paused.hint': '💡 RESUME +1234567890 to end a pause early',
+        'paused.failed': '❌ Could not load paused members. Tech team has been notified.',
+
+        'demote.access_denied': '❌ Access denied. Only church administrators can demote other administrators.',
+        'demote.usage': `❌ Invalid format. Use: DEMOTE +1234567890 [AdminName]
+
+💡 This will:
+• Remove admin privileges from member
+• Convert to regular congregation member
+• Retain membership but remove admin access`,
+        'demote.unrecognized': '❌ Command not recognized. Use: DEMOTE +1234567890 [AdminName]',
+        'demote.invalid_phone': `❌ Invalid phone number format: {phone}.
+💡 Use format: +1234567890`,
+        'demote.self': `❌ You cannot demote yourself.
+
+💡 Contact another admin to remove your admin privileges.`,
+        'demote.not_found': `❌ No member found with phone number: {phone}
+
+💡 Check the phone number and try again.`,
+        'demote.no_groups': 'no groups',
+        'demote.not_admin': `❌ {name} is not an administrator!
+
+📊 Current Status:
+👤 Name: {name}
+📱 Phone: {phone}
+🔑 Admin: No
+🏛️ Groups: {groups}
+
+💡 Only administrators can be demoted.`,
+        'demote.name_mismatch': `❌ Name verification failed!
+📱 Phone: {phone}
+💾 Found admin: {found}
+✏️ Your input: {input}
+
+💡 Use exact name or phone-only for demoting.`,
+        'demote.success': `🔻 ADMIN DEMOTION SUCCESSFUL!
+
+👤 Name: {name}
+📱 Phone: {phone}
+🔑 Status: Regular Member (DEMOTED)
+🏛️ Groups: Retained existing groups
+📊 Total admins: {admins}
+📊 Total members: {members}
+
+❌ ADMIN PRIVILEGES REMOVED:
+• No longer can ADD members
+• No longer can REMOVE members
+• No longer can ADMIN/DEMOTE
+• No longer can WIPE database
+• No longer can CLEANUP operations
+• No admin endpoint access
+
+✅ Still active congregation member`,
+        'demote.sms_sent': '📩 Demotion notification SMS sent successfully',
+        'demote.sms_failed': '⚠️ Demotion notification SMS failed: {error}',
+        'demote.failed': `❌ Failed to demote {name} from administrator.
+
+💡 Error: {error}`,
+        'demote.system_error': `❌ System error occurred while demoting administrator.
+
+💡 Tech team has been notified.`,
+
+        'wipe.access_denied': '❌ Access denied. Only church administrators can execute WIPE operations.',
+        'wipe.warning': `🚨 WIPE COMMAND - PERMANENT DATA DESTRUCTION
+
+⚠️ This will PERMANENTLY DELETE ALL DATA:
+• All congregation members
+• All broadcast messages
+• All media files
+• All delivery logs
+• All analytics data
+• All performance metrics
+• ALL DATABASE CONTENT
+
+🔥 THIS CANNOT BE UNDONE!
+
+To proceed, send: WIPE CONFIRM
+
+⚠️ Only use this for complete system reset`,
+        'wipe.report': `🚨 DATABASE WIPE COMPLETED
+
+🔥 PERMANENT DELETION SUMMARY:
+👥 Members deleted: {members}
+🏛️ Groups deleted: {groups}
+📨 Messages deleted: {messages}
+📎 Media files deleted: {mediaFiles}
+📊 Delivery logs deleted: {deliveryLogs}
+📈 Analytics deleted: {analytics}
+⚡ Performance metrics deleted: {performanceMetrics}
+
+📊 Total records deleted: {total}
+⏱️ Operation completed in: {seconds}s`,
+        'wipe.empty': `✅ DATABASE IS NOW COMPLETELY EMPTY
+💡 Run setup.js to reinitialize the system
+💡 Add congregation members via setup script`,
+        'wipe.remaining': `⚠️ WARNING: {count} records remain
+💡 Some collections may not have been fully wiped`,
+        'wipe.failed': `❌ Database wipe failed: {error}
+
+💡 Check database connection and permissions`,
+        'wipe.system_error': `❌ System error occurred during wipe operation.
+
+💡 Check system logs for detailed error information.`,
+
+        'admin.access_denied': '❌ Access denied. Only church administrators can manage admin privileges.',
+        'admin.usage': `❌ Invalid format. Use: ADMIN +1234567890 AdminName
+
+💡 This will:
+• Add person as new admin
+• Grant full administrative control
+• Enable all admin commands (ADD, REMOVE, WIPE, CLEANUP)`,
+        'admin.unrecognized': '❌ Command not recognized. Use: ADMIN +1234567890 AdminName',
+        'admin.name_required': '❌ Admin name is required. Use: ADMIN +1234567890 AdminName',
+        'admin.invalid_phone': `❌ Invalid phone number format: {phone}.
+💡 Use format: +1234567890`,
+        'admin.self': `❌ You cannot modify your own admin status.
+
+💡 Contact another admin if you need to change your permissions.`,
+        'admin.already_admin': `❌ {name} is already an administrator!
+
+📊 Current Status:
+👤 Name: {name}
+📱 Phone: {phone}
+🔑 Admin: Yes
+🏛️ Groups: {groups}
+📊 Messages sent: {messages}`,
+        'admin.promoted': `🔑 ADMIN PROMOTION SUCCESSFUL!
+
+👤 Name: {name}
+📱 Phone: {phone}
+🔑 Status: Administrator (PROMOTED)
+🏛️ Group: Church Leadership
+📊 Total admins: {admins}
+📊 Total members: {members}
+
+✅ FULL ADMIN PRIVILEGES GRANTED:
+• ADD - Add new congregation members
+• REMOVE - Remove members from system
+• ADMIN - Manage administrator privileges
+• WIPE - Emergency database wipe
+• CLEANUP - Database maintenance
+• Access to all admin endpoints`,
+        'admin.promotion_sms_sent': '📩 Admin promotion SMS sent successfully',
+        'admin.promotion_sms_failed': '⚠️ Admin promotion SMS failed: {error}',
+        'admin.promotion_failed': `❌ Failed to promote {name} to administrator.
+
+💡 Error: {error}`,
+        'admin.no_leadership_group': '❌ Church Leadership group not found. Run setup.js to initialize groups.',
+        'admin.created': `🔑 NEW ADMIN CREATED SUCCESSFULLY!
+
+👤 Name: {name}
+📱 Phone: {phone}
+🔑 Status: Administrator (NEW)
+🏛️ Group: Church Leadership
+📊 Total admins: {admins}
+📊 Total members: {members}
+
+✅ FULL ADMIN PRIVILEGES GRANTED:
+• ADD - Add new congregation members
+• REMOVE - Remove members from system
+• ADMIN - Manage administrator privileges
+• WIPE - Emergency database wipe
+• CLEANUP - Database maintenance
+• Access to all admin endpoints`,
+        'admin.welcome_sms_sent': '📩 Admin welcome SMS sent successfully',
+        'admin.welcome_sms_failed': '⚠️ Admin welcome SMS failed: {error}',
+        'admin.duplicate_phone': `❌ Phone number already exists in database!
+📱 Number: {phone}
+💡 Use a different phone number or check existing members.`,
+        'admin.database_error': '❌ Database error: Unable to create admin. Please try again or contact tech support.',
+        'admin.already_exists': '❌ Admin with this phone number already exists in the system.',
+        'admin.system_error': `❌ System error occurred while managing admin privileges.
+
+💡 Tech team has been notified.`,
+
+        'reaction.access_denied': '❌ Access denied. Only administrators can use REACTION commands.',
+        'reaction.unknown': `❌ Unknown reaction command: {command}
+
+Available commands:
+• REACTION STATUS
+• REACTION SEND
+• REACTION STATS`,
+        'reaction.failed': '❌ Error processing reaction command',
+        'reaction.status': `📊 REACTION SYSTEM STATUS
+
+📅 Today ({date}):
+🔇 Pending reactions: {count}
+🕒 Next summary: 8:00 PM daily ({timeZone})
+✅ Silent detection: Active
+📱 System: Operational
+
+💡 Send reactions like ❤️😂👍 to test the system!`,
+        'reaction.status_failed': '❌ Error retrieving reaction status',
+        'reaction.send_pending': `✅ Daily reaction summary feature is in development.
+
+📊 For now, reactions are being collected silently.
+
+🔜 Full 8 PM summaries coming soon!`,
+        'reaction.send_failed': '❌ Error sending reaction summary',
+        'reaction.stats': `📊 REACTION STATISTICS (Last 7 Days)
+
+📈 Total reactions detected: {total}
+🔇 All reactions stored silently
+📅 Daily average: {average}
+✅ System working properly
+
+💡 Reactions are collected throughout the day for future 8 PM summaries!`,
+        'reaction.stats_failed': '❌ Error retrieving reaction statistics'
+    },
+
+    am: {
+        'common.everyone': 'ሁሉም',
+        'common.none': 'የለም',
+        'common.active': 'ንቁ',
+        'common.inactive': 'ንቁ ያልሆነ',
+        'common.no_groups': 'ቡድን የለም',
+
+        'help.header': `📋 የ{churchName} ትዕዛዞች
+═══════════════════════════════
+
+👥 {memberCount} አባላት • {phone}`,
+        'help.basic': `💬 አጠቃቀም:
+• ማንኛውንም መልዕክት ይላኩ → ለሁሉም ይደርሳል
+• ከአንድ መልዕክት በኋላ ወዲያው የሚልኩት ለላኪው ብቻ ይደርሳል
+• ANNOUNCE መልዕክት → ሁልጊዜ ለሁሉም ይላካል
+• REPLY መልዕክት → ለመጨረሻው መልዕክት ላኪ በግል ይመልሳል
+• @GROUP መልዕክት → ለአንድ ቡድን ብቻ ይላካል
+• ፎቶዎችንና ቪዲዮዎችን በነፃ ያጋሩ
+• ምላሽ: ❤️😂👍🙏 (በጸጥታ ይመዘገባል)`,
+        'help.commands': `📱 ትዕዛዞች:
+• HELP - ይህን መልዕክት ያሳያል
+• LANGUAGE - English, አማርኛ, ትግርኛ
+• UNDO / CORRECT ጽሑፍ - የመጨረሻ መልዕክትዎን ይሰርዙ ወይም ያርሙ
+• YES / NO / MAYBE - ለቅርብ ጊዜው ዝግጅት ምላሽ ይስጡ
+• PRAY ጥያቄ - የግል የጸሎት ጥያቄ (ስምዎን ለመደበቅ PRAY ANON)
+• DIGEST ON / OFF - በቀን አንድ ማጠቃለያ መልዕክት
+• PAUSE 14 / RESUME - መልዕክቶችን ለተወሰኑ ቀናት ያቁሙ
+• STOP - ምዝገባ ለማቋረጥ • START - እንደገና ለመመዝገብ`,
+        'help.self_service': `👤 የእርስዎ መገለጫ:
+• MYINFO - ስምዎ፣ ቡድኖችዎ እና ሁኔታዎ
+• MYNAME አዲስ ስም - ስምዎን ይቀይሩ
+• GROUPS - ሊቀላቀሏቸው የሚችሉ ቡድኖች
+• JOIN GROUP ስም / LEAVE GROUP ስም`,
+        'help.admin': `🔑 የአስተዳዳሪ ትዕዛዞች:
+• ADD +1234567890 ስም - አዲስ አባል ይጨምሩ
+• REMOVE +1234567890 ስም - አባል ያስወግዱ
+• ADMIN +1234567890 ስም - የአስተዳዳሪ መብት ይስጡ
+• DEMOTE +1234567890 ስም - የአስተዳዳሪ መብት ያንሱ
+• URGENT መልዕክት - በጸጥታ ሰዓትም ቢሆን አሁኑኑ ይላኩ
+• OPTOUTS - STOP የመለሱ አባላት
+• PAUSE +1234567890 14 / RESUME +1234567890
+• PAUSED - መልዕክቶችን ያቆሙ አባላት
+• GROUP LIST - ቡድኖችና የመላክ ፈቃዶች
+• GROUP POLICY @KEYWORD ADMINS - ማን መላክ ይችላል
+• GROUP APPROVAL @KEYWORD ON - የአባላት መልዕክቶች ማጽደቅ ይጠብቁ
+• GROUP OPEN @KEYWORD ON - አባላት ራሳቸው ይቀላቀላሉ/ይለቃሉ
+• PENDING - ማጽደቅ የሚጠብቁ መልዕክቶች
+• APPROVE id / REJECT id ምክንያት
+• POLL ጥያቄ | አዎ | አይ - የምርጫ ጥያቄ
+• POLL RESULTS / POLL CLOSE
+• EVENT SAT 6PM ርዕስ | ቦታ - ግብዣ እና ምላሽ
+• EVENT LIST / RSVPS id / CANCEL id
+• PRAYER LIST / PRAYER DIGEST
+• KEYWORD SET WORD reply / LIST / DELETE
+• ACCEPT id / DECLINE id - የአባልነት ጥያቄዎች
+• SCHEDULE SUNDAY 9AM መልዕክት - በኋላ ይላኩ
+• SCHEDULED LIST / SCHEDULED CANCEL id
+• TEMPLATE LIST / SAVE ስም ጽሑፍ / SEND ስም
+• REACTION STATUS
+• REACTION SEND
+• REACTION STATS
+• CLEANUP STATUS - የዳታቤዝ ጤና ምርመራ
+• WIPE CONFIRM - የአደጋ ጊዜ ዳታቤዝ ማጽዳት`,
+        'help.footer': '💚 {churchName} • የቤተ ክርስቲያን የSMS አገልግሎት',
+        'help.fallback': `📋 {churchName}
+
+📱 ትዕዛዝ: HELP
+💬 ለሁሉም ለመላክ ማንኛውንም ይጻፉ
+🔇 በ❤️😂👍🙏 ምላሽ ይስጡ
+
+💚 {churchName}`,
+
+        'language.current': `🌐 ቋንቋዎ: {language}
+
+💡 ለመቀየር ይህን ይላኩ:
+{options}`,
+        'language.updated': '✅ ቋንቋዎ ወደ አማርኛ ተቀይሯል። ትዕዛዞቹን ለማየት HELP ይላኩ።',
+        'language.unknown': `❌ ያልታወቀ ቋንቋ: {input}
+
+💡 ይህን ይላኩ:
+{options}`,
+
+        'optout.confirmed': '{churchName}: ምዝገባዎ ተሰርዟል፤ ከእንግዲህ መልዕክት አይደርስዎትም። እንደገና ለመመዝገብ START ይላኩ።',
+        'optin.already': '✅ አስቀድመው ለ{churchName} መልዕክቶች ተመዝግበዋል። ለትዕዛዞች HELP ይላኩ።',
+        'optin.confirmed': '{churchName}: እንደገና ተመዝግበዋል፤ የቤተ ክርስቲያን መልዕክቶች ይደርስዎታል። ለእርዳታ HELP፣ ለማቋረጥ STOP ይላኩ።',
+
+        'broadcast.unknown_group': `❌ ያልታወቀ ቡድን: @{keyword}
+
+📋 ያሉ ቡድኖች: {keywords}
+
+💡 መልዕክትዎ አልተላከም።`,
+        'broadcast.admins_only': `❌ ወደ {group} መላክ የሚችሉት አስተዳዳሪዎች ብቻ ናቸው።
+
+💡 መልዕክትዎ አልተላከም።`,
+        'broadcast.members_only': `❌ ወደ {group} መላክ የሚችሉት የቡድኑ አባላት ብቻ ናቸው።
+
+💡 መልዕክትዎ አልተላከም።`,
+        'broadcast.no_group_members': 'በ{group} ውስጥ ሌሎች ንቁ አባላት አልተገኙም።',
+
+        'reply.no_recent': `❌ የሚመለስለት የቅርብ ጊዜ መልዕክት የለም።
+
+💡 መልዕክትዎ አልተላከም። ለሁሉም ለመላክ በANNOUNCE ይጀምሩ።`,
+        'reply.empty': `❌ መልስዎ ባዶ ነው።
+
+💡 ምሳሌ: REPLY ወንበሮቹን አመጣለሁ`,
+        'reply.unavailable': '❌ {name} ከእንግዲህ መልዕክት መቀበል ስለማይችሉ መልስዎ አልተላከም።',
+        'reply.relayed': `↩️ {name} ({phone}) ለ"{snippet}" መለሱ:
+
+{body}`,
+        'reply.no_text': '[ጽሑፍ የለም]',
+        'reply.attachments_not_forwarded': '📎 {count} አባሪ(ዎች) አልተላለፉም',
+        'reply.sent': `✅ መልስዎ ለ{name} በግል ተልኳል።
+
+💡 ለሁሉም ለመላክ በANNOUNCE ይጀምሩ።`,
+        'reply.failed': '❌ መልስዎ ሊደርስ አልቻለም። እባክዎ እንደገና ይሞክሩ።',
+
+        'moderation.unavailable': '❌ መልዕክትዎ አሁን ለማጽደቅ ሊቀርብ አልቻለም። እባክዎ ቆይተው እንደገና ይሞክሩ።',
+        'moderation.waiting': `⏳ ወደ {target} የላኩት መልዕክት የአስተዳዳሪ ማጽደቅ እየጠበቀ ነው።
+
+💡 ከታየ በኋላ መልዕክት ይደርስዎታል።`,
+        'moderation.failed': '❌ መልዕክትዎ ለማጽደቅ ሊቀርብ አልቻለም። እባክዎ ቆይተው እንደገና ይሞክሩ።',
+        'moderation.approved': '✅ መልዕክትዎ በ{admin} ጸድቆ ወደ {target} እየተላከ ነው።',
+        'moderation.rejected': '❌ "{preview}" የሚለው መልዕክትዎ በ{admin} አልጸደቀም፤ አልተላከም።',
+        'moderation.reason': '📝 ምክንያት: {reason}',
+        'moderation.expired': `⌛ "{preview}" የሚለው መልዕክትዎ በ{hours} ሰዓት ውስጥ ስላልታየ አልተላከም።
+
+💡 እባክዎ እንደገና ይላኩት ወይም የቤተ ክርስቲያን አስተዳዳሪን ያነጋግሩ።`,
+        'moderation.admin_notice': `🛡️ ማጽደቅ ያስፈልጋል • {id}
+👤 {sender} → {target} ({count} አባላት)
+💬 "{preview}"`,
+        'moderation.admin_notice_media': '📎 {count} አባሪ(ዎች)',
+        'moderation.admin_notice_actions': `✅ APPROVE {id}
+❌ REJECT {id} ምክንያት
+⌛ በ{hours} ሰዓት ውስጥ ጊዜው ያልፋል`,
+
+        'undo.holding': '⏳ ወደ {target} የላኩት መልዕክት በ{seconds} ሰከንድ ውስጥ ይላካል። ለመሰረዝ UNDO ብለው ይመልሱ።',
+        'undo.cancelled': '↩️ ተሰርዟል - ወደ {target} የላኩት መልዕክት አልተላከም።',
+        'undo.nothing': `❌ የሚሰረዝ መልዕክት የለም - የመጨረሻው መልዕክትዎ አስቀድሞ ተልኳል።
+
+💡 እርማት ለመላክ CORRECT ብለው ትክክለኛውን ጽሑፍ ይላኩ።`,
+        'correct.none': '❌ ባለፉት {hours} ሰዓታት ውስጥ የሚታረም መልዕክት የለዎትም።',
+        'correct.empty': `❌ የታረመውን ጽሑፍ ያክሉ።
+
+💡 ምሳሌ: CORRECT ስብሰባው 6 ሰዓት ነው እንጂ 5 አይደለም`,
+        'correct.no_recipients': '❌ መልዕክትዎን የተቀበሉት ሰዎች አሁን እርማቱን መቀበል አይችሉም።',
+        'correct.sent': '✅ እርማቱ "{preview}" ለተቀበሉ {count} ሰዎች እየተላከ ነው።',
+        'correct.failed': '❌ እርማትዎ ሊላክ አልቻለም። እባክዎ እንደገና ይሞክሩ።',
+
+        'poll.vote_recorded': '🗳️ እናመሰግናለን! ለ{option} የሰጡት ድምፅ ተቆጥሯል።',
+        'poll.vote_changed': '🗳️ ድምፅዎ ወደ {option} ተቀይሯል።',
+        'poll.invalid_choice': '❌ ድምፅ ለመስጠት ከ1 እስከ {max} ያለ ቁጥር ይላኩ።',
+        'poll.vote_failed': '❌ ድምፅዎ ሊቀመጥ አልቻለም። እባክዎ እንደገና ይሞክሩ።',
+        'poll.access_denied': '❌ ፈቃድ የለዎትም። የሕዝብ አስተያየት መስጫ ማካሄድ የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'poll.commands': `📋 ያሉ ትዕዛዞች:
+• POLL ጥያቄ | ምርጫ 1 | ምርጫ 2
+• POLL @GROUP ጥያቄ | ምርጫ 1 | ምርጫ 2
+• POLL RESULTS
+• POLL CLOSE`,
+        'poll.none_open': `ℹ️ የሚዘጋ ክፍት የአስተያየት መስጫ የለም።
+
+💡 POLL RESULTS የመጨረሻውን ያሳያል`,
+        'poll.none': 'ℹ️ እስካሁን ምንም የአስተያየት መስጫ የለም።',
+        'poll.usage': `❌ የአስተያየት መስጫ ጥያቄና ቢያንስ 2 ምርጫዎች ያስፈልጉታል።
+
+💡 ምሳሌ: POLL ቅዳሜ ትመጣላችሁ? | አዎ | አይ | ምናልባት`,
+        'poll.too_many_options': '❌ የአስተያየት መስጫ ቢበዛ {max} ምርጫዎች ሊኖሩት ይችላሉ - አባላት በአንድ አሃዝ ይመርጣሉ።',
+        'poll.question_required': `❌ የአስተያየት መስጫ ጥያቄ ያስፈልገዋል።
+
+💡 ምሳሌ: POLL @{keyword} ቅዳሜ ትመጣላችሁ? | አዎ | አይ`,
+        'poll.opened': '📊 የአስተያየት መስጫ በ{count} ምርጫዎች ተከፍቷል',
+        'poll.previous_closed': '🔒 የቀድሞው የአስተያየት መስጫ ተዘግቷል',
+        'poll.opened_hint': '💡 ድምጾችን ለማየት POLL RESULTS፣ ድምጽ መስጠትን ለማቆም POLL CLOSE',
+        'poll.failed': '❌ የአስተያየት መስጫ ሥራው አልተሳካም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+        'poll.results_open': '📊 የአስተያየት ውጤት (ክፍት)',
+        'poll.results_closed': '📊 የአስተያየት ውጤት (ተዘግቷል)',
+        'poll.votes': '🗳️ {count} ድምጽ',
+
+        'event.rsvp_yes': '✅ እንገናኝ! ለ{title} ({when}) "አዎ" ብለዋል።',
+        'event.rsvp_no': '👍 ስላሳወቁን እናመሰግናለን - ለ{title} ({when}) "አይ" ብለዋል።',
+        'event.rsvp_maybe': '🤔 ተመዝግቧል - ለ{title} ({when}) "ምናልባት" ብለዋል።',
+        'event.not_found': '❌ {code} የሚል ኮድ ያለው መጪ ዝግጅት የለም።',
+        'event.rsvp_failed': '❌ ምላሽዎ ሊቀመጥ አልቻለም። እባክዎ እንደገና ይሞክሩ።',
+        'event.access_denied': '❌ ፈቃድ የለዎትም። ዝግጅቶችን ማስተዳደር የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'event.unavailable': '❌ ዳታቤዙ አልተገናኘም - ዝግጅቶች አሁን ሊቀመጡ አይችሉም።',
+        'event.commands': `📋 ያሉ ትዕዛዞች:
+• EVENT <ጊዜ> ርዕስ | ቦታ
+• EVENT @GROUP <ጊዜ> ርዕስ | ቦታ | ዝርዝር
+• EVENT LIST
+• EVENT RSVPS <መለያ>
+• EVENT CANCEL <መለያ>
+
+💡 ምሳሌ: EVENT SAT 6PM የጋራ ምግብ | የኅብረት አዳራሽ`,
+        'event.none': '📅 መጪ ዝግጅት የለም።',
+        'event.list_title': '📅 መጪ ዝግጅቶች ({count})',
+        'event.rsvp_counts': '✅ {yes} አዎ • 🤔 {maybe} ምናልባት • ❌ {no} አይ',
+        'event.list_hint': '💡 EVENT RSVPS <መለያ> ስሞችን ያሳያል',
+        'event.id_required': `❌ የዝግጅት መለያ ያስፈልጋል: EVENT {command} <መለያ>
+
+💡 EVENT LIST መለያዎቹን ያሳያል`,
+        'event.unknown_id': `❌ {id} የሚል መለያ ያለው ዝግጅት አልተገኘም
+
+💡 EVENT LIST መለያዎቹን ያሳያል`,
+        'event.already_cancelled': 'ℹ️ ዝግጅት {id} አስቀድሞ ተሰርዟል።',
+        'event.cancelled': `🚫 ዝግጅት {id} ተሰርዟል: {title}
+⏰ ማስታወሻዎች ቆመዋል`,
+        'event.bad_time': '❌ የዝግጅቱን ጊዜ ማንበብ አልተቻለም።',
+        'event.title_required': '❌ ዝግጅቱ ርዕስ ያስፈልገዋል።',
+        'event.in_past': '❌ የዝግጅቱ ጊዜ {when} አልፏል።',
+        'event.created': `📅 ዝግጅቱ ተፈጥሯል!
+🆔 መለያ: {id}
+📅 መቼ: {when}`,
+        'event.where': '📍 የት: {location}',
+        'event.reminders': '⏰ ማስታወሻዎች: {hours} በፊት',
+        'event.no_reminders': '⏰ ማስታወሻዎች: የሉም',
+        'event.created_hint': '💡 ማን እንደሚመጣ ለማየት EVENT RSVPS {id}',
+        'event.failed': '❌ የዝግጅት ሥራው አልተሳካም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+        'event.cancelled_label': 'ተሰርዟል',
+        'event.rsvps_yes': '✅ አዎ ({count})',
+        'event.rsvps_maybe': '🤔 ምናልባት ({count})',
+        'event.rsvps_no': '❌ አይ ({count})',
+        'event.reminder': `ማስታወሻ: {title}
+መቼ: {time}`,
+
+        'prayer.usage': '🙏 የጸሎት ጥያቄ ለጸሎት ቡድኑ ለመላክ: PRAY ጥያቄዎ። ስምዎ እንዳይታይ: PRAY ANON ጥያቄዎ',
+        'prayer.received': '🙏 የጸሎት ጥያቄዎ ({code}) በግል ለጸሎት ቡድኑ ተልኳል። መልስ እንዳገኘ ሲመዘገብ እናሳውቅዎታለን።',
+        'prayer.received_anonymous': '🙏 የጸሎት ጥያቄዎ ({code}) ያለ ስምዎ ለጸሎት ቡድኑ ተልኳል። መልስ እንዳገኘ ሲመዘገብ እናሳውቅዎታለን።',
+        'prayer.unavailable': '❌ የጸሎት ቡድኑ ገና አልተዘጋጀም፣ ስለዚህ ጥያቄዎ አልተላከም። እባክዎ የቤተ ክርስቲያን መሪን ያነጋግሩ።',
+        'prayer.failed': '❌ የጸሎት ጥያቄዎ ሊላክ አልቻለም። እባክዎ እንደገና ይሞክሩ።',
+        'prayer.answered_notice': '🙌 የጸሎት ቡድኑ የጸሎት ጥያቄዎ ({code}) መልስ እንዳገኘ መዝግቧል: "{excerpt}"',
+        'prayer.not_team': '❌ የጸሎት ጥያቄዎችን ማዘመን የሚችሉት የጸሎት ቡድን አባላት ብቻ ናቸው።',
+        'prayer.not_found': '❌ {code} የሚል ኮድ ያለው የጸሎት ጥያቄ የለም።',
+        'prayer.marked_praying': '🙏 ለጥያቄ {code} ስለጸለዩ እናመሰግናለን።',
+        'prayer.marked_answered': '🙌 ጥያቄ {code} መልስ እንዳገኘ ተመዝግቧል፤ ጠያቂውም ተነግሯቸዋል።',
+        'prayer.already_answered': 'ℹ️ ጥያቄ {code} አስቀድሞ መልስ እንዳገኘ ተመዝግቧል።',
+        'prayer.digest_access_denied': '❌ ፈቃድ የለዎትም። የጸሎት ዝርዝሩን መላክ የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'prayer.digest_no_team': '❌ @{keyword} የሚባል ቡድን የለም - መጀመሪያ ይፍጠሩት (ወይም PRAYER_TEAM_GROUP ያዘጋጁ)።',
+        'prayer.digest_sent': '🙏 የጸሎት ዝርዝሩ ለ{count} የጸሎት ቡድን አባል(ላት) ተልኳል',
+        'prayer.digest_empty': 'ℹ️ የሚላክ የለም - ክፍት ወይም በቅርቡ መልስ ያገኘ የጸሎት ጥያቄ የለም።',
+        'prayer.anonymous': 'ስም ያልተጠቀሰ',
+        'prayer.team_request': `የጸሎት ጥያቄ {code}
+ከ: {from}
+
+{text}
+
+ሲጸልዩ PRAYING {code}፣ መልስ ሲያገኝ ANSWERED {code} ብለው ይመልሱ።`,
+        'prayer.list_title': 'የጸሎት ዝርዝር - {date}',
+        'prayer.list_open': 'ክፍት ({count})',
+        'prayer.list_answered': 'በዚህ ሳምንት መልስ ያገኙ ({count})',
+        'prayer.list_praying': '(የሚጸልዩ: {count})',
+        'prayer.list_hint': 'PRAYING <ኮድ> ወይም ANSWERED <ኮድ> ብለው ይመልሱ።',
+        'prayer.list_empty': '🙏 ክፍት የጸሎት ጥያቄ የለም።',
+        'prayer.list_failed': '❌ የጸሎት ዝርዝሩ አይገኝም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'profile.info': `👤 {name}
+📱 {phone}
+🏛️ ቡድኖች: {groups}
+🌐 ቋንቋ: {language}
+📊 ሁኔታ: {status}
+
+💡 MYNAME አዲስ ስም - ስምዎን ለመቀየር • GROUPS - ቡድን ለመቀላቀል`,
+        'profile.status_member': 'አባል',
+        'profile.status_admin': 'አስተዳዳሪ',
+        'profile.name_usage': `❌ አዲሱን ስምዎን ይጨምሩ (እስከ 4 ቃላት፣ ፊደላት ብቻ፣ እስከ 50 ፊደላት)።
+
+💡 ምሳሌ: MYNAME Sara Tesfaye`,
+        'profile.name_updated': '✅ ስምዎ አሁን {name} ነው።',
+        'profile.failed': '❌ ጥያቄዎ ሊፈጸም አልቻለም። እባክዎ እንደገና ይሞክሩ።',
+
+        'groups.list': `🏛️ ሊቀላቀሏቸው የሚችሉ ቡድኖች
+{groups}
+
+💡 JOIN GROUP ስም / LEAVE GROUP ስም`,
+        'groups.none_open': 'ℹ️ አሁን ለመቀላቀል ክፍት የሆነ ቡድን የለም። እባክዎ የቤተ ክርስቲያን አስተዳዳሪን ይጠይቁ።',
+        'groups.usage': `❌ የቡድኑን ስም ይጨምሩ።
+
+💡 ምሳሌ: {command} GROUP Youth`,
+        'groups.not_found': '❌ {input} የሚባል ቡድን የለም። ሊቀላቀሏቸው የሚችሉትን ቡድኖች ለማየት GROUPS ይላኩ።',
+        'groups.did_you_mean': '💡 {groups} ማለትዎ ነው?',
+        'groups.closed': '❌ {group} የሚተዳደረው በቤተ ክርስቲያን አስተዳዳሪዎች ነው። አባልነትዎን ለመቀየር አንዳቸውን ይጠይቁ።',
+        'groups.joined': '✅ {group}ን ተቀላቅለዋል። ወደ @{keyword} የሚላኩ መልዕክቶች አሁን ይደርሱዎታል።',
+        'groups.already_member': 'ℹ️ አስቀድመው የ{group} አባል ነዎት።',
+        'groups.left': '👋 {group}ን ለቀዋል።',
+        'groups.not_member': 'ℹ️ የ{group} አባል አይደሉም።',
+        'digest.enabled': `📰 የዕለት ማጠቃለያ በርቷል። እያንዳንዱን መልዕክት ሲላክ ከመቀበል ይልቅ በየቀኑ {time} ላይ የዕለቱን መልዕክቶች በአንድ መልዕክት ይቀበላሉ። URGENT መልዕክቶች ግን ወዲያው ይደርሱዎታል።
+
+💡 ሁሉንም መልዕክቶች እንደገና ለመቀበል DIGEST OFF ይላኩ።`,
+        'digest.disabled': '📨 የዕለት ማጠቃለያ ጠፍቷል - እያንዳንዱን መልዕክት ሲላክ ይቀበላሉ።',
+        'digest.current_on': `📰 በየቀኑ {time} ላይ አንድ የዕለት ማጠቃለያ ይቀበላሉ።
+
+💡 እያንዳንዱን መልዕክት ሲላክ ለመቀበል DIGEST OFF ይላኩ።`,
+        'digest.current_off': `📨 እያንዳንዱን መልዕክት ሲላክ ይቀበላሉ።
+
+💡 በምትኩ በየቀኑ {time} ላይ አንድ መልዕክት ለመቀበል DIGEST ON ይላኩ።`,
+        'digest.header': `📰 የ{churchName} የዕለት ማጠቃለያ - {date}
+💬 መልዕክቶች: {count}`,
+
+        'pause.usage': `❌ ለስንት ቀን ማቆም እንደሚፈልጉ ይጨምሩ (ከ1 እስከ {max})።
+
+💡 ምሳሌ: PAUSE 14`,
+        'pause.confirmed': `⏸️ መልዕክቶችዎ እስከ {date} ቆመዋል። ከዚያ በራሳቸው እንደገና ይጀምራሉ።
+
+💡 ቀደም ብሎ ለመጀመር RESUME ይላኩ።`,
+        'pause.by_admin': `⏸️ {admin} የ{churchName} መልዕክቶችዎን እስከ {date} አቁመዋል። ከዚያ በራሳቸው እንደገና ይጀምራሉ።
+
+💡 ቀደም ብሎ ለመጀመር RESUME ይላኩ።`,
+        'pause.resumed': '▶️ እንኳን ደህና መጡ! የቤተ ክርስቲያን መልዕክቶችን እንደገና ይቀበላሉ።',
+        'pause.not_paused': 'ℹ️ መልዕክቶችዎ አልቆሙም።',
+        'pause.access_denied': '❌ የሌሎች አባላትን መልዕክቶች ማቆም ወይም መቀጠል የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው። የራስዎን መልዕክቶች ለማቆም PAUSE 14 ብለው ይላኩ።',
+        'pause.no_member': '❌ ስልኩ {phone} የሆነ ንቁ አባል የለም',
+        'pause.admin_confirmed': `⏸️ {name} ({phone}) እስከ {date} ቆመዋል
+
+💡 ቀደም ብሎ ለማብቃት RESUME {phone}`,
+        'pause.admin_failed': '❌ አባሉን ማቆም አልተቻለም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+        'pause.admin_not_paused': 'ℹ️ {name} አልቆሙም',
+        'pause.admin_resumed': '▶️ {name} ({phone}) መልዕክቶችን እንደገና ይቀበላሉ',
+        'pause.resume_failed': '❌ አባሉን መቀጠል አልተቻለም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'add.access_denied': '❌ ፈቃድ የለዎትም። አዲስ አባላትን መጨመር የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'add.usage': '❌ የተሳሳተ አጻጻፍ። እንዲህ ይጠቀሙ: ADD +1234567890 የአባል ስም',
+        'add.unrecognized': '❌ ትዕዛዙ አልታወቀም። እንዲህ ይጠቀሙ: ADD +1234567890 የአባል ስም',
+        'add.name_required': '❌ የአባሉ ስም ያስፈልጋል። እንዲህ ይጠቀሙ: ADD +1234567890 የአባል ስም',
+        'add.invalid_phone': '❌ የተሳሳተ የስልክ ቁጥር: {phone}። በዚህ መልክ ይጻፉ: +1234567890',
+        'add.exists': `❌ አባሉ አስቀድሞ አለ!
+👤 ስም: {name}
+📱 ስልክ: {phone}
+📊 ሁኔታ: {status}
+🏛️ ቡድኖች: {groups}`,
+        'add.no_default_group': '❌ የሲስተም ስህተት: ዋናው የምዕመናን ቡድን አልተገኘም። የቴክኒክ ድጋፍን ያነጋግሩ።',
+        'add.success': `✅ አባሉ በተሳካ ሁኔታ ተጨምሯል!
+👤 ስም: {name}
+📱 ስልክ: {phone}
+🏛️ ቡድን: {group}
+📊 ጠቅላላ ንቁ አባላት: {total}`,
+        'add.welcome_sent': '📩 የእንኳን ደህና መጡ መልዕክት ተልኳል',
+        'add.welcome_failed': '⚠️ የእንኳን ደህና መጡ መልዕክት አልተላከም: {error}',
+        'add.duplicate_phone': `❌ የስልክ ቁጥሩ አስቀድሞ ተመዝግቧል!
+📱 ቁጥር: {phone}
+💡 ሌላ ቁጥር ይጠቀሙ ወይም አባሉ ተመዝግቦ እንደሆነ ያረጋግጡ።`,
+        'add.duplicate_field': '❌ ተደጋጋሚ {field}: {value} አስቀድሞ አለ።',
+        'add.validation_error': '❌ የማረጋገጫ ስህተት: {errors}',
+        'add.database_error': '❌ የዳታቤዝ ስህተት: አባሉን መፍጠር አልተቻለም። እንደገና ይሞክሩ ወይም የቴክኒክ ድጋፍን ያነጋግሩ።',
+        'add.connection_error': '❌ የዳታቤዝ ግንኙነት ስህተት። እባክዎ ከጥቂት ጊዜ በኋላ እንደገና ይሞክሩ።',
+        'add.already_exists': '❌ ይህ ስልክ ቁጥር ያለው አባል አስቀድሞ በሲስተሙ አለ።',
+        'add.system_error': '❌ አባሉን ሲጨመር የሲስተም ስህተት ተፈጥሯል። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'summary.none': `📊 የዕለቱ ምላሾች ማጠቃለያ ({date})
+
+ዛሬ ጉልህ ምላሽ ያገኘ መልዕክት የለም።`,
+        'summary.title': '📊 የዕለቱ ምላሾች ማጠቃለያ ({date})',
+        'summary.totals': '📈 ዛሬ {messages} መልዕክቶች በጠቅላላ {reactions} ምላሾችን አግኝተዋል',
+        'summary.top': '🏆 ብዙ ምላሽ ያገኘው: "{message}" ({count} ምላሾች)',
+
+        'template.welcome': `🏛️ ወደ {churchName} እንኳን ደህና መጡ፣ {name}!
+
+{adminName} ወደ ቤተ ክርስቲያናችን የSMS ሲስተም ጨምረውዎታል።
+
+📱 እንዴት ይሠራል:
+• ወደዚህ ቁጥር የሚልኩት ማንኛውም መልዕክት ለመላው ምዕመናን ይደርሳል
+• ፎቶዎችን፣ የጸሎት ርዕሶችንና ማስታወቂያዎችን ያጋሩ
+• ሁሉም መልዕክትዎን ወዲያውኑ ይቀበላሉ
+
+✅ ሊያጋሩ የሚችሏቸው:
+• የጸሎት ርዕሶችና ምስክርነቶች
+• የቤተ ክርስቲያን ዝግጅቶችና ማስታወሻዎች
+• ከአገልግሎትና ከዝግጅቶች ፎቶዎች
+• የማበረታቻና የኅብረት መልዕክቶች
+
+💡 ለመጀመር:
+• ራስዎን ለማስተዋወቅ "ሰላም ለሁላችሁ!" ይላኩ
+• ለእርዳታ HELP፣ ቋንቋ ለመቀየር LANGUAGE ይላኩ
+
+🙏 ቃሉ:
+"ለፍቅርና ለመልካም ሥራም እንድንነቃቃ እርስ በርሳችን እንተያይ።" - ዕብራውያን 10:24
+
+ወደ ቤተ ክርስቲያን ቤተሰባችን እንኳን ደህና መጡ!
+
+- የ{churchName} የቴክኖሎጂ ቡድን`,
+        'template.admin_promotion': `🔑 የአስተዳዳሪ መብት ተሰጥቶዎታል
+
+{name}፣ በ{adminName} የቤተ ክርስቲያን አስተዳዳሪ ሆነው ተሹመዋል።
+
+🔑 የአስተዳዳሪ ትዕዛዞችዎ:
+• ADD +1234567890 ስም (አባላት ይጨምሩ)
+• REMOVE +1234567890 ስም (አባላት ያስወግዱ)
+• ADMIN +1234567890 ስም (የአስተዳዳሪ መብት ይስጡ)
+• WIPE CONFIRM (የአደጋ ጊዜ ማጽዳት)
+• CLEANUP STATUS (የሲስተም ጤና)
+
+⚠️ ኃላፊነቶች:
+• ሁሉም ትዕዛዞች ይመዘገባሉ
+• ከሌሎች አስተዳዳሪዎች ጋር ይተባበሩ
+• WIPE የሚጠቀሙት በአደጋ ጊዜ ብቻ ነው
+
+ሙሉ የትዕዛዞች ዝርዝር ለማየት "HELP" ይላኩ።
+
+ወደ አስተዳዳሪዎች ቡድን እንኳን ደህና መጡ!
+- የ{churchName} አመራር`,
+        'template.admin_demotion': `🔻 የአስተዳዳሪ መብትዎ ተነስቷል
+
+{name}፣ የአስተዳዳሪ መብትዎ በ{adminName} ተነስቷል።
+
+📊 አዲሱ ሁኔታዎ:
+• መደበኛ የምዕመናን አባል
+• የቤተ ክርስቲያን አባልነትዎ እንደቀጠለ ነው
+• የአስተዳዳሪ ፈቃድ የለዎትም
+
+✅ አሁንም የሚችሉት:
+• ለምዕመናን መልዕክት መላክ
+• ፎቶዎችንና ሚዲያ ማጋራት
+• በቤተ ክርስቲያን ግንኙነት መሳተፍ
+• ሁሉንም መልዕክቶች መቀበል
+
+📱 ጥያቄ አለዎት?
+{adminName}ን ወይም የቤተ ክርስቲያኑን አመራር ያነጋግሩ።
+
+አሁንም የቤተ ክርስቲያን ቤተሰባችን ውድ አባል ነዎት።
+
+- የ{churchName} አመራር`,
+        'templates.access_denied': '❌ ፈቃድ የለዎትም። አብነቶችን ማስተዳደር የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'templates.commands': `📋 ያሉ ትዕዛዞች:
+• TEMPLATE LIST
+• TEMPLATE SHOW ስም
+• TEMPLATE SAVE ስም ጽሑፍ
+• TEMPLATE DELETE ስም
+• TEMPLATE SEND ስም [@GROUP]
+
+🔤 መስኮች: {fields}`,
+        'templates.usage': '❌ አጠቃቀም: TEMPLATE {command} ስም',
+        'templates.list_title': '📝 የመልዕክት አብነቶች ({count})',
+        'templates.built_in': 'አብሮ የተሰራ',
+        'templates.built_in_edited': 'አብሮ የተሰራ፣ የተስተካከለ',
+        'templates.list_hint': '💡 TEMPLATE SEND ስም [@GROUP]',
+        'templates.not_found': `❌ አብነቱ አልተገኘም: {name}
+
+💡 አብነቶችን ለማየት TEMPLATE LIST ይጠቀሙ`,
+        'templates.invalid': `❌ {error}
+
+💡 ምሳሌ: TEMPLATE SAVE potluck ሰላም {firstName}! እሁድ ከአገልግሎት በኋላ የጋራ ምግብ አለ።`,
+        'templates.saved': `✅ አብነት "{name}" ተቀምጧል ({length} ፊደላት)
+
+💡 ለመላክ: TEMPLATE SEND {name}`,
+        'templates.restored': '♻️ አብነት "{name}" ወደ መጀመሪያው ጽሑፍ ተመልሷል።',
+        'templates.already_default': 'ℹ️ አብነት "{name}" አስቀድሞ የመጀመሪያውን ጽሑፍ እየተጠቀመ ነው።',
+        'templates.delete_not_found': '❌ አብነቱ አልተገኘም: {name}',
+        'templates.deleted': '🗑️ አብነት "{name}" ተሰርዟል።',
+        'templates.unknown': '❌ ያልታወቀ የአብነት ትዕዛዝ: {command}',
+        'templates.failed': '❌ የአብነት ሥራው አልተሳካም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'join.admin_notice': `🙋 የመቀላቀል ጥያቄ • {id}
+👤 {name} ({phone})
+
+✅ ACCEPT {id}
+❌ DECLINE {id}`,
+        'join.access_denied': '❌ ፈቃድ የለዎትም። አዲስ አባላትን መቀበል የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'join.not_found': `❌ {id} የሚል መለያ ያለው የመቀላቀል ጥያቄ አልተገኘም
+
+💡 የሚጠባበቁ ጥያቄዎችን ለማየት PENDING ይጠቀሙ`,
+        'join.status_accepted': 'ተቀባይነት አግኝቷል',
+        'join.status_declined': 'ውድቅ ተደርጓል',
+        'join.already_decided': 'ℹ️ የመቀላቀል ጥያቄ {id} አስቀድሞ {status}።',
+        'join.already_decided_by': 'ℹ️ የመቀላቀል ጥያቄ {id} አስቀድሞ በ{admin} {status}።',
+        'join.declined_reply': '❌ የ{name} የመቀላቀል ጥያቄ ውድቅ ተደርጓል - እንዲያውቁ ተደርጓል።',
+        'join.decision_error': '❌ የመቀላቀል ጥያቄውን ማስኬድ አልተቻለም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'remove.access_denied': '❌ ፈቃድ የለዎትም። አባላትን ማስወገድ የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'remove.usage': `❌ የተሳሳተ አጻጻፍ። እንዲህ ይጠቀሙ: REMOVE +1234567890 [ስም - አማራጭ]
+💡 ምሳሌ: REMOVE +12068001141
+💡 ከስም ጋር: REMOVE +12068001141 John Smith`,
+        'remove.unrecognized': '❌ ትዕዛዙ አልታወቀም። እንዲህ ይጠቀሙ: REMOVE +1234567890 [ስም - አማራጭ]',
+        'remove.invalid_phone': `❌ የተሳሳተ የስልክ ቁጥር: {phone}
+💡 በዚህ መልክ ይጻፉ: +1234567890 ወይም 2068001141`,
+        'remove.not_found': `❌ ይህ ስልክ ቁጥር ያለው አባል አልተገኘም: {phone}
+
+💡 ስልክ ቁጥሩን ያረጋግጡ ወይም ሁሉንም አባላት በ/debug ይመልከቱ`,
+        'remove.name_mismatch': `❌ ስሙ አልተዛመደም!
+📱 ስልክ: {phone}
+💾 የተገኙ አባላት: {names}
+✏️ ያስገቡት: {input}
+
+💡 ትክክለኛውን ስም ይጠቀሙ ወይም በስልክ ቁጥር ብቻ ለማስወገድ ስሙን ይተዉት።`,
+        'remove.self': `❌ ራስዎን ከሲስተሙ ማስወገድ አይችሉም።
+
+💡 መለያዎን እንዲያስወግድ ሌላ አስተዳዳሪ ያነጋግሩ።`,
+        'remove.admin_member': `❌ አስተዳዳሪ አባላትን ማስወገድ አይቻልም: {names}
+
+💡 ለደህንነት ሲባል አስተዳዳሪዎች በዳታቤዝ አስተዳደር መሳሪያዎች ብቻ ይወገዳሉ።`,
+        'remove.nothing_deleted': `❌ አባላቱን መሰረዝ አልተቻለም።
+
+💡 አባላቱ አስቀድመው ተወግደው ሊሆን ይችላል።`,
+        'remove.success': `✅ አባል(ላት) ሙሉ በሙሉ ተሰርዘዋል!
+
+📊 የተሰረዙ: {count} አባል(ላት)
+{members}
+
+📊 የቀሩ ንቁ አባላት: {remaining}
+
+✅ ስልክ ቁጥር {phone} አሁን እንደገና መጠቀም ይቻላል
+💡 አሁን በዚህ ስልክ ቁጥር አዲስ አባል በADD መጨመር ይችላሉ`,
+        'remove.database_error': `❌ አባሉን ሲሰረዝ የዳታቤዝ ስህተት ተፈጥሯል።
+
+💡 ስህተት: {error}
+እባክዎ እንደገና ይሞክሩ ወይም የቴክኒክ ድጋፍን ያነጋግሩ።`,
+        'remove.system_error': `❌ አባሉን ሲወገድ የሲስተም ስህተት ተፈጥሯል።
+
+💡 የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል። እባክዎ ቆይተው እንደገና ይሞክሩ።`,
+
+        'cleanup.access_denied': '❌ ፈቃድ የለዎትም። የማጽዳት ሥራዎችን ማካሄድ የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'cleanup.phone_usage': `❌ አጠቃቀም: CLEANUP PHONE +1234567890
+💡 ይህ ያንን ስልክ ቁጥር ያላቸውን ሁሉንም አባላት ያስወግዳል`,
+        'cleanup.unknown': `❌ ያልታወቀ የማጽዳት ትዕዛዝ: {command}
+
+📋 ያሉ ትዕዛዞች:
+• CLEANUP STATUS - የማጽዳት ሁኔታን ያሳያል
+• CLEANUP DUPLICATES - ተደጋጋሚ ስልክ ቁጥሮችን ያስወግዳል
+• CLEANUP PHONE +1234567890 - ስልኩ ያላቸውን ሁሉንም አባላት ያስወግዳል
+• CLEANUP ORPHANED - ባለቤት የሌለውን መረጃ ያስወግዳል`,
+        'cleanup.failed': '❌ የማጽዳት ሥራው አልተሳካም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+        'cleanup.status': `🧹 የዳታቤዝ ማጽዳት ሁኔታ
+
+📊 ተደጋጋሚ ስልክ ቁጥሮች: {duplicates}
+👻 ንቁ ያልሆኑ አባላት: {inactive}
+📨 ባለቤት የሌላቸው መልዕክቶች: {orphaned}`,
+        'cleanup.duplicates_found': '⚠️ ተደጋጋሚዎች ተገኝተዋል:',
+        'cleanup.duplicate_line': '📱 {phone}: {count} ቅጂዎች',
+        'cleanup.and_more': '... እና {count} ተጨማሪ',
+        'cleanup.duplicates_hint': '💡 ለማስተካከል CLEANUP DUPLICATES ይጠቀሙ',
+        'cleanup.inactive_hint': `👻 {count} ንቁ ያልሆኑ አባላት ቦታ ይዘዋል
+💡 ለማስወገድ CLEANUP ORPHANED ይጠቀሙ`,
+        'cleanup.status_error': '❌ የማጽዳት ሁኔታን ሲፈተሽ ስህተት ተፈጥሯል',
+        'cleanup.no_duplicates': '✅ ተደጋጋሚ ስልክ ቁጥር አልተገኘም',
+        'cleanup.duplicates_header': '🧹 {count} ተደጋጋሚ ስልክ ቁጥሮች እየጸዱ ነው',
+        'cleanup.duplicate_kept': '📱 {phone}: {name} ይቀራል፣ {count} ይሰረዛል',
+        'cleanup.duplicates_done': `✅ ማጽዳቱ ተጠናቋል:
+🗑️ የተሰረዙ: {deleted} ተደጋጋሚዎች
+✅ የቀሩ: {kept} አባላት
+💡 ሁሉም ስልክ ቁጥሮች አሁን ልዩ ናቸው`,
+        'cleanup.duplicates_error': '❌ ተደጋጋሚዎችን ሲጸዱ ስህተት ተፈጥሯል: {error}',
+        'cleanup.invalid_phone': '❌ የተሳሳተ የስልክ ቁጥር: {phone}',
+        'cleanup.phone_not_found': '❌ ይህ ስልክ ያላቸው አባላት አልተገኙም: {phone}',
+        'cleanup.phone_done': `✅ የ{phone} መረጃ በሙሉ ተወግዷል
+
+🗑️ የተሰረዙ አባላት: {count}
+{members}
+
+✅ ስልክ ቁጥር {phone} አሁን ሙሉ በሙሉ ነጻ ነው
+💡 አሁን በዚህ ስልክ ቁጥር አዲስ አባል በADD መጨመር ይችላሉ`,
+        'cleanup.phone_error': '❌ ስልኩን ሲጸዳ ስህተት ተፈጥሯል: {error}',
+        'cleanup.orphaned_done': `🧹 ባለቤት የሌለው መረጃ ተጠርጓል
+
+👻 የተወገዱ ንቁ ያልሆኑ አባላት: {members}
+📨 የተወገዱ መልዕክቶች: {messages}
+📊 የተወገዱ የመላኪያ መዝገቦች: {deliveries}
+
+✅ ዳታቤዙ አሁን ንጹሕ ነው`,
+        'cleanup.orphaned_error': '❌ ባለቤት የሌለውን መረጃ ሲጸዳ ስህተት ተፈጥሯል: {error}',
+
+        'group.not_found': '❌ ቡድኑ አልተገኘም: {group}',
+        'group.keywords_hint': '💡 የቡድን ቁልፍ ቃላትን ለማየት GROUP LIST ይጠቀሙ',
+        'group.access_denied': '❌ ፈቃድ የለዎትም። ቡድኖችን ማስተዳደር የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'group.none': '❌ ምንም ቡድን አልተገኘም። ቡድኖችን ለማዘጋጀት setup.js ያሂዱ።',
+        'group.list_title': '👥 የቤተ ክርስቲያን ቡድኖች',
+        'group.list_line': '👤 {count} አባላት • ✍️ {policy} መላክ ይችላሉ',
+        'group.list_approval': '🛡️ ማጽደቅ',
+        'group.list_open': '🔓 ክፍት',
+        'group.list_hint': '💡 ለአንድ ቡድን ለመላክ "@KEYWORD መልዕክት" ይላኩ',
+        'group.policy_usage': `❌ አጠቃቀም: GROUP POLICY @KEYWORD EVERYONE|MEMBERS|ADMINS
+
+💡 ምሳሌ: GROUP POLICY @LEADERSHIP ADMINS`,
+        'group.unknown_policy': `❌ ያልታወቀ ደንብ: {policy}
+
+💡 EVERYONE፣ MEMBERS ወይም ADMINS ይጠቀሙ`,
+        'group.policy_updated': `✅ የ{group} የመላኪያ ደንብ ተቀይሯል
+✍️ አሁን {policy} ወደ @{keyword} መላክ ይችላሉ`,
+        'group.keyword_usage': `❌ አጠቃቀም: GROUP KEYWORD @KEYWORD NEWKEYWORD
+
+💡 ምሳሌ: GROUP KEYWORD @MEDIATEAM MEDIA`,
+        'group.invalid_keyword': `❌ የተሳሳተ ቁልፍ ቃል: {keyword}
+
+💡 ፊደላት፣ ቁጥሮች፣ - ወይም _ ብቻ ይጠቀሙ`,
+        'group.keyword_taken': '❌ ቁልፍ ቃሉ @{keyword} በሌላ ቡድን ተይዟል።',
+        'group.keyword_updated': `✅ የ{group} ቁልፍ ቃል ተቀይሯል
+💬 ወደዚህ ቡድን ለመላክ "@{keyword} መልዕክት" ይላኩ`,
+        'group.approval_usage': `❌ አጠቃቀም: GROUP APPROVAL @KEYWORD ON|OFF
+
+💡 ምሳሌ: GROUP APPROVAL @YOUTH ON`,
+        'group.approval_on': `🛡️ {group} አሁን ማጽደቅ ይፈልጋል
+📨 የአባላት መልዕክቶች ወደ @{keyword} አስተዳዳሪ እስኪያጸድቃቸው በPENDING ይቆያሉ`,
+        'group.approval_off': `✅ {group} ከእንግዲህ ማጽደቅ አይፈልግም
+✍️ {policy} በቀጥታ መላክ ይችላሉ`,
+        'group.open_usage': `❌ አጠቃቀም: GROUP OPEN @KEYWORD ON|OFF
+
+💡 ምሳሌ: GROUP OPEN @CHOIR ON`,
+        'group.open_on': `🔓 {group} አሁን ክፍት ነው
+👥 አባላት JOIN GROUP {group} / LEAVE GROUP {group} ማድረግ እና በGROUPS ስር ማየት ይችላሉ`,
+        'group.open_off': `🔒 {group} አሁን ዝግ ነው
+🔑 አባላቱን መቀየር የሚችሉት አስተዳዳሪዎች ብቻ ናቸው`,
+        'group.unknown': `❌ ያልታወቀ የቡድን ትዕዛዝ: {command}
+
+📋 ያሉ ትዕዛዞች:
+• GROUP LIST - ቡድኖችንና የመላኪያ ደንቦችን ያሳያል
+• GROUP POLICY @KEYWORD EVERYONE|MEMBERS|ADMINS - ማን መላክ እንደሚችል ይወስናል
+• GROUP KEYWORD @KEYWORD NEWKEYWORD - የ@ ቁልፍ ቃሉን ይቀይራል
+• GROUP APPROVAL @KEYWORD ON|OFF - የአባላት መልዕክቶች ማጽደቅ እንዲጠብቁ ያደርጋል
+• GROUP OPEN @KEYWORD ON|OFF - አባላት ራሳቸው JOIN GROUP / LEAVE GROUP እንዲያደርጉ ይፈቅዳል`,
+        'group.failed': '❌ የቡድን ሥራው አልተሳካም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'optouts.access_denied': '❌ ፈቃድ የለዎትም። የወጡ አባላትን ማየት የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'optouts.none': '✅ ምንም አባል ምዝገባውን አላቋረጠም።',
+        'optouts.title': '🚫 ምዝገባቸውን ያቋረጡ አባላት ({count})',
+        'optouts.line': '{keyword} በ{date}',
+        'optouts.unknown_date': 'ቀኑ አይታወቅም',
+        'optouts.more': '...እና {count} ተጨማሪ',
+        'optouts.hint': '💡 እንደገና መመዝገብ የሚችለው አባሉ ራሱ START በመላክ ብቻ ነው',
+        'optouts.failed': '❌ የወጡ አባላትን መጫን አልተቻለም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'approve.access_denied': '❌ ፈቃድ የለዎትም። መልዕክቶችን ማጽደቅ የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'approve.usage': `❌ አጠቃቀም: APPROVE <መለያ>
+
+💡 ማጽደቅ የሚጠብቁ መልዕክቶችን ለማየት PENDING ይጠቀሙ`,
+        'approve.not_found': '❌ {id} የሚል መለያ ያለው ማጽደቅ የሚጠብቅ መልዕክት የለም',
+        'approve.sender_gone': `❌ {name} ከእንግዲህ ንቁ አባል አይደሉም።
+
+💡 ለመሰረዝ REJECT {id} ይጠቀሙ`,
+        'approve.target_group': 'የተላከበት ቡድን',
+        'approve.group_gone': `❌ {group} ከእንግዲህ የለም።
+
+💡 ለመሰረዝ REJECT {id} ይጠቀሙ`,
+        'approve.not_allowed': `❌ {name} ከእንግዲህ ወደ {group} መላክ አይችሉም ({policy} ብቻ)።
+
+💡 ለመሰረዝ REJECT {id} ይጠቀሙ`,
+        'approve.already_reviewed': '❌ መልዕክት {id} አስቀድሞ ታይቷል ወይም ጊዜው አልፏል።',
+        'approve.done': `✅ ከ{name} የመጣው {id} ጸድቋል
+📡 አሁን ወደ {target} እየተላከ ነው`,
+        'approve.failed': '❌ ማጽደቁ አልተሳካም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'reject.access_denied': '❌ ፈቃድ የለዎትም። መልዕክቶችን ውድቅ ማድረግ የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'reject.usage': `❌ አጠቃቀም: REJECT <መለያ> <ምክንያት>
+
+💡 ምሳሌ: REJECT A1B2C3 እባክዎ የዝግጅቱን ዝርዝር ለቢሮ ይላኩ`,
+        'reject.done': `🗑️ ከ{name} የመጣው {id} ውድቅ ተደርጓል
+📨 {name} እንዲያውቁ ተደርጓል`,
+        'reject.done_with_reason': `🗑️ ከ{name} የመጣው {id} ውድቅ ተደርጓል
+📨 {name} ምክንያቱ ተነግሯቸዋል`,
+        'reject.failed': '❌ ውድቅ ማድረጉ አልተሳካም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'pending.access_denied': '❌ ፈቃድ የለዎትም። መልዕክቶችን መገምገም የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'pending.none': '✅ ማጽደቅ የሚጠብቅ መልዕክት ወይም የመቀላቀል ጥያቄ የለም።',
+        'pending.approvals_title': '🛡️ ማጽደቅ የሚጠብቁ ({count})',
+        'pending.approvals_hint': '💡 APPROVE <መለያ> ወይም REJECT <መለያ> ምክንያት',
+        'pending.joins_title': '🙋 የመቀላቀል ጥያቄዎች ({count})',
+        'pending.joins_hint': '💡 ACCEPT <መለያ> ወይም DECLINE <መለያ>',
+        'pending.failed': '❌ የሚጠባበቁ መልዕክቶችን መጫን አልተቻለም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'keyword.access_denied': '❌ ፈቃድ የለዎትም። ቁልፍ ቃላትን ማስተዳደር የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'keyword.unavailable': '❌ ዳታቤዙ አልተገናኘም - ቁልፍ ቃላት አሁን ሊቀየሩ አይችሉም።',
+        'keyword.commands': `📋 ያሉ ትዕዛዞች:
+• KEYWORD LIST
+• KEYWORD SET SERVICE የመልስ ጽሑፍ - መልዕክቱ በሙሉ SERVICE መሆን አለበት
+• KEYWORD SET SERVICE* የመልስ ጽሑፍ - "SERVICE times?" ጭምር
+• KEYWORD DELETE SERVICE`,
+        'keyword.none': '🔑 እስካሁን ምንም ቁልፍ ቃል የለም።',
+        'keyword.list_title': '🔑 ቁልፍ ቃላት ({count})',
+        'keyword.hits': '{count} ጊዜ',
+        'keyword.list_hint': '💡 * = በቁልፍ ቃሉ የሚጀምሩ ረጅም መልዕክቶችንም ይመልሳል',
+        'keyword.set_usage': `❌ አጠቃቀም: KEYWORD SET ቃል የመልስ ጽሑፍ (ፊደላትና አሃዞች፣ እስከ 20)
+
+💡 ምሳሌ: KEYWORD SET SERVICE የእሁድ አገልግሎት 4 ሰዓት ላይ ነው።`,
+        'keyword.reserved': '❌ {keyword} የሲስተም ትዕዛዝ ስለሆነ ቁልፍ ቃል ሊሆን አይችልም።',
+        'keyword.saved_exact': `✅ ቁልፍ ቃል {keyword} ተቀምጧል (ሙሉ ተዛማጅ)
+
+💡 አሁን {keyword} የሚልክ ሰው ከማሰራጨት ይልቅ ይህን መልስ ያገኛል`,
+        'keyword.saved_prefix': `✅ ቁልፍ ቃል {keyword} ተቀምጧል (መጀመሪያ ተዛማጅ)
+
+💡 አሁን {keyword} ... የሚልክ ሰው ከማሰራጨት ይልቅ ይህን መልስ ያገኛል`,
+        'keyword.delete_usage': '❌ አጠቃቀም: KEYWORD DELETE ቃል',
+        'keyword.not_found': `❌ ቁልፍ ቃሉ አልተገኘም: {keyword}
+
+💡 ቁልፍ ቃላትን ለማየት KEYWORD LIST ይጠቀሙ`,
+        'keyword.deleted': '🗑️ ቁልፍ ቃል {keyword} ተሰርዟል።',
+        'keyword.unknown': '❌ ያልታወቀ የቁልፍ ቃል ትዕዛዝ: {command}',
+        'keyword.failed': '❌ የቁልፍ ቃል ሥራው አልተሳካም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'schedule.access_denied': '❌ ፈቃድ የለዎትም። መልዕክቶችን ቀጠሮ ማስያዝ የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'schedule.invalid_format': '❌ ትክክል ያልሆነ ቅርጸት።',
+        'schedule.usage': `ይጠቀሙ: SCHEDULE <መቼ> <መልዕክት>
+
+💡 ምሳሌዎች:
+• SCHEDULE SUNDAY 9AM አገልግሎቱ 4 ሰዓት ይጀምራል!
+• SCHEDULE TOMORROW 6:30PM የዛሬ ምሽት የመጽሐፍ ቅዱስ ጥናት
+• SCHEDULE 2025-12-24 17:00 የገና ዋዜማ አገልግሎት
+• SCHEDULE +2H በሁለት ሰዓት ውስጥ ማሳሰቢያ`,
+        'schedule.message_required': '❌ የመልዕክት ጽሑፍ ያስፈልጋል።',
+        'schedule.in_past': '❌ የቀጠሮው ጊዜ {time} ያለፈ ነው።',
+        'schedule.unavailable': '❌ ዳታቤዙ አልተገናኘም - የቀጠሮ መልዕክቶች አሁን ሊቀመጡ አይችሉም።',
+        'schedule.created': `⏰ መልዕክቱ ቀጠሮ ተይዞለታል!
+🆔 መለያ: {id}
+📅 መቼ: {time}
+💬 "{preview}"
+
+💡 ለመሰረዝ: SCHEDULED CANCEL {id}`,
+        'schedule.failed': `❌ መልዕክቱን ቀጠሮ ሲያስይዝ የሲስተም ስህተት ተፈጥሯል።
+
+💡 የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።`,
+
+        'scheduled.access_denied': '❌ ፈቃድ የለዎትም። የቀጠሮ መልዕክቶችን ማስተዳደር የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'scheduled.none': `📭 ምንም የቀጠሮ መልዕክት የለም።
+
+💡 ይጠቀሙ: SCHEDULE SUNDAY 9AM መልዕክት`,
+        'scheduled.list_title': '⏰ የቀጠሮ መልዕክቶች ({count})',
+        'scheduled.list_hint': '💡 ለመሰረዝ: SCHEDULED CANCEL <መለያ>',
+        'scheduled.cancel_usage': `❌ አጠቃቀም: SCHEDULED CANCEL <መለያ>
+
+💡 መለያዎችን ለማየት SCHEDULED LIST ይጠቀሙ`,
+        'scheduled.not_found': '❌ መለያው {id} የሆነ የቀጠሮ መልዕክት አልተገኘም',
+        'scheduled.not_cancellable': '❌ መልዕክት {id} ሊሰረዝ አይችልም (ሁኔታ: {status})',
+        'scheduled.cancelled': `🗑️ የቀጠሮ መልዕክት {id} ተሰርዟል።
+📅 የተያዘለት ጊዜ: {time}`,
+        'scheduled.unknown': `❌ ያልታወቀ የቀጠሮ ትዕዛዝ: {command}
+
+📋 ያሉ ትዕዛዞች:
+• SCHEDULED LIST - የሚመጡ መልዕክቶችን ያሳያል
+• SCHEDULED CANCEL <መለያ> - የቀጠሮ መልዕክት ይሰርዛል`,
+        'scheduled.failed': '❌ የቀጠሮ መልዕክቶችን ሲያስተዳድር ስህተት ተፈጥሯል። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'paused.access_denied': '❌ ፈቃድ የለዎትም። የቆሙ አባላትን ማየት የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'paused.none': '✅ የቆመ አባል የለም።',
+        'paused.title': '⏸️ የቆሙ አባላት ({count})',
+        'paused.line': `• {name} {phone}
+   እስከ {date}`,
+        'paused.more': '...እና ሌሎች {count}',
+        'paused.hint': '💡 ማቆምን ቀደም ብሎ ለማብቃት RESUME +1234567890',
+        'paused.failed': '❌ የቆሙ አባላትን መጫን አልተቻለም። የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።',
+
+        'demote.access_denied': '❌ ፈቃድ የለዎትም። ሌሎች አስተዳዳሪዎችን ዝቅ ማድረግ የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'demote.usage': `❌ የተሳሳተ አጻጻፍ። እንዲህ ይጠቀሙ: DEMOTE +1234567890 [የአስተዳዳሪ ስም]
+
+💡 ይህ:
+• የአስተዳዳሪ ፈቃዶችን ከአባሉ ያነሳል
+• ወደ መደበኛ የምዕመን አባል ይቀይራል
+• አባልነቱን ይዞ የአስተዳዳሪ መዳረሻውን ያነሳል`,
+        'demote.unrecognized': '❌ ትዕዛዙ አልታወቀም። እንዲህ ይጠቀሙ: DEMOTE +1234567890 [የአስተዳዳሪ ስም]',
+        'demote.invalid_phone': `❌ የተሳሳተ የስልክ ቁጥር ቅርጸት: {phone}።
+💡 ይህን ቅርጸት ይጠቀሙ: +1234567890`,
+        'demote.self': `❌ ራስዎን ዝቅ ማድረግ አይችሉም።
+
+💡 የአስተዳዳሪ ፈቃድዎን ለማንሳት ሌላ አስተዳዳሪ ያነጋግሩ።`,
+        'demote.not_found': `❌ ስልክ ቁጥሩ {phone} የሆነ አባል አልተገኘም
+
+💡 ስልክ ቁጥሩን አረጋግጠው እንደገና ይሞክሩ።`,
+        'demote.no_groups': 'ምንም ቡድን የለም',
+        'demote.not_admin': `❌ {name} አስተዳዳሪ አይደሉም!
+
+📊 የአሁኑ ሁኔታ:
+👤 ስም: {name}
+📱 ስልክ: {phone}
+🔑 አስተዳዳሪ: አይደሉም
+🏛️ ቡድኖች: {groups}
+
+💡 ዝቅ ሊደረጉ የሚችሉት አስተዳዳሪዎች ብቻ ናቸው።`,
+        'demote.name_mismatch': `❌ የስም ማረጋገጫው አልተሳካም!
+📱 ስልክ: {phone}
+💾 የተገኘው አስተዳዳሪ: {found}
+✏️ ያስገቡት: {input}
+
+💡 ትክክለኛውን ስም ወይም ስልክ ቁጥሩን ብቻ ይጠቀሙ።`,
+        'demote.success': `🔻 አስተዳዳሪው ዝቅ ተደርጓል!
+
+👤 ስም: {name}
+📱 ስልክ: {phone}
+🔑 ሁኔታ: መደበኛ አባል (ዝቅ የተደረገ)
+🏛️ ቡድኖች: ነባር ቡድኖች ተይዘዋል
+📊 ጠቅላላ አስተዳዳሪዎች: {admins}
+📊 ጠቅላላ አባላት: {members}
+
+❌ የተነሱ የአስተዳዳሪ ፈቃዶች:
+• አባላትን በADD መጨመር አይችሉም
+• አባላትን በREMOVE ማስወገድ አይችሉም
+• ADMIN/DEMOTE መጠቀም አይችሉም
+• ዳታቤዙን በWIPE ማጥፋት አይችሉም
+• CLEANUP ሥራዎችን ማከናወን አይችሉም
+• የአስተዳዳሪ መዳረሻ የለም
+
+✅ አሁንም ንቁ የምዕመን አባል ናቸው`,
+        'demote.sms_sent': '📩 የዝቅታ ማሳወቂያ መልዕክት በተሳካ ሁኔታ ተልኳል',
+        'demote.sms_failed': '⚠️ የዝቅታ ማሳወቂያ መልዕክት አልተላከም: {error}',
+        'demote.failed': `❌ {name}ን ከአስተዳዳሪነት ዝቅ ማድረግ አልተቻለም።
+
+💡 ስህተት: {error}`,
+        'demote.system_error': `❌ አስተዳዳሪውን ዝቅ ሲያደርግ የሲስተም ስህተት ተፈጥሯል።
+
+💡 የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።`,
+
+        'wipe.access_denied': '❌ ፈቃድ የለዎትም። WIPE ማከናወን የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'wipe.warning': `🚨 የWIPE ትዕዛዝ - ቋሚ የመረጃ ጥፋት
+
+⚠️ ይህ ሁሉንም መረጃ በቋሚነት ይሰርዛል:
+• ሁሉንም የምዕመን አባላት
+• ሁሉንም የተሰራጩ መልዕክቶች
+• ሁሉንም የሚዲያ ፋይሎች
+• ሁሉንም የማድረሻ መዝገቦች
+• ሁሉንም የትንታኔ መረጃ
+• ሁሉንም የአፈጻጸም መለኪያዎች
+• የዳታቤዙን ይዘት በሙሉ
+
+🔥 ይህ ሊቀለበስ አይችልም!
+
+ለመቀጠል ይላኩ: WIPE CONFIRM
+
+⚠️ ሲስተሙን ሙሉ በሙሉ እንደገና ለማስጀመር ብቻ ይጠቀሙ`,
+        'wipe.report': `🚨 የዳታቤዝ ማጥፋቱ ተጠናቋል
+
+🔥 የቋሚ ስረዛ ማጠቃለያ:
+👥 የተሰረዙ አባላት: {members}
+🏛️ የተሰረዙ ቡድኖች: {groups}
+📨 የተሰረዙ መልዕክቶች: {messages}
+📎 የተሰረዙ የሚዲያ ፋይሎች: {mediaFiles}
+📊 የተሰረዙ የማድረሻ መዝገቦች: {deliveryLogs}
+📈 የተሰረዙ ትንታኔዎች: {analytics}
+⚡ የተሰረዙ የአፈጻጸም መለኪያዎች: {performanceMetrics}
+
+📊 ጠቅላላ የተሰረዙ መዝገቦች: {total}
+⏱️ ሥራው የፈጀው ጊዜ: {seconds} ሰከንድ`,
+        'wipe.empty': `✅ ዳታቤዙ አሁን ሙሉ በሙሉ ባዶ ነው
+💡 ሲስተሙን እንደገና ለማስጀመር setup.js ያስኪዱ
+💡 የምዕመን አባላትን በsetup ስክሪፕት ይጨምሩ`,
+        'wipe.remaining': `⚠️ ማስጠንቀቂያ: {count} መዝገቦች ቀርተዋል
+💡 አንዳንድ ስብስቦች ሙሉ በሙሉ ላይጠፉ ይችላሉ`,
+        'wipe.failed': `❌ የዳታቤዝ ማጥፋቱ አልተሳካም: {error}
+
+💡 የዳታቤዝ ግንኙነትና ፈቃዶችን ያረጋግጡ`,
+        'wipe.system_error': `❌ በማጥፋቱ ሂደት የሲስተም ስህተት ተፈጥሯል።
+
+💡 ለዝርዝር የስህተት መረጃ የሲስተም መዝገቦችን ይመልከቱ።`,
+
+        'admin.access_denied': '❌ ፈቃድ የለዎትም። የአስተዳዳሪ ፈቃዶችን ማስተዳደር የሚችሉት የቤተ ክርስቲያን አስተዳዳሪዎች ብቻ ናቸው።',
+        'admin.usage': `❌ የተሳሳተ አጻጻፍ። እንዲህ ይጠቀሙ: ADMIN +1234567890 የአስተዳዳሪ ስም
+
+💡 ይህ:
+• ሰውየውን እንደ አዲስ አስተዳዳሪ ይጨምራል
+• ሙሉ የአስተዳደር ቁጥጥር ይሰጣል
+• ሁሉንም የአስተዳዳሪ ትዕዛዞች ያስችላል (ADD, REMOVE, WIPE, CLEANUP)`,
+        'admin.unrecognized': '❌ ትዕዛዙ አልታወቀም። እንዲህ ይጠቀሙ: ADMIN +1234567890 የአስተዳዳሪ ስም',
+        'admin.name_required': '❌ የአስተዳዳሪ ስም ያስፈልጋል። እንዲህ ይጠቀሙ: ADMIN +1234567890 የአስተዳዳሪ ስም',
+        'admin.invalid_phone': `❌ የተሳሳተ የስልክ ቁጥር ቅርጸት: {phone}።
+💡 ይህን ቅርጸት ይጠቀሙ: +1234567890`,
+        'admin.self': `❌ የራስዎን የአስተዳዳሪ ሁኔታ መቀየር አይችሉም።
+
+💡 ፈቃዶችዎን መቀየር ከፈለጉ ሌላ አስተዳዳሪ ያነጋግሩ።`,
+        'admin.already_admin': `❌ {name} አስቀድመው አስተዳዳሪ ናቸው!
+
+📊 የአሁኑ ሁኔታ:
+👤 ስም: {name}
+📱 ስልክ: {phone}
+🔑 አስተዳዳሪ: አዎ
+🏛️ ቡድኖች: {groups}
+📊 የተላኩ መልዕክቶች: {messages}`,
+        'admin.promoted': `🔑 ወደ አስተዳዳሪነት ከፍ ተደርገዋል!
+
+👤 ስም: {name}
+📱 ስልክ: {phone}
+🔑 ሁኔታ: አስተዳዳሪ (ከፍ የተደረጉ)
+🏛️ ቡድን: የቤተ ክርስቲያን አመራር
+📊 ጠቅላላ አስተዳዳሪዎች: {admins}
+📊 ጠቅላላ አባላት: {members}
+
+✅ ሙሉ የአስተዳዳሪ ፈቃዶች ተሰጥተዋል:
+• ADD - አዲስ የምዕመን አባላትን መጨመር
+• REMOVE - አባላትን ከሲስተሙ ማስወገድ
+• ADMIN - የአስተዳዳሪ ፈቃዶችን ማስተዳደር
+• WIPE - የአደጋ ጊዜ የዳታቤዝ ማጥፋት
+• CLEANUP - የዳታቤዝ ጥገና
+• የሁሉም የአስተዳዳሪ መዳረሻዎች`,
+        'admin.promotion_sms_sent': '📩 የአስተዳዳሪነት ማሳወቂያ መልዕክት በተሳካ ሁኔታ ተልኳል',
+        'admin.promotion_sms_failed': '⚠️ የአስተዳዳሪነት ማሳወቂያ መልዕክት አልተላከም: {error}',
+        'admin.promotion_failed': `❌ {name}ን ወደ አስተዳዳሪነት ከፍ ማድረግ አልተቻለም።
+
+💡 ስህተት: {error}`,
+        'admin.no_leadership_group': '❌ የቤተ ክርስቲያን አመራር ቡድን አልተገኘም። ቡድኖችን ለማዘጋጀት setup.js ያስኪዱ።',
+        'admin.created': `🔑 አዲስ አስተዳዳሪ በተሳካ ሁኔታ ተፈጥሯል!
+
+👤 ስም: {name}
+📱 ስልክ: {phone}
+🔑 ሁኔታ: አስተዳዳሪ (አዲስ)
+🏛️ ቡድን: የቤተ ክርስቲያን አመራር
+📊 ጠቅላላ አስተዳዳሪዎች: {admins}
+📊 ጠቅላላ አባላት: {members}
+
+✅ ሙሉ የአስተዳዳሪ ፈቃዶች ተሰጥተዋል:
+• ADD - አዲስ የምዕመን አባላትን መጨመር
+• REMOVE - አባላትን ከሲስተሙ ማስወገድ
+• ADMIN - የአስተዳዳሪ ፈቃዶችን ማስተዳደር
+• WIPE - የአደጋ ጊዜ የዳታቤዝ ማጥፋት
+• CLEANUP - የዳታቤዝ ጥገና
+• የሁሉም የአስተዳዳሪ መዳረሻዎች`,
+        'admin.welcome_sms_sent': '📩 የአስተዳዳሪ እንኳን ደህና መጡ መልዕክት በተሳካ ሁኔታ ተልኳል',
+        'admin.welcome_sms_failed': '⚠️ የአስተዳዳሪ እንኳን ደህና መጡ መልዕክት አልተላከም: {error}',
+        'admin.duplicate_phone': `❌ ስልክ ቁጥሩ አስቀድሞ በዳታቤዙ ውስጥ አለ!
+📱 ቁጥር: {phone}
+💡 ሌላ ስልክ ቁጥር ይጠቀሙ ወይም ነባር አባላትን ያረጋግጡ።`,
+        'admin.database_error': '❌ የዳታቤዝ ስህተት: አስተዳዳሪውን መፍጠር አልተቻለም። እባክዎ እንደገና ይሞክሩ ወይም የቴክኒክ ድጋፍን ያነጋግሩ።',
+        'admin.already_exists': '❌ በዚህ ስልክ ቁጥር አስተዳዳሪ አስቀድሞ በሲስተሙ ውስጥ አለ።',
+        'admin.system_error': `❌ የአስተዳዳሪ ፈቃዶችን ሲያስተዳድር የሲስተም ስህተት ተፈጥሯል።
+
+💡 የቴክኒክ ቡድኑ እንዲያውቅ ተደርጓል።`,
+
+        'reaction.access_denied': '❌ ፈቃድ የለዎትም። የREACTION ትዕዛዞችን መጠቀም የሚችሉት አስተዳዳሪዎች ብቻ ናቸው።',
+        'reaction.unknown': `❌ ያልታወቀ የግብረ-መልስ ትዕዛዝ: {command}
+
+ያሉ ትዕዛዞች:
+• REACTION STATUS
+• REACTION SEND
+• REACTION STATS`,
+        'reaction.failed': '❌ የግብረ-መልስ ትዕዛዙን ሲያከናውን ስህተት ተፈጥሯል',
+        'reaction.status': `📊 የግብረ-መልስ ሲስተም ሁኔታ
+
+📅 ዛሬ ({date}):
+🔇 በመጠባበቅ ላይ ያሉ ግብረ-መልሶች: {count}
+🕒 ቀጣይ ማጠቃለያ: በየቀኑ ምሽት 2:00 ({timeZone})
+✅ ጸጥ ያለ መለያ: ንቁ
+📱 ሲስተም: በሥራ ላይ
+
+💡 ሲስተሙን ለመሞከር እንደ ❤️😂👍 ያሉ ግብረ-መልሶችን ይላኩ!`,
+        'reaction.status_failed': '❌ የግብረ-መልስ ሁኔታን ሲያመጣ ስህተት ተፈጥሯል',
+        'reaction.send_pending': `✅ የዕለታዊ ግብረ-መልስ ማጠቃለያ ባህሪ በዝግጅት ላይ ነው።
+
+📊 ለአሁን ግብረ-መልሶች በጸጥታ እየተሰበሰቡ ነው።
+
+🔜 ሙሉ የምሽት 2 ሰዓት ማጠቃለያዎች በቅርቡ ይመጣሉ!`,
+        'reaction.send_failed': '❌ የግብረ-መልስ ማጠቃለያውን ሲልክ ስህተት ተፈጥሯል',
+        'reaction.stats': `📊 የግብረ-መልስ ስታቲስቲክስ (ያለፉት 7 ቀናት)
+
+📈 የተገኙ ጠቅላላ ግብረ-መልሶች: {total}
+🔇 ሁሉም ግብረ-መልሶች በጸጥታ ተቀምጠዋል
+📅 የዕለት አማካይ: {average}
+✅ ሲስተሙ በትክክል እየሰራ ነው
+
+💡 ግብረ-መልሶች ለወደፊት የምሽት 2 ሰዓት ማጠቃለያዎች ቀኑን ሙሉ ይሰበሰባሉ!`,
+        'reaction.stats_failed': '❌ የግብረ-መልስ ስታቲስቲክስን ሲያመጣ ስህተት ተፈጥሯል'
+    },
+
+    ti: {
+        'common.everyone': 'ኩሉ',
+        'common.none': 'የለን',
+        'common.active': 'ንጡፍ',
+        'common.inactive': 'ዘይንጡፍ',
+        'common.no_groups': 'ጉጅለ የለን',
+
+        'help.header': `📋 ትእዛዛት {churchName}
+═══════════════════════════════
+
+👥 {memberCount} ኣባላት • {phone}`,
+        'help.basic': `💬 ኣጠቓቕማ:
+• ዝኾነ መልእኽቲ ስደዱ → ንኹሉ ይበጽሕ
+• ድሕሪ ሓደ መልእኽቲ ብቕጽበት ዝሰደድኩምዎ ንሰዳዲኡ ጥራይ ይበጽሕ
+• ANNOUNCE መልእኽቲ → ኩሉ ግዜ ንኹሉ ይለኣኽ
+• REPLY መልእኽቲ → ንሰዳዲ ናይ መወዳእታ መልእኽቲ ብውልቂ ይምልስ
+• @GROUP መልእኽቲ → ንሓደ ጉጅለ ጥራይ ይለኣኽ
+• ስእልታትን ቪድዮታትን ብናጻ ኣካፍሉ
+• ግብረ-መልሲ: ❤️😂👍🙏 (ብህድኣት ይምዝገብ)`,
+        'help.commands': `📱 ትእዛዛት:
+• HELP - ነዚ መልእኽቲ የርኢ
+• LANGUAGE - English, አማርኛ, ትግርኛ
+• UNDO / CORRECT ጽሑፍ - ናይ መወዳእታ መልእኽትኹም ሰርዙ ወይ ኣርሙ
+• YES / NO / MAYBE - ንናይ ቀረባ ፍጻመ መልሲ ሃቡ
+• PRAY ሕቶ - ብሕቡእ ናይ ጸሎት ሕቶ (ስምኩም ንምሕባእ PRAY ANON)
+• DIGEST ON / OFF - መዓልታዊ ሓደ ጽማቕ መልእኽቲ
+• PAUSE 14 / RESUME - መልእኽትታት ንቑሩብ መዓልታት ኣቋርጹ
+• STOP - ምዝገባ ንምቁራጽ • START - ዳግማይ ንምምዝጋብ`,
+        'help.self_service': `👤 ናይ ባዕልኹም ሓበሬታ:
+• MYINFO - ሽምኩም፣ ጉጅለታትኩምን ኩነታትኩምን
+• MYNAME ሓድሽ ሽም - ሽምኩም ቀይሩ
+• GROUPS - ክትጽንበርዎም እትኽእሉ ጉጅለታት
+• JOIN GROUP ሽም / LEAVE GROUP ሽም`,
+        'help.admin': `🔑 ትእዛዛት ኣመሓደርቲ:
+• ADD +1234567890 ሽም - ሓድሽ ኣባል ወስኹ
+• REMOVE +1234567890 ሽም - ኣባል ኣውጽኡ
+• ADMIN +1234567890 ሽም - መሰል ኣመሓዳሪ ሃቡ
+• DEMOTE +1234567890 ሽም - መሰል ኣመሓዳሪ ኣልዕሉ
+• URGENT መልእኽቲ - ኣብ ግዜ ህድኣት እውን ሕጂ ስደዱ
+• OPTOUTS - STOP ዝመለሱ ኣባላት
+• PAUSE +1234567890 14 / RESUME +1234567890
+• PAUSED - መልእኽትታት ዘቋረጹ ኣባላት
+• GROUP LIST - ጉጅለታትን ፍቓድ ምልኣኽን
+• GROUP POLICY @KEYWORD ADMINS - መን ክሰድድ ይኽእል
+• GROUP APPROVAL @KEYWORD ON - መልእኽቲ ኣባላት ምጽዳቕ ይጽበ
+• GROUP OPEN @KEYWORD ON - ኣባላት ባዕላቶም ይጽንበሩ/ይወጹ
+• PENDING - ምጽዳቕ ዝጽበዩ መልእኽትታት
+• APPROVE id / REJECT id ምኽንያት
+• POLL ሕቶ | እወ | ኣይፋል - ናይ ምርጫ ሕቶ
+• POLL RESULTS / POLL CLOSE
+• EVENT SAT 6PM ኣርእስቲ | ቦታ - ዕድመን መልስን
+• EVENT LIST / RSVPS id / CANCEL id
+• PRAYER LIST / PRAYER DIGEST
+• KEYWORD SET WORD reply / LIST / DELETE
+• ACCEPT id / DECLINE id - ሕቶታት ኣባልነት
+• SCHEDULE SUNDAY 9AM መልእኽቲ - ጸኒሑ ስደዱ
+• SCHEDULED LIST / SCHEDULED CANCEL id
+• TEMPLATE LIST / SAVE ሽም ጽሑፍ / SEND ሽም
+• REACTION STATUS
+• REACTION SEND
+• REACTION STATS
+• CLEANUP STATUS - ምርመራ ጥዕና ዳታቤዝ
+• WIPE CONFIRM - ህጹጽ ምጽራይ ዳታቤዝ`,
+        'help.footer': '💚 {churchName} • ኣገልግሎት SMS ቤተ ክርስቲያን',
+        'help.fallback': `📋 {churchName}
+
+📱 ትእዛዝ: HELP
+💬 ንኹሉ ንምልኣኽ ዝኾነ ጽሓፉ
+🔇 ብ❤️😂👍🙏 መልሲ ሃቡ
+
+💚 {churchName}`,
+
+        'language.current': `🌐 ቋንቋኹም: {language}
+
+💡 ንምቕያር እዚ ስደዱ:
+{options}`,
+        'language.updated': '✅ ቋንቋኹም ናብ ትግርኛ ተቐይሩ። ትእዛዛት ንምርኣይ HELP ስደዱ።',
+        'language.unknown': `❌ ዘይፍለጥ ቋንቋ: {input}
+
+💡 እዚ ስደዱ:
+{options}`,
+
+        'optout.confirmed': '{churchName}: ምዝገባኹም ተሰሪዙ፤ ካብ ሕጂ ንደሓር መልእኽቲ ኣይበጽሓኩምን እዩ። ዳግማይ ንምምዝጋብ START ስደዱ።',
+        'optin.already': '✅ ድሮ ንመልእኽትታት {churchName} ተመዝጊብኩም ኣለኹም። ንትእዛዛት HELP ስደዱ።',
+        'optin.confirmed': '{churchName}: ዳግማይ ተመዝጊብኩም፤ መልእኽትታት ቤተ ክርስቲያን ክበጽሓኩም እዩ። ንሓገዝ HELP፣ ንምቁራጽ STOP ስደዱ።',
+
+        'broadcast.unknown_group': `❌ ዘይፍለጥ ጉጅለ: @{keyword}
+
+📋 ዘለዉ ጉጅለታት: {keywords}
+
+💡 መልእኽትኹም ኣይተላእከን።`,
+        'broadcast.admins_only': `❌ ናብ {group} ክሰዱ ዝኽእሉ ኣመሓደርቲ ጥራይ እዮም።
+
+💡 መልእኽትኹም ኣይተላእከን።`,
+        'broadcast.members_only': `❌ ናብ {group} ክሰዱ ዝኽእሉ ኣባላት እቲ ጉጅለ ጥራይ እዮም።
+
+💡 መልእኽትኹም ኣይተላእከን።`,
+        'broadcast.no_group_members': 'ኣብ {group} ካልኦት ንጡፋት ኣባላት ኣይተረኽቡን።',
+
+        'reply.no_recent': `❌ ዝምለሰሉ ናይ ቀረባ ግዜ መልእኽቲ የለን።
+
+💡 መልእኽትኹም ኣይተላእከን። ንኹሉ ንምልኣኽ ብANNOUNCE ጀምሩ።`,
+        'reply.empty': `❌ መልስኹም ባዶ እዩ።
+
+💡 ኣብነት: REPLY ወናብር ከምጽእ እየ`,
+        'reply.unavailable': '❌ {name} ካብ ሕጂ መልእኽቲ ክቕበሉ ስለዘይክእሉ መልስኹም ኣይተላእከን።',
+        'reply.relayed': `↩️ {name} ({phone}) ን"{snippet}" መለሱ:
+
+{body}`,
+        'reply.no_text': '[ጽሑፍ የለን]',
+        'reply.attachments_not_forwarded': '📎 {count} ተተሓሒዙ ዝነበረ ፋይል ኣይተሰጋገረን',
+        'reply.sent': `✅ መልስኹም ብውልቂ ናብ {name} ተላኢኹ።
+
+💡 ንኹሉ ንምልኣኽ ብANNOUNCE ጀምሩ።`,
+        'reply.failed': '❌ መልስኹም ክበጽሕ ኣይከኣለን። በጃኹም እንደገና ፈትኑ።',
+
+        'moderation.unavailable': '❌ መልእኽትኹም ሕጂ ንምጽዳቕ ክቐርብ ኣይከኣለን። በጃኹም ጸኒሕኩም እንደገና ፈትኑ።',
+        'moderation.waiting': `⏳ ናብ {target} ዝሰደድኩምዎ መልእኽቲ ምጽዳቕ ኣመሓዳሪ ይጽበ ኣሎ።
+
+💡 ምስ ተራእየ መልእኽቲ ክበጽሓኩም እዩ።`,
+        'moderation.failed': '❌ መልእኽትኹም ንምጽዳቕ ክቐርብ ኣይከኣለን። በጃኹም ጸኒሕኩም እንደገና ፈትኑ።',
+        'moderation.approved': '✅ መልእኽትኹም ብ{admin} ጸዲቑ ናብ {target} ይለኣኽ ኣሎ።',
+        'moderation.rejected': '❌ "{preview}" ዝብል መልእኽትኹም ብ{admin} ኣይጸደቐን፤ ኣይተላእከን።',
+        'moderation.reason': '📝 ምኽንያት: {reason}',
+        'moderation.expired': `⌛ "{preview}" ዝብል መልእኽትኹም ኣብ ውሽጢ {hours} ሰዓት ስለዘይተራእየ ኣይተላእከን።
+
+💡 በጃኹም እንደገና ስደድዎ ወይ ኣመሓዳሪ ቤተ ክርስቲያን ተወከሱ።`,
+        'moderation.admin_notice': `🛡️ ምጽዳቕ የድሊ • {id}
+👤 {sender} → {target} ({count} ኣባላት)
+💬 "{preview}"`,
+        'moderation.admin_notice_media': '📎 {count} ተተሓሓዚ(ታት)',
+        'moderation.admin_notice_actions': `✅ APPROVE {id}
+❌ REJECT {id} ምኽንያት
+⌛ ኣብ {hours} ሰዓት ግዜኡ ይሓልፍ`,
+
+        'undo.holding': '⏳ ናብ {target} ዝለኣኽኩምዎ መልእኽቲ ኣብ {seconds} ካልኢት ክለኣኽ እዩ። ንምስራዝ UNDO ኢልኩም መልሱ።',
+        'undo.cancelled': '↩️ ተሰሪዙ - ናብ {target} ዝለኣኽኩምዎ መልእኽቲ ኣይተላእከን።',
+        'undo.nothing': `❌ ዝስረዝ መልእኽቲ የለን - እቲ ናይ መወዳእታ መልእኽትኹም ድሮ ተላኢኹ እዩ።
+
+💡 እርማት ንምልኣኽ CORRECT ኢልኩም ቅኑዕ ጽሑፍ ስደዱ።`,
+        'correct.none': '❌ ኣብ ዝሓለፉ {hours} ሰዓታት ዝእረም መልእኽቲ የብልኩምን።',
+        'correct.empty': `❌ ዝተኣረመ ጽሑፍ ወስኹ።
+
+💡 ኣብነት: CORRECT ኣኼባ ኣብ 6 ሰዓት እዩ፣ ኣብ 5 ኣይኮነን`,
+        'correct.no_recipients': '❌ መልእኽትኹም ዝተቐበሉ ሰባት ሕጂ እርማት ክቕበሉ ኣይክእሉን።',
+        'correct.sent': '✅ እርማት ናብ "{preview}" ዝተቐበሉ {count} ሰባት ይለኣኽ ኣሎ።',
+        'correct.failed': '❌ እርማትኩም ክለኣኽ ኣይከኣለን። በጃኹም እንደገና ፈትኑ።',
+
+        'poll.vote_recorded': '🗳️ የቐንየልና! ን{option} ዝሃብኩምዎ ድምጺ ተቖጺሩ።',
+        'poll.vote_changed': '🗳️ ድምጽኹም ናብ {option} ተቐይሩ።',
+        'poll.invalid_choice': '❌ ድምጺ ንምሃብ ካብ 1 ክሳብ {max} ዘሎ ቁጽሪ ስደዱ።',
+        'poll.vote_failed': '❌ ድምጽኹም ክዕቀብ ኣይከኣለን። በጃኹም እንደገና ፈትኑ።',
+        'poll.access_denied': '❌ ፍቓድ የብልኩምን። ምርጫ ከካይዱ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'poll.commands': `📋 ዘለዉ ትእዛዛት:
+• POLL ሕቶ | ምርጫ 1 | ምርጫ 2
+• POLL @GROUP ሕቶ | ምርጫ 1 | ምርጫ 2
+• POLL RESULTS
+• POLL CLOSE`,
+        'poll.none_open': `ℹ️ ዝዕጾ ክፉት ምርጫ የለን።
+
+💡 POLL RESULTS ነቲ ናይ መወዳእታ የርኢ`,
+        'poll.none': 'ℹ️ ክሳብ ሕጂ ዝኾነ ምርጫ የለን።',
+        'poll.usage': `❌ ምርጫ ሕቶን እንተወሓደ 2 ኣማራጺታትን የድልዮ።
+
+💡 ኣብነት: POLL ቀዳም ክትመጹ ዲኹም? | እወ | ኣይፋል | ምናልባት`,
+        'poll.too_many_options': '❌ ምርጫ እንተበዝሐ {max} ኣማራጺታት ክህልዎ ይኽእል - ኣባላት ብሓደ ኣሃዝ ይመርጹ።',
+        'poll.question_required': `❌ ምርጫ ሕቶ የድልዮ።
+
+💡 ኣብነት: POLL @{keyword} ቀዳም ክትመጹ ዲኹም? | እወ | ኣይፋል`,
+        'poll.opened': '📊 ምርጫ ብ{count} ኣማራጺታት ተኸፊቱ',
+        'poll.previous_closed': '🔒 እቲ ዝሓለፈ ምርጫ ተዓጽዩ',
+        'poll.opened_hint': '💡 ድምጽታት ንምርኣይ POLL RESULTS፣ ድምጺ ምሃብ ንምቁራጽ POLL CLOSE',
+        'poll.failed': '❌ ስራሕ ምርጫ ኣይሰለጠን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+        'poll.results_open': '📊 ውጽኢት ምርጫ (ክፉት)',
+        'poll.results_closed': '📊 ውጽኢት ምርጫ (ተዓጽዩ)',
+        'poll.votes': '🗳️ {count} ድምጺ',
+
+        'event.rsvp_yes': '✅ ክንራኸብ ኢና! ን{title} ({when}) "እወ" ኢልኩም።',
+        'event.rsvp_no': '👍 ስለዘፍለጥኩምና የቐንየልና - ን{title} ({when}) "ኣይፋል" ኢልኩም።',
+        'event.rsvp_maybe': '🤔 ተመዝጊቡ - ን{title} ({when}) "ምናልባት" ኢልኩም።',
+        'event.not_found': '❌ {code} ዝብል ኮድ ዘለዎ ዝመጽእ ፍጻመ የለን።',
+        'event.rsvp_failed': '❌ መልስኹም ክዕቀብ ኣይከኣለን። በጃኹም እንደገና ፈትኑ።',
+        'event.access_denied': '❌ ፍቓድ የብልኩምን። ፍጻመታት ከመሓድሩ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'event.unavailable': '❌ ዳታቤዝ ኣይተራኸበን - ፍጻመታት ሕጂ ክዕቀቡ ኣይክእሉን።',
+        'event.commands': `📋 ዘለዉ ትእዛዛት:
+• EVENT <ግዜ> ኣርእስቲ | ቦታ
+• EVENT @GROUP <ግዜ> ኣርእስቲ | ቦታ | ዝርዝር
+• EVENT LIST
+• EVENT RSVPS <መለለዪ>
+• EVENT CANCEL <መለለዪ>
+
+💡 ኣብነት: EVENT SAT 6PM ናይ ሓባር መግቢ | ኣዳራሽ ሕብረት`,
+        'event.none': '📅 ዝመጽእ ፍጻመ የለን።',
+        'event.list_title': '📅 ዝመጹ ፍጻመታት ({count})',
+        'event.rsvp_counts': '✅ {yes} እወ • 🤔 {maybe} ምናልባት • ❌ {no} ኣይፋል',
+        'event.list_hint': '💡 EVENT RSVPS <መለለዪ> ኣስማት የርኢ',
+        'event.id_required': `❌ መለለዪ ፍጻመ የድሊ: EVENT {command} <መለለዪ>
+
+💡 EVENT LIST መለለዪታት የርኢ`,
+        'event.unknown_id': `❌ {id} ዝብል መለለዪ ዘለዎ ፍጻመ ኣይተረኽበን
+
+💡 EVENT LIST መለለዪታት የርኢ`,
+        'event.already_cancelled': 'ℹ️ ፍጻመ {id} ቅድሚ ሕጂ ተሰሪዙ።',
+        'event.cancelled': `🚫 ፍጻመ {id} ተሰሪዙ: {title}
+⏰ መዘኻኸሪታት ደው ኢሎም`,
+        'event.bad_time': '❌ ግዜ ፍጻመ ክንበብ ኣይከኣለን።',
+        'event.title_required': '❌ ፍጻመ ኣርእስቲ የድልዮ።',
+        'event.in_past': '❌ ግዜ ፍጻመ {when} ሓሊፉ እዩ።',
+        'event.created': `📅 ፍጻመ ተፈጢሩ!
+🆔 መለለዪ: {id}
+📅 መዓስ: {when}`,
+        'event.where': '📍 ኣበይ: {location}',
+        'event.reminders': '⏰ መዘኻኸሪታት: {hours} ቅድሚኡ',
+        'event.no_reminders': '⏰ መዘኻኸሪታት: የለዉን',
+        'event.created_hint': '💡 መን ከም ዝመጽእ ንምርኣይ EVENT RSVPS {id}',
+        'event.failed': '❌ ስራሕ ፍጻመ ኣይሰለጠን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+        'event.cancelled_label': 'ተሰሪዙ',
+        'event.rsvps_yes': '✅ እወ ({count})',
+        'event.rsvps_maybe': '🤔 ምናልባት ({count})',
+        'event.rsvps_no': '❌ ኣይፋል ({count})',
+        'event.reminder': `መዘኻኸሪ: {title}
+መዓስ: {time}`,
+
+        'prayer.usage': '🙏 ናይ ጸሎት ሕቶ ናብ ጉጅለ ጸሎት ንምልኣኽ: PRAY ሕቶኹም። ስምኩም ከይርአ: PRAY ANON ሕቶኹም',
+        'prayer.received': '🙏 ናይ ጸሎት ሕቶኹም ({code}) ብሕቡእ ናብ ጉጅለ ጸሎት ተላኢኹ ኣሎ። መልሲ ከም ዝረኸበ ምስ ተመዝገበ ክንሕብረኩም ኢና።',
+        'prayer.received_anonymous': '🙏 ናይ ጸሎት ሕቶኹም ({code}) ብዘይ ስምኩም ናብ ጉጅለ ጸሎት ተላኢኹ ኣሎ። መልሲ ከም ዝረኸበ ምስ ተመዝገበ ክንሕብረኩም ኢና።',
+        'prayer.unavailable': '❌ ጉጅለ ጸሎት ገና ኣይተዳለወን፣ ስለዚ ሕቶኹም ኣይተላእከን። በጃኹም ንመራሒ ቤተ ክርስትያን ርኸቡ።',
+        'prayer.failed': '❌ ናይ ጸሎት ሕቶኹም ክላኣኽ ኣይከኣለን። በጃኹም እንደገና ፈትኑ።',
+        'prayer.answered_notice': '🙌 ጉጅለ ጸሎት ናይ ጸሎት ሕቶኹም ({code}) መልሲ ከም ዝረኸበ መዝጊቡ: "{excerpt}"',
+        'prayer.not_team': '❌ ናይ ጸሎት ሕቶታት ከሐድሱ ዝኽእሉ ኣባላት ጉጅለ ጸሎት ጥራይ እዮም።',
+        'prayer.not_found': '❌ {code} ዝብል ኮድ ዘለዎ ናይ ጸሎት ሕቶ የለን።',
+        'prayer.marked_praying': '🙏 ንሕቶ {code} ስለ ዝጸለኹም የቐንየልና።',
+        'prayer.marked_answered': '🙌 ሕቶ {code} መልሲ ከም ዝረኸበ ተመዝጊቡ፣ ሓታቲ ድማ ተሓቢርዎ ኣሎ።',
+        'prayer.already_answered': 'ℹ️ ሕቶ {code} ድሮ መልሲ ከም ዝረኸበ ተመዝጊቡ ኣሎ።',
+        'prayer.digest_access_denied': '❌ ፍቓድ የብልኩምን። ዝርዝር ጸሎት ክሰዱ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'prayer.digest_no_team': '❌ @{keyword} ዝበሃል ጉጅለ የለን - ቅድሚኡ ፍጠርዎ (ወይ PRAYER_TEAM_GROUP ኣዳልዉ)።',
+        'prayer.digest_sent': '🙏 ዝርዝር ጸሎት ናብ {count} ኣባል(ት) ጉጅለ ጸሎት ተላኢኹ',
+        'prayer.digest_empty': 'ℹ️ ዝስደድ የለን - ክፉት ወይ ቀረባ እዋን መልሲ ዝረኸበ ሕቶ ጸሎት የለን።',
+        'prayer.anonymous': 'ስም ዘይተጠቕሰ',
+        'prayer.team_request': `ሕቶ ጸሎት {code}
+ካብ: {from}
+
+{text}
+
+ክትጽልዩ ከለኹም PRAYING {code}፣ መልሲ ምስ ረኸበ ANSWERED {code} ኢልኩም መልሱ።`,
+        'prayer.list_title': 'ዝርዝር ጸሎት - {date}',
+        'prayer.list_open': 'ክፉት ({count})',
+        'prayer.list_answered': 'ኣብዚ ሰሙን መልሲ ዝረኸቡ ({count})',
+        'prayer.list_praying': '(ዝጽልዩ: {count})',
+        'prayer.list_hint': 'PRAYING <ኮድ> ወይ ANSWERED <ኮድ> ኢልኩም መልሱ።',
+        'prayer.list_empty': '🙏 ክፉት ሕቶ ጸሎት የለን።',
+        'prayer.list_failed': '❌ ዝርዝር ጸሎት ኣይርከብን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'profile.info': `👤 {name}
+📱 {phone}
+🏛️ ጉጅለታት: {groups}
+🌐 ቋንቋ: {language}
+📊 ኩነታት: {status}
+
+💡 MYNAME ሓድሽ ሽም - ሽምኩም ንምቕያር • GROUPS - ጉጅለ ንምጽንባር`,
+        'profile.status_member': 'ኣባል',
+        'profile.status_admin': 'ኣመሓዳሪ',
+        'profile.name_usage': `❌ ሓድሽ ሽምኩም ወስኹ (ክሳብ 4 ቃላት፣ ፊደላት ጥራይ፣ ክሳብ 50 ፊደላት)።
+
+💡 ኣብነት: MYNAME Sara Tesfaye`,
+        'profile.name_updated': '✅ ሽምኩም ሕጂ {name} እዩ።',
+        'profile.failed': '❌ ሕቶኹም ክፍጸም ኣይከኣለን። በጃኹም እንደገና ፈትኑ።',
+
+        'groups.list': `🏛️ ክትጽንበርዎም እትኽእሉ ጉጅለታት
+{groups}
+
+💡 JOIN GROUP ሽም / LEAVE GROUP ሽም`,
+        'groups.none_open': 'ℹ️ ሕጂ ንምጽንባር ክፉት ጉጅለ የለን። በጃኹም ንኣመሓዳሪ ቤተ ክርስቲያን ሕተቱ።',
+        'groups.usage': `❌ ሽም ጉጅለ ወስኹ።
+
+💡 ኣብነት: {command} GROUP Youth`,
+        'groups.not_found': '❌ {input} ዝበሃል ጉጅለ የለን። ክትጽንበርዎም እትኽእሉ ጉጅለታት ንምርኣይ GROUPS ስደዱ።',
+        'groups.did_you_mean': '💡 {groups} ማለትኩም ድዩ?',
+        'groups.closed': '❌ {group} ብኣመሓደርቲ ቤተ ክርስቲያን እዩ ዝመሓደር። ኣባልነትኩም ንምቕያር ንሓደ ካብኣቶም ሕተቱ።',
+        'groups.joined': '✅ ምስ {group} ተጸንቢርኩም። ናብ @{keyword} ዝለኣኹ መልእኽትታት ሕጂ ክበጽሑኹም እዮም።',
+        'groups.already_member': 'ℹ️ ድሮ ኣባል {group} ኢኹም።',
+        'groups.left': '👋 ካብ {group} ወጺእኩም።',
+        'groups.not_member': 'ℹ️ ኣባል {group} ኣይኮንኩምን።',
+        'digest.enabled': `📰 ዕለታዊ ጽማቕ ተወሊዑ ኣሎ። ነፍሲ ወከፍ መልእኽቲ ክለኣኽ ከሎ ኣብ ክንዲ ምቕባል፣ መዓልታዊ ኣብ {time} ናይታ መዓልቲ መልእኽትታት ብሓደ መልእኽቲ ክትቕበሉ ኢኹም። URGENT መልእኽትታት ግን ብቕጽበት ይበጽሑኹም።
+
+💡 ኩሉ መልእኽትታት እንደገና ንምቕባል DIGEST OFF ስደዱ።`,
+        'digest.disabled': '📨 ዕለታዊ ጽማቕ ጠፊኡ - ነፍሲ ወከፍ መልእኽቲ ክለኣኽ ከሎ ክትቕበሉ ኢኹም።',
+        'digest.current_on': `📰 መዓልታዊ ኣብ {time} ሓደ ዕለታዊ ጽማቕ ትቕበሉ ኣለኹም።
+
+💡 ነፍሲ ወከፍ መልእኽቲ ክለኣኽ ከሎ ንምቕባል DIGEST OFF ስደዱ።`,
+        'digest.current_off': `📨 ነፍሲ ወከፍ መልእኽቲ ክለኣኽ ከሎ ትቕበሉ ኣለኹም።
+
+💡 ኣብ ክንድኡ መዓልታዊ ኣብ {time} ሓደ መልእኽቲ ንምቕባል DIGEST ON ስደዱ።`,
+        'digest.header': `📰 ዕለታዊ ጽማቕ {churchName} - {date}
+💬 መልእኽትታት: {count}`,
+
+        'pause.usage': `❌ ክንደይ መዓልቲ ከተቋርጹ ከም እትደልዩ ወስኹ (ካብ 1 ክሳብ {max})።
+
+💡 ኣብነት: PAUSE 14`,
+        'pause.confirmed': `⏸️ መልእኽትታትኩም ክሳብ {date} ተቋሪጹ ኣሎ። ድሕሪኡ ባዕሉ እንደገና ክጅምር እዩ።
+
+💡 ቀልጢፍኩም ክትጅምሩ RESUME ስደዱ።`,
+        'pause.by_admin': `⏸️ {admin} ናይ {churchName} መልእኽትታትኩም ክሳብ {date} ኣቋሪጾም። ድሕሪኡ ባዕሉ እንደገና ክጅምር እዩ።
+
+💡 ቀልጢፍኩም ክትጅምሩ RESUME ስደዱ።`,
+        'pause.resumed': '▶️ እንቋዕ ብደሓን መጻእኩም! መልእኽትታት ቤተ ክርስቲያን እንደገና ክትቕበሉ ኢኹም።',
+        'pause.not_paused': 'ℹ️ መልእኽትታትኩም ኣይተቋረጸን።',
+        'pause.access_denied': '❌ ናይ ካልኦት ኣባላት መልእኽትታት ከቋርጹ ወይ ክቕጽሉ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም። ናይ ባዕልኹም መልእኽትታት ንምቁራጽ PAUSE 14 ስደዱ።',
+        'pause.no_member': '❌ ቴሌፎኑ {phone} ዝኾነ ንጡፍ ኣባል የለን',
+        'pause.admin_confirmed': `⏸️ {name} ({phone}) ክሳብ {date} ደው ኢሉ
+
+💡 ኣቐዲሙ ንምውዳእ RESUME {phone}`,
+        'pause.admin_failed': '❌ ኣባል ደው ምባል ኣይተኻእለን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+        'pause.admin_not_paused': 'ℹ️ {name} ደው ኣይበሉን',
+        'pause.admin_resumed': '▶️ {name} ({phone}) መልእኽትታት እንደገና ክቕበሉ እዮም',
+        'pause.resume_failed': '❌ ኣባል ምቕጻል ኣይተኻእለን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'add.access_denied': '❌ ፍቓድ የብልኩምን። ሓደስቲ ኣባላት ክውስኹ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'add.usage': '❌ ጌጋ ኣጻሕፋ። ከምዚ ተጠቐሙ: ADD +1234567890 ሽም ኣባል',
+        'add.unrecognized': '❌ ትእዛዝ ኣይተፈልጠን። ከምዚ ተጠቐሙ: ADD +1234567890 ሽም ኣባል',
+        'add.name_required': '❌ ሽም ኣባል የድሊ። ከምዚ ተጠቐሙ: ADD +1234567890 ሽም ኣባል',
+        'add.invalid_phone': '❌ ጌጋ ቁጽሪ ተሌፎን: {phone}። ብኸምዚ ጽሓፉ: +1234567890',
+        'add.exists': `❌ እቲ ኣባል ድሮ ኣሎ!
+👤 ሽም: {name}
+📱 ተሌፎን: {phone}
+📊 ኩነታት: {status}
+🏛️ ጉጅለታት: {groups}`,
+        'add.no_default_group': '❌ ጌጋ ሲስተም: ቀንዲ ጉጅለ ምእመናን ኣይተረኽበን። ደገፍ ቴክኒክ ተወከሱ።',
+        'add.success': `✅ እቲ ኣባል ብዓወት ተወሲኹ!
+👤 ሽም: {name}
+📱 ተሌፎን: {phone}
+🏛️ ጉጅለ: {group}
+📊 ጠቕላላ ንጡፋት ኣባላት: {total}`,
+        'add.welcome_sent': '📩 መልእኽቲ እንቋዕ ብደሓን መጻእኩም ተላኢኹ',
+        'add.welcome_failed': '⚠️ መልእኽቲ እንቋዕ ብደሓን መጻእኩም ኣይተላእከን: {error}',
+        'add.duplicate_phone': `❌ እቲ ቁጽሪ ተሌፎን ድሮ ተመዝጊቡ ኣሎ!
+📱 ቁጽሪ: {phone}
+💡 ካልእ ቁጽሪ ተጠቐሙ ወይ እቲ ኣባል ተመዝጊቡ እንተሎ ኣረጋግጹ።`,
+        'add.duplicate_field': '❌ ተደጋጋሚ {field}: {value} ድሮ ኣሎ።',
+        'add.validation_error': '❌ ጌጋ ምርግጋጽ: {errors}',
+        'add.database_error': '❌ ጌጋ ዳታቤዝ: ኣባል ምፍጣር ኣይተኻእለን። እንደገና ፈትኑ ወይ ደገፍ ቴክኒክ ተወከሱ።',
+        'add.connection_error': '❌ ጌጋ ርክብ ዳታቤዝ። በጃኹም ድሕሪ ቁሩብ እንደገና ፈትኑ።',
+        'add.already_exists': '❌ እዚ ቁጽሪ ተሌፎን ዘለዎ ኣባል ድሮ ኣብ ሲስተም ኣሎ።',
+        'add.system_error': '❌ ኣባል ክውሰኽ ከሎ ጌጋ ሲስተም ተፈጢሩ። ጉጅለ ቴክኒክ ተሓቢሩ ኣሎ።',
+
+        'summary.none': `📊 ጽማቕ ግብረ-መልሲ ናይ ሎሚ ({date})
+
+ሎሚ ጉሉሕ ግብረ-መልሲ ዝረኸበ መልእኽቲ የለን።`,
+        'summary.title': '📊 ጽማቕ ግብረ-መልሲ ናይ ሎሚ ({date})',
+        'summary.totals': '📈 ሎሚ {messages} መልእኽትታት ብጠቕላላ {reactions} ግብረ-መልሲ ረኺቦም',
+        'summary.top': '🏆 ብዙሕ ግብረ-መልሲ ዝረኸበ: "{message}" ({count} ግብረ-መልሲ)',
+
+        'template.welcome': `🏛️ እንቋዕ ብደሓን ናብ {churchName} መጻእኩም፣ {name}!
+
+{adminName} ናብ ሲስተም SMS ቤተ ክርስቲያንና ወሲኾምኹም ኣለዉ።
+
+📱 ከመይ ይሰርሕ:
+• ናብዚ ቁጽሪ ዝሰደድኩምዎ ዝኾነ መልእኽቲ ንኹሎም ምእመናን ይበጽሕ
+• ስእልታት፣ ናይ ጸሎት ሕቶታትን ምልክታታትን ኣካፍሉ
+• ኩሉ ሰብ መልእኽትኹም ብቕጽበት ይቕበሎ
+
+✅ ከተካፍልዎ እትኽእሉ:
+• ናይ ጸሎት ሕቶታትን ምስክርነታትን
+• ሓበሬታን መዘኻኸርታን ምድላዋት ቤተ ክርስቲያን
+• ካብ ኣገልግሎትን ምድላዋትን ስእልታት
+• ናይ ምትብባዕን ሕብረትን መልእኽትታት
+
+💡 ንምጅማር:
+• ንርእስኹም ንምልላይ "ሰላም ንኹልኹም!" ስደዱ
+• ንሓገዝ HELP፣ ቋንቋ ንምቕያር LANGUAGE ስደዱ
+
+🙏 ቃል:
+"ንፍቕርን ሰናይ ግብርን ምእንቲ ኽንበራበር፡ ንሓድሕድና ንጠማመት።" - እብራውያን 10:24
+
+እንቋዕ ናብ ስድራ ቤተ ክርስቲያንና ብደሓን መጻእኩም!
+
+- ጉጅለ ቴክኖሎጂ {churchName}`,
+        'template.admin_promotion': `🔑 መሰል ኣመሓዳሪ ተዋሂቡኩም
+
+{name}፣ ብ{adminName} ኣመሓዳሪ ቤተ ክርስቲያን ኮይንኩም ተመዚዝኩም።
+
+🔑 ትእዛዛት ኣመሓዳሪ:
+• ADD +1234567890 ሽም (ኣባላት ወስኹ)
+• REMOVE +1234567890 ሽም (ኣባላት ኣውጽኡ)
+• ADMIN +1234567890 ሽም (መሰል ኣመሓዳሪ ሃቡ)
+• WIPE CONFIRM (ህጹጽ ምጽራይ)
+• CLEANUP STATUS (ጥዕና ሲስተም)
+
+⚠️ ሓላፍነታት:
+• ኩሎም ትእዛዛት ይምዝገቡ
+• ምስ ካልኦት ኣመሓደርቲ ተሓባበሩ
+• WIPE ኣብ ህጹጽ ኩነታት ጥራይ ተጠቐሙ
+
+ምሉእ ዝርዝር ትእዛዛት ንምርኣይ "HELP" ስደዱ።
+
+እንቋዕ ናብ ጉጅለ ኣመሓደርቲ ብደሓን መጻእኩም!
+- መሪሕነት {churchName}`,
+        'template.admin_demotion': `🔻 መሰል ኣመሓዳሪ ተላዒሉ
+
+{name}፣ መሰል ኣመሓዳሪኹም ብ{adminName} ተላዒሉ ኣሎ።
+
+📊 ሓድሽ ኩነታትኩም:
+• ንቡር ኣባል ምእመናን
+• ኣባልነትኩም ኣብ ቤተ ክርስቲያን ቀጻሊ እዩ
+• ፍቓድ ኣመሓዳሪ የብልኩምን
+
+✅ ሕጂ እውን ትኽእሉ:
+• ናብ ምእመናን መልእኽቲ ምልኣኽ
+• ስእልታትን ሚድያን ምክፋል
+• ኣብ ርክብ ቤተ ክርስቲያን ምስታፍ
+• ኩሎም መልእኽትታት ምቕባል
+
+📱 ሕቶ ኣለኩም?
+{adminName} ወይ መሪሕነት ቤተ ክርስቲያን ተወከሱ።
+
+ክቡር ኣባል ስድራ ቤተ ክርስቲያንና ኢኹም።
+
+- መሪሕነት {churchName}`,
+        'templates.access_denied': '❌ ፍቓድ የብልኩምን። ቅጥዕታት ከመሓድሩ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'templates.commands': `📋 ዘለዉ ትእዛዛት:
+• TEMPLATE LIST
+• TEMPLATE SHOW ሽም
+• TEMPLATE SAVE ሽም ጽሑፍ
+• TEMPLATE DELETE ሽም
+• TEMPLATE SEND ሽም [@GROUP]
+
+🔤 ሜዳታት: {fields}`,
+        'templates.usage': '❌ ኣጠቓቕማ: TEMPLATE {command} ሽም',
+        'templates.list_title': '📝 ቅጥዕታት መልእኽቲ ({count})',
+        'templates.built_in': 'ምስኡ ዝመጸ',
+        'templates.built_in_edited': 'ምስኡ ዝመጸ፣ ዝተመሓየሸ',
+        'templates.list_hint': '💡 TEMPLATE SEND ሽም [@GROUP]',
+        'templates.not_found': `❌ ቅጥዒ ኣይተረኽበን: {name}
+
+💡 ቅጥዕታት ንምርኣይ TEMPLATE LIST ተጠቐሙ`,
+        'templates.invalid': `❌ {error}
+
+💡 ኣብነት: TEMPLATE SAVE potluck ሰላም {firstName}! ሰንበት ድሕሪ ኣገልግሎት ናይ ሓባር መግቢ ኣሎ።`,
+        'templates.saved': `✅ ቅጥዒ "{name}" ተዓቂቡ ({length} ፊደላት)
+
+💡 ንምልኣኽ: TEMPLATE SEND {name}`,
+        'templates.restored': '♻️ ቅጥዒ "{name}" ናብ መበገሲ ጽሑፉ ተመሊሱ።',
+        'templates.already_default': 'ℹ️ ቅጥዒ "{name}" ድሮ መበገሲ ጽሑፍ ይጥቀም ኣሎ።',
+        'templates.delete_not_found': '❌ ቅጥዒ ኣይተረኽበን: {name}',
+        'templates.deleted': '🗑️ ቅጥዒ "{name}" ተደምሲሱ።',
+        'templates.unknown': '❌ ዘይፍለጥ ትእዛዝ ቅጥዒ: {command}',
+        'templates.failed': '❌ ስራሕ ቅጥዒ ኣይሰለጠን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'join.admin_notice': `🙋 ሕቶ ምጽንባር • {id}
+👤 {name} ({phone})
+
+✅ ACCEPT {id}
+❌ DECLINE {id}`,
+        'join.access_denied': '❌ ፍቓድ የብልኩምን። ሓደስቲ ኣባላት ክቕበሉ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'join.not_found': `❌ {id} ዝብል መለለዪ ዘለዎ ሕቶ ምጽንባር ኣይተረኽበን
+
+💡 ዝጽበዩ ሕቶታት ንምርኣይ PENDING ተጠቐሙ`,
+        'join.status_accepted': 'ተቐባልነት ረኺቡ',
+        'join.status_declined': 'ተነጺጉ',
+        'join.already_decided': 'ℹ️ ሕቶ ምጽንባር {id} ቅድሚ ሕጂ {status}።',
+        'join.already_decided_by': 'ℹ️ ሕቶ ምጽንባር {id} ቅድሚ ሕጂ ብ{admin} {status}።',
+        'join.declined_reply': '❌ ናይ {name} ሕቶ ምጽንባር ተነጺጉ - ክፈልጡ ተገይሩ።',
+        'join.decision_error': '❌ ሕቶ ምጽንባር ክስራሕ ኣይከኣለን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'remove.access_denied': '❌ ፍቓድ የብልኩምን። ኣባላት ከውግዱ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'remove.usage': `❌ ጌጋ ኣጻሕፋ። ከምዚ ተጠቐሙ: REMOVE +1234567890 [ሽም - ኣማራጺ]
+💡 ኣብነት: REMOVE +12068001141
+💡 ምስ ሽም: REMOVE +12068001141 John Smith`,
+        'remove.unrecognized': '❌ ትእዛዝ ኣይተፈልጠን። ከምዚ ተጠቐሙ: REMOVE +1234567890 [ሽም - ኣማራጺ]',
+        'remove.invalid_phone': `❌ ጌጋ ቁጽሪ ስልኪ: {phone}
+💡 ብዚ መልክዕ ጽሓፉ: +1234567890 ወይ 2068001141`,
+        'remove.not_found': `❌ እዚ ቁጽሪ ስልኪ ዘለዎ ኣባል ኣይተረኽበን: {phone}
+
+💡 ቁጽሪ ስልኪ ኣረጋግጹ ወይ ኩሎም ኣባላት ብ/debug ርኣዩ`,
+        'remove.name_mismatch': `❌ ሽም ኣይሰማማዕን!
+📱 ስልኪ: {phone}
+💾 ዝተረኽቡ ኣባላት: {names}
+✏️ ዘእተኹምዎ: {input}
+
+💡 ልክዕ ሽም ተጠቐሙ ወይ ብቁጽሪ ስልኪ ጥራይ ንምውጋድ ሽም ግደፍዎ።`,
+        'remove.self': `❌ ንርእስኹም ካብ ሲስተም ከተውግዱ ኣይትኽእሉን።
+
+💡 ኣካውንትኹም ንምውጋድ ካልእ ኣመሓዳሪ ተወከሱ።`,
+        'remove.admin_member': `❌ ኣመሓደርቲ ኣባላት ክውገዱ ኣይክእሉን: {names}
+
+💡 ንድሕንነት ኣመሓደርቲ ብመሳርሒታት ምሕደራ ዳታቤዝ ጥራይ ይውገዱ።`,
+        'remove.nothing_deleted': `❌ ኣባላት ክድምሰሱ ኣይከኣሉን።
+
+💡 ኣባላት ቅድሚ ሕጂ ተወጊዶም ክኾኑ ይኽእሉ።`,
+        'remove.success': `✅ ኣባል(ት) ብምሉኡ ተደምሲሶም!
+
+📊 ዝተደምሰሱ: {count} ኣባል(ት)
+{members}
+
+📊 ዝተረፉ ንጡፋት ኣባላት: {remaining}
+
+✅ ቁጽሪ ስልኪ {phone} ሕጂ እንደገና ክጥቀመሉ ይከኣል
+💡 ሕጂ ብዚ ቁጽሪ ስልኪ ሓድሽ ኣባል ብADD ክትውስኹ ትኽእሉ`,
+        'remove.database_error': `❌ ኣባል ክድምሰስ ከሎ ጌጋ ዳታቤዝ ተፈጢሩ።
+
+💡 ጌጋ: {error}
+በጃኹም እንደገና ፈትኑ ወይ ደገፍ ቴክኒክ ተወከሱ።`,
+        'remove.system_error': `❌ ኣባል ክውገድ ከሎ ጌጋ ሲስተም ተፈጢሩ።
+
+💡 ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ። በጃኹም ደሓር እንደገና ፈትኑ።`,
+
+        'cleanup.access_denied': '❌ ፍቓድ የብልኩምን። ስራሕ ምጽራይ ከካይዱ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'cleanup.phone_usage': `❌ ኣጠቓቕማ: CLEANUP PHONE +1234567890
+💡 እዚ ነቲ ቁጽሪ ስልኪ ዘለዎም ኩሎም ኣባላት የውግድ`,
+        'cleanup.unknown': `❌ ዘይፍለጥ ትእዛዝ ምጽራይ: {command}
+
+📋 ዘለዉ ትእዛዛት:
+• CLEANUP STATUS - ኩነታት ምጽራይ የርኢ
+• CLEANUP DUPLICATES - ዝተደጋገሙ ቁጽሪ ስልኪ የውግድ
+• CLEANUP PHONE +1234567890 - እቲ ስልኪ ዘለዎም ኩሎም ኣባላት የውግድ
+• CLEANUP ORPHANED - ዋና ዘይብሉ ሓበሬታ የውግድ`,
+        'cleanup.failed': '❌ ስራሕ ምጽራይ ኣይሰለጠን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+        'cleanup.status': `🧹 ኩነታት ምጽራይ ዳታቤዝ
+
+📊 ዝተደጋገሙ ቁጽሪ ስልኪ: {duplicates}
+👻 ንጡፋት ዘይኮኑ ኣባላት: {inactive}
+📨 ዋና ዘይብሎም መልእኽትታት: {orphaned}`,
+        'cleanup.duplicates_found': '⚠️ ዝተደጋገሙ ተረኺቦም:',
+        'cleanup.duplicate_line': '📱 {phone}: {count} ቅዳሓት',
+        'cleanup.and_more': '... ከምኡ ውን {count} ተወሳኺ',
+        'cleanup.duplicates_hint': '💡 ንምዕራይ CLEANUP DUPLICATES ተጠቐሙ',
+        'cleanup.inactive_hint': `👻 {count} ንጡፋት ዘይኮኑ ኣባላት ቦታ ሒዞም ኣለዉ
+💡 ንምውጋድ CLEANUP ORPHANED ተጠቐሙ`,
+        'cleanup.status_error': '❌ ኩነታት ምጽራይ ክፍተሽ ከሎ ጌጋ ተፈጢሩ',
+        'cleanup.no_duplicates': '✅ ዝተደጋገመ ቁጽሪ ስልኪ ኣይተረኽበን',
+        'cleanup.duplicates_header': '🧹 {count} ዝተደጋገሙ ቁጽሪ ስልኪ ይጸርዩ ኣለዉ',
+        'cleanup.duplicate_kept': '📱 {phone}: {name} ይተርፍ፣ {count} ይድምሰስ',
+        'cleanup.duplicates_done': `✅ ምጽራይ ተዛዚሙ:
+🗑️ ዝተደምሰሱ: {deleted} ዝተደጋገሙ
+✅ ዝተረፉ: {kept} ኣባላት
+💡 ኩሎም ቁጽሪ ስልኪ ሕጂ ፍሉያት እዮም`,
+        'cleanup.duplicates_error': '❌ ዝተደጋገሙ ክጸርዩ ከለዉ ጌጋ ተፈጢሩ: {error}',
+        'cleanup.invalid_phone': '❌ ጌጋ ቁጽሪ ስልኪ: {phone}',
+        'cleanup.phone_not_found': '❌ እዚ ስልኪ ዘለዎም ኣባላት ኣይተረኽቡን: {phone}',
+        'cleanup.phone_done': `✅ ኩሉ ሓበሬታ {phone} ተወጊዱ
+
+🗑️ ዝተደምሰሱ ኣባላት: {count}
+{members}
+
+✅ ቁጽሪ ስልኪ {phone} ሕጂ ብምሉኡ ነጻ እዩ
+💡 ሕጂ ብዚ ቁጽሪ ስልኪ ሓድሽ ኣባል ብADD ክትውስኹ ትኽእሉ`,
+        'cleanup.phone_error': '❌ ስልኪ ክጸሪ ከሎ ጌጋ ተፈጢሩ: {error}',
+        'cleanup.orphaned_done': `🧹 ዋና ዘይብሉ ሓበሬታ ተጸሪጉ
+
+👻 ዝተወገዱ ንጡፋት ዘይኮኑ ኣባላት: {members}
+📨 ዝተወገዱ መልእኽትታት: {messages}
+📊 ዝተወገዱ መዝገባት ምብጻሕ: {deliveries}
+
+✅ ዳታቤዝ ሕጂ ጽሩይ እዩ`,
+        'cleanup.orphaned_error': '❌ ዋና ዘይብሉ ሓበሬታ ክጸሪ ከሎ ጌጋ ተፈጢሩ: {error}',
+
+        'group.not_found': '❌ ጉጅለ ኣይተረኽበን: {group}',
+        'group.keywords_hint': '💡 ቁልፊ ቃላት ጉጅለታት ንምርኣይ GROUP LIST ተጠቐሙ',
+        'group.access_denied': '❌ ፍቓድ የብልኩምን። ጉጅለታት ከመሓድሩ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'group.none': '❌ ዝኾነ ጉጅለ ኣይተረኽበን። ጉጅለታት ንምድላው setup.js ኣካይዱ።',
+        'group.list_title': '👥 ጉጅለታት ቤተ ክርስቲያን',
+        'group.list_line': '👤 {count} ኣባላት • ✍️ {policy} ክሰዱ ይኽእሉ',
+        'group.list_approval': '🛡️ ምጽዳቕ',
+        'group.list_open': '🔓 ክፉት',
+        'group.list_hint': '💡 ናብ ሓደ ጉጅለ ንምልኣኽ "@KEYWORD መልእኽቲ" ስደዱ',
+        'group.policy_usage': `❌ ኣጠቓቕማ: GROUP POLICY @KEYWORD EVERYONE|MEMBERS|ADMINS
+
+💡 ኣብነት: GROUP POLICY @LEADERSHIP ADMINS`,
+        'group.unknown_policy': `❌ ዘይፍለጥ ሕጊ: {policy}
+
+💡 EVERYONE፣ MEMBERS ወይ ADMINS ተጠቐሙ`,
+        'group.policy_updated': `✅ ሕጊ ምልኣኽ {group} ተቐይሩ
+✍️ ሕጂ {policy} ናብ @{keyword} ክሰዱ ይኽእሉ`,
+        'group.keyword_usage': `❌ ኣጠቓቕማ: GROUP KEYWORD @KEYWORD NEWKEYWORD
+
+💡 ኣብነት: GROUP KEYWORD @MEDIATEAM MEDIA`,
+        'group.invalid_keyword': `❌ ጌጋ ቁልፊ ቃል: {keyword}
+
+💡 ፊደላት፣ ቁጽርታት፣ - ወይ _ ጥራይ ተጠቐሙ`,
+        'group.keyword_taken': '❌ ቁልፊ ቃል @{keyword} ብካልእ ጉጅለ ተታሒዙ ኣሎ።',
+        'group.keyword_updated': `✅ ቁልፊ ቃል {group} ተቐይሩ
+💬 ናብዚ ጉጅለ ንምልኣኽ "@{keyword} መልእኽቲ" ስደዱ`,
+        'group.approval_usage': `❌ ኣጠቓቕማ: GROUP APPROVAL @KEYWORD ON|OFF
+
+💡 ኣብነት: GROUP APPROVAL @YOUTH ON`,
+        'group.approval_on': `🛡️ {group} ሕጂ ምጽዳቕ የድልዮ
+📨 መልእኽትታት ኣባላት ናብ @{keyword} ኣመሓዳሪ ክሳብ ዘጽድቖም ኣብ PENDING ይጸንሑ`,
+        'group.approval_off': `✅ {group} ካብ ሕጂ ምጽዳቕ ኣየድልዮን
+✍️ {policy} ብቐጥታ ክሰዱ ይኽእሉ`,
+        'group.open_usage': `❌ ኣጠቓቕማ: GROUP OPEN @KEYWORD ON|OFF
+
+💡 ኣብነት: GROUP OPEN @CHOIR ON`,
+        'group.open_on': `🔓 {group} ሕጂ ክፉት እዩ
+👥 ኣባላት JOIN GROUP {group} / LEAVE GROUP {group} ክገብሩን ኣብ GROUPS ክርእይዎን ይኽእሉ`,
+        'group.open_off': `🔒 {group} ሕጂ ዕጹው እዩ
+🔑 ኣባላቱ ክቕይሩ ዝኽእሉ ኣመሓደርቲ ጥራይ እዮም`,
+        'group.unknown': `❌ ዘይፍለጥ ትእዛዝ ጉጅለ: {command}
+
+📋 ዘለዉ ትእዛዛት:
+• GROUP LIST - ጉጅለታትን ሕግታት ምልኣኽን የርኢ
+• GROUP POLICY @KEYWORD EVERYONE|MEMBERS|ADMINS - መን ክሰድድ ከም ዝኽእል ይውስን
+• GROUP KEYWORD @KEYWORD NEWKEYWORD - ቁልፊ ቃል @ ይቕይር
+• GROUP APPROVAL @KEYWORD ON|OFF - መልእኽትታት ኣባላት ምጽዳቕ ክጽበዩ ይገብር
+• GROUP OPEN @KEYWORD ON|OFF - ኣባላት ባዕሎም JOIN GROUP / LEAVE GROUP ክገብሩ የፍቅድ`,
+        'group.failed': '❌ ስራሕ ጉጅለ ኣይሰለጠን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'optouts.access_denied': '❌ ፍቓድ የብልኩምን። ዝወጹ ኣባላት ክርእዩ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'optouts.none': '✅ ዝኾነ ኣባል ምዝገባኡ ኣየቋረጸን።',
+        'optouts.title': '🚫 ምዝገባኦም ዘቋረጹ ኣባላት ({count})',
+        'optouts.line': '{keyword} ብ{date}',
+        'optouts.unknown_date': 'ዕለቱ ኣይፍለጥን',
+        'optouts.more': '...ከምኡ ውን {count} ተወሳኺ',
+        'optouts.hint': '💡 እንደገና ክምዝገብ ዝኽእል ባዕሉ ኣባል START ብምስዳድ ጥራይ እዩ',
+        'optouts.failed': '❌ ዝወጹ ኣባላት ክጽዓኑ ኣይከኣሉን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'approve.access_denied': '❌ ፍቓድ የብልኩምን። መልእኽትታት ከጽድቑ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'approve.usage': `❌ ኣጠቓቕማ: APPROVE <መለለዪ>
+
+💡 ምጽዳቕ ዝጽበዩ መልእኽትታት ንምርኣይ PENDING ተጠቐሙ`,
+        'approve.not_found': '❌ {id} ዝብል መለለዪ ዘለዎ ምጽዳቕ ዝጽበ መልእኽቲ የለን',
+        'approve.sender_gone': `❌ {name} ካብ ሕጂ ንጡፍ ኣባል ኣይኮኑን።
+
+💡 ንምስራዝ REJECT {id} ተጠቐሙ`,
+        'approve.target_group': 'እቲ ዝተላእከሉ ጉጅለ',
+        'approve.group_gone': `❌ {group} ካብ ሕጂ የለን።
+
+💡 ንምስራዝ REJECT {id} ተጠቐሙ`,
+        'approve.not_allowed': `❌ {name} ካብ ሕጂ ናብ {group} ክሰዱ ኣይክእሉን ({policy} ጥራይ)።
+
+💡 ንምስራዝ REJECT {id} ተጠቐሙ`,
+        'approve.already_reviewed': '❌ መልእኽቲ {id} ቅድሚ ሕጂ ተራእዩ ወይ ግዜኡ ሓሊፉ።',
+        'approve.done': `✅ ካብ {name} ዝመጸ {id} ጸዲቑ
+📡 ሕጂ ናብ {target} ይለኣኽ ኣሎ`,
+        'approve.failed': '❌ ምጽዳቕ ኣይሰለጠን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'reject.access_denied': '❌ ፍቓድ የብልኩምን። መልእኽትታት ክነጽጉ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'reject.usage': `❌ ኣጠቓቕማ: REJECT <መለለዪ> <ምኽንያት>
+
+💡 ኣብነት: REJECT A1B2C3 በጃኹም ዝርዝር ፍጻመ ናብ ቤት ጽሕፈት ስደዱ`,
+        'reject.done': `🗑️ ካብ {name} ዝመጸ {id} ተነጺጉ
+📨 {name} ክፈልጡ ተገይሩ`,
+        'reject.done_with_reason': `🗑️ ካብ {name} ዝመጸ {id} ተነጺጉ
+📨 {name} ምኽንያቱ ተነጊርዎም`,
+        'reject.failed': '❌ ምንጻግ ኣይሰለጠን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'pending.access_denied': '❌ ፍቓድ የብልኩምን። መልእኽትታት ክግምግሙ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'pending.none': '✅ ምጽዳቕ ዝጽበ መልእኽቲ ወይ ሕቶ ምጽንባር የለን።',
+        'pending.approvals_title': '🛡️ ምጽዳቕ ዝጽበዩ ({count})',
+        'pending.approvals_hint': '💡 APPROVE <መለለዪ> ወይ REJECT <መለለዪ> ምኽንያት',
+        'pending.joins_title': '🙋 ሕቶታት ምጽንባር ({count})',
+        'pending.joins_hint': '💡 ACCEPT <መለለዪ> ወይ DECLINE <መለለዪ>',
+        'pending.failed': '❌ ዝጽበዩ መልእኽትታት ክጽዓኑ ኣይከኣሉን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'keyword.access_denied': '❌ ፍቓድ የብልኩምን። ቁልፊ ቃላት ከመሓድሩ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'keyword.unavailable': '❌ ዳታቤዝ ኣይተራኸበን - ቁልፊ ቃላት ሕጂ ክቕየሩ ኣይክእሉን።',
+        'keyword.commands': `📋 ዘለዉ ትእዛዛት:
+• KEYWORD LIST
+• KEYWORD SET SERVICE ጽሑፍ መልሲ - ምሉእ መልእኽቲ SERVICE ክኸውን ኣለዎ
+• KEYWORD SET SERVICE* ጽሑፍ መልሲ - "SERVICE times?" ውን
+• KEYWORD DELETE SERVICE`,
+        'keyword.none': '🔑 ክሳብ ሕጂ ዝኾነ ቁልፊ ቃል የለን።',
+        'keyword.list_title': '🔑 ቁልፊ ቃላት ({count})',
+        'keyword.hits': '{count} ግዜ',
+        'keyword.list_hint': '💡 * = ብቁልፊ ቃል ዝጅምሩ ነዊሓት መልእኽትታት ውን ይምልስ',
+        'keyword.set_usage': `❌ ኣጠቓቕማ: KEYWORD SET ቃል ጽሑፍ መልሲ (ፊደላትን ኣሃዛትን፣ ክሳብ 20)
+
+💡 ኣብነት: KEYWORD SET SERVICE ኣገልግሎት ሰንበት ሰዓት 4 እዩ።`,
+        'keyword.reserved': '❌ {keyword} ትእዛዝ ሲስተም ስለ ዝኾነ ቁልፊ ቃል ክኸውን ኣይክእልን።',
+        'keyword.saved_exact': `✅ ቁልፊ ቃል {keyword} ተዓቂቡ (ምሉእ ምስምማዕ)
+
+💡 ሕጂ {keyword} ዝሰደደ ኣብ ክንዲ ምዝርጋሕ እዚ መልሲ ይረክብ`,
+        'keyword.saved_prefix': `✅ ቁልፊ ቃል {keyword} ተዓቂቡ (መጀመርታ ምስምማዕ)
+
+💡 ሕጂ {keyword} ... ዝሰደደ ኣብ ክንዲ ምዝርጋሕ እዚ መልሲ ይረክብ`,
+        'keyword.delete_usage': '❌ ኣጠቓቕማ: KEYWORD DELETE ቃል',
+        'keyword.not_found': `❌ ቁልፊ ቃል ኣይተረኽበን: {keyword}
+
+💡 ቁልፊ ቃላት ንምርኣይ KEYWORD LIST ተጠቐሙ`,
+        'keyword.deleted': '🗑️ ቁልፊ ቃል {keyword} ተደምሲሱ።',
+        'keyword.unknown': '❌ ዘይፍለጥ ትእዛዝ ቁልፊ ቃል: {command}',
+        'keyword.failed': '❌ ስራሕ ቁልፊ ቃል ኣይሰለጠን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'schedule.access_denied': '❌ ፍቓድ የብልኩምን። መልእኽትታት ቆጸራ ከትሕዙ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'schedule.invalid_format': '❌ ዘይቅኑዕ ቅርጺ።',
+        'schedule.usage': `ተጠቐሙ: SCHEDULE <መዓስ> <መልእኽቲ>
+
+💡 ኣብነታት:
+• SCHEDULE SUNDAY 9AM ኣገልግሎት ሰዓት 4 ይጅምር!
+• SCHEDULE TOMORROW 6:30PM ናይ ሎሚ ምሸት መጽናዕቲ መጽሓፍ ቅዱስ
+• SCHEDULE 2025-12-24 17:00 ኣገልግሎት ዋዜማ ልደት
+• SCHEDULE +2H ኣብ ክልተ ሰዓት መዘኻኸሪ`,
+        'schedule.message_required': '❌ ጽሑፍ መልእኽቲ የድሊ።',
+        'schedule.in_past': '❌ ግዜ ቆጸራ {time} ሓሊፉ እዩ።',
+        'schedule.unavailable': '❌ ዳታቤዝ ኣይተራኸበን - ናይ ቆጸራ መልእኽትታት ሕጂ ክዕቀቡ ኣይክእሉን።',
+        'schedule.created': `⏰ መልእኽቲ ቆጸራ ተታሒዙሉ!
+🆔 መለለዪ: {id}
+📅 መዓስ: {time}
+💬 "{preview}"
+
+💡 ንምስራዝ: SCHEDULED CANCEL {id}`,
+        'schedule.failed': `❌ መልእኽቲ ቆጸራ ክሕዝ ከሎ ጌጋ ሲስተም ኣጋጢሙ።
+
+💡 ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።`,
+
+        'scheduled.access_denied': '❌ ፍቓድ የብልኩምን። ናይ ቆጸራ መልእኽትታት ከመሓድሩ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'scheduled.none': `📭 ዝኾነ ናይ ቆጸራ መልእኽቲ የለን።
+
+💡 ተጠቐሙ: SCHEDULE SUNDAY 9AM መልእኽቲ`,
+        'scheduled.list_title': '⏰ ናይ ቆጸራ መልእኽትታት ({count})',
+        'scheduled.list_hint': '💡 ንምስራዝ: SCHEDULED CANCEL <መለለዪ>',
+        'scheduled.cancel_usage': `❌ ኣጠቓቕማ: SCHEDULED CANCEL <መለለዪ>
+
+💡 መለለዪታት ንምርኣይ SCHEDULED LIST ተጠቐሙ`,
+        'scheduled.not_found': '❌ መለለዪኡ {id} ዝኾነ ናይ ቆጸራ መልእኽቲ ኣይተረኽበን',
+        'scheduled.not_cancellable': '❌ መልእኽቲ {id} ክስረዝ ኣይክእልን (ኩነታት: {status})',
+        'scheduled.cancelled': `🗑️ ናይ ቆጸራ መልእኽቲ {id} ተሰሪዙ።
+📅 ዝተታሕዘሉ ግዜ: {time}`,
+        'scheduled.unknown': `❌ ዘይፍለጥ ትእዛዝ ቆጸራ: {command}
+
+📋 ዘለዉ ትእዛዛት:
+• SCHEDULED LIST - ዝመጹ መልእኽትታት የርኢ
+• SCHEDULED CANCEL <መለለዪ> - ናይ ቆጸራ መልእኽቲ ይሰርዝ`,
+        'scheduled.failed': '❌ ናይ ቆጸራ መልእኽትታት ኣብ ምምሕዳር ጌጋ ኣጋጢሙ። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'paused.access_denied': '❌ ፍቓድ የብልኩምን። ደው ዝበሉ ኣባላት ክርእዩ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'paused.none': '✅ ደው ዝበለ ኣባል የለን።',
+        'paused.title': '⏸️ ደው ዝበሉ ኣባላት ({count})',
+        'paused.line': `• {name} {phone}
+   ክሳብ {date}`,
+        'paused.more': '...ካልኦት {count} ውን',
+        'paused.hint': '💡 ደው ምባል ኣቐዲሙ ንምውዳእ RESUME +1234567890',
+        'paused.failed': '❌ ደው ዝበሉ ኣባላት ምጽዓን ኣይተኻእለን። ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።',
+
+        'demote.access_denied': '❌ ፍቓድ የብልኩምን። ካልኦት ኣመሓደርቲ ከውርዱ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'demote.usage': `❌ ዘይቅኑዕ ኣጻሕፋ። ከምዚ ተጠቐሙ: DEMOTE +1234567890 [ስም ኣመሓዳሪ]
+
+💡 እዚ:
+• ፍቓዳት ኣመሓዳሪ ካብቲ ኣባል የልዕል
+• ናብ ንቡር ኣባል ምእመናን ይቕይር
+• ኣባልነት ሒዙ መእተዊ ኣመሓዳሪ የልዕል`,
+        'demote.unrecognized': '❌ ትእዛዝ ኣይተፈልጠን። ከምዚ ተጠቐሙ: DEMOTE +1234567890 [ስም ኣመሓዳሪ]',
+        'demote.invalid_phone': `❌ ዘይቅኑዕ ቅርጺ ቁጽሪ ስልኪ: {phone}።
+💡 እዚ ቅርጺ ተጠቐሙ: +1234567890`,
+        'demote.self': `❌ ንባዕልኹም ከተውርዱ ኣይትኽእሉን።
+
+💡 ፍቓድ ኣመሓዳሪኹም ንምልዓል ካልእ ኣመሓዳሪ ርኸቡ።`,
+        'demote.not_found': `❌ ቁጽሪ ስልኩ {phone} ዝኾነ ኣባል ኣይተረኽበን
+
+💡 ቁጽሪ ስልኪ ኣረጋግጹ እሞ እንደገና ፈትኑ።`,
+        'demote.no_groups': 'ዝኾነ ጉጅለ የለን',
+        'demote.not_admin': `❌ {name} ኣመሓዳሪ ኣይኮኑን!
+
+📊 ህሉው ኩነታት:
+👤 ስም: {name}
+📱 ስልኪ: {phone}
+🔑 ኣመሓዳሪ: ኣይኮኑን
+🏛️ ጉጅለታት: {groups}
+
+💡 ክወርዱ ዝኽእሉ ኣመሓደርቲ ጥራይ እዮም።`,
+        'demote.name_mismatch': `❌ ምርግጋጽ ስም ኣይሰለጠን!
+📱 ስልኪ: {phone}
+💾 ዝተረኽበ ኣመሓዳሪ: {found}
+✏️ ዘእተኹሞ: {input}
+
+💡 ልክዕ ስም ወይ ቁጽሪ ስልኪ ጥራይ ተጠቐሙ።`,
+        'demote.success': `🔻 ኣመሓዳሪ ወሪዱ!
+
+👤 ስም: {name}
+📱 ስልኪ: {phone}
+🔑 ኩነታት: ንቡር ኣባል (ዝወረደ)
+🏛️ ጉጅለታት: ዝነበሩ ጉጅለታት ተታሒዞም
+📊 ጠቕላላ ኣመሓደርቲ: {admins}
+📊 ጠቕላላ ኣባላት: {members}
+
+❌ ዝተለዕሉ ፍቓዳት ኣመሓዳሪ:
+• ኣባላት ብADD ክውስኹ ኣይክእሉን
+• ኣባላት ብREMOVE ከወግዱ ኣይክእሉን
+• ADMIN/DEMOTE ክጥቀሙ ኣይክእሉን
+• ዳታቤዝ ብWIPE ክድምስሱ ኣይክእሉን
+• ስራሓት CLEANUP ክገብሩ ኣይክእሉን
+• መእተዊ ኣመሓዳሪ የለን
+
+✅ ሕጂ ውን ንጡፍ ኣባል ምእመናን እዮም`,
+        'demote.sms_sent': '📩 መፍለጢ ምውራድ መልእኽቲ ብዓወት ተላኢኹ',
+        'demote.sms_failed': '⚠️ መፍለጢ ምውራድ መልእኽቲ ኣይተላእከን: {error}',
+        'demote.failed': `❌ {name} ካብ ኣመሓዳሪነት ምውራድ ኣይተኻእለን።
+
+💡 ጌጋ: {error}`,
+        'demote.system_error': `❌ ኣመሓዳሪ ከውርድ ከሎ ጌጋ ሲስተም ኣጋጢሙ።
+
+💡 ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።`,
+
+        'wipe.access_denied': '❌ ፍቓድ የብልኩምን። WIPE ክፍጽሙ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'wipe.warning': `🚨 ትእዛዝ WIPE - ቀዋሚ ምጥፋእ ሓበሬታ
+
+⚠️ እዚ ኩሉ ሓበሬታ ንሓዋሩ ይድምስስ:
+• ኩሎም ኣባላት ምእመናን
+• ኩሎም ዝተዘርግሑ መልእኽትታት
+• ኩሎም ፋይላት ሚድያ
+• ኩሎም መዛግብ ምብጻሕ
+• ኩሉ ሓበሬታ ትንተና
+• ኩሎም መለክዒታት ኣፈጻጽማ
+• ምሉእ ትሕዝቶ ዳታቤዝ
+
+🔥 እዚ ክምለስ ኣይክእልን!
+
+ንምቕጻል ስደዱ: WIPE CONFIRM
+
+⚠️ ንምሉእ ዳግመ-ምጅማር ሲስተም ጥራይ ተጠቐሙ`,
+        'wipe.report': `🚨 ምድምሳስ ዳታቤዝ ተዛዚሙ
+
+🔥 ጽማቕ ቀዋሚ ምድምሳስ:
+👥 ዝተደምሰሱ ኣባላት: {members}
+🏛️ ዝተደምሰሱ ጉጅለታት: {groups}
+📨 ዝተደምሰሱ መልእኽትታት: {messages}
+📎 ዝተደምሰሱ ፋይላት ሚድያ: {mediaFiles}
+📊 ዝተደምሰሱ መዛግብ ምብጻሕ: {deliveryLogs}
+📈 ዝተደምሰሱ ትንተናታት: {analytics}
+⚡ ዝተደምሰሱ መለክዒታት ኣፈጻጽማ: {performanceMetrics}
+
+📊 ጠቕላላ ዝተደምሰሱ መዛግብ: {total}
+⏱️ ስራሕ ዝወሰዶ ግዜ: {seconds} ካልኢት`,
+        'wipe.empty': `✅ ዳታቤዝ ሕጂ ብምሉኡ ባዶ እዩ
+💡 ሲስተም ዳግማይ ንምጅማር setup.js ኣካይዱ
+💡 ኣባላት ምእመናን ብsetup ስክሪፕት ወስኹ`,
+        'wipe.remaining': `⚠️ መጠንቀቕታ: {count} መዛግብ ተሪፎም
+💡 ገሊኦም ስብስባት ብምሉኦም ዘይተደምሰሱ ክኾኑ ይኽእሉ`,
+        'wipe.failed': `❌ ምድምሳስ ዳታቤዝ ኣይሰለጠን: {error}
+
+💡 ርክብ ዳታቤዝን ፍቓዳትን ኣረጋግጹ`,
+        'wipe.system_error': `❌ ኣብ ግዜ ምድምሳስ ጌጋ ሲስተም ኣጋጢሙ።
+
+💡 ንዝርዝር ሓበሬታ ጌጋ መዛግብ ሲስተም ርኣዩ።`,
+
+        'admin.access_denied': '❌ ፍቓድ የብልኩምን። ፍቓዳት ኣመሓዳሪ ከመሓድሩ ዝኽእሉ ኣመሓደርቲ ቤተ ክርስቲያን ጥራይ እዮም።',
+        'admin.usage': `❌ ዘይቅኑዕ ኣጻሕፋ። ከምዚ ተጠቐሙ: ADMIN +1234567890 ስም ኣመሓዳሪ
+
+💡 እዚ:
+• ነቲ ሰብ ከም ሓድሽ ኣመሓዳሪ ይውስኽ
+• ምሉእ ምቁጽጻር ምምሕዳር ይህብ
+• ኩሎም ትእዛዛት ኣመሓዳሪ የኽእል (ADD, REMOVE, WIPE, CLEANUP)`,
+        'admin.unrecognized': '❌ ትእዛዝ ኣይተፈልጠን። ከምዚ ተጠቐሙ: ADMIN +1234567890 ስም ኣመሓዳሪ',
+        'admin.name_required': '❌ ስም ኣመሓዳሪ የድሊ። ከምዚ ተጠቐሙ: ADMIN +1234567890 ስም ኣመሓዳሪ',
+        'admin.invalid_phone': `❌ ዘይቅኑዕ ቅርጺ ቁጽሪ ስልኪ: {phone}።
+💡 እዚ ቅርጺ ተጠቐሙ: +1234567890`,
+        'admin.self': `❌ ናይ ባዕልኹም ኩነታት ኣመሓዳሪ ክትቕይሩ ኣይትኽእሉን።
+
+💡 ፍቓዳትኩም ክትቕይሩ እንተደሊኹም ካልእ ኣመሓዳሪ ርኸቡ።`,
+        'admin.already_admin': `❌ {name} ድሮ ኣመሓዳሪ እዮም!
+
+📊 ህሉው ኩነታት:
+👤 ስም: {name}
+📱 ስልኪ: {phone}
+🔑 ኣመሓዳሪ: እወ
+🏛️ ጉጅለታት: {groups}
+📊 ዝተላእኩ መልእኽትታት: {messages}`,
+        'admin.promoted': `🔑 ናብ ኣመሓዳሪነት ደዪቦም!
+
+👤 ስም: {name}
+📱 ስልኪ: {phone}
+🔑 ኩነታት: ኣመሓዳሪ (ዝደየበ)
+🏛️ ጉጅለ: መሪሕነት ቤተ ክርስቲያን
+📊 ጠቕላላ ኣመሓደርቲ: {admins}
+📊 ጠቕላላ ኣባላት: {members}
+
+✅ ምሉእ ፍቓዳት ኣመሓዳሪ ተዋሂቡ:
+• ADD - ሓደስቲ ኣባላት ምእመናን ምውሳኽ
+• REMOVE - ኣባላት ካብ ሲስተም ምውጋድ
+• ADMIN - ፍቓዳት ኣመሓዳሪ ምምሕዳር
+• WIPE - ናይ ህጹጽ ግዜ ምድምሳስ ዳታቤዝ
+• CLEANUP - ጽገና ዳታቤዝ
+• ኩሉ መእተዊታት ኣመሓዳሪ`,
+        'admin.promotion_sms_sent': '📩 መፍለጢ ኣመሓዳሪነት መልእኽቲ ብዓወት ተላኢኹ',
+        'admin.promotion_sms_failed': '⚠️ መፍለጢ ኣመሓዳሪነት መልእኽቲ ኣይተላእከን: {error}',
+        'admin.promotion_failed': `❌ {name} ናብ ኣመሓዳሪነት ምድያብ ኣይተኻእለን።
+
+💡 ጌጋ: {error}`,
+        'admin.no_leadership_group': '❌ ጉጅለ መሪሕነት ቤተ ክርስቲያን ኣይተረኽበን። ጉጅለታት ንምድላው setup.js ኣካይዱ።',
+        'admin.created': `🔑 ሓድሽ ኣመሓዳሪ ብዓወት ተፈጢሩ!
+
+👤 ስም: {name}
+📱 ስልኪ: {phone}
+🔑 ኩነታት: ኣመሓዳሪ (ሓድሽ)
+🏛️ ጉጅለ: መሪሕነት ቤተ ክርስቲያን
+📊 ጠቕላላ ኣመሓደርቲ: {admins}
+📊 ጠቕላላ ኣባላት: {members}
+
+✅ ምሉእ ፍቓዳት ኣመሓዳሪ ተዋሂቡ:
+• ADD - ሓደስቲ ኣባላት ምእመናን ምውሳኽ
+• REMOVE - ኣባላት ካብ ሲስተም ምውጋድ
+• ADMIN - ፍቓዳት ኣመሓዳሪ ምምሕዳር
+• WIPE - ናይ ህጹጽ ግዜ ምድምሳስ ዳታቤዝ
+• CLEANUP - ጽገና ዳታቤዝ
+• ኩሉ መእተዊታት ኣመሓዳሪ`,
+        'admin.welcome_sms_sent': '📩 መልእኽቲ እንቋዕ ብደሓን መጻእኩም ንኣመሓዳሪ ብዓወት ተላኢኹ',
+        'admin.welcome_sms_failed': '⚠️ መልእኽቲ እንቋዕ ብደሓን መጻእኩም ንኣመሓዳሪ ኣይተላእከን: {error}',
+        'admin.duplicate_phone': `❌ ቁጽሪ ስልኪ ድሮ ኣብ ዳታቤዝ ኣሎ!
+📱 ቁጽሪ: {phone}
+💡 ካልእ ቁጽሪ ስልኪ ተጠቐሙ ወይ ዘለዉ ኣባላት ኣረጋግጹ።`,
+        'admin.database_error': '❌ ጌጋ ዳታቤዝ: ኣመሓዳሪ ምፍጣር ኣይተኻእለን። በጃኹም እንደገና ፈትኑ ወይ ደገፍ ቴክኒክ ርኸቡ።',
+        'admin.already_exists': '❌ ብዚ ቁጽሪ ስልኪ ኣመሓዳሪ ድሮ ኣብ ሲስተም ኣሎ።',
+        'admin.system_error': `❌ ፍቓዳት ኣመሓዳሪ ኣብ ምምሕዳር ጌጋ ሲስተም ኣጋጢሙ።
+
+💡 ጉጅለ ቴክኒክ ክፈልጥ ተገይሩ።`,
+
+        'reaction.access_denied': '❌ ፍቓድ የብልኩምን። ትእዛዛት REACTION ክጥቀሙ ዝኽእሉ ኣመሓደርቲ ጥራይ እዮም።',
+        'reaction.unknown': `❌ ዘይፍለጥ ትእዛዝ ግብረ-መልሲ: {command}
+
+ዘለዉ ትእዛዛት:
+• REACTION STATUS
+• REACTION SEND
+• REACTION STATS`,
+        'reaction.failed': '❌ ትእዛዝ ግብረ-መልሲ ኣብ ምፍጻም ጌጋ ኣጋጢሙ',
+        'reaction.status': `📊 ኩነታት ሲስተም ግብረ-መልሲ
+
+📅 ሎሚ ({date}):
+🔇 ዝጽበዩ ግብረ-መልስታት: {count}
+🕒 ዝቕጽል ጽማቕ: መዓልታዊ ምሸት 2:00 ({timeZone})
+✅ ስቕ ዝበለ ምልላይ: ንጡፍ
+📱 ሲስተም: ኣብ ስራሕ
+
+💡 ሲስተም ንምፍታን ከም ❤️😂👍 ዝኣመሰሉ ግብረ-መልስታት ስደዱ!`,
+        'reaction.status_failed': '❌ ኩነታት ግብረ-መልሲ ኣብ ምምጻእ ጌጋ ኣጋጢሙ',
+        'reaction.send_pending': `✅ ባህሪ መዓልታዊ ጽማቕ ግብረ-መልሲ ኣብ ምድላው እዩ።
+
+📊 ሕጂ ግብረ-መልስታት ብስቕታ ይእከቡ ኣለዉ።
+
+🔜 ምሉእ ናይ ምሸት ሰዓት 2 ጽማቓት ቀልጢፎም ክመጹ እዮም!`,
+        'reaction.send_failed': '❌ ጽማቕ ግብረ-መልሲ ኣብ ምልኣኽ ጌጋ ኣጋጢሙ',
+        'reaction.stats': `📊 ስታቲስቲክስ ግብረ-መልሲ (ዝሓለፉ 7 መዓልታት)
+
+📈 ጠቕላላ ዝተረኽቡ ግብረ-መልስታት: {total}
+🔇 ኩሎም ግብረ-መልስታት ብስቕታ ተዓቂቦም
+📅 መዓልታዊ ማእከላይ: {average}
+✅ ሲስተም ብግቡእ ይሰርሕ ኣሎ
+
+💡 ግብረ-መልስታት ንመጻኢ ናይ ምሸት ሰዓት 2 ጽማቓት ምሉእ መዓልቲ ይእከቡ!`,
+        'reaction.stats_failed': '❌ ስታቲስቲክስ ግብረ-መልሲ ኣብ ምምጻእ ጌጋ ኣጋጢሙ'
+    }
+};
+
+// "am", "AMHARIC" or "አማርኛ" -> "am"; anything else -> null
+function normalizeLanguage(value) {
+    const input = String(value || '').trim();
+    if (!input) {
+        return null;
+    }
+
+    const upper = input.toUpperCase();
+    const match = Object.entries(LANGUAGES).find(([code, language]) =>
+        code.toUpperCase() === upper || language.aliases.includes(upper) || language.nativeName === input);
+    return match ? match[0] : null;
+}
+
+// A member's saved language, or English for members who never chose one
+function languageOf(member) {
+    return member && LANGUAGES[member.language] ? member.language : DEFAULT_LANGUAGE;
+}
+
+// Exact catalog entry without the English fallback - null when the language has no translation
+function getTranslation(language, key) {
+    const catalog = CATALOG[language];
+    return catalog && catalog[key] !== undefined ? catalog[key] : null;
+}
+
+function translate(language, key, vars = {}) {
+    const text = getTranslation(language, key) ?? getTranslation(DEFAULT_LANGUAGE, key);
+    if (text === null) {
+        return key;
+    }
+
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : placeholder));
+}
+
+function languageName(code) {
+    const language = LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+    return language.nativeName === language.name ? language.name : `${language.nativeName} (${language.name})`;
+}
+
+function languageLocale(code) {
+    return (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+}
+
+function languageOptions() {
+    return Object.keys(LANGUAGES)
+        .map(code => `• LANGUAGE ${code.toUpperCase()} - ${languageName(code)}`)
+        .join('\n');
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    normalizeLanguage,
+    languageOf,
+    getTranslation,
+    translate,
+    languageName,
+    languageLocale,
+    languageOptions
+};
@@ -0,0 +1,245 @@
+// CSV import/export for member rosters. Used by the admin dashboard and the REST API.
+// Import accepts our own export format as well as typical church management software
+// exports ("First Name", "Last Name", "Mobile Phone Number", ...).
+
+const DEFAULT_GROUP_NAME = 'YesuWay Congregation';
+const MAX_IMPORT_ROWS = 5000;
+
+const HEADER_ALIASES = {
+    name: ['name', 'full name', 'fullname', 'member name', 'display name'],
+    firstName: ['first name', 'firstname', 'given name'],
+    lastName: ['last name', 'lastname', 'surname', 'family name'],
+    phone: ['phone', 'phone number', 'phonenumber', 'mobile', 'mobile phone', 'mobile phone number', 'cell', 'cell phone', 'sms'],
+    groups: ['group', 'groups', 'group name', 'ministry'],
+    isAdmin: ['admin', 'is admin', 'isadmin']
+};
+
+const EXPORT_HEADERS = ['name', 'phone', 'groups', 'admin', 'active', 'opted_out', 'joined'];
+
+// RFC 4180 parser: quoted fields, escaped quotes, commas and newlines inside quotes, CRLF
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Spreadsheets run a cell starting with one of these as a formula, and names can come from
+// unauthenticated JOIN texts - such cells are exported with a leading ' so they stay text
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+function toCsv(rows) {
+    return rows.map(cells => cells.map(cell => {
+        let value = cell === null || cell === undefined ? '' : String(cell);
+        if (FORMULA_PREFIX_PATTERN.test(value)) {
+            value = `'${value}`;
+        }
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+function mapHeaders(headerRow) {
+    const columns = {};
+    headerRow.forEach((header, index) => {
+        const normalized = header.trim().toLowerCase().replace(/[_-]+/g, ' ');
+        for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+            if (columns[field] === undefined && aliases.includes(normalized)) {
+                columns[field] = index;
+            }
+        }
+    });
+    return columns;
+}
+
+function isValidPhone(phone) {
+    return /^\+\d{11,15}$/.test(phone || '');
+}
+
+function parseBoolean(value) {
+    return ['yes', 'y', 'true', '1', 'admin'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Imports members from CSV text.
+ * Phones go through cleanPhoneNumber; existing numbers are skipped exactly as createMemberSafe
+ * rejects them, and duplicates within the file are skipped after their first row.
+ * Returns { totalRows, created, skipped, invalid } where each entry carries its CSV row number.
+ */
+async function importMembersCsv(smsSystem, csvText, options = {}) {
+    const dbManager = smsSystem.dbManager;
+    const logger = options.logger || console;
+    const dryRun = Boolean(options.dryRun);
+    const report = { totalRows: 0, dryRun, created: [], skipped: [], invalid: [] };
+
+    const rows = parseCsv(csvText || '');
+    if (rows.length < 2) {
+        throw new Error('CSV must have a header row and at least one member row');
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        throw new Error(`CSV has ${rows.length - 1} rows - the limit is ${MAX_IMPORT_ROWS} per import`);
+    }
+
+    const columns = mapHeaders(rows[0]);
+    if (columns.phone === undefined || (columns.name === undefined && columns.firstName === undefined)) {
+        throw new Error('CSV needs a phone column and a name (or first name) column');
+    }
+
+    const groups = await dbManager.getAllGroups();
+    const defaultGroup = groups.find(group => group.name === DEFAULT_GROUP_NAME) || null;
+    const groupLookup = new Map();
+    for (const group of groups) {
+        groupLookup.set(group.name.toLowerCase(), group);
+        groupLookup.set(smsSystem.getGroupKeyword(group).toLowerCase(), group);
+    }
+
+    const seenPhones = new Set();
+    // Undo the export's formula guard so a re-imported roster keeps "+1206..." and names as they were
+    const cell = (cells, field) => (columns[field] !== undefined
+        ? (cells[columns[field]] || '').trim().replace(/^'(?=[=+\-@])/, '')
+        : '');
+
+    for (let index = 1; index < rows.length; index++) {
+        const cells = rows[index];
+        const rowNumber = index + 1;
+        report.totalRows++;
+
+        const name = cell(cells, 'name') || [cell(cells, 'firstName'), cell(cells, 'lastName')].filter(Boolean).join(' ');
+        const rawPhone = cell(cells, 'phone');
+        const phoneNumber = smsSystem.cleanPhoneNumber(rawPhone);
+
+        if (!name) {
+            report.invalid.push({ row: rowNumber, phone: rawPhone, reason: 'Missing name' });
+            continue;
+        }
+        if (!isValidPhone(phoneNumber)) {
+            report.invalid.push({ row: rowNumber, name, phone: rawPhone, reason: 'Invalid phone number' });
+            continue;
+        }
+
+        const groupNames = cell(cells, 'groups').split(/[;|]/).map(part => part.trim().replace(/^@/, '')).filter(Boolean);
+        const memberGroups = [];
+        const unknownGroups = [];
+        for (const groupName of groupNames) {
+            const group = groupLookup.get(groupName.toLowerCase());
+            if (group) {
+                memberGroups.push(group);
+            } else {
+                unknownGroups.push(groupName);
+            }
+        }
+        if (unknownGroups.length > 0) {
+            report.invalid.push({ row: rowNumber, name, phone: phoneNumber, reason: `Unknown group: ${unknownGroups.join(', ')}` });
+            continue;
+        }
+        if (memberGroups.length === 0 && defaultGroup) {
+            memberGroups.push(defaultGroup);
+        }
+
+        if (seenPhones.has(phoneNumber)) {
+            report.skipped.push({ row: rowNumber, name, phone: phoneNumber, reason: 'Duplicate phone earlier in file' });
+            continue;
+        }
+        seenPhones.add(phoneNumber);
+
+        const memberData = {
+            phoneNumber,
+            name,
+            isAdmin: parseBoolean(cell(cells, 'isAdmin')),
+            active: true,
+            messageCount: 0,
+            lastActivity: new Date(),
+            groups: memberGroups.map(group => ({ groupId: group._id, joinedAt: new Date() }))
+        };
+        const groupLabel = memberGroups.map(group => group.name).join('; ');
+
+        try {
+            const existing = await dbManager.getMemberByPhoneAnyStatus(phoneNumber);
+            if (existing) {
+                report.skipped.push({ row: rowNumber, name, phone: phoneNumber,
+                    reason: `Already registered as ${existing.name} (${existing.active ? 'active' : 'inactive'})` });
+                continue;
+            }
+
+            if (!dryRun) {
+                await dbManager.createMemberSafe(memberData);
+            }
+            report.created.push({ row: rowNumber, name, phone: phoneNumber, groups: groupLabel });
+        } catch (error) {
+            if (error.message.includes('already exists') || error.code === 11000) {
+                report.skipped.push({ row: rowNumber, name, phone: phoneNumber, reason: 'Already registered' });
+            } else {
+                logger.error(`❌ CSV import row ${rowNumber} failed: ${error.message}`);
+                report.invalid.push({ row: rowNumber, name, phone: phoneNumber, reason: error.message });
+            }
+        }
+    }
+
+    logger.info(`📥 CSV import${dryRun ? ' (dry run)' : ''}: ${report.created.length} created, ${report.skipped.length} skipped, ${report.invalid.length} invalid`);
+    return report;
+}
+
+async function exportMembersCsv(dbManager, options = {}) {
+    const status = options.status || 'all';
+    // limit 0 = no limit
+    const { members } = await dbManager.searchMembers({ status, page: 1, limit: 0 });
+
+    const rows = [EXPORT_HEADERS];
+    for (const member of members) {
+        rows.push([
+            member.name,
+            member.phoneNumber,
+            (member.groups || []).map(g => g.groupId?.name).filter(Boolean).join('; '),
+            member.isAdmin ? 'yes' : 'no',
+            member.active ? 'yes' : 'no',
+            member.smsOptOut ? 'yes' : 'no',
+            member.createdAt ? new Date(member.createdAt).toISOString().slice(0, 10) : ''
+        ]);
+    }
+
+    return toCsv(rows);
+}
+
+module.exports = {
+    parseCsv,
+    toCsv,
+    importMembersCsv,
+    exportMembersCsv
+};
@@ -0,0 +1,183 @@
+// Named SMS templates with {mergeField} placeholders.
+// Built-in templates (welcome, admin promotion/demotion) ship with the defaults below and can be
+// overridden by saving a template with the same name; deleting the override restores the default.
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_-]{1,30}$/;
+const MAX_TEMPLATE_LENGTH = 1600;
+
+// Value used when a field is missing or blank for a recipient. "{firstName|there}" overrides it inline.
+const MERGE_FIELD_FALLBACKS = {
+    firstName: 'friend',
+    lastName: '',
+    name: 'friend',
+    groupName: '',
+    churchName: 'our church',
+    adminName: 'a church administrator'
+};
+
+// Fields that differ per recipient - everything else is filled in once per broadcast
+const RECIPIENT_FIELDS = ['firstName', 'lastName', 'name'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)(?:\|([^{}]*))?\}/g;
+
+const DEFAULT_TEMPLATES = {
+    welcome: {
+        description: 'Sent to new members when an admin adds them',
+        body: `🏛️ Welcome to {churchName}, {name}!
+
+You've been added to our church SMS system by {adminName}.
+
+📱 HOW IT WORKS:
+• Text anything to this number to broadcast to our entire congregation
+• Share photos, prayer requests, and announcements
+• Everyone receives your messages instantly
+
+✅ WHAT YOU CAN SHARE:
+• Prayer requests and testimonies
+• Church event updates and reminders
+• Photos from services and events
+• Encouragement and fellowship messages
+
+💡 GETTING STARTED:
+• Send "Hello everyone!" to introduce yourself
+• Share freely - we're one church family
+
+🙏 SCRIPTURE:
+"And let us consider how we may spur one another on toward love and good deeds." - Hebrews 10:24
+
+Welcome to our church family! We're excited to have you connected with us.
+
+- {churchName} Technology Team`
+    },
+    admin_promotion: {
+        description: 'Sent to a member when they are made an administrator',
+        body: `🔑 ADMIN PRIVILEGES GRANTED
+
+{name}, you've been promoted to Church Administrator by {adminName}.
+
+🔑 YOUR ADMIN COMMANDS:
+• ADD +1234567890 Name (add members)
+• REMOVE +1234567890 Name (remove members)
+• ADMIN +1234567890 Name (grant admin)
+• WIPE CONFIRM (emergency reset)
+• CLEANUP STATUS (system health)
+
+⚠️ RESPONSIBILITIES:
+• All commands are logged
+• Coordinate with other admins
+• Use WIPE only in emergencies
+
+Send "HELP" for full command list.
+
+Welcome to the admin team!
+- {churchName} Leadership`
+    },
+    admin_demotion: {
+        description: 'Sent to an administrator when their privileges are removed',
+        body: `🔻 ADMIN PRIVILEGES REMOVED
+
+{name}, your administrator privileges have been removed by {adminName}.
+
+📊 YOUR NEW STATUS:
+• Regular Congregation Member
+• Retained church membership
+• No administrative access
+
+❌ REMOVED PRIVILEGES:
+• Cannot ADD new members
+• Cannot REMOVE members
+• Cannot grant ADMIN privileges
+• Cannot WIPE database
+• Cannot use CLEANUP commands
+• No admin endpoint access
+
+✅ YOU CAN STILL:
+• Send messages to congregation
+• Share photos and media
+• Participate in church communication
+• Receive all broadcasts
+
+📱 QUESTIONS?
+Contact {adminName} or church leadership for clarification.
+
+You remain a valued member of our church family.
+
+- {churchName} Leadership`
+    }
+};
+
+function normalizeTemplateName(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+function isBuiltInTemplate(name) {
+    return Object.prototype.hasOwnProperty.call(DEFAULT_TEMPLATES, normalizeTemplateName(name));
+}
+
+// Unknown placeholders are rejected when saving so typos like {fristName} never reach members
+function validateTemplate(name, body) {
+    if (!TEMPLATE_NAME_PATTERN.test(normalizeTemplateName(name))) {
+        return 'Template names use 1-30 letters, numbers, - or _';
+    }
+    if (!body || !body.trim()) {
+        return 'Template text is required';
+    }
+    if (body.length > MAX_TEMPLATE_LENGTH) {
+        return `Template is ${body.length} characters - the limit is ${MAX_TEMPLATE_LENGTH}`;
+    }
+
+    const unknown = [...body.matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(field => !(field in MERGE_FIELD_FALLBACKS));
+    if (unknown.length > 0) {
+        return `Unknown merge field: ${[...new Set(unknown)].map(field => `{${field}}`).join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Replaces {field} and {field|fallback} placeholders. Blank values use the inline fallback, then
+ * MERGE_FIELD_FALLBACKS. With partial=true, fields not present in `fields` are left in place so the
+ * per-recipient ones can be filled in later by the send queue.
+ */
+function renderTemplate(body, fields = {}, options = {}) {
+    return String(body || '').replace(PLACEHOLDER_PATTERN, (placeholder, field, inlineFallback) => {
+        if (!(field in MERGE_FIELD_FALLBACKS)) {
+            return placeholder;
+        }
+        if (options.partial && !(field in fields)) {
+            return placeholder;
+        }
+
+        const value = fields[field];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return String(value).trim();
+        }
+        return inlineFallback !== undefined ? inlineFallback : MERGE_FIELD_FALLBACKS[field];
+    });
+}
+
+function hasRecipientFields(body) {
+    return [...String(body || '').matchAll(PLACEHOLDER_PATTERN)].some(match => RECIPIENT_FIELDS.includes(match[1]));
+}
+
+function recipientFields(name) {
+    const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+    return {
+        name: parts.join(' '),
+        firstName: parts[0] || '',
+        lastName: parts.length > 1 ? parts[parts.length - 1] : ''
+    };
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    MERGE_FIELD_FALLBACKS,
+    normalizeTemplateName,
+    isBuiltInTemplate,
+    validateTemplate,
+    renderTemplate,
+    hasRecipientFields,
+    recipientFields
+};
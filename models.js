@@ -196,6 +196,28 @@ const groupSchema = new Schema({
         type: String,
         trim: true
     },
+    keyword: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        unique: true,
+        sparse: true
+    },
+    postingPolicy: {
+        type: String,
+        enum: ['everyone', 'members', 'admins'],
+        default: 'members'
+    },
+    // Non-admin posts to this group wait for an admin to APPROVE them
+    requiresApproval: {
+        type: Boolean,
+        default: false
+    },
+    // Members may JOIN GROUP / LEAVE GROUP themselves; closed groups are managed by admins
+    open: {
+        type: Boolean,
+        default: false
+    },
     active: {
         type: Boolean,
         default: true
@@ -236,6 +258,46 @@ const memberSchema = new Schema({
         type: Number,
         default: 0
     },
+    smsOptOut: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    optedOutAt: {
+        type: Date,
+        default: null
+    },
+    optedInAt: {
+        type: Date,
+        default: null
+    },
+    optOutKeyword: {
+        type: String,
+        default: null
+    },
+    // IANA zone such as America/Chicago for quiet hours; null uses the church time zone
+    timeZone: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    // Reply language code from localization.js (en, am, ti); null means English
+    language: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    // 'digest' members skip broadcast fan-out and get the day's broadcasts in one text (DIGEST ON)
+    deliveryMode: {
+        type: String,
+        enum: ['instant', 'digest'],
+        default: 'instant'
+    },
+    // PAUSE <days>: no broadcasts until this date passes, then delivery resumes by itself
+    pausedUntil: {
+        type: Date,
+        default: null
+    },
     groups: [{
         groupId: {
             type: Schema.Types.ObjectId,
@@ -288,6 +350,48 @@ const broadcastMessageSchema = new Schema({
         type: Number,
         default: 0
     },
+    targetGroupId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Group',
+        default: null,
+        index: true
+    },
+    targetGroupName: {
+        type: String
+    },
+    // processedMessage still holds {firstName}-style fields, filled in per recipient when sending
+    personalized: {
+        type: Boolean,
+        default: false
+    },
+    templateName: {
+        type: String
+    },
+    // Sent with URGENT - skipped the quiet-hours hold
+    urgent: {
+        type: Boolean,
+        default: false
+    },
+    // Billing estimate from sms-encoding.js: parts per recipient, and across all recipients
+    encoding: {
+        type: String,
+        enum: ['GSM-7', 'UCS-2']
+    },
+    segmentCount: {
+        type: Number
+    },
+    estimatedSegments: {
+        type: Number
+    },
+    deliverySummary: {
+        queued: { type: Number, default: 0 },
+        pending: { type: Number, default: 0 },
+        sent: { type: Number, default: 0 },
+        delivered: { type: Number, default: 0 },
+        undelivered: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        updatedAt: { type: Date }
+    },
     processingStatus: {
         type: String,
         enum: ['pending', 'processing', 'completed', 'error'],
@@ -295,9 +399,43 @@ const broadcastMessageSchema = new Schema({
     },
     deliveryStatus: {
         type: String,
-        enum: ['pending', 'sending', 'completed', 'failed'],
+        enum: ['pending_approval', 'pending', 'sending', 'completed', 'failed', 'rejected', 'expired', 'cancelled'],
         default: 'pending'
     },
+    // UNDO window: fan-out waits until undoUntil, and an UNDO before then cancels the broadcast
+    undoUntil: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    // CORRECT <text>: a correction points at the broadcast it fixes, which counts its corrections
+    correctionOf: {
+        type: Schema.Types.ObjectId,
+        ref: 'BroadcastMessage',
+        default: null,
+        index: true
+    },
+    correctionCount: {
+        type: Number,
+        default: 0
+    },
+    lastCorrectedAt: {
+        type: Date
+    },
+    // Set while a member broadcast is held for admin review (APPROVE/REJECT <shortId>)
+    moderation: {
+        shortId: { type: String, uppercase: true, sparse: true, unique: true },
+        expiresAt: { type: Date },
+        reviewedBy: { type: String },
+        reviewedAt: { type: Date },
+        reason: { type: String },
+        mediaUrls: [{
+            _id: false,
+            url: { type: String },
+            type: { type: String }
+        }]
+    },
     sentAt: {
         type: Date,
         default: Date.now,
@@ -380,9 +518,16 @@ const deliveryLogSchema = new Schema({
     messageId: {
         type: Schema.Types.ObjectId,
         ref: 'BroadcastMessage',
-        required: true,
+        required: function () {
+            return !this.messageText;
+        },
         index: true
     },
+    // Direct messages (event reminders, prayer team, digests) have no broadcast, so the text is kept here
+    messageText: {
+        type: String,
+        default: null
+    },
     memberId: {
         type: Schema.Types.ObjectId,
         ref: 'Member',
@@ -399,12 +544,13 @@ const deliveryLogSchema = new Schema({
     },
     deliveryStatus: {
         type: String,
-        enum: ['pending', 'sent', 'delivered', 'failed', 'undelivered'],
+        enum: ['queued', 'pending', 'sent', 'delivered', 'failed', 'undelivered'],
         default: 'pending',
         index: true
     },
     twilioMessageSid: {
-        type: String
+        type: String,
+        index: true
     },
     errorCode: {
         type: String
@@ -419,6 +565,10 @@ const deliveryLogSchema = new Schema({
         type: Number,
         default: 0
     },
+    nextAttemptAt: {
+        type: Date,
+        default: null
+    },
     deliveredAt: {
         type: Date,
         default: Date.now
@@ -428,6 +578,59 @@ const deliveryLogSchema = new Schema({
     collection: 'delivery_log'
 });
 
+// Scheduled Broadcast Schema
+const scheduledBroadcastSchema = new Schema({
+    shortId: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    fromPhone: {
+        type: String,
+        required: true,
+        index: true
+    },
+    fromName: {
+        type: String,
+        required: true
+    },
+    messageText: {
+        type: String,
+        required: true
+    },
+    scheduledFor: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+        default: 'scheduled',
+        index: true
+    },
+    sentAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    cancelledBy: {
+        type: String
+    },
+    resultSummary: {
+        type: String
+    },
+    errorMessage: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    collection: 'scheduled_broadcasts'
+});
+
 // System Analytics Schema
 const systemAnalyticsSchema = new Schema({
     metricName: {
@@ -480,7 +683,346 @@ const performanceMetricsSchema = new Schema({
     collection: 'performance_metrics'
 });
 
+// Admin-editable SMS templates (TEMPLATE SAVE/SEND). Built-in names override the defaults
+// in message-templates.js.
+const messageTemplateSchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    updatedBy: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    collection: 'message_templates'
+});
 
+// "JOIN <name>" from an unknown number. Admins ACCEPT (member created, welcome SMS sent) or DECLINE.
+const joinRequestSchema = new Schema({
+    shortId: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    phoneNumber: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined'],
+        default: 'pending'
+    },
+    decidedBy: {
+        type: String
+    },
+    decidedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    collection: 'join_requests'
+});
+
+// Admin-managed keyword replies (KEYWORD SET). A matching text gets the response privately
+// instead of being broadcast. 'exact' needs the whole message to be the keyword; 'prefix' also
+// matches "SERVICE times this week?".
+const autoResponderSchema = new Schema({
+    keyword: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    response: {
+        type: String,
+        required: true
+    },
+    matchType: {
+        type: String,
+        enum: ['exact', 'prefix'],
+        default: 'exact'
+    },
+    hitCount: {
+        type: Number,
+        default: 0
+    },
+    lastHitAt: {
+        type: Date
+    },
+    updatedBy: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    collection: 'auto_responders'
+});
+
+// Inbound Twilio MessageSids already handled - Twilio retries a webhook it thinks failed,
+// so the same message can arrive more than once. Entries expire after 7 days.
+const processedInboundMessageSchema = new Schema({
+    messageSid: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    fromPhone: {
+        type: String
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now,
+        expires: 7 * 24 * 60 * 60
+    }
+}, {
+    collection: 'processed_inbound_messages'
+});
+
+// POLL question | option | option... - one poll is open at a time, and a bare number from a
+// member while it is open is stored as a vote instead of being broadcast
+const pollSchema = new Schema({
+    question: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    options: [{
+        type: String,
+        trim: true
+    }],
+    createdByPhone: {
+        type: String,
+        required: true
+    },
+    createdByName: {
+        type: String
+    },
+    // Polls sent with @GROUP only take votes from that group's members
+    targetGroupId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Group',
+        default: null
+    },
+    targetGroupName: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open',
+        index: true
+    },
+    closedAt: {
+        type: Date
+    },
+    closedBy: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    collection: 'polls'
+});
+
+// One vote per member per poll - voting again replaces the earlier choice
+const pollVoteSchema = new Schema({
+    pollId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Poll',
+        required: true
+    },
+    memberId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Member'
+    },
+    voterPhone: {
+        type: String,
+        required: true
+    },
+    voterName: {
+        type: String
+    },
+    // 0-based index into the poll's options
+    optionIndex: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, {
+    timestamps: true,
+    collection: 'poll_votes'
+});
+
+
+
+// Church events (EVENT command or POST /api/v1/events). The invitation and reminders go out by SMS,
+// members answer YES/NO/MAYBE, and /calendar/<keyword>.ics publishes them for calendar apps.
+const eventSchema = new Schema({
+    shortId: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    // Calendar feeds assume one hour when this is not set
+    endsAt: {
+        type: Date
+    },
+    location: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // null invites everyone; otherwise only the group is invited, reminded and allowed to RSVP
+    targetGroupId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Group',
+        default: null
+    },
+    targetGroupName: {
+        type: String
+    },
+    createdByPhone: {
+        type: String,
+        required: true
+    },
+    createdByName: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'cancelled'],
+        default: 'scheduled'
+    },
+    invitationSentAt: {
+        type: Date
+    },
+    // Hours-before values (EVENT_REMINDER_HOURS) already handled, so a restart never repeats one
+    remindersSent: [{
+        type: Number
+    }],
+    cancelledAt: {
+        type: Date
+    },
+    cancelledBy: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    collection: 'events'
+});
+
+// One answer per member per event - a later YES/NO/MAYBE replaces the earlier one
+const eventRsvpSchema = new Schema({
+    eventId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    memberId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Member'
+    },
+    phone: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String
+    },
+    response: {
+        type: String,
+        enum: ['yes', 'no', 'maybe'],
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: 'event_rsvps'
+});
+
+// PRAY <text> requests. They go only to the prayer team group, never to the congregation; the
+// requester's phone is kept even for anonymous requests so they can be told when it is answered.
+const prayerRequestSchema = new Schema({
+    shortId: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    requestText: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    memberId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Member'
+    },
+    requesterPhone: {
+        type: String,
+        required: true
+    },
+    requesterName: {
+        type: String
+    },
+    // The prayer team sees "Anonymous" instead of the name
+    anonymous: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['open', 'praying', 'answered'],
+        default: 'open'
+    },
+    // Team members who replied PRAYING <code>
+    prayingBy: [{
+        type: String
+    }],
+    teamNotifiedCount: {
+        type: Number,
+        default: 0
+    },
+    answeredAt: {
+        type: Date
+    },
+    answeredBy: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    collection: 'prayer_requests'
+});
 
 // Add indexes for optimized queries
 groupSchema.index({ active: 1, name: 1 });
@@ -488,7 +1030,10 @@ memberSchema.index({ active: 1, phoneNumber: 1 });
 memberSchema.index({ 'groups.groupId': 1 });
 broadcastMessageSchema.index({ sentAt: -1 });
 broadcastMessageSchema.index({ fromPhone: 1, sentAt: -1 });
+broadcastMessageSchema.index({ deliveryStatus: 1, 'moderation.expiresAt': 1 });
 deliveryLogSchema.index({ messageId: 1, deliveryStatus: 1 });
+deliveryLogSchema.index({ memberId: 1, createdAt: -1 });
+scheduledBroadcastSchema.index({ status: 1, scheduledFor: 1 });
 systemAnalyticsSchema.index({ metricName: 1, recordedAt: -1 });
 performanceMetricsSchema.index({ operationType: 1, recordedAt: -1 });
 
@@ -502,6 +1047,16 @@ dailyReactionSummarySchema.index({ summaryDate: -1 });
 dailyReactionSummarySchema.index({ summaryStatus: 1, summaryDate: -1 });
 dailyReactionSummarySchema.index({ sentAt: -1 });
 
+pollSchema.index({ status: 1, createdAt: -1 });
+pollVoteSchema.index({ pollId: 1, voterPhone: 1 }, { unique: true });
+eventSchema.index({ status: 1, startsAt: 1 });
+eventSchema.index({ targetGroupId: 1, startsAt: -1 });
+eventRsvpSchema.index({ eventId: 1, phone: 1 }, { unique: true });
+prayerRequestSchema.index({ status: 1, createdAt: 1 });
+prayerRequestSchema.index({ answeredAt: -1 });
+joinRequestSchema.index({ phoneNumber: 1, status: 1 });
+joinRequestSchema.index({ status: 1, createdAt: 1 });
+
 
 
 // Create and export models
@@ -510,8 +1065,18 @@ const Member = mongoose.model('Member', memberSchema);
 const BroadcastMessage = mongoose.model('BroadcastMessage', broadcastMessageSchema);
 const MediaFile = mongoose.model('MediaFile', mediaFileSchema);
 const DeliveryLog = mongoose.model('DeliveryLog', deliveryLogSchema);
+const ScheduledBroadcast = mongoose.model('ScheduledBroadcast', scheduledBroadcastSchema);
 const SystemAnalytics = mongoose.model('SystemAnalytics', systemAnalyticsSchema);
 const PerformanceMetrics = mongoose.model('PerformanceMetrics', performanceMetricsSchema);
+const MessageTemplate = mongoose.model('MessageTemplate', messageTemplateSchema);
+const ProcessedInboundMessage = mongoose.model('ProcessedInboundMessage', processedInboundMessageSchema);
+const AutoResponder = mongoose.model('AutoResponder', autoResponderSchema);
+const JoinRequest = mongoose.model('JoinRequest', joinRequestSchema);
+const Poll = mongoose.model('Poll', pollSchema);
+const PollVote = mongoose.model('PollVote', pollVoteSchema);
+const Event = mongoose.model('Event', eventSchema);
+const EventRsvp = mongoose.model('EventRsvp', eventRsvpSchema);
+const PrayerRequest = mongoose.model('PrayerRequest', prayerRequestSchema);
 
 // Export the new models (add these to your existing exports)
 const MessageReaction = mongoose.model('MessageReaction', messageReactionSchema);
@@ -527,8 +1092,18 @@ module.exports = {
     BroadcastMessage,
     MediaFile,
     DeliveryLog,
+    ScheduledBroadcast,
     SystemAnalytics,
     PerformanceMetrics,
+    MessageTemplate,
+    ProcessedInboundMessage,
+    AutoResponder,
+    JoinRequest,
+    Poll,
+    PollVote,
+    Event,
+    EventRsvp,
+    PrayerRequest,
     MessageReaction,           // NEW
     DailyReactionSummary,      // NEW  
     ReactionSummarySettings    // NEW
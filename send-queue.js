@@ -0,0 +1,298 @@
+// Rate-limited outbound SMS queue.
+// Recipients are written to delivery_log as 'queued' before anything is sent (direct messages
+// without a broadcast carry their text on the row), so the queue survives restarts: resume()
+// reloads queued rows and finishes them. Sends are spaced to
+// messagesPerSecond with at most `concurrency` Twilio requests in flight, and 429/5xx/network
+// failures are retried with exponential backoff instead of failing the recipient.
+// Personalized batches keep their merge fields until send time; personalizeFn fills them per recipient.
+// A recipient with notBefore (quiet hours) is persisted with nextAttemptAt and waits in the queue until then.
+
+class OutboundSendQueue {
+    constructor({ sendFn, personalizeFn = null, dbManager, logger, messagesPerSecond = 1, concurrency = 4, maxAttempts = 5, backoffBaseMs = 2000 }) {
+        this.sendFn = sendFn;
+        this.personalizeFn = personalizeFn;
+        this.dbManager = dbManager;
+        this.logger = logger;
+        this.intervalMs = 1000 / Math.max(0.1, messagesPerSecond);
+        this.concurrency = Math.max(1, concurrency);
+        this.maxAttempts = Math.max(1, maxAttempts);
+        this.backoffBaseMs = backoffBaseMs;
+
+        this.jobs = [];
+        this.active = 0;
+        this.lastStartAt = 0;
+        this.timer = null;
+        this.batches = new Map();
+        this.messageBodies = new Map();
+        this.personalizedBatches = new Set();
+    }
+
+    get size() {
+        return this.jobs.length + this.active;
+    }
+
+    /**
+     * Queues one message per recipient and resolves once every recipient has a final
+     * outcome. Resolves with { sent, failed, errors }. Recipients added for a broadcast that
+     * already has queued jobs (e.g. after resume()) join that batch and share its result.
+     * options.personalized renders messageText for each recipient through personalizeFn.
+     * options.batchKey tracks the recipients separately from the broadcast's main batch, so
+     * held recipients can resolve later without delaying the ones sent now.
+     */
+    async enqueueBroadcast(messageId, recipients, messageText, options = {}) {
+        const batchKey = options.batchKey
+            || (messageId ? messageId.toString() : `local_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+        if (recipients.length === 0 && !this.batches.has(batchKey)) {
+            return { sent: 0, failed: 0, errors: [] };
+        }
+
+        let deliveries = [];
+        if (recipients.length > 0 && this.dbManager.isConnected) {
+            try {
+                deliveries = await this.dbManager.createQueuedDeliveries(messageId, recipients, messageId ? null : messageText);
+            } catch (error) {
+                this.logger.error(`❌ Failed to persist queued deliveries: ${error.message}`);
+            }
+        }
+
+        this.messageBodies.set(batchKey, messageText);
+        if (options.personalized) {
+            this.personalizedBatches.add(batchKey);
+        }
+
+        if (!this.batches.has(batchKey)) {
+            this.batches.set(batchKey, { remaining: 0, stats: { sent: 0, failed: 0, errors: [] }, waiters: [] });
+        }
+        const batch = this.batches.get(batchKey);
+        batch.remaining += recipients.length;
+        const done = new Promise(resolve => batch.waiters.push(resolve));
+
+        recipients.forEach((member, index) => {
+            this.jobs.push({
+                batchKey,
+                messageId,
+                deliveryId: deliveries[index] ? deliveries[index]._id : null,
+                toPhone: member.phone,
+                name: member.name,
+                attempts: 0,
+                notBefore: member.notBefore ? member.notBefore.getTime() : 0
+            });
+        });
+
+        const held = recipients.filter(member => member.notBefore).length;
+        this.logger.info(`📥 Queued ${recipients.length} messages${held > 0 ? ` (${held} held)` : ''} (${this.size} in queue)`);
+        this.pump();
+        return done;
+    }
+
+    // Picks up recipients left 'queued' by a previous process
+    async resume() {
+        if (!this.dbManager.isConnected) {
+            return 0;
+        }
+
+        const queued = await this.dbManager.getQueuedDeliveries();
+        if (queued.length === 0) {
+            return 0;
+        }
+
+        const known = new Set(this.jobs.map(job => job.deliveryId && job.deliveryId.toString()));
+        let resumed = 0;
+
+        for (const delivery of queued) {
+            if (known.has(delivery._id.toString())) {
+                continue;
+            }
+
+            // A direct message row is its own batch - there is no broadcast to look the text up on
+            const batchKey = delivery.messageId ? delivery.messageId.toString() : `direct_${delivery._id}`;
+            if (!delivery.messageId) {
+                this.messageBodies.set(batchKey, delivery.messageText);
+            } else if (!this.messageBodies.has(batchKey)) {
+                const message = await this.dbManager.getBroadcastMessageById(delivery.messageId);
+                if (!message) {
+                    await this.dbManager.updateDeliveryLog(delivery._id, {
+                        deliveryStatus: 'failed',
+                        errorMessage: 'Broadcast message no longer exists'
+                    });
+                    continue;
+                }
+                this.messageBodies.set(batchKey, message.processedMessage);
+                if (message.personalized) {
+                    this.personalizedBatches.add(batchKey);
+                }
+            }
+
+            if (!this.batches.has(batchKey)) {
+                this.batches.set(batchKey, { remaining: 0, stats: { sent: 0, failed: 0, errors: [] }, waiters: [] });
+            }
+            this.batches.get(batchKey).remaining++;
+
+            this.jobs.push({
+                batchKey,
+                messageId: delivery.messageId,
+                deliveryId: delivery._id,
+                toPhone: delivery.toPhone,
+                name: delivery.toPhone,
+                attempts: delivery.retryCount || 0,
+                notBefore: delivery.nextAttemptAt ? delivery.nextAttemptAt.getTime() : 0
+            });
+            resumed++;
+        }
+
+        this.logger.info(`🔁 Resumed ${resumed} queued deliveries from a previous run`);
+        this.pump();
+        return resumed;
+    }
+
+    pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        while (this.active < this.concurrency) {
+            const now = Date.now();
+            const index = this.jobs.findIndex(job => job.notBefore <= now);
+            if (index === -1) {
+                break;
+            }
+
+            const wait = this.lastStartAt + this.intervalMs - now;
+            if (wait > 0) {
+                this.schedulePump(wait);
+                return;
+            }
+
+            const [job] = this.jobs.splice(index, 1);
+            this.lastStartAt = now;
+            this.active++;
+            this.runJob(job).finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+
+        // Only backed-off jobs left - wake up when the earliest becomes due
+        if (this.jobs.length > 0 && this.active < this.concurrency) {
+            const nextDue = Math.min(...this.jobs.map(job => job.notBefore));
+            this.schedulePump(Math.max(0, nextDue - Date.now()));
+        }
+    }
+
+    schedulePump(delayMs) {
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+        }, delayMs);
+    }
+
+    backoffDelay(attempts) {
+        const exponential = this.backoffBaseMs * Math.pow(2, attempts - 1);
+        return Math.min(exponential, 5 * 60 * 1000) + Math.floor(Math.random() * 1000);
+    }
+
+    async runJob(job) {
+        const startTime = Date.now();
+        job.attempts++;
+
+        let result;
+        try {
+            let messageText = this.messageBodies.get(job.batchKey);
+            if (this.personalizedBatches.has(job.batchKey) && this.personalizeFn) {
+                messageText = await this.personalizeFn(messageText, job);
+            }
+            result = await this.sendFn(job.toPhone, messageText);
+        } catch (error) {
+            result = { success: false, error: error.message, retryable: true };
+        }
+
+        if (!result.success && result.retryable && job.attempts < this.maxAttempts) {
+            const delayMs = this.backoffDelay(job.attempts);
+            job.notBefore = Date.now() + delayMs;
+            this.jobs.push(job);
+
+            this.logger.warn(`⏳ Retrying ${job.name} in ${Math.round(delayMs / 1000)}s (attempt ${job.attempts}/${this.maxAttempts}): ${result.error}`);
+            await this.persist(job, {
+                retryCount: job.attempts,
+                nextAttemptAt: new Date(job.notBefore),
+                errorCode: result.code ? String(result.code) : null,
+                errorMessage: result.error
+            });
+            return;
+        }
+
+        // Twilio accepting the message only means 'sent'; /webhook/status moves it on from there.
+        // A direct message's text is only kept until it is sent - prayer requests must not linger.
+        await this.persist(job, {
+            ...(job.messageId ? {} : { messageText: null }),
+            deliveryStatus: result.success ? 'sent' : 'failed',
+            twilioMessageSid: result.sid || null,
+            retryCount: job.attempts - 1,
+            nextAttemptAt: null,
+            errorCode: result.success ? null : (result.code ? String(result.code) : null),
+            errorMessage: result.success ? null : result.error,
+            deliveryTimeMs: Date.now() - startTime
+        });
+
+        if (result.success) {
+            this.logger.info(`✅ Delivered to ${job.name}: ${result.sid}`);
+        } else {
+            this.logger.error(`❌ Failed to ${job.name}: ${result.error}`);
+        }
+
+        await this.completeJob(job, result);
+    }
+
+    async persist(job, updateData) {
+        if (!job.deliveryId || !this.dbManager.isConnected) {
+            return;
+        }
+        try {
+            await this.dbManager.updateDeliveryLog(job.deliveryId, updateData);
+        } catch (error) {
+            this.logger.error(`❌ Failed to update queued delivery: ${error.message}`);
+        }
+    }
+
+    async completeJob(job, result) {
+        const batch = this.batches.get(job.batchKey);
+        if (!batch) {
+            return;
+        }
+
+        if (result.success) {
+            batch.stats.sent++;
+        } else {
+            batch.stats.failed++;
+            batch.stats.errors.push(`${job.name}: ${result.error}`);
+        }
+
+        batch.remaining--;
+        if (batch.remaining > 0) {
+            return;
+        }
+
+        this.batches.delete(job.batchKey);
+        this.messageBodies.delete(job.batchKey);
+        this.personalizedBatches.delete(job.batchKey);
+
+        if (batch.waiters.length > 0) {
+            batch.waiters.forEach(resolve => resolve(batch.stats));
+            return;
+        }
+
+        // Resumed broadcast - nobody is waiting, so close it out here
+        if (job.messageId && this.dbManager.isConnected) {
+            try {
+                await this.dbManager.updateBroadcastMessage(job.messageId, { deliveryStatus: 'completed' });
+                await this.dbManager.refreshBroadcastDeliverySummary(job.messageId);
+                this.logger.info(`✅ Resumed broadcast ${job.messageId} finished: ${batch.stats.sent} sent, ${batch.stats.failed} failed`);
+            } catch (error) {
+                this.logger.error(`❌ Failed to close resumed broadcast: ${error.message}`);
+            }
+        }
+    }
+}
+
+module.exports = OutboundSendQueue;
@@ -294,20 +294,29 @@ class ProductionSetup {
                 const productionGroups = [
                     { 
                         name: "YesuWay Congregation", 
-                        description: "Main congregation group for all church members" 
+                        description: "Main congregation group for all church members",
+                        keyword: "CONGREGATION",
+                        postingPolicy: "members"
                     },
                     { 
                         name: "Church Leadership", 
-                        description: "Leadership and administration group for pastors and elders" 
+                        description: "Leadership and administration group for pastors and elders",
+                        keyword: "LEADERSHIP",
+                        postingPolicy: "members"
                     },
                     { 
                         name: "Media Team", 
-                        description: "Media and technology team for multimedia content" 
+                        description: "Media and technology team for multimedia content",
+                        keyword: "MEDIA",
+                        postingPolicy: "members"
                     }
                 ];
 
                 for (const groupData of productionGroups) {
-                    const group = await this.dbManager.createGroup(groupData.name, groupData.description);
+                    const group = await this.dbManager.createGroup(groupData.name, groupData.description, {
+                        keyword: groupData.keyword,
+                        postingPolicy: groupData.postingPolicy
+                    });
                     console.log(`✅ Created group: ${groupData.name} (${group._id})`);
                     this.setupStats.groupsCreated++;
                 }
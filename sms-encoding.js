@@ -0,0 +1,94 @@
+// SMS encoding and segment counting.
+// A message that fits the GSM 03.38 alphabet is sent as GSM-7 (160 characters, or 153 per part when
+// split). One character outside it - an emoji or a curly quote - switches the whole message to
+// UCS-2 (70, or 67 per part), which is what silently multiplies the cost of a long broadcast.
+
+const GSM_BASIC = new Set(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extension table - each costs two septets (escape + character)
+const GSM_EXTENDED = new Set('\f^{}\\[~]|€');
+
+const SEGMENT_LIMITS = {
+    'GSM-7': { single: 160, multipart: 153 },
+    'UCS-2': { single: 70, multipart: 67 }
+};
+
+// Look-alikes that would otherwise force UCS-2. Mostly what phones and word processors auto-insert.
+const GSM_REPLACEMENTS = {
+    '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'", '´': "'", '`': "'",
+    '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"', '«': '"', '»': '"',
+    '–': '-', '—': '-', '―': '-', '−': '-', '•': '-',
+    '…': '...',
+    '\u00A0': ' ', '\u2002': ' ', '\u2003': ' ', '\u2009': ' ', '\u200A': ' ', '\u202F': ' ',
+    '\u200B': '', '\uFEFF': '',
+    '×': 'x',
+    'á': 'a', 'â': 'a', 'ã': 'a', 'Á': 'A', 'Â': 'A', 'À': 'A',
+    'ê': 'e', 'ë': 'e', 'È': 'E', 'Ê': 'E',
+    'í': 'i', 'î': 'i', 'ï': 'i', 'Í': 'I',
+    'ó': 'o', 'ô': 'o', 'õ': 'o', 'Ó': 'O', 'Ô': 'O',
+    'ú': 'u', 'û': 'u', 'Ú': 'U',
+    'ç': 'Ç'
+};
+
+function isGsmCharacter(char) {
+    return GSM_BASIC.has(char) || GSM_EXTENDED.has(char);
+}
+
+function toGsmSafe(text) {
+    return Array.from(String(text || ''))
+        .map(char => (GSM_REPLACEMENTS[char] !== undefined ? GSM_REPLACEMENTS[char] : char))
+        .join('');
+}
+
+// Packs characters into segments the way carriers do: an escaped GSM character or a UTF-16
+// surrogate pair is never split across two parts, so the count can exceed a naive length / 153.
+function countSegments(units, encoding) {
+    const limits = SEGMENT_LIMITS[encoding];
+    const total = units.reduce((sum, size) => sum + size, 0);
+    if (total <= limits.single) {
+        return total === 0 ? 0 : 1;
+    }
+
+    let segments = 1;
+    let used = 0;
+    for (const size of units) {
+        if (used + size > limits.multipart) {
+            segments++;
+            used = 0;
+        }
+        used += size;
+    }
+    return segments;
+}
+
+/**
+ * Returns { encoding, characters, units, segments, nonGsmCharacters }.
+ * units are septets for GSM-7 and UTF-16 code units for UCS-2; nonGsmCharacters lists (up to 10)
+ * distinct characters that forced UCS-2 so the admin knows what to change.
+ */
+function analyzeMessage(text) {
+    const chars = Array.from(String(text || ''));
+    const nonGsm = [...new Set(chars.filter(char => !isGsmCharacter(char)))];
+    const encoding = nonGsm.length > 0 ? 'UCS-2' : 'GSM-7';
+
+    const units = encoding === 'GSM-7'
+        ? chars.map(char => (GSM_EXTENDED.has(char) ? 2 : 1))
+        : chars.map(char => char.length);
+
+    return {
+        encoding,
+        characters: chars.length,
+        units: units.reduce((sum, size) => sum + size, 0),
+        segments: countSegments(units, encoding),
+        nonGsmCharacters: nonGsm.slice(0, 10)
+    };
+}
+
+module.exports = {
+    analyzeMessage,
+    toGsmSafe,
+    isGsmCharacter
+};
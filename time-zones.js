@@ -0,0 +1,167 @@
+// Church-time helpers.
+// The server runs in UTC on Render, so anything people experience as a time of day - the 8 PM
+// summary, quiet hours, "SCHEDULE TOMORROW 9AM" - is worked out in an IANA zone with Intl
+// instead of the process clock. Members can carry their own zone; the church zone is the fallback.
+
+const QUIET_HOURS_PATTERN = /^\s*(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?\s*$/;
+const CLOCK_TIME_PATTERN = /^\s*(\d{1,2})(?::(\d{2}))?\s*$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock fields of `date` in `timeZone`; month is 1-12, weekday 0 (Sunday) - 6
+function getLocalParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+function offsetMs(timestamp, timeZone) {
+    const local = getLocalParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * The instant a wall clock in `timeZone` shows the given time. Out-of-range days roll over like
+ * Date.UTC (day 32 is the 1st of next month). A time skipped by a DST jump resolves an hour early.
+ */
+function zonedTime(timeZone, year, month, day, hour = 0, minute = 0) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const firstGuess = wallClock - offsetMs(wallClock, timeZone);
+    const secondOffset = offsetMs(firstGuess, timeZone);
+    return new Date(wallClock - secondOffset);
+}
+
+function startOfLocalDay(date, timeZone, dayOffset = 0) {
+    const local = getLocalParts(date, timeZone);
+    return zonedTime(timeZone, local.year, local.month, local.day + dayOffset);
+}
+
+function endOfLocalDay(date, timeZone) {
+    return new Date(startOfLocalDay(date, timeZone, 1).getTime() - 1);
+}
+
+// "21:00-08:00" or "21-8" -> { start, end } in minutes after midnight; blank or malformed -> null
+function parseQuietHours(value) {
+    const match = String(value || '').match(QUIET_HOURS_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const start = parseInt(match[1]) * 60 + parseInt(match[2] || '0');
+    const end = parseInt(match[3]) * 60 + parseInt(match[4] || '0');
+    if (parseInt(match[1]) > 23 || parseInt(match[3]) > 23 || parseInt(match[2] || '0') > 59 ||
+        parseInt(match[4] || '0') > 59 || start === end) {
+        return null;
+    }
+
+    return { start, end };
+}
+
+// "19:00" or "7" -> minutes after midnight; blank or malformed -> null
+function parseClockTime(value) {
+    const match = String(value || '').match(CLOCK_TIME_PATTERN);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2] || '0') > 59) {
+        return null;
+    }
+    return parseInt(match[1]) * 60 + parseInt(match[2] || '0');
+}
+
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function formatQuietHours(quietHours) {
+    return quietHours ? `${formatClock(quietHours.start)}-${formatClock(quietHours.end)}` : 'off';
+}
+
+/**
+ * When quiet hours that are in effect at `date` end, or null if `date` is outside them.
+ * Windows that cross midnight (21:00-08:00) end the next morning when evaluated before midnight.
+ */
+function quietHoursEnd(date, timeZone, quietHours) {
+    if (!quietHours) {
+        return null;
+    }
+
+    const local = getLocalParts(date, timeZone);
+    const minutes = local.hour * 60 + local.minute;
+    const wrapsMidnight = quietHours.start > quietHours.end;
+
+    const inQuietHours = wrapsMidnight
+        ? minutes >= quietHours.start || minutes < quietHours.end
+        : minutes >= quietHours.start && minutes < quietHours.end;
+    if (!inQuietHours) {
+        return null;
+    }
+
+    const dayOffset = wrapsMidnight && minutes >= quietHours.start ? 1 : 0;
+    return zonedTime(timeZone, local.year, local.month, local.day + dayOffset,
+        Math.floor(quietHours.end / 60), quietHours.end % 60);
+}
+
+function formatLocalTime(date, timeZone, options = {}, locale = 'en-US') {
+    return date.toLocaleString(locale, {
+        timeZone,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        ...options
+    });
+}
+
+module.exports = {
+    isValidTimeZone,
+    getLocalParts,
+    zonedTime,
+    startOfLocalDay,
+    endOfLocalDay,
+    parseQuietHours,
+    formatQuietHours,
+    parseClockTime,
+    formatClock,
+    quietHoursEnd,
+    formatLocalTime
+};